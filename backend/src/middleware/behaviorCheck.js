@@ -2,10 +2,21 @@
  * Behavior Check Middleware
  * 
  * Validates behavioral scores and triggers challenges for suspicious behavior.
+ * A valid x-challenge-token (passed challenge, see routes/challenge.js) skips the challenge.
  */
 
 import { recordBehaviorScore, analyzeBehavior } from '../services/behaviorAnalyzer.js';
-import { generateChallenge } from '../services/challengeGenerator.js';
+import { generateChallenge, verifyChallengeToken } from '../services/challengeGenerator.js';
+import { SECURITY_CONFIG } from '../../../config/backend/security.js';
+
+/**
+ * Get client IP address from request
+ * @param {Object} req - Express request object
+ * @returns {string} IP address
+ */
+function getClientIP(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
+}
 
 /**
  * Behavior score validation middleware
@@ -47,11 +58,22 @@ export function validateBehaviorScore(options = {}) {
     
     // Check minimum score
     if (behaviorScore < minScore) {
+      // Device already proved itself with a recent challenge
+      if (await verifyChallengeToken(req.headers['x-challenge-token'], deviceHash)) {
+        req.behaviorScore = behaviorScore;
+        req.challengePassed = true;
+        return next();
+      }
+      
       console.warn(`[BehaviorCheck] Low behavior score: ${behaviorScore} (min: ${minScore})`);
       
       if (triggerChallenge && deviceHash) {
-        // Generate challenge instead of blocking
-        const challenge = await generateChallenge('random', deviceHash);
+        // Generate challenge instead of blocking (proof-of-work by default - no human needed)
+        const challenge = await generateChallenge(
+          SECURITY_CONFIG.paranoid.challenge.defaultType,
+          deviceHash,
+          { ip: getClientIP(req), source: 'behavior' }
+        );
         
         return res.status(403).json({
           error: 'Behavior verification required',
@@ -1,5 +1,7 @@
 import { getProject } from '../services/blockchain.js';
 import { formatErrorResponse } from '../utils/responseFormatter.js';
+import { resolveProjectSeasons } from '../utils/blockchainUtils.js';
+import { MULTICALL_CONFIG } from '../../../config/backend/rpcPool.js';
 
 export const validateProject = (req, res, next) => {
   const { tokenAddress } = req.query;
@@ -22,3 +24,80 @@ export const validateProject = (req, res, next) => {
   req.project = project; // Attach project to request
   next();
 };
+
+/**
+ * Resolve requested seasons for the project attached by validateProject
+ * 
+ * Accepted inputs (query for GET, body for POST):
+ *   seasonId=2          → [2]
+ *   seasonIds=1,2       → [1, 2]  (array in JSON body also accepted)
+ *   seasonIds=all       → every season declared for the project
+ *   (none)              → project's default season
+ * 
+ * Attaches req.seasonIds (number[]) - rejects unparseable IDs and seasons the project doesn't run
+ */
+export const validateSeasons = (req, res, next) => {
+  const project = req.project;
+  const source = req.method === 'GET' ? req.query : { ...req.query, ...req.body };
+  const { seasonIds, unknown, invalid } = resolveProjectSeasons(project, source.seasonIds ?? source.seasonId);
+
+  if (invalid.length > 0) {
+    return res.status(400).json(formatErrorResponse(
+      'Invalid season',
+      `Invalid season ID(s): ${invalid.map(id => `"${id}"`).join(', ')}. Use positive integers, a comma-separated list or "all"`
+    ));
+  }
+
+  if (unknown.length > 0) {
+    return res.status(400).json(formatErrorResponse(
+      'Invalid season',
+      `Season(s) ${unknown.join(', ')} not found for ${project.name}. Available: ${project.seasonIds.join(', ')}`
+    ));
+  }
+
+  req.seasonIds = seasonIds;
+  next();
+};
+
+/**
+ * Parse the optional blockTag query parameter
+ * 
+ * Accepted inputs:
+ *   (none) / blockTag=latest → 'latest' (current head)
+ *   blockTag=21000000        → 21000000
+ *   blockTag=0x1406f40       → 21000000
+ * 
+ * Blocks before the Multicall3 deployment (MULTICALL_CONFIG.deployBlock) → 400
+ * Attaches req.blockTag ('latest' | number) - fetchers read every value at that block
+ */
+export const validateBlockTag = (req, res, next) => {
+  const raw = req.query.blockTag;
+
+  if (raw === undefined || raw === '' || raw === 'latest') {
+    req.blockTag = 'latest';
+    return next();
+  }
+
+  const value = String(raw).trim();
+  const blockNumber = /^0x[0-9a-fA-F]+$/.test(value) ? parseInt(value, 16)
+    : /^\d+$/.test(value) ? parseInt(value, 10)
+    : NaN;
+
+  if (!Number.isSafeInteger(blockNumber)) {
+    return res.status(400).json(formatErrorResponse(
+      'Invalid blockTag',
+      `blockTag must be 'latest' or a block number (decimal or 0x-hex), got: ${value}`
+    ));
+  }
+
+  // Reads go through Multicall3, which has no code before its deployment
+  if (blockNumber < MULTICALL_CONFIG.deployBlock) {
+    return res.status(400).json(formatErrorResponse(
+      'Invalid blockTag',
+      `blockTag must be at or after block ${MULTICALL_CONFIG.deployBlock} (Multicall3 deployment), got: ${value}`
+    ));
+  }
+
+  req.blockTag = blockNumber;
+  next();
+};
@@ -1,5 +1,7 @@
 import rateLimit from 'express-rate-limit';
 import { RATE_LIMIT_CONFIG } from '../../../config/backend/rateLimiting.js';
+import { getRedisClient, isRedisAvailable, incrementFallbackUsage } from '../utils/redis.js'; // Shared Redis client
+import { RedisRateLimitStore } from '../utils/rateLimitStore.js';
 
 // Helper function to get client IP
 const getClientIp = (req) => {
@@ -24,21 +26,61 @@ const shouldApplyRateLimit = () => {
   return !isDevelopment || forceSecurity;
 };
 
-// In-memory store for penalty tracking
+// Penalty state: shared Redis client (all instances), in-memory fallback per process
+const PENALTY_PREFIX = RATE_LIMIT_CONFIG.store.penaltyPrefix;
+const redis = getRedisClient();
 const penaltyStore = new Map();
 
+/**
+ * Penalty end time of an IP
+ * @param {string} ip - Client IP
+ * @returns {Promise<number|null>} Timestamp (ms) or null if none
+ */
+async function getPenaltyUntil(ip) {
+  if (isRedisAvailable() && redis) {
+    try {
+      const until = await redis.get(`${PENALTY_PREFIX}${ip}`);
+      return until ? parseInt(until, 10) : null;
+    } catch (err) {
+      console.warn('[RateLimit] Redis penalty check failed, falling back to memory:', err.message);
+    }
+  }
+  
+  incrementFallbackUsage();
+  return penaltyStore.get(ip)?.until ?? null;
+}
+
+/**
+ * Put an IP in penalty (expires by itself after penalty.durationMs)
+ * @param {string} ip - Client IP
+ * @param {number} until - Penalty end timestamp (ms)
+ */
+async function setPenalty(ip, until) {
+  if (isRedisAvailable() && redis) {
+    try {
+      await redis.set(`${PENALTY_PREFIX}${ip}`, until, 'PX', RATE_LIMIT_CONFIG.penalty.durationMs);
+      return;
+    } catch (err) {
+      console.warn('[RateLimit] Redis penalty write failed, falling back to memory:', err.message);
+    }
+  }
+  
+  incrementFallbackUsage();
+  penaltyStore.set(ip, { until });
+}
+
 // Middleware to check if IP is in penalty period
-const checkPenalty = (req, res, next) => {
+const checkPenalty = async (req, res, next) => {
   // Skip penalty check in development mode (unless forced)
   if (!shouldApplyRateLimit()) {
     return next();
   }
   
   const clientIp = getClientIp(req);
-  const penaltyData = penaltyStore.get(clientIp);
+  const penaltyUntil = await getPenaltyUntil(clientIp);
   
-  if (penaltyData) {
-    const timeRemaining = Math.ceil((penaltyData.until - Date.now()) / 1000);
+  if (penaltyUntil) {
+    const timeRemaining = Math.ceil((penaltyUntil - Date.now()) / 1000);
     
     if (timeRemaining > 0) {
       console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -48,7 +90,7 @@ const checkPenalty = (req, res, next) => {
       console.error('Path:', req.path);
       console.error('IP:', clientIp);
       console.error('Remaining:', timeRemaining, 'seconds');
-      console.error('Penalty Until:', new Date(penaltyData.until).toISOString());
+      console.error('Penalty Until:', new Date(penaltyUntil).toISOString());
       console.error('Message: You exceeded rate limits and are temporarily blocked.');
       console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
       return res.status(429).json({
@@ -59,7 +101,7 @@ const checkPenalty = (req, res, next) => {
         reason: 'PENALTY_ACTIVE'
       });
     } else {
-      // Penalty expired, remove from store
+      // Penalty expired, remove from store (Redis keys expire by themselves)
       penaltyStore.delete(clientIp);
     }
   }
@@ -67,7 +109,90 @@ const checkPenalty = (req, res, next) => {
   next();
 };
 
-// Clean up expired penalties periodically
+/**
+ * Penalty state of an IP (challenge difficulty, monitoring)
+ * @param {string} ip - Client IP
+ * @returns {Promise<{active: boolean, remainingSeconds: number}>}
+ */
+export async function getPenaltyState(ip) {
+  const penaltyUntil = await getPenaltyUntil(ip);
+  const remainingSeconds = penaltyUntil ? Math.ceil((penaltyUntil - Date.now()) / 1000) : 0;
+  return {
+    active: remainingSeconds > 0,
+    remainingSeconds: Math.max(0, remainingSeconds),
+  };
+}
+
+/**
+ * Active penalties, longest remaining first (admin)
+ * @returns {Promise<Array<{ip: string, until: number, remainingSeconds: number}>>}
+ */
+export async function listPenalties() {
+  let entries = null;
+  
+  if (isRedisAvailable() && redis) {
+    try {
+      // SCAN in batches (KEYS blocks Redis on a large keyspace); may repeat a key, hence the Map
+      const found = new Map();
+      let cursor = '0';
+      do {
+        const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', `${PENALTY_PREFIX}*`, 'COUNT', 200);
+        cursor = nextCursor;
+        if (keys.length > 0) {
+          const values = await redis.mget(keys);
+          keys.forEach((key, i) => found.set(key.slice(PENALTY_PREFIX.length), parseInt(values[i], 10)));
+        }
+      } while (cursor !== '0');
+      entries = Array.from(found.entries());
+    } catch (err) {
+      console.warn('[RateLimit] Redis penalty list failed, falling back to memory:', err.message);
+    }
+  }
+  
+  if (!entries) {
+    entries = Array.from(penaltyStore.entries()).map(([ip, data]) => [ip, data.until]);
+  }
+  
+  const now = Date.now();
+  return entries
+    .filter(([, until]) => until > now)
+    .map(([ip, until]) => ({
+      ip,
+      until,
+      remainingSeconds: Math.ceil((until - now) / 1000),
+    }))
+    .sort((a, b) => b.until - a.until);
+}
+
+/**
+ * Lift the penalty of an IP (admin)
+ * Also resets its per-second / per-minute counters, otherwise the next request
+ * past the limit would put it straight back into penalty
+ * @param {string} ip - Client IP
+ * @returns {Promise<boolean>} true if a penalty was active
+ */
+export async function clearPenalty(ip) {
+  const { active: wasActive } = await getPenaltyState(ip);
+  
+  if (isRedisAvailable() && redis) {
+    try {
+      await redis.del(`${PENALTY_PREFIX}${ip}`);
+    } catch (err) {
+      console.warn('[RateLimit] Redis penalty clear failed:', err.message);
+    }
+  }
+  penaltyStore.delete(ip);
+  
+  await Promise.all([
+    perSecondLimiter.resetKey(ip),
+    perMinuteLimiter.resetKey(ip),
+  ]);
+  
+  console.log(`[RateLimit] Penalty cleared for IP ${ip}${wasActive ? '' : ' (none active)'}`);
+  return wasActive;
+}
+
+// Clean up expired penalties periodically (memory fallback only)
 setInterval(() => {
   const now = Date.now();
   for (const [ip, data] of penaltyStore.entries()) {
@@ -78,11 +203,11 @@ setInterval(() => {
 }, RATE_LIMIT_CONFIG.penalty.cleanupIntervalMs);
 
 // Handler when rate limit is exceeded - apply penalty
-const onLimitReached = (req, res, options) => {
+const onLimitReached = async (req, res, options) => {
   const clientIp = getClientIp(req);
   const penaltyUntil = Date.now() + RATE_LIMIT_CONFIG.penalty.durationMs;
   
-  penaltyStore.set(clientIp, { until: penaltyUntil });
+  await setPenalty(clientIp, penaltyUntil);
   
   const penaltySeconds = Math.ceil(RATE_LIMIT_CONFIG.penalty.durationMs / 1000);
   console.warn(`[RateLimit] IP ${clientIp} exceeded rate limit. Blocked for ${penaltySeconds}s until ${new Date(penaltyUntil).toISOString()}`);
@@ -103,7 +228,8 @@ const perSecondLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: createKeyGenerator,
-  handler: (req, res, next, options) => {
+  store: new RedisRateLimitStore(`${RATE_LIMIT_CONFIG.store.prefix}second:`), // Shared across instances
+  handler: async (req, res, next, options) => {
     const clientIp = getClientIp(req);
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.error('🚫 [429] RATE LIMIT EXCEEDED - Per-Second Limit');
@@ -115,7 +241,7 @@ const perSecondLimiter = rateLimit({
     console.error('Penalty:', RATE_LIMIT_CONFIG.penalty.durationMs / 1000, 'seconds');
     console.error('Message: You exceeded', RATE_LIMIT_CONFIG.perSecond.max, 'requests per second.');
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-    onLimitReached(req, res, options);
+    await onLimitReached(req, res, options);
     res.status(429).json({...options.message, reason: 'PER_SECOND_LIMIT'});
   },
   skip: (req) => {
@@ -144,7 +270,8 @@ const perMinuteLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: createKeyGenerator,
-  handler: (req, res, next, options) => {
+  store: new RedisRateLimitStore(`${RATE_LIMIT_CONFIG.store.prefix}minute:`), // Shared across instances
+  handler: async (req, res, next, options) => {
     const clientIp = getClientIp(req);
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.error('🚫 [429] RATE LIMIT EXCEEDED - Per-Minute Limit');
@@ -156,7 +283,7 @@ const perMinuteLimiter = rateLimit({
     console.error('Penalty:', RATE_LIMIT_CONFIG.penalty.durationMs / 1000, 'seconds');
     console.error('Message: You exceeded', RATE_LIMIT_CONFIG.perMinute.max, 'requests per minute.');
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-    onLimitReached(req, res, options);
+    await onLimitReached(req, res, options);
     res.status(429).json({...options.message, reason: 'PER_MINUTE_LIMIT'});
   },
   skip: (req) => {
@@ -190,6 +317,7 @@ const initPerSecondLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: createKeyGenerator,
+  store: new RedisRateLimitStore(`${RATE_LIMIT_CONFIG.store.prefix}init_second:`), // Shared across instances
   handler: (req, res, next, options) => {
     const clientIp = getClientIp(req);
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -218,6 +346,7 @@ const initPerMinuteLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: createKeyGenerator,
+  store: new RedisRateLimitStore(`${RATE_LIMIT_CONFIG.store.prefix}init_minute:`), // Shared across instances
   handler: (req, res, next, options) => {
     const clientIp = getClientIp(req);
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
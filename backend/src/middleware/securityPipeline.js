@@ -0,0 +1,215 @@
+/**
+ * Security Pipeline Middleware
+ *
+ * Chains the device / integrity / behavior checks on a protected route.
+ * Configured in config/backend/security.js (paranoid.pipeline):
+ *   - mode per check: 'off' | 'monitor' | 'enforce'
+ *   - per-endpoint overrides
+ *
+ * Each check is the existing middleware, run against a probe response:
+ * calling next() = pass, responding (status + json) = fail. The decision is
+ * logged; only 'enforce' sends the failure response to the client.
+ * A check that throws is logged and passes (fail-open).
+ *
+ * The internal mount of the same router (INTERNAL_API_PATH, HMAC-signed
+ * service-to-service calls without browser headers) skips the pipeline.
+ */
+
+import {
+  validateDeviceMiddleware,
+  checkFingerprintConsistency,
+  adaptiveDeviceRateLimiter,
+  deviceRateLimiter,
+} from './deviceBinding.js';
+import { validateBrowserIntegrity } from './integrityValidator.js';
+import { validateBehaviorScore } from './behaviorCheck.js';
+import { SECURITY_CONFIG } from '../../../config/backend/security.js';
+import { API_CONSTANTS } from '../../../config/backend/api.js';
+
+const PARANOID = SECURITY_CONFIG.paranoid;
+const PIPELINE = PARANOID.pipeline;
+
+export const CHECK_MODES = {
+  off: 'off',
+  monitor: 'monitor',
+  enforce: 'enforce',
+};
+
+// Requests per minute when the device is unknown (adaptiveDeviceRateLimiter scales 20-200 by trust)
+const DEFAULT_DEVICE_RATE_LIMIT = 100;
+
+/**
+ * Check name → middleware chain (created once, shared by every route)
+ */
+const CHECKS = {
+  integrity: [
+    validateBrowserIntegrity({
+      minScore: PARANOID.integrity.minScore,
+      required: PARANOID.integrity.required,
+      blockAutomation: PARANOID.integrity.blockAutomation,
+    }),
+  ],
+  device: [
+    validateDeviceMiddleware({
+      required: PARANOID.device.fingerprintRequired,
+      checkBlocked: true,
+      minTrustScore: PARANOID.device.minTrustScore,
+    }),
+  ],
+  fingerprintConsistency: [
+    checkFingerprintConsistency(),
+  ],
+  deviceRateLimit: [
+    adaptiveDeviceRateLimiter(),
+    deviceRateLimiter({
+      max: (req) => req.rateLimit?.max ?? DEFAULT_DEVICE_RATE_LIMIT,
+      message: 'Too many requests from this device',
+    }),
+  ],
+  // Monitor only records the decision - no challenge is generated
+  behavior: [
+    validateBehaviorScore({
+      minScore: PARANOID.behavior.minScore,
+      required: PARANOID.behavior.required,
+      triggerChallenge: false,
+    }),
+  ],
+};
+
+/**
+ * Check name → middleware chain used when the check is enforced (when it differs)
+ */
+const ENFORCE_CHECKS = {
+  behavior: [
+    validateBehaviorScore({
+      minScore: PARANOID.behavior.minScore,
+      required: PARANOID.behavior.required,
+      triggerChallenge: PARANOID.behavior.triggerChallengeOnLowScore && PARANOID.challenge.enabled,
+    }),
+  ],
+};
+
+/**
+ * Get client IP address from request
+ * @param {Object} req - Express request object
+ * @returns {string} IP address
+ */
+function getClientIP(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
+}
+
+/**
+ * Request came in through the internal mount (HMAC-verified in server.js)
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+function isInternalRequest(req) {
+  return req.baseUrl === API_CONSTANTS.INTERNAL_API_PATH
+    || req.baseUrl.startsWith(`${API_CONSTANTS.INTERNAL_API_PATH}/`);
+}
+
+/**
+ * Mode of a check on a route (endpoint override > global mode)
+ * @param {string} check - Check name (key of CHECKS)
+ * @param {string} route - Route path (API_ROUTES)
+ * @returns {string} CHECK_MODES value
+ */
+export function getCheckMode(check, route) {
+  return PIPELINE.endpoints[route]?.[check] ?? PIPELINE.checks[check] ?? CHECK_MODES.off;
+}
+
+/**
+ * Run a middleware chain without letting it respond
+ * Headers set by the middlewares (e.g. RateLimit-*) still reach the real response
+ * @returns {Promise<{outcome: 'pass'|'fail'|'error', status?: number, body?: Object, error?: Error}>}
+ */
+async function probe(middlewares, req, res) {
+  for (const middleware of middlewares) {
+    const decision = await new Promise((resolve) => {
+      let statusCode = 200;
+      const probeRes = new Proxy(res, {
+        get(target, prop) {
+          if (prop === 'status') {
+            return (code) => { statusCode = code; return probeRes; };
+          }
+          if (prop === 'json' || prop === 'send') {
+            return (body) => { resolve({ outcome: 'fail', status: statusCode, body }); return probeRes; };
+          }
+          const value = Reflect.get(target, prop, target);
+          return typeof value === 'function' ? value.bind(target) : value;
+        },
+      });
+
+      Promise.resolve(middleware(req, probeRes, (error) => {
+        resolve(error ? { outcome: 'error', error } : { outcome: 'pass' });
+      })).catch(error => resolve({ outcome: 'error', error }));
+    });
+
+    if (decision.outcome !== 'pass') return decision;
+  }
+  return { outcome: 'pass' };
+}
+
+/**
+ * Log one check decision (what was checked, the scores involved, what happened)
+ */
+function logDecision(check, mode, decision, req, blocked) {
+  // Monitor mode logs every decision: passes are the baseline the thresholds are tuned against
+  if (decision.outcome === 'pass' && mode !== 'monitor' && !PIPELINE.logPasses) return;
+
+  const entry = {
+    check,
+    mode,
+    outcome: decision.outcome,
+    action: blocked ? 'blocked' : 'allowed',
+    method: req.method,
+    path: req.path,
+    ip: getClientIP(req),
+    device: req.headers['x-fingerprint'] ? `${req.headers['x-fingerprint'].substring(0, 16)}...` : null,
+    trustScore: req.device?.trustScore ?? null,
+    integrityScore: req.headers['x-integrity-score'] ?? null,
+    behaviorScore: req.headers['x-behavior-score'] ?? null,
+    challengePassed: !!req.challengePassed,
+  };
+
+  if (decision.outcome === 'fail') {
+    entry.status = decision.status;
+    entry.reason = decision.body?.error || decision.body?.message || null;
+  } else if (decision.outcome === 'error') {
+    entry.error = decision.error?.message;
+  }
+
+  const log = decision.outcome === 'pass' ? console.log : console.warn;
+  log(`[SecurityPipeline] ${check}: ${decision.outcome.toUpperCase()} (${mode})`, entry);
+}
+
+/**
+ * Security pipeline for a route
+ * @param {string} route - Route path (API_ROUTES), used for per-endpoint overrides
+ * @returns {Function[]} Express middlewares (one per active check)
+ *
+ * @example
+ * router.get(API_ROUTES.PROJECT.CONFIG, verifyClientSignature(...), ...securityPipeline(API_ROUTES.PROJECT.CONFIG), ...)
+ */
+export function securityPipeline(route) {
+  return Object.entries(CHECKS)
+    .filter(([check]) => getCheckMode(check, route) !== CHECK_MODES.off)
+    .map(([check, middlewares]) => {
+      const mode = getCheckMode(check, route);
+      const chain = mode === CHECK_MODES.enforce ? (ENFORCE_CHECKS[check] ?? middlewares) : middlewares;
+
+      return async (req, res, next) => {
+        if (isInternalRequest(req)) return next();
+
+        const decision = await probe(chain, req, res);
+        const blocked = decision.outcome === 'fail' && mode === CHECK_MODES.enforce;
+
+        logDecision(check, mode, decision, req, blocked);
+
+        if (blocked) {
+          return res.status(decision.status).json(decision.body);
+        }
+        next();
+      };
+    });
+}
@@ -0,0 +1,166 @@
+import express from 'express';
+import { verifyToken } from '../middleware/auth.js';
+import { verifySignature } from '../middleware/signature.js';
+import { getNonceStats } from '../middleware/nonce.js';
+import { listPenalties, clearPenalty } from '../middleware/rateLimiter.js';
+import {
+  listDevices,
+  getDevice,
+  getDevicesByIP,
+  isDeviceBlocked,
+  blockDevice,
+  unblockDevice,
+  getDeviceStats,
+} from '../services/deviceRegistry.js';
+import { formatErrorResponse } from '../utils/responseFormatter.js';
+import { SECURITY_CONFIG } from '../../../config/backend/security.js';
+
+// Admin Router (mounted at API_ROUTES.ADMIN_PATH, see server.js)
+// Operators: devices (list / search / block / unblock), IP penalties, nonce usage
+const router = express.Router();
+
+const ADMIN_CONFIG = SECURITY_CONFIG.admin;
+
+const verifyAdminSignature = verifySignature(true);
+
+/**
+ * Admin authentication
+ * - Authorization: Bearer <JWT> → verifyToken + `role` claim must be ADMIN_CONFIG.role (admin page)
+ * - otherwise HMAC signature headers → verifySignature (scripts, service-to-service)
+ */
+function verifyAdmin(req, res, next) {
+  if (req.headers.authorization) {
+    return verifyToken(req, res, () => {
+      if (req.user?.role !== ADMIN_CONFIG.role) {
+        return res.status(403).json(formatErrorResponse(
+          'Forbidden',
+          `Token does not have the ${ADMIN_CONFIG.role} role`
+        ));
+      }
+      next();
+    });
+  }
+
+  // verifySignature lets requests through when HMAC_SECRET is not set
+  if (!process.env.HMAC_SECRET) {
+    return res.status(401).json(formatErrorResponse(
+      'Token required',
+      'Please provide Authorization header with Bearer token'
+    ));
+  }
+  return verifyAdminSignature(req, res, next);
+}
+
+/**
+ * Who made an admin request (for the audit log)
+ */
+function getActor(req) {
+  return req.user ? (req.user.sub || req.user.name || 'jwt') : 'hmac';
+}
+
+router.use(verifyAdmin);
+
+// GET /api/admin/stats
+// Devices, nonce stores and active penalties at a glance
+router.get('/stats', async (req, res) => {
+  try {
+    const [devices, nonces, penalties] = await Promise.all([
+      getDeviceStats(),
+      getNonceStats(),
+      listPenalties(),
+    ]);
+    res.json({
+      devices,
+      nonces,
+      penalties: { active: penalties.length },
+    });
+  } catch (error) {
+    console.error('[Admin] Error getting stats:', error.message);
+    res.status(500).json(formatErrorResponse('Failed to get stats', error.message));
+  }
+});
+
+// GET /api/admin/devices?search=&blocked=true|false&limit=&cursor=
+// search: fingerprint hash or IP (substring)
+// cursor: '0' (first page), then nextCursor of the previous page (null = last page)
+router.get('/devices', async (req, res) => {
+  const limit = Math.min(
+    parseInt(req.query.limit, 10) || ADMIN_CONFIG.defaultPageSize,
+    ADMIN_CONFIG.maxPageSize
+  );
+  const cursor = /^\d+(:\d+)?$/.test(req.query.cursor) ? req.query.cursor : '0';
+  const blocked = req.query.blocked === 'true' ? true : req.query.blocked === 'false' ? false : null;
+
+  const { devices, nextCursor } = await listDevices({
+    search: typeof req.query.search === 'string' ? req.query.search : '',
+    blocked,
+    limit,
+    cursor,
+  });
+
+  res.json({ devices, limit, cursor, nextCursor });
+});
+
+// GET /api/admin/devices/:hash
+// Full device record (incl. raw fingerprint) + block status + other devices on its last IP
+router.get('/devices/:hash', async (req, res) => {
+  const device = await getDevice(req.params.hash);
+  if (!device) {
+    return res.status(404).json(formatErrorResponse('Device not found', `No device ${req.params.hash}`));
+  }
+
+  const [block, devicesOnIP] = await Promise.all([
+    isDeviceBlocked(req.params.hash),
+    getDevicesByIP(device.lastSeenIP),
+  ]);
+
+  res.json({ device, block, devicesOnIP });
+});
+
+// POST /api/admin/devices/:hash/block
+// Body: { reason?: string, durationSeconds?: number } (0 / missing = permanent)
+router.post('/devices/:hash/block', async (req, res) => {
+  const reason = req.body?.reason || 'Blocked by admin';
+  const durationSeconds = Math.max(parseInt(req.body?.durationSeconds, 10) || 0, 0);
+
+  const blocked = await blockDevice(req.params.hash, reason, durationSeconds);
+  if (!blocked) {
+    return res.status(404).json(formatErrorResponse('Device not found', `No device ${req.params.hash}`));
+  }
+
+  console.log(`[Admin] ${getActor(req)} blocked device ${req.params.hash.substring(0, 16)}... (${reason}, ${durationSeconds || 'permanent'}${durationSeconds ? 's' : ''})`);
+  res.json({ blocked: true, device: await getDevice(req.params.hash) });
+});
+
+// POST /api/admin/devices/:hash/unblock
+router.post('/devices/:hash/unblock', async (req, res) => {
+  const unblocked = await unblockDevice(req.params.hash);
+  if (!unblocked) {
+    return res.status(404).json(formatErrorResponse('Device not found', `No device ${req.params.hash}`));
+  }
+
+  console.log(`[Admin] ${getActor(req)} unblocked device ${req.params.hash.substring(0, 16)}...`);
+  res.json({ blocked: false, device: await getDevice(req.params.hash) });
+});
+
+// GET /api/admin/penalties
+// IPs currently blocked by the rate limiter
+router.get('/penalties', async (req, res) => {
+  res.json({ penalties: await listPenalties() });
+});
+
+// DELETE /api/admin/penalties/:ip
+router.delete('/penalties/:ip', async (req, res) => {
+  const wasActive = await clearPenalty(req.params.ip);
+
+  console.log(`[Admin] ${getActor(req)} cleared penalty for IP ${req.params.ip}`);
+  res.json({ ip: req.params.ip, cleared: wasActive });
+});
+
+// GET /api/admin/nonces
+// Issued (generated:) and consumed (used:) nonce counts
+router.get('/nonces', async (req, res) => {
+  res.json(await getNonceStats());
+});
+
+export default router;
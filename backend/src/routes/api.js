@@ -1,13 +1,23 @@
 import express from 'express';
-import { fetchProjectConfig, fetchGlobalState, fetchUserClaimValues, getProject } from '../services/blockchain.js';
+import { ethers } from 'ethers';
+import { fetchProjectConfig, fetchGlobalState, fetchUserClaimValues, fetchUserClaimValuesBatch, verifyClaimProof, fetchVestingTimeline, getProject } from '../services/blockchain.js';
 import { formatApiResponse, formatErrorResponse, CONTRACT_INFO } from '../utils/responseFormatter.js';
 import { withCache } from '../middleware/cache.js';
 import { API_DEFAULTS } from '../../../config/backend/constants.js';
-import { validateProject } from '../middleware/projectValidation.js'; // Import new middleware
+import { resolveProjectSeasons, isValidTokenAmount } from '../utils/blockchainUtils.js';
+import { parseClaimParams } from '../utils/merkleProof.js';
+import { EVENT_TYPES, getProjectEvents, getProjectClaimStats, getWalletEvents, getIndexerStatus } from '../services/eventIndexer.js';
+import { getProjectChangelog, getFactoryWatcherStatus } from '../services/factoryWatcher.js';
+import { getGlobalStateHistory, getSnapshotterStatus } from '../services/globalStateSnapshotter.js';
+import { fetchTokenPrice } from '../services/priceSource.js';
+import { INDEXER_CONFIG, FACTORY_WATCHER_CONFIG, SNAPSHOT_CONFIG } from '../../../config/backend/indexer.js';
+import { PROJECTS_MAP } from '../../../config/shared/contracts.js';
+import { validateProject, validateSeasons, validateBlockTag } from '../middleware/projectValidation.js'; // Import new middleware
 import { sendApiResponse } from '../utils/apiResponse.js'; // Import new helper
 import requestLogger from '../middleware/requestLogger.js'; // Import requestLogger
 import { API_ROUTES } from '../../../config/shared/api.js'; // Import shared API routes
 import { verifyClientSignature } from '../middleware/signature.js'; // Import signature verification
+import { securityPipeline } from '../middleware/securityPipeline.js'; // Import security pipeline
 
 // V1 API Router (Query-Based Parameters)
 const router = express.Router();
@@ -17,20 +27,26 @@ const enforceSecurityMode = process.env.FORCE_SECURITY === 'true';
 
 // NOTE: Protected endpoints list is defined in config/shared/security.js
 // Each protected endpoint must have verifyClientSignature() middleware applied
+// and the securityPipeline() checks (monitor / enforce per check in config/backend/security.js)
 
 // Request Logging Middleware
 router.use(requestLogger);
 
 // GET /api/v1/project/config
 // ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Optional ?blockTag=latest|<number> - config, global-state and user-claim read at
+// that block; metaData.blockNumber/blockHash report the block actually read
 router.get(
   API_ROUTES.PROJECT.CONFIG,
   verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.CONFIG), // Device / integrity / behavior checks (config/backend/security.js)
   validateProject,
+  validateSeasons,
+  validateBlockTag,
   ...withCache('projectConfig'),
   async (req, res) => {
   try {
-    const { tokenAddress, seasonId = API_DEFAULTS.DEFAULT_SEASON_ID } = req.query;
+    const { tokenAddress } = req.query;
     
     if (!tokenAddress) {
       return res.status(400).json(formatErrorResponse(
@@ -47,7 +63,7 @@ router.get(
       ));
     }
 
-    const result = await fetchProjectConfig(tokenAddress, parseInt(seasonId));
+    const result = await fetchProjectConfig(tokenAddress, req.seasonIds, req.blockTag);
     
     sendApiResponse(
       res,
@@ -55,12 +71,21 @@ router.get(
       {
         cacheStatus: result.cacheStatus,
         timestamp: result.timestamp,
-        ttl: result.ttl
+        ttl: result.ttl,
+        block: result.block
       },
       CONTRACT_INFO.buildFactory
     );
   } catch (error) {
     console.error('[API v1] Error fetching config:', error.message);
+    
+    if (error.message.includes('Block not found')) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid blockTag',
+        error.message
+      ));
+    }
+    
     res.status(500).json(formatErrorResponse(
       'Failed to fetch config',
       error.message
@@ -73,14 +98,17 @@ router.get(
 router.get(
   API_ROUTES.PROJECT.GLOBAL_STATE,
   verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.GLOBAL_STATE), // Device / integrity / behavior checks (config/backend/security.js)
   validateProject,
+  validateSeasons,
+  validateBlockTag,
   ...withCache('globalState'),
   async (req, res) => {
   try {
-    const { tokenAddress, seasonId = API_DEFAULTS.DEFAULT_SEASON_ID } = req.query;
+    const { tokenAddress } = req.query;
     const project = req.project; // Get project from middleware
 
-    const result = await fetchGlobalState(tokenAddress, parseInt(seasonId));
+    const result = await fetchGlobalState(tokenAddress, req.seasonIds, req.blockTag);
     
     sendApiResponse(
       res,
@@ -88,12 +116,21 @@ router.get(
       {
         cacheStatus: result.cacheStatus,
         timestamp: result.timestamp,
-        ttl: result.ttl
+        ttl: result.ttl,
+        block: result.block
       },
       CONTRACT_INFO.claimContract(project.claimAddress)
     );
   } catch (error) {
     console.error('[API v1] Error fetching global state:', error.message);
+    
+    if (error.message.includes('Block not found')) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid blockTag',
+        error.message
+      ));
+    }
+    
     res.status(500).json(formatErrorResponse(
       'Failed to fetch global state',
       error.message
@@ -101,17 +138,90 @@ router.get(
   }
 });
 
+// GET /api/v1/project/global-state/history
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Query: tokenAddress, seasonIds, range=24h|7d|30d|90d|all (default 30d), resolution=raw|1h|6h|1d (default 1h)
+router.get(
+  API_ROUTES.PROJECT.GLOBAL_STATE_HISTORY,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.GLOBAL_STATE_HISTORY), // Device / integrity / behavior checks (config/backend/security.js)
+  validateProject,
+  validateSeasons,
+  ...withCache('globalStateHistory'),
+  async (req, res) => {
+  try {
+    const project = req.project; // Get project from middleware
+    const range = req.query.range || SNAPSHOT_CONFIG.defaultRange;
+    const resolution = req.query.resolution || SNAPSHOT_CONFIG.defaultResolution;
+
+    if (!Object.hasOwn(SNAPSHOT_CONFIG.ranges, range)) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid range',
+        `range must be one of: ${Object.keys(SNAPSHOT_CONFIG.ranges).join(', ')}`
+      ));
+    }
+
+    if (!Object.hasOwn(SNAPSHOT_CONFIG.resolutions, resolution)) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid resolution',
+        `resolution must be one of: ${Object.keys(SNAPSHOT_CONFIG.resolutions).join(', ')}`
+      ));
+    }
+
+    const history = await getGlobalStateHistory(project, req.seasonIds, { range, resolution });
+    const snapshotter = getSnapshotterStatus();
+
+    sendApiResponse(
+      res,
+      {
+        seasonIds: req.seasonIds,
+        range,
+        resolution,
+        ...history,
+        snapshotter
+      },
+      {
+        cacheStatus: 'HIT',
+        timestamp: Date.parse(snapshotter.lastRunAt) || Date.now(),
+        ttl: SNAPSHOT_CONFIG.intervalMs / 1000
+      },
+      CONTRACT_INFO.claimContract(project.claimAddress)
+    );
+  } catch (error) {
+    console.error('[API v1] Error fetching global state history:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to fetch global state history',
+      error.message
+    ));
+  }
+});
+
+/**
+ * 400 body for a maxTokenAmount that can't be converted to raw units
+ * @param {*} value - Rejected value
+ * @returns {Object}
+ */
+function invalidTokenAmountResponse(value) {
+  return formatErrorResponse(
+    'Invalid maxTokenAmount',
+    `maxTokenAmount must be a non-negative token amount up to ${API_DEFAULTS.MAX_TOKEN_AMOUNT}, got: ${value}`
+  );
+}
+
 // POST /api/v1/project/user-claim
 // ⚠️ Protected endpoint - requires client signature with server-issued nonce
 router.post(
   API_ROUTES.PROJECT.USER_CLAIM,
   verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.USER_CLAIM), // Device / integrity / behavior checks (config/backend/security.js)
   validateProject,
+  validateSeasons,
+  validateBlockTag,
   ...withCache('userClaim'),
   async (req, res) => {
   try {
     const { tokenAddress } = req.query;
-    const { userAddress, maxTokenAmount, seasonId } = req.body;
+    const { userAddress, maxTokenAmount } = req.body;
     const project = req.project; // Get project from middleware
 
     if (!userAddress) {
@@ -121,10 +231,13 @@ router.post(
       ));
     }
 
-    const season = seasonId || API_DEFAULTS.DEFAULT_SEASON_ID;
+    if (maxTokenAmount && !isValidTokenAmount(maxTokenAmount)) {
+      return res.status(400).json(invalidTokenAmountResponse(maxTokenAmount));
+    }
+
     const maxAmount = maxTokenAmount || 0;
 
-    const result = await fetchUserClaimValues(userAddress, tokenAddress, season, maxAmount);
+    const result = await fetchUserClaimValues(userAddress, tokenAddress, req.seasonIds, maxAmount, req.blockTag);
     
     sendApiResponse(
       res,
@@ -132,13 +245,21 @@ router.post(
       {
         cacheStatus: result.cacheStatus,
         timestamp: result.timestamp,
-        ttl: result.ttl
+        ttl: result.ttl,
+        block: result.block
       },
       CONTRACT_INFO.claimContract(project.claimAddress)
     );
   } catch (error) {
     console.error('[API v1] Error fetching user claim values:', error.message);
     
+    if (error.message.includes('Block not found')) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid blockTag',
+        error.message
+      ));
+    }
+    
     if (error.message.includes('Invalid Ethereum address')) {
       return res.status(400).json(formatErrorResponse(
         'Invalid wallet address',
@@ -153,6 +274,545 @@ router.post(
   }
 });
 
+// POST /api/v1/project/user-claim/batch
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Body: { userAddresses: [...], tokenAddresses: [...], seasonIds?, maxTokenAmount? }
+// Every wallet is looked up against every project (N × M entries)
+router.post(
+  API_ROUTES.PROJECT.USER_CLAIM_BATCH,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.USER_CLAIM_BATCH), // Device / integrity / behavior checks (config/backend/security.js)
+  ...withCache('userClaim'),
+  async (req, res) => {
+  try {
+    const { userAddresses, tokenAddresses, seasonIds, maxTokenAmount } = req.body || {};
+
+    if (!Array.isArray(userAddresses) || userAddresses.length === 0
+      || !Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
+      return res.status(400).json(formatErrorResponse(
+        'Missing required field',
+        'userAddresses and tokenAddresses must be non-empty arrays'
+      ));
+    }
+
+    if (maxTokenAmount && !isValidTokenAmount(maxTokenAmount)) {
+      return res.status(400).json(invalidTokenAmountResponse(maxTokenAmount));
+    }
+
+    // De-duplicate (case-insensitive) before checking limits
+    const wallets = [...new Map(userAddresses.map(a => [String(a).toLowerCase(), String(a)])).values()];
+    const tokens = [...new Set(tokenAddresses.map(a => String(a).toLowerCase()))];
+
+    if (wallets.length > API_DEFAULTS.BATCH_MAX_ADDRESSES
+      || wallets.length * tokens.length > API_DEFAULTS.BATCH_MAX_ENTRIES) {
+      return res.status(400).json(formatErrorResponse(
+        'Batch too large',
+        `Max ${API_DEFAULTS.BATCH_MAX_ADDRESSES} addresses and ${API_DEFAULTS.BATCH_MAX_ENTRIES} address × project entries per request`
+      ));
+    }
+
+    const projects = tokens.map(tokenAddress => getProject(tokenAddress));
+    const unknownTokens = tokens.filter((_, i) => !projects[i]);
+    if (unknownTokens.length > 0) {
+      return res.status(404).json(formatErrorResponse(
+        'Project not found',
+        `No project found for token address: ${unknownTokens.join(', ')}`
+      ));
+    }
+
+    // Resolve seasons per project (same rules as validateSeasons)
+    const projectSeasons = [];
+    for (const project of projects) {
+      const { seasonIds: ids, unknown, invalid } = resolveProjectSeasons(project, seasonIds);
+      if (invalid.length > 0) {
+        return res.status(400).json(formatErrorResponse(
+          'Invalid season',
+          `Invalid season ID(s): ${invalid.map(id => `"${id}"`).join(', ')}. Use positive integers, a comma-separated list or "all"`
+        ));
+      }
+      if (unknown.length > 0) {
+        return res.status(400).json(formatErrorResponse(
+          'Invalid season',
+          `Season(s) ${unknown.join(', ')} not found for ${project.name}. Available: ${project.seasonIds.join(', ')}`
+        ));
+      }
+      projectSeasons.push(ids);
+    }
+
+    const entries = wallets.flatMap(userAddress => projects.map((project, i) => ({
+      userAddress,
+      tokenAddress: project.tokenAddress,
+      seasonIds: projectSeasons[i],
+    })));
+
+    const { results, ttl } = await fetchUserClaimValuesBatch(entries, maxTokenAmount || 0);
+
+    // Batch is as fresh as its oldest entry
+    const succeeded = results.filter(r => !r.error);
+    const cacheStatus = succeeded.some(r => r.cacheStatus === 'MISS') ? 'MISS'
+      : succeeded.some(r => r.cacheStatus === 'STALE') ? 'STALE'
+      : 'HIT';
+    const timestamp = succeeded.length > 0
+      ? Math.min(...succeeded.map(r => r.timestamp))
+      : Date.now();
+
+    sendApiResponse(
+      res,
+      {
+        results,
+        summary: {
+          requested: results.length,
+          succeeded: succeeded.length,
+          failed: results.length - succeeded.length,
+        }
+      },
+      {
+        cacheStatus,
+        timestamp,
+        ttl
+      },
+      CONTRACT_INFO.claimContracts(projects.map(project => project.claimAddress))
+    );
+  } catch (error) {
+    console.error('[API v1] Error fetching batch user claim values:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to fetch batch user claim data',
+      error.message
+    ));
+  }
+});
+
+// POST /api/v1/project/verify-proof
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Body: { userAddress, seasonId?, proof: [bytes32], maxTokenAmount (raw uint256), salt, isEarlyClaim }
+// Verifies the claim params against the season merkleRoot → exact allocation + claim values
+router.post(
+  API_ROUTES.PROJECT.VERIFY_PROOF,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.VERIFY_PROOF), // Device / integrity / behavior checks (config/backend/security.js)
+  validateProject,
+  validateSeasons,
+  async (req, res) => {
+  try {
+    const { tokenAddress } = req.query;
+    const { userAddress } = req.body;
+    const project = req.project; // Get project from middleware
+
+    if (!userAddress) {
+      return res.status(400).json(formatErrorResponse(
+        'Missing required field',
+        'userAddress is required in request body'
+      ));
+    }
+
+    if (req.seasonIds.length !== 1) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid season',
+        'A Merkle proof belongs to exactly one season'
+      ));
+    }
+
+    let params;
+    try {
+      params = parseClaimParams(req.body);
+    } catch (error) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid claim params',
+        error.message
+      ));
+    }
+
+    const result = await verifyClaimProof(userAddress, tokenAddress, req.seasonIds[0], params);
+
+    if (!result.valid) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid Merkle proof',
+        `Claim params do not match the merkleRoot of season ${req.seasonIds[0]} for ${project.name}`
+      ));
+    }
+
+    sendApiResponse(
+      res,
+      result.data,
+      {
+        cacheStatus: result.cacheStatus,
+        timestamp: result.timestamp,
+        ttl: result.ttl,
+        block: result.block
+      },
+      CONTRACT_INFO.claimContract(project.claimAddress)
+    );
+  } catch (error) {
+    console.error('[API v1] Error verifying claim proof:', error.message);
+
+    if (error.message.includes('Invalid Ethereum address')) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid wallet address',
+        error.message
+      ));
+    }
+
+    res.status(500).json(formatErrorResponse(
+      'Failed to verify claim proof',
+      error.message
+    ));
+  }
+});
+
+// Simulation overrides accepted by /project/timeline: [name, min, max, integer]
+const TIMELINE_OVERRIDES = [
+  ['baseTokenClaimBps', 0, 10000, true],
+  ['earlyVestRatioMinBps', 0, 10000, true],
+  ['earlyVestRatioMaxBps', 0, 10000, true],
+  ['unlockDurationDays', 1, 3650, true],
+  ['tokenAmount', 0, Infinity, false],
+  ['totalLoyalty', 0, Infinity, false],
+  ['totalLoyaltyIneligible', 0, Infinity, false],
+];
+
+/**
+ * Parse timeline simulation overrides from the query (omitted = on-chain value)
+ * @param {Object} query - req.query
+ * @returns {Object} Overrides (numbers + optional startDate)
+ * @throws {Error} On a malformed value
+ */
+function parseTimelineOverrides(query) {
+  const overrides = {};
+
+  for (const [name, min, max, integer] of TIMELINE_OVERRIDES) {
+    if (query[name] === undefined || query[name] === '') continue;
+
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+    overrides[name] = value;
+  }
+
+  if (query.startDate !== undefined && query.startDate !== '') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query.startDate) || isNaN(Date.parse(query.startDate))) {
+      throw new Error('startDate must be a YYYY-MM-DD date');
+    }
+    overrides.startDate = query.startDate;
+  }
+
+  return overrides;
+}
+
+// GET /api/v1/project/timeline
+// Not signature-protected - meant for bots / spreadsheets (API key + general rate limit apply)
+// Query: tokenAddress, seasonId, maxTokenAmount, userAddress? (rows use its claim state), blockTag?,
+//        overrides: baseTokenClaimBps, earlyVestRatioMinBps, earlyVestRatioMaxBps,
+//        unlockDurationDays, tokenAmount, totalLoyalty, totalLoyaltyIneligible, startDate
+router.get(
+  API_ROUTES.PROJECT.TIMELINE,
+  validateProject,
+  validateSeasons,
+  validateBlockTag,
+  ...withCache('projectTimeline'),
+  async (req, res) => {
+  try {
+    const { tokenAddress, maxTokenAmount, userAddress } = req.query;
+    const project = req.project; // Get project from middleware
+
+    if (req.seasonIds.length !== 1) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid season',
+        'A timeline covers exactly one season'
+      ));
+    }
+
+    if (!(Number(maxTokenAmount) > 0)) {
+      return res.status(400).json(formatErrorResponse(
+        'Missing required parameter',
+        'maxTokenAmount query parameter must be a positive number'
+      ));
+    }
+
+    if (!isValidTokenAmount(maxTokenAmount)) {
+      return res.status(400).json(invalidTokenAmountResponse(maxTokenAmount));
+    }
+
+    let overrides;
+    try {
+      overrides = parseTimelineOverrides(req.query);
+    } catch (error) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid simulation override',
+        error.message
+      ));
+    }
+
+    const minBps = overrides.earlyVestRatioMinBps;
+    const maxBps = overrides.earlyVestRatioMaxBps;
+    if (minBps !== undefined && maxBps !== undefined && minBps > maxBps) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid simulation override',
+        'earlyVestRatioMinBps must not exceed earlyVestRatioMaxBps'
+      ));
+    }
+
+    const result = await fetchVestingTimeline(tokenAddress, req.seasonIds[0], {
+      maxTokenAmount,
+      userAddress,
+      overrides,
+      blockTag: req.blockTag,
+    });
+
+    sendApiResponse(
+      res,
+      result.data,
+      {
+        cacheStatus: result.cacheStatus,
+        timestamp: result.timestamp,
+        ttl: result.ttl,
+        block: result.block
+      },
+      CONTRACT_INFO.claimContract(project.claimAddress)
+    );
+  } catch (error) {
+    console.error('[API v1] Error building vesting timeline:', error.message);
+
+    if (error.message.includes('Invalid Ethereum address')) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid wallet address',
+        error.message
+      ));
+    }
+
+    if (error.message.includes('Block not found')) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid blockTag',
+        error.message
+      ));
+    }
+
+    res.status(500).json(formatErrorResponse(
+      'Failed to build vesting timeline',
+      error.message
+    ));
+  }
+});
+
+// GET /api/v1/project/price
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Query: tokenAddress
+router.get(
+  API_ROUTES.PROJECT.PRICE,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.PRICE), // Device / integrity / behavior checks (config/backend/security.js)
+  validateProject,
+  ...withCache('tokenPrice'),
+  async (req, res) => {
+  try {
+    const result = await fetchTokenPrice(req.project);
+
+    sendApiResponse(
+      res,
+      result.data,
+      {
+        cacheStatus: result.cacheStatus,
+        timestamp: result.timestamp,
+        ttl: result.ttl
+      },
+      CONTRACT_INFO.token(req.project.tokenAddress)
+    );
+  } catch (error) {
+    console.error('[API v1] Error fetching token price:', error.message);
+
+    if (error.message.includes('Price not available') || error.message.includes('Price source')) {
+      return res.status(503).json(formatErrorResponse(
+        'Price not available',
+        error.message
+      ));
+    }
+
+    res.status(500).json(formatErrorResponse(
+      'Failed to fetch token price',
+      error.message
+    ));
+  }
+});
+
+/**
+ * Cache metadata for indexed data (served from the index store, fresh as of the last indexer run)
+ * @param {string} projectName - Project ticker (optional, oldest run across projects if omitted)
+ * @returns {{cacheStatus: string, timestamp: number, ttl: number}}
+ */
+function indexerMetadata(projectName) {
+  const runs = getIndexerStatus().projects
+    .filter(status => !projectName || status.project === projectName)
+    .map(status => Date.parse(status.lastRunAt))
+    .filter(Boolean);
+
+  return {
+    cacheStatus: 'HIT',
+    timestamp: runs.length > 0 ? Math.min(...runs) : Date.now(),
+    ttl: INDEXER_CONFIG.pollIntervalMs / 1000
+  };
+}
+
+/**
+ * Parse pagination query params
+ * @returns {{offset: number, limit: number}}
+ */
+function parsePagination(query) {
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  const limit = Math.min(
+    INDEXER_CONFIG.maxLimit,
+    Math.max(1, parseInt(query.limit, 10) || INDEXER_CONFIG.defaultLimit)
+  );
+  return { offset, limit };
+}
+
+// GET /api/v1/project/claims
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Query: tokenAddress, type=Claimed|Deposited|Withdrawn (default Claimed), offset, limit
+router.get(
+  API_ROUTES.PROJECT.CLAIMS,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.CLAIMS), // Device / integrity / behavior checks (config/backend/security.js)
+  validateProject,
+  ...withCache('claimEvents'),
+  async (req, res) => {
+  try {
+    const project = req.project; // Get project from middleware
+    const type = req.query.type || 'Claimed';
+
+    if (!EVENT_TYPES.includes(type)) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid event type',
+        `type must be one of: ${EVENT_TYPES.join(', ')}`
+      ));
+    }
+
+    const { offset, limit } = parsePagination(req.query);
+    const [{ events, total }, stats] = await Promise.all([
+      getProjectEvents(project, { type, offset, limit }),
+      getProjectClaimStats(project),
+    ]);
+
+    const indexer = getIndexerStatus().projects
+      .find(status => status.project === project.name) || null;
+
+    sendApiResponse(
+      res,
+      {
+        type,
+        events,
+        pagination: { offset, limit, total },
+        stats,
+        indexer
+      },
+      indexerMetadata(project.name),
+      CONTRACT_INFO.claimContract(project.claimAddress)
+    );
+  } catch (error) {
+    console.error('[API v1] Error fetching project claims:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to fetch project claims',
+      error.message
+    ));
+  }
+});
+
+// GET /api/v1/project/changelog
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Query: tokenAddress, offset, limit
+router.get(
+  API_ROUTES.PROJECT.CHANGELOG,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.PROJECT.CHANGELOG), // Device / integrity / behavior checks (config/backend/security.js)
+  validateProject,
+  ...withCache('projectChangelog'),
+  async (req, res) => {
+  try {
+    const project = req.project; // Get project from middleware
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(
+      FACTORY_WATCHER_CONFIG.maxLimit,
+      Math.max(1, parseInt(req.query.limit, 10) || FACTORY_WATCHER_CONFIG.defaultLimit)
+    );
+
+    const { events, total } = await getProjectChangelog(project, { offset, limit });
+    const watcher = getFactoryWatcherStatus();
+
+    sendApiResponse(
+      res,
+      {
+        events,
+        pagination: { offset, limit, total },
+        watcher
+      },
+      {
+        cacheStatus: 'HIT',
+        timestamp: Date.parse(watcher.lastRunAt) || Date.now(),
+        ttl: FACTORY_WATCHER_CONFIG.pollIntervalMs / 1000
+      },
+      CONTRACT_INFO.buildFactory
+    );
+  } catch (error) {
+    console.error('[API v1] Error fetching project changelog:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to fetch project changelog',
+      error.message
+    ));
+  }
+});
+
+// GET /api/v1/wallet/claims
+// ⚠️ Protected endpoint - requires client signature with server-issued nonce
+// Query: userAddress, tokenAddress (optional - restricts to one project)
+router.get(
+  API_ROUTES.WALLET.CLAIMS,
+  verifyClientSignature(enforceSecurityMode), // Signature verification
+  ...securityPipeline(API_ROUTES.WALLET.CLAIMS), // Device / integrity / behavior checks (config/backend/security.js)
+  ...withCache('walletClaimEvents'),
+  async (req, res) => {
+  try {
+    const { userAddress, tokenAddress } = req.query;
+
+    let userChecksum;
+    try {
+      userChecksum = ethers.getAddress(userAddress || '');
+    } catch (error) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid wallet address',
+        'userAddress query parameter must be a valid Ethereum address'
+      ));
+    }
+
+    const project = tokenAddress ? getProject(tokenAddress) : null;
+    if (tokenAddress && !project) {
+      return res.status(404).json(formatErrorResponse(
+        'Project not found',
+        `No project found for token address: ${tokenAddress}`
+      ));
+    }
+
+    const { events, total } = await getWalletEvents(userChecksum, { tokenAddress });
+
+    sendApiResponse(
+      res,
+      {
+        userAddress: userChecksum,
+        events,
+        total
+      },
+      indexerMetadata(),
+      project
+        ? CONTRACT_INFO.claimContract(project.claimAddress)
+        : CONTRACT_INFO.claimContracts(Object.values(PROJECTS_MAP).map(p => p.claimAddress))
+    );
+  } catch (error) {
+    console.error('[API v1] Error fetching wallet claims:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to fetch wallet claims',
+      error.message
+    ));
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,137 @@
+import express from 'express';
+import { generateChallenge, validateChallenge, issueChallengeToken, claimTrustBonus } from '../services/challengeGenerator.js';
+import { getDevice, updateTrustScore } from '../services/deviceRegistry.js';
+import { formatErrorResponse } from '../utils/responseFormatter.js';
+import { SECURITY_CONFIG } from '../../../config/backend/security.js';
+
+// Challenge Router (mounted at API_ROUTES.CHALLENGE_PATH)
+// Issue → solve in ChallengeModal → verify → short-lived x-challenge-token
+const router = express.Router();
+
+const CHALLENGE_CONFIG = SECURITY_CONFIG.paranoid.challenge;
+
+/**
+ * Get client IP address from request
+ * @param {Object} req - Express request object
+ * @returns {string} IP address
+ */
+function getClientIP(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
+}
+
+router.use((req, res, next) => {
+  if (!CHALLENGE_CONFIG.enabled) {
+    return res.status(404).json(formatErrorResponse(
+      'Challenges disabled',
+      'The challenge system is disabled on this server'
+    ));
+  }
+  next();
+});
+
+// Challenges and their tokens are bound to the device → fingerprint required
+router.use((req, res, next) => {
+  if (!req.headers['x-fingerprint']) {
+    return res.status(400).json(formatErrorResponse(
+      'Missing required header',
+      'x-fingerprint header is required'
+    ));
+  }
+  next();
+});
+
+// POST /api/challenge
+// Body: { type?: 'pow'|'math' } (CHALLENGE_CONFIG.verifiableTypes, default: CHALLENGE_CONFIG.defaultType)
+// Header: x-fingerprint (required - binds the challenge and its token to the device)
+// pow difficulty scales with the device trust score and the IP's rate-limit penalty
+router.post('/', async (req, res) => {
+  try {
+    const requestedType = req.body?.type;
+    if (requestedType && !CHALLENGE_CONFIG.verifiableTypes.includes(requestedType)) {
+      return res.status(400).json(formatErrorResponse(
+        'Invalid challenge type',
+        `type must be one of: ${CHALLENGE_CONFIG.verifiableTypes.join(', ')}`
+      ));
+    }
+
+    const challenge = await generateChallenge(
+      requestedType || CHALLENGE_CONFIG.defaultType,
+      req.headers['x-fingerprint'],
+      { ip: getClientIP(req), source: 'client' }
+    );
+    res.json({ challenge });
+  } catch (error) {
+    console.error('[Challenge] Error issuing challenge:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to issue challenge',
+      error.message
+    ));
+  }
+});
+
+// POST /api/challenge/verify
+// Body: { challengeId, response }
+// Header: x-fingerprint (must be the challenged device)
+// Pass → { valid: true, token, expiresIn }; challenges issued by the behavior check also
+// add CHALLENGE_CONFIG.trustScoreBonus (at most once per token TTL)
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeId, response } = req.body || {};
+
+    if (!challengeId || typeof challengeId !== 'string') {
+      return res.status(400).json(formatErrorResponse(
+        'Missing required field',
+        'challengeId is required in request body'
+      ));
+    }
+
+    const result = await validateChallenge(
+      challengeId,
+      response === undefined || response === null ? '' : String(response),
+      req.headers['x-fingerprint']
+    );
+
+    if (!result.valid) {
+      return res.status(400).json({
+        ...formatErrorResponse('Challenge failed', `Challenge verification failed: ${result.reason}`),
+        valid: false,
+        reason: result.reason,
+        attemptsRemaining: result.attemptsRemaining ?? 0,
+      });
+    }
+
+    // Legacy / custom challenge the server can't check → no token
+    if (!CHALLENGE_CONFIG.verifiableTypes.includes(result.type)) {
+      return res.status(400).json({
+        ...formatErrorResponse('Challenge failed', `Challenge type ${result.type} cannot be exchanged for a token`),
+        valid: false,
+        reason: 'unverifiable-challenge-type',
+        attemptsRemaining: 0,
+      });
+    }
+
+    const { token, expiresIn } = await issueChallengeToken(result.deviceHash);
+
+    // Self-requested challenges earn a token only - no trust (trust lowers pow difficulty / raises rate limits)
+    if (result.source === 'behavior' && await claimTrustBonus(result.deviceHash)) {
+      const device = await getDevice(result.deviceHash);
+      if (device) {
+        await updateTrustScore(
+          result.deviceHash,
+          device.trustScore + CHALLENGE_CONFIG.trustScoreBonus,
+          'challenge-passed'
+        );
+      }
+    }
+
+    res.json({ valid: true, token, expiresIn });
+  } catch (error) {
+    console.error('[Challenge] Error verifying challenge:', error.message);
+    res.status(500).json(formatErrorResponse(
+      'Failed to verify challenge',
+      error.message
+    ));
+  }
+});
+
+export default router;
@@ -9,6 +9,8 @@ import { dirname, join } from 'path';
 import { writeFile, readFile, unlink } from 'fs/promises';
 import { readdirSync } from 'fs';
 import apiRoutes from './routes/api.js';
+import challengeRoutes from './routes/challenge.js';
+import adminRoutes from './routes/admin.js';
 import { apiLimiter, initLimiter } from './middleware/rateLimiter.js';
 import { validateApiKey } from './middleware/apiKey.js';
 import { verifySignature, verifyClientSignature } from './middleware/signature.js';
@@ -141,6 +143,11 @@ if (!isProduction) {
 // Health check endpoint (no auth required)
 // =============================================================================
 import { getRedisMetrics } from './utils/redis.js';
+import { getRpcPoolStatus } from './services/rpcPool.js';
+import { getMulticallStats } from './services/multicall.js';
+import { startEventIndexer, stopEventIndexer, getIndexerStatus } from './services/eventIndexer.js';
+import { startFactoryWatcher, stopFactoryWatcher, getFactoryWatcherStatus } from './services/factoryWatcher.js';
+import { startSnapshotter, stopSnapshotter, getSnapshotterStatus } from './services/globalStateSnapshotter.js';
 
 app.get('/health', (req, res) => {
   const redisMetrics = getRedisMetrics();
@@ -153,7 +160,12 @@ app.get('/health', (req, res) => {
       port: PORT,
       host: HOST
     },
-    redis: redisMetrics
+    redis: redisMetrics,
+    rpc: getRpcPoolStatus(),
+    multicall: getMulticallStats(),
+    indexer: getIndexerStatus(),
+    factoryWatcher: getFactoryWatcherStatus(),
+    snapshotter: getSnapshotterStatus()
   });
 });
 
@@ -233,6 +245,20 @@ app.use(API_CONSTANTS.BASE_API_PATH, validateApiKey);
 // API routes (signature verification applied per-route in routes/api.js)
 app.use(API_CONSTANTS.BASE_API_PATH, apiRoutes);
 
+// Challenge routes (issue + verify, same general rate limit as the API)
+// A passed challenge returns a short-lived x-challenge-token
+app.use(API_CONSTANTS.CHALLENGE_API_PATH, apiLimiter, challengeRoutes);
+
+// =============================================================================
+// Admin API Routes (devices, IP penalties, nonce stats)
+// =============================================================================
+// Bearer JWT with the admin role (JWT_SECRET) or HMAC signature (HMAC_SECRET)
+// Tokens: node scripts/generate-admin-token.js <name>
+if (process.env.JWT_SECRET || process.env.HMAC_SECRET) {
+  app.use(API_CONSTANTS.ADMIN_API_PATH, apiLimiter, adminRoutes);
+  console.log(`[reward-preview] Admin API routes enabled at ${API_CONSTANTS.ADMIN_API_PATH}`);
+}
+
 // =============================================================================
 // Internal API Routes (for workers, cron, webhooks, service-to-service)
 // =============================================================================
@@ -418,6 +444,8 @@ const server = app.listen(PORT, HOST, () => {
   // API Version Info
   console.log('\n[reward-preview] ============== API INFO ==============');
   console.log(`[reward-preview] API v1: ${API_CONSTANTS.BASE_API_PATH}/project/* (query-based parameters)`);
+  console.log(`[reward-preview] API v1: ${API_CONSTANTS.BASE_API_PATH}/wallet/* (indexed claim history)`);
+  console.log(`[reward-preview] Challenge: ${API_CONSTANTS.CHALLENGE_API_PATH} (issue) + ${API_CONSTANTS.CHALLENGE_API_PATH}/verify`);
   console.log('[reward-preview] ======================================\n');
   
   // CORS Configuration Details
@@ -446,6 +474,15 @@ const server = app.listen(PORT, HOST, () => {
   if (!isProduction) {
     console.log(`[reward-preview] Dev frontend: ${APP_CONSTANTS.DEV_FRONTEND_URL}`);
   }
+
+  // Claim event indexer (no-op unless ENABLE_EVENT_INDEXER=true)
+  startEventIndexer();
+
+  // Factory event watcher (no-op unless ENABLE_FACTORY_WATCHER=true)
+  startFactoryWatcher();
+
+  // Global state snapshotter (no-op unless ENABLE_GLOBAL_STATE_SNAPSHOTS=true)
+  startSnapshotter();
 });
 
 // =============================================================================
@@ -458,6 +495,9 @@ server.on('error', (err) => {
 // Graceful shutdown handler - cleanup lock file
 const cleanupAndExit = async (signal) => {
   console.log(`[reward-preview] ${signal} received, shutting down gracefully...`);
+  stopEventIndexer();
+  stopFactoryWatcher();
+  stopSnapshotter();
   
   server.close(async () => {
     try {
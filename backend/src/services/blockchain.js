@@ -2,9 +2,14 @@ import { ethers } from 'ethers';
 import { pack, unpack } from 'msgpackr';
 import { BUILD_FACTORY_ADDRESS, BUILD_FACTORY_ABI, BUILD_CLAIM_ABI, PROJECTS_MAP } from '../../../config/shared/contracts.js';
 import { CACHE_CONFIG } from '../../../config/backend/cache.js';
-import { BLOCKCHAIN_CONSTANTS, API_DEFAULTS } from '../../../config/backend/constants.js'; // Import API_DEFAULTS
-import { validateProjectAndGet } from '../utils/blockchainUtils.js'; // Import new helper
+import { API_DEFAULTS } from '../../../config/backend/constants.js'; // Import API_DEFAULTS
+import { validateProjectAndGet, normalizeSeasonIds, seasonCacheSuffix } from '../utils/blockchainUtils.js';
+import { computeClaimLeaf, verifyMerkleProof } from '../utils/merkleProof.js';
+import { generateVestingTimeline, toRawUnits } from '../../../config/shared/vesting.js';
 import { getRedisClient, isRedisAvailable, incrementFallbackUsage } from '../utils/redis.js'; // Shared Redis client
+import { BLOCK_PINNING_CONFIG } from '../../../config/backend/rpcPool.js';
+import { executeWithFailover, getProvider } from './rpcPool.js';
+import { batchedContract } from './multicall.js';
 
 // =============================================================================
 // LAYER 3: REDIS SERVER-SIDE CACHE
@@ -33,8 +38,9 @@ import { getRedisClient, isRedisAvailable, incrementFallbackUsage } from '../uti
 //   - Reliability: 2x longer TTL = more resilient
 // 
 // CACHE DATA STRUCTURE:
-//   Key: app:blockchain:project:0xtoken:seasonId
-//   Value: msgpack({ data: {...}, timestamp: 1234567890 })
+//   Key: app:blockchain:project:0xtoken:seasonId (or :1,2 for multi-season)
+//        + :b<blockNumber> when the read is pinned to a block
+//   Value: msgpack({ data: { block: {number, hash}, ... }, timestamp: 1234567890 })
 //   TTL: 86400s (primary), 172800s (stale)
 // 
 // =============================================================================
@@ -60,36 +66,16 @@ const memoryCache = new Map();
 // In-flight request tracking (promise deduplication)
 const inFlightRequests = new Map();
 
-// =============================================================================
-// Infura Key Management
-// =============================================================================
+// View calls are batched through Multicall3 (see multicall.js)
+const factoryContract = batchedContract(BUILD_FACTORY_ADDRESS, BUILD_FACTORY_ABI);
+const claimContracts = new Map(); // claimAddress → batched contract
 
-// Load Infura API keys from environment
-function getInfuraKeys() {
-  const keys = process.env.INFURA_API_KEYS?.split(',') || [];
-  if (keys.length === 0) {
-    console.error('[blockchain] INFURA_API_KEYS is required!');
-    throw new Error('Missing INFURA_API_KEYS environment variable');
-  }
-  return keys;
-}
-
-/**
- * Get a random Infura URL (for load balancing and retry with different key)
- * @param {string[]} excludeKeys - Keys to exclude from selection
- */
-export function getRandomInfuraUrl(excludeKeys = []) {
-  const allKeys = getInfuraKeys();
-  const availableKeys = allKeys.filter(key => !excludeKeys.includes(key));
-  
-  if (availableKeys.length === 0) {
-    // No keys left, use any key
-    const key = allKeys[Math.floor(Math.random() * allKeys.length)];
-    return { url: `${BLOCKCHAIN_CONSTANTS.INFURA_MAINNET_BASE_URL}${key}`, key };
+function getClaimContract(project) {
+  const key = project.claimAddress.toLowerCase();
+  if (!claimContracts.has(key)) {
+    claimContracts.set(key, batchedContract(project.claimAddress, BUILD_CLAIM_ABI));
   }
-  
-  const key = availableKeys[Math.floor(Math.random() * availableKeys.length)];
-  return { url: `${BLOCKCHAIN_CONSTANTS.INFURA_MAINNET_BASE_URL}${key}`, key };
+  return claimContracts.get(key);
 }
 
 export function getProject(tokenAddress) {
@@ -281,6 +267,71 @@ async function setCachedData(key, data, ttl, staleTtl, timestamp = Date.now()) {
   }
 }
 
+/**
+ * Delete every cached entry (primary + stale) whose key matches a glob pattern
+ * Redis keys are found with SCAN (non-blocking), memory keys are matched directly
+ * @param {string} pattern - Glob pattern with `*` wildcards
+ * @returns {Promise<number>} Number of deleted keys
+ */
+async function deleteCachedByPattern(pattern) {
+  let deleted = 0;
+
+  // Memory cache may hold entries even when Redis is up (fallback writes)
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  for (const key of memoryCache.keys()) {
+    if (regex.test(key)) {
+      memoryCache.delete(key);
+      deleted++;
+    }
+  }
+
+  if (!isRedisAvailable() || !redis) {
+    return deleted;
+  }
+
+  try {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 200);
+      cursor = nextCursor;
+      if (keys.length > 0) {
+        deleted += await redis.del(...keys);
+      }
+    } while (cursor !== '0');
+  } catch (err) {
+    console.warn('[Cache] Invalidate failed:', err.message);
+  }
+
+  return deleted;
+}
+
+/**
+ * Invalidate cached data of one project after an on-chain change
+ * Stale copies are deleted too, otherwise getCachedData would keep serving them
+ * @param {string} tokenAddress - Project token address
+ * @param {Object} scopes - Which caches to clear
+ * @param {boolean} scopes.config - Project config + token amounts (all season combinations)
+ * @param {boolean} scopes.globalState - Global state (all season combinations)
+ * @param {boolean} scopes.userClaims - Every wallet's claim values for the project
+ * @returns {Promise<number>} Number of deleted keys
+ */
+export async function invalidateProjectCache(tokenAddress, { config = true, globalState = false, userClaims = false } = {}) {
+  const token = tokenAddress.toLowerCase();
+  const patterns = [];
+
+  if (config) patterns.push(`${CACHE_CONFIG.keyPrefixes.projectConfig}${token}:*`);
+  if (globalState) patterns.push(`${CACHE_CONFIG.keyPrefixes.globalState}${token}:*`);
+  if (userClaims) patterns.push(`${CACHE_CONFIG.keyPrefixes.userClaim}*:${token}:*`);
+
+  let deleted = 0;
+  for (const pattern of patterns) {
+    deleted += await deleteCachedByPattern(pattern);
+  }
+
+  console.log(`[Cache] 🗑 INVALIDATED ${deleted} keys for ${token} (${patterns.length} scopes)`);
+  return deleted;
+}
+
 /**
  * Main caching wrapper with promise deduplication and retry logic
  * 
@@ -328,7 +379,7 @@ async function setCachedData(key, data, ttl, staleTtl, timestamp = Date.now()) {
  * @param {Function} fetchFn - Function to fetch fresh data
  * @returns {Promise<{data: any, cacheStatus: 'HIT'|'MISS'|'STALE', timestamp: number}>}
  */
-async function withCache(key, ttl, staleTtl, fetchFn) {
+export async function withCache(key, ttl, staleTtl, fetchFn) {
   // Check cache first
   const cached = await getCachedData(key);
   if (cached) {
@@ -348,12 +399,12 @@ async function withCache(key, ttl, staleTtl, fetchFn) {
 
   // Create new request promise
   const requestPromise = (async () => {
-    console.log(`[Cache] 🔄 FETCHING from Infura - ${key}`);
+    console.log(`[Cache] 🔄 FETCHING from RPC - ${key}`);
     const fetchTime = Date.now();
     
     try {
-      // Fetch fresh data with retry logic
-      const data = await fetchWithRetry(fetchFn);
+      // Fetch fresh data (RPC failover happens per Multicall3 batch)
+      const data = await fetchFn();
       
       // Cache the result with timestamp
       await setCachedData(key, data, ttl, staleTtl, fetchTime);
@@ -369,7 +420,7 @@ async function withCache(key, ttl, staleTtl, fetchFn) {
       const staleData = await redis?.getBuffer(staleKey).catch(() => null);
       
       if (staleData) {
-        console.warn(`[Cache] Infura error, returning stale cache for: ${key}`);
+        console.warn(`[Cache] RPC error, returning stale cache for: ${key}`);
         const unpacked = unpack(staleData);
         return {
           data: unpacked.data,
@@ -393,77 +444,289 @@ async function withCache(key, ttl, staleTtl, fetchFn) {
 }
 
 /**
- * Fetch data with retry using different Infura keys
- * @param {Function} fetchFn - Function that accepts Infura URL
+ * Fetch data with failover across the RPC provider pool
+ * Endpoint choice, health scoring and circuit breaking live in rpcPool.js
+ * For non-view RPC work (eth_getLogs, blocks) - view calls go through multicall.js
+ * @param {Function} fetchFn - Function that accepts an RPC URL
  * @returns {Promise<any>}
  */
-async function fetchWithRetry(fetchFn) {
-  const usedKeys = [];
-  let lastError;
+export async function fetchWithRetry(fetchFn) {
+  return executeWithFailover(fetchFn);
+}
 
-  // First attempt
-  try {
-    const { url: url1, key: key1 } = getRandomInfuraUrl();
-    usedKeys.push(key1);
-    console.log(`[Infura] Attempt 1 with key: ${key1.substring(0, 8)}...`);
-    return await fetchFn(url1);
-  } catch (error) {
-    console.warn(`[Infura] ✗ Attempt 1 failed: ${error.message}`);
-    lastError = error;
+// =============================================================================
+// Block Pinning
+// =============================================================================
+// 
+// Every fetcher resolves ONE block before reading and passes its number as
+// blockTag to each call, so all values of a response come from the same state.
+// The resolved { number, hash } is cached with the data and reported in
+// metaData.blockNumber / metaData.blockHash.
+// 
+//   blockTag 'latest' → shared head (re-read at most every headMaxAgeMs), so
+//                       config, global state and user claim fetched together
+//                       land on the same block
+//   blockTag <number> → that block; cache keys get a ":b<number>" suffix
+// 
+// =============================================================================
+
+let headBlock = null;      // { number, hash, fetchedAt }
+let headBlockPromise = null;
+const blockHashes = new Map(); // block number → hash (final blocks only)
+
+async function fetchBlock(blockTag) {
+  const block = await fetchWithRetry(async (rpcUrl) => getProvider(rpcUrl).getBlock(blockTag));
+  if (!block) {
+    throw new Error(`Block not found: ${blockTag}`);
   }
+  return { number: block.number, hash: block.hash };
+}
 
-  // Second attempt with different key
-  try {
-    const { url: url2, key: key2 } = getRandomInfuraUrl(usedKeys);
-    console.log(`[Infura] Attempt 2 with key: ${key2.substring(0, 8)}...`);
-    return await fetchFn(url2);
-  } catch (error) {
-    console.error(`[Infura] ✗ Attempt 2 failed: ${error.message}`);
-    lastError = error;
+async function resolveHeadBlock() {
+  if (headBlock && Date.now() - headBlock.fetchedAt < BLOCK_PINNING_CONFIG.headMaxAgeMs) {
+    return { number: headBlock.number, hash: headBlock.hash };
   }
 
-  // Both attempts failed
-  throw lastError;
+  // Concurrent requests share one eth_getBlockByNumber
+  if (!headBlockPromise) {
+    headBlockPromise = fetchBlock('latest')
+      .then(block => {
+        headBlock = { ...block, fetchedAt: Date.now() };
+        return block;
+      })
+      .finally(() => {
+        headBlockPromise = null;
+      });
+  }
+  return headBlockPromise;
+}
+
+/**
+ * Resolve the block a fetcher reads at
+ * @param {string|number} blockTag - 'latest' or a block number
+ * @returns {Promise<{number: number, hash: string}>}
+ */
+async function resolveReadBlock(blockTag = 'latest') {
+  if (blockTag === 'latest') {
+    return resolveHeadBlock();
+  }
+
+  const number = Number(blockTag);
+  if (blockHashes.has(number)) {
+    return { number, hash: blockHashes.get(number) };
+  }
+
+  const block = await fetchBlock(number);
+
+  // Near-head blocks can still be reorged → only memoize final ones
+  if (headBlock && number <= headBlock.number - BLOCK_PINNING_CONFIG.finalityDepth) {
+    if (blockHashes.size >= BLOCK_PINNING_CONFIG.blockHashCacheSize) {
+      blockHashes.delete(blockHashes.keys().next().value);
+    }
+    blockHashes.set(number, block.hash);
+  }
+
+  return block;
+}
+
+/**
+ * Cache key suffix for a pinned block (none for 'latest')
+ * @param {string|number} blockTag - 'latest' or a block number
+ * @returns {string}
+ */
+function blockCacheSuffix(blockTag) {
+  return blockTag === 'latest' ? '' : `:b${Number(blockTag)}`;
 }
 
 // =============================================================================
 // Blockchain Data Fetchers (Cached)
 // =============================================================================
+// 
+// MULTI-SEASON:
+//   Every fetcher accepts one season ID or an array of season IDs.
+//   - getGlobalState / getCurrentClaimValues / getUserState take arrays natively
+//     → one contract call covers all seasons
+//   - getProjectSeasonConfig is per season → calls are queued in the same
+//     Multicall3 window and sent as one aggregate3 eth_call
+// 
+// RESPONSE SHAPE:
+//   {
+//     seasonIds: [1, 2],
+//     seasons: { "1": { get_project_season_config: {...} }, "2": {...} },
+//     get_project_season_config: {...}   ← first requested season (legacy shape)
+//   }
+// 
+// =============================================================================
+
+/**
+ * Format one getProjectSeasonConfig result
+ * @param {Object} projectSeasonConfig - Config tuple
+ * @param {bigint} unlockStartTime - Season unlock start time (seconds)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Object}
+ */
+function formatSeasonConfig(projectSeasonConfig, unlockStartTime, project) {
+  return {
+    tokenAmount: Number(ethers.formatUnits(projectSeasonConfig.tokenAmount, project.decimals)),
+    tokenAmountRaw: projectSeasonConfig.tokenAmount.toString(),
+    merkleRoot: projectSeasonConfig.merkleRoot,
+    unlockDelay: Number(projectSeasonConfig.unlockDelay),
+    unlockDuration: Number(projectSeasonConfig.unlockDuration),
+    unlockDurationDays: Math.round(Number(projectSeasonConfig.unlockDuration) / 86400),
+    earlyVestRatioMinBps: Number(projectSeasonConfig.earlyVestRatioMinBps),
+    earlyVestRatioMaxBps: Number(projectSeasonConfig.earlyVestRatioMaxBps),
+    baseTokenClaimBps: Number(projectSeasonConfig.baseTokenClaimBps),
+    isRefunding: projectSeasonConfig.isRefunding,
+    seasonUnlockStartTime: Number(unlockStartTime),
+    seasonUnlockStartTimeFormatted: unlockStartTime > 0
+      ? new Date(Number(unlockStartTime) * 1000).toISOString().split("T")[0]
+      : null,
+  };
+}
+
+/**
+ * Build the project health block (pause / refund / withdrawal status)
+ * While paused or refunding, BUILDClaim._getClaimableState returns zeros → the
+ * frontend must warn instead of showing calculator numbers as claimable
+ * @param {Object} raw - { isPaused, maxAvailable, scheduledWithdrawal, refunding[], refundable[] }
+ * @param {number[]} ids - Season IDs (same order as refunding/refundable)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Object}
+ */
+function formatProjectHealth(raw, ids, project) {
+  const seasons = {};
+  ids.forEach((id, index) => {
+    seasons[id] = {
+      isRefunding: raw.refunding[index],
+      refundableAmount: Number(ethers.formatUnits(raw.refundable[index], project.decimals)),
+      refundableAmountRaw: raw.refundable[index].toString(),
+    };
+  });
+
+  const hasScheduledWithdrawal = raw.scheduledWithdrawal.amount > 0n;
+  const refundingSeasonIds = ids.filter(id => seasons[id].isRefunding);
+
+  return {
+    isPaused: raw.isPaused,
+    refundingSeasonIds,
+    // Claims return zeros for users who haven't claimed yet
+    claimsBlocked: raw.isPaused || refundingSeasonIds.length > 0,
+    maxAvailableAmount: Number(ethers.formatUnits(raw.maxAvailable, project.decimals)),
+    maxAvailableAmountRaw: raw.maxAvailable.toString(),
+    scheduledWithdrawal: hasScheduledWithdrawal
+      ? {
+          recipient: raw.scheduledWithdrawal.recipient,
+          amount: Number(ethers.formatUnits(raw.scheduledWithdrawal.amount, project.decimals)),
+          amountRaw: raw.scheduledWithdrawal.amount.toString(),
+        }
+      : null,
+    seasons,
+  };
+}
+
+/**
+ * Format one getGlobalState result
+ * @param {Object} globalStateData - GlobalState tuple
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Object}
+ */
+function formatGlobalState(globalStateData, project) {
+  return {
+    totalLoyalty: Number(ethers.formatUnits(globalStateData.totalLoyalty, project.decimals)),
+    totalLoyaltyRaw: globalStateData.totalLoyalty.toString(),
+    totalLoyaltyIneligible: Number(ethers.formatUnits(globalStateData.totalLoyaltyIneligible, project.decimals)),
+    totalLoyaltyIneligibleRaw: globalStateData.totalLoyaltyIneligible.toString(),
+    totalClaimed: Number(ethers.formatUnits(globalStateData.totalClaimed, project.decimals)),
+    totalClaimedRaw: globalStateData.totalClaimed.toString(),
+  };
+}
+
+/**
+ * Format one getCurrentClaimValues result
+ * @param {Array} state - ClaimableState tuple
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Object}
+ */
+function formatClaimValues(state, project) {
+  return {
+    base: Number(ethers.formatUnits(state[0], project.decimals)),
+    baseRaw: state[0].toString(),
+    bonus: Number(ethers.formatUnits(state[1], project.decimals)),
+    bonusRaw: state[1].toString(),
+    vested: Number(ethers.formatUnits(state[2], project.decimals)),
+    vestedRaw: state[2].toString(),
+    claimable: Number(ethers.formatUnits(state[3], project.decimals)),
+    claimableRaw: state[3].toString(),
+    earlyVestableBonus: Number(ethers.formatUnits(state[4], project.decimals)),
+    earlyVestableBonusRaw: state[4].toString(),
+    loyaltyBonus: Number(ethers.formatUnits(state[5], project.decimals)),
+    loyaltyBonusRaw: state[5].toString(),
+    claimed: Number(ethers.formatUnits(state[6], project.decimals)),
+    claimedRaw: state[6].toString(),
+  };
+}
+
+/**
+ * Format one getUserState result
+ * @param {Array|null} userState - UserState tuple
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Object}
+ */
+function formatUserState(userState, project) {
+  return userState ? {
+    claimed: Number(ethers.formatUnits(userState[0], project.decimals)),
+    claimedRaw: userState[0].toString(),
+    hasEarlyClaimed: userState[1],
+  } : {
+    claimed: 0,
+    claimedRaw: '0',
+    hasEarlyClaimed: false,
+  };
+}
 
 /**
  * Fetch project configuration with caching
  * Cache: 24h primary, 48h stale
+ * @param {string} tokenAddress - Project token address
+ * @param {number|number[]} seasonIds - One or more season IDs
+ * @param {string|number} blockTag - 'latest' or a block number to read at
+ * @returns {Promise<{data: Object, block: {number: number, hash: string}|null, cacheStatus: string, timestamp: number, ttl: number}>}
  */
-export async function fetchProjectConfig(tokenAddress, seasonId = API_DEFAULTS.DEFAULT_SEASON_ID) {
+export async function fetchProjectConfig(tokenAddress, seasonIds = API_DEFAULTS.DEFAULT_SEASON_ID, blockTag = 'latest') {
   const project = validateProjectAndGet(tokenAddress);
+  const ids = normalizeSeasonIds(seasonIds);
 
-  const cacheKey = `${CACHE_CONFIG.keyPrefixes.projectConfig}${tokenAddress.toLowerCase()}:${seasonId}`;
+  const cacheKey = `${CACHE_CONFIG.keyPrefixes.projectConfig}${tokenAddress.toLowerCase()}:${seasonCacheSuffix(ids)}${blockCacheSuffix(blockTag)}`;
 
-  const fetchFn = async (infuraUrl) => {
-    const provider = new ethers.JsonRpcProvider(infuraUrl);
-    const factoryContract = new ethers.Contract(BUILD_FACTORY_ADDRESS, BUILD_FACTORY_ABI, provider);
+  const fetchFn = async () => {
+    const block = await resolveReadBlock(blockTag);
+    const at = { blockTag: block.number };
 
-    const [projectSeasonConfig, unlockStartTime] = await factoryContract.getProjectSeasonConfig(tokenAddress, seasonId);
-    const tokenAmounts = await factoryContract.getTokenAmounts(tokenAddress);
+    // Queued together → one aggregate3 (shared with any other fetcher in the same window)
+    const [seasonConfigs, tokenAmounts, isPaused, maxAvailable, scheduledWithdrawal, refunding, refundable] = await Promise.all([
+      Promise.all(ids.map(id => factoryContract.getProjectSeasonConfig(tokenAddress, id, at))),
+      factoryContract.getTokenAmounts(tokenAddress, at),
+      factoryContract.isClaimContractPaused(tokenAddress, at),
+      factoryContract.calcMaxAvailableAmount(tokenAddress, at),
+      factoryContract.getScheduledWithdrawal(tokenAddress, at),
+      Promise.all(ids.map(id => factoryContract.isRefunding(tokenAddress, id, at))),
+      Promise.all(ids.map(id => factoryContract.getRefundableAmount(tokenAddress, id, at))),
+    ]);
+
+    const seasons = {};
+    ids.forEach((id, index) => {
+      const [projectSeasonConfig, unlockStartTime] = seasonConfigs[index];
+      seasons[id] = {
+        get_project_season_config: formatSeasonConfig(projectSeasonConfig, unlockStartTime, project),
+      };
+    });
 
     // Structure data by function names
     return {
-      get_project_season_config: {
-        tokenAmount: Number(ethers.formatUnits(projectSeasonConfig.tokenAmount, project.decimals)),
-        tokenAmountRaw: projectSeasonConfig.tokenAmount.toString(),
-        merkleRoot: projectSeasonConfig.merkleRoot,
-        unlockDelay: Number(projectSeasonConfig.unlockDelay),
-        unlockDuration: Number(projectSeasonConfig.unlockDuration),
-        unlockDurationDays: Math.round(Number(projectSeasonConfig.unlockDuration) / 86400),
-        earlyVestRatioMinBps: Number(projectSeasonConfig.earlyVestRatioMinBps),
-        earlyVestRatioMaxBps: Number(projectSeasonConfig.earlyVestRatioMaxBps),
-        baseTokenClaimBps: Number(projectSeasonConfig.baseTokenClaimBps),
-        isRefunding: projectSeasonConfig.isRefunding,
-        seasonUnlockStartTime: Number(unlockStartTime),
-        seasonUnlockStartTimeFormatted: unlockStartTime > 0
-          ? new Date(Number(unlockStartTime) * 1000).toISOString().split("T")[0]
-          : null,
-      },
+      block,
+      seasonIds: ids,
+      seasons,
+      get_project_season_config: seasons[ids[0]].get_project_season_config,
       get_token_amounts: {
         totalDeposited: Number(ethers.formatUnits(tokenAmounts.totalDeposited, project.decimals)),
         totalDepositedRaw: tokenAmounts.totalDeposited.toString(),
@@ -473,7 +736,14 @@ export async function fetchProjectConfig(tokenAddress, seasonId = API_DEFAULTS.D
         totalAllocatedToAllSeasonsRaw: tokenAmounts.totalAllocatedToAllSeasons.toString(),
         totalRefunded: Number(ethers.formatUnits(tokenAmounts.totalRefunded, project.decimals)),
         totalRefundedRaw: tokenAmounts.totalRefunded.toString(),
-      }
+      },
+      // Pause / refund status - invalidated by the factory watcher on ClaimPaused,
+      // ClaimUnpaused and ProjectSeasonRefund* events, so the 24h TTL is safe
+      get_project_health: formatProjectHealth(
+        { isPaused, maxAvailable, scheduledWithdrawal, refunding, refundable },
+        ids,
+        project
+      ),
     };
   };
 
@@ -484,9 +754,13 @@ export async function fetchProjectConfig(tokenAddress, seasonId = API_DEFAULTS.D
     fetchFn
   );
 
+  // Block travels with the cached data → split it back out for metaData
+  const { block = null, ...data } = result.data;
+
   // Return structured result with cache metadata
   return {
-    data: result.data,
+    data,
+    block,
     cacheStatus: result.cacheStatus,
     timestamp: result.timestamp,
     ttl: TTL.PROJECT_CONFIG
@@ -496,29 +770,37 @@ export async function fetchProjectConfig(tokenAddress, seasonId = API_DEFAULTS.D
 /**
  * Fetch global state with caching
  * Cache: 1h primary, 2h stale
+ * @param {string} tokenAddress - Project token address
+ * @param {number|number[]} seasonIds - One or more season IDs
+ * @param {string|number} blockTag - 'latest' or a block number to read at
+ * @returns {Promise<{data: Object, block: {number: number, hash: string}|null, cacheStatus: string, timestamp: number, ttl: number}>}
  */
-export async function fetchGlobalState(tokenAddress, seasonId = API_DEFAULTS.DEFAULT_SEASON_ID) {
+export async function fetchGlobalState(tokenAddress, seasonIds = API_DEFAULTS.DEFAULT_SEASON_ID, blockTag = 'latest') {
   const project = validateProjectAndGet(tokenAddress);
+  const ids = normalizeSeasonIds(seasonIds);
+
+  const cacheKey = `${CACHE_CONFIG.keyPrefixes.globalState}${tokenAddress.toLowerCase()}:${seasonCacheSuffix(ids)}${blockCacheSuffix(blockTag)}`;
 
-  const cacheKey = `${CACHE_CONFIG.keyPrefixes.globalState}${tokenAddress.toLowerCase()}:${seasonId}`;
+  const fetchFn = async () => {
+    const claimContract = getClaimContract(project);
+    const block = await resolveReadBlock(blockTag);
 
-  const fetchFn = async (infuraUrl) => {
-    const provider = new ethers.JsonRpcProvider(infuraUrl);
-    const claimContract = new ethers.Contract(project.claimAddress, BUILD_CLAIM_ABI, provider);
+    // Single call for all seasons
+    const globalStates = await claimContract.getGlobalState(ids, { blockTag: block.number });
 
-    const globalStates = await claimContract.getGlobalState([seasonId]);
-    const globalStateData = globalStates[0];
+    const seasons = {};
+    ids.forEach((id, index) => {
+      seasons[id] = {
+        get_global_state: formatGlobalState(globalStates[index], project),
+      };
+    });
 
     // Structure data by function name
     return {
-      get_global_state: {
-        totalLoyalty: Number(ethers.formatUnits(globalStateData.totalLoyalty, project.decimals)),
-        totalLoyaltyRaw: globalStateData.totalLoyalty.toString(),
-        totalLoyaltyIneligible: Number(ethers.formatUnits(globalStateData.totalLoyaltyIneligible, project.decimals)),
-        totalLoyaltyIneligibleRaw: globalStateData.totalLoyaltyIneligible.toString(),
-        totalClaimed: Number(ethers.formatUnits(globalStateData.totalClaimed, project.decimals)),
-        totalClaimedRaw: globalStateData.totalClaimed.toString(),
-      }
+      block,
+      seasonIds: ids,
+      seasons,
+      get_global_state: seasons[ids[0]].get_global_state,
     };
   };
 
@@ -529,21 +811,77 @@ export async function fetchGlobalState(tokenAddress, seasonId = API_DEFAULTS.DEF
     fetchFn
   );
 
+  // Block travels with the cached data → split it back out for metaData
+  const { block = null, ...data } = result.data;
+
   // Return structured result with cache metadata
   return {
-    data: result.data,
+    data,
+    block,
     cacheStatus: result.cacheStatus,
     timestamp: result.timestamp,
     ttl: TTL.GLOBAL_STATE
   };
 }
 
+/**
+ * Build the cache key for one wallet/project/seasons entry
+ * Shared by the single and batch user-claim fetchers so both hit the same entry
+ * A non-zero maxTokenAmount changes the contract result → suffixed as ":max<raw units>"
+ * (raw, so "1000", "1000.0" and "1e3" share one entry and the key space stays bounded)
+ * A pinned block → suffixed as ":b<number>" (after ":max")
+ * @param {string} userChecksum - Checksummed wallet address
+ * @param {Object} project - Project from PROJECTS_MAP (token address + decimals)
+ * @param {number[]} ids - Normalized season IDs
+ * @param {number|string} maxTokenAmount - Max token amount passed to the contract
+ * @param {string|number} blockTag - 'latest' or a block number
+ * @returns {string}
+ */
+function userClaimCacheKey(userChecksum, project, ids, maxTokenAmount = 0, blockTag = 'latest') {
+  const key = `${CACHE_CONFIG.keyPrefixes.userClaim}${userChecksum.toLowerCase()}:${project.tokenAddress.toLowerCase()}:${seasonCacheSuffix(ids)}`;
+  const maxTokenAmountRaw = toRawUnits(maxTokenAmount, project.decimals);
+  const withMax = maxTokenAmountRaw > 0n ? `${key}:max${maxTokenAmountRaw}` : key;
+  return `${withMax}${blockCacheSuffix(blockTag)}`;
+}
+
+/**
+ * Structure claim values + user states of one wallet by function name
+ * @param {number[]} ids - Season IDs (same order as the contract results)
+ * @param {Array} claimValues - ClaimableState tuples
+ * @param {Array} userStates - UserState tuples
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Object}
+ */
+function buildUserClaimData(ids, claimValues, userStates, project) {
+  const seasons = {};
+  ids.forEach((id, index) => {
+    seasons[id] = {
+      get_current_claim_values: formatClaimValues(claimValues[index], project),
+      get_user_state: formatUserState(userStates?.[index] || null, project),
+    };
+  });
+
+  return {
+    seasonIds: ids,
+    seasons,
+    get_current_claim_values: seasons[ids[0]].get_current_claim_values,
+    get_user_state: seasons[ids[0]].get_user_state,
+  };
+}
+
 /**
  * Fetch user claim values with caching
  * Cache: 1h primary, 2h stale
+ * @param {string} userAddress - Wallet address
+ * @param {string} tokenAddress - Project token address
+ * @param {number|number[]} seasonIds - One or more season IDs
+ * @param {number} maxTokenAmount - Max token amount (applied to every season)
+ * @param {string|number} blockTag - 'latest' or a block number to read at
+ * @returns {Promise<{data: Object, block: {number: number, hash: string}|null, cacheStatus: string, timestamp: number, ttl: number}>}
  */
-export async function fetchUserClaimValues(userAddress, tokenAddress, seasonId = API_DEFAULTS.DEFAULT_SEASON_ID, maxTokenAmount = 0) {
+export async function fetchUserClaimValues(userAddress, tokenAddress, seasonIds = API_DEFAULTS.DEFAULT_SEASON_ID, maxTokenAmount = 0, blockTag = 'latest') {
   const project = validateProjectAndGet(tokenAddress);
+  const ids = normalizeSeasonIds(seasonIds);
 
   // Validate and convert user address to checksum format
   let userChecksum;
@@ -553,62 +891,29 @@ export async function fetchUserClaimValues(userAddress, tokenAddress, seasonId =
     throw new Error('Invalid Ethereum address format');
   }
 
-  const cacheKey = `${CACHE_CONFIG.keyPrefixes.userClaim}${userChecksum.toLowerCase()}:${tokenAddress.toLowerCase()}:${seasonId}`;
-
-  const fetchFn = async (infuraUrl) => {
-    const provider = new ethers.JsonRpcProvider(infuraUrl);
-    const claimContract = new ethers.Contract(project.claimAddress, BUILD_CLAIM_ABI, provider);
+  const cacheKey = userClaimCacheKey(userChecksum, project, ids, maxTokenAmount, blockTag);
 
-    // Convert maxTokenAmount to BigInt (raw format with decimals)
-    const maxTokenAmountRaw = ethers.parseUnits(maxTokenAmount.toString(), project.decimals);
+  const fetchFn = async () => {
+    const claimContract = getClaimContract(project);
+    const block = await resolveReadBlock(blockTag);
+    const at = { blockTag: block.number };
 
-    // Build the seasonIdsAndMaxTokenAmounts array
-    const seasonIdsAndMaxTokenAmounts = [[seasonId, maxTokenAmountRaw]];
+    // Convert maxTokenAmount to BigInt (raw format with decimals, extra fraction digits truncated)
+    const maxTokenAmountRaw = toRawUnits(maxTokenAmount, project.decimals);
 
-    const result = await claimContract.getCurrentClaimValues(userChecksum, seasonIdsAndMaxTokenAmounts);
+    // Build the array arguments (one entry per season)
+    const seasonIdsAndMaxTokenAmounts = ids.map(id => [id, maxTokenAmountRaw]);
+    const usersAndSeasonIds = ids.map(id => [userChecksum, id]);
 
-    // Also fetch user state to get hasEarlyClaimed
-    const usersAndSeasonIds = [[userChecksum, seasonId]];
-    const userStateResult = await claimContract.getUserState(usersAndSeasonIds);
+    // Claim values + user state (hasEarlyClaimed) in one aggregate3
+    const [result, userStateResult] = await Promise.all([
+      claimContract.getCurrentClaimValues(userChecksum, seasonIdsAndMaxTokenAmounts, at),
+      claimContract.getUserState(usersAndSeasonIds, at),
+    ]);
 
     // Result is an array of ClaimableState tuples
-    if (result && result.length > 0) {
-      const state = result[0];
-      
-      // Extract user state
-      let userState = null;
-      if (userStateResult && userStateResult.length > 0) {
-        userState = userStateResult[0];
-      }
-      
-      // Structure data by function name
-      return {
-        get_current_claim_values: {
-          base: Number(ethers.formatUnits(state[0], project.decimals)),
-          baseRaw: state[0].toString(),
-          bonus: Number(ethers.formatUnits(state[1], project.decimals)),
-          bonusRaw: state[1].toString(),
-          vested: Number(ethers.formatUnits(state[2], project.decimals)),
-          vestedRaw: state[2].toString(),
-          claimable: Number(ethers.formatUnits(state[3], project.decimals)),
-          claimableRaw: state[3].toString(),
-          earlyVestableBonus: Number(ethers.formatUnits(state[4], project.decimals)),
-          earlyVestableBonusRaw: state[4].toString(),
-          loyaltyBonus: Number(ethers.formatUnits(state[5], project.decimals)),
-          loyaltyBonusRaw: state[5].toString(),
-          claimed: Number(ethers.formatUnits(state[6], project.decimals)),
-          claimedRaw: state[6].toString(),
-        },
-        get_user_state: userState ? {
-          claimed: Number(ethers.formatUnits(userState[0], project.decimals)),
-          claimedRaw: userState[0].toString(),
-          hasEarlyClaimed: userState[1],
-        } : {
-          claimed: 0,
-          claimedRaw: '0',
-          hasEarlyClaimed: false,
-        }
-      };
+    if (result && result.length === ids.length) {
+      return { block, ...buildUserClaimData(ids, result, userStateResult, project) };
     }
 
     throw new Error('No claim data returned from contract');
@@ -621,11 +926,312 @@ export async function fetchUserClaimValues(userAddress, tokenAddress, seasonId =
     fetchFn
   );
 
+  // Block travels with the cached data → split it back out for metaData
+  const { block = null, ...data } = result.data;
+
   // Return structured result with cache metadata
   return {
-    data: result.data,
+    data,
+    block,
     cacheStatus: result.cacheStatus,
     timestamp: result.timestamp,
     ttl: TTL.USER_CLAIM
   };
 }
+
+/**
+ * Fetch user claim values for many wallets × projects at once
+ * Cache: 1h primary, 2h stale - per wallet/project entry (same keys as fetchUserClaimValues)
+ * 
+ * =============================================================================
+ * BATCH FLOW
+ * =============================================================================
+ * 
+ * 1. Every entry is looked up in cache individually (HIT/STALE served as-is)
+ * 2. Misses are grouped by claim contract:
+ *    - getUserState([(user, season), ...]) → ONE call for all wallets of the group
+ *    - getCurrentClaimValues(user, [...])  → one call per wallet, queued in the
+ *      same Multicall3 window → one aggregate3 for every group
+ * 3. Each fetched entry is written back under its own cache key
+ * 
+ * A failing group only fails its own entries - the rest of the batch is returned.
+ * 
+ * =============================================================================
+ * 
+ * @param {Array<{userAddress: string, tokenAddress: string, seasonIds: number[]}>} entries - Lookups
+ * @param {number} maxTokenAmount - Max token amount (applied to every entry)
+ * @returns {Promise<{results: Array, ttl: number}>} One result per entry, in input order
+ */
+export async function fetchUserClaimValuesBatch(entries, maxTokenAmount = 0) {
+  const results = new Array(entries.length);
+  const groups = new Map(); // claimAddress → { project, items: [{ index, userChecksum, ids, cacheKey }] }
+
+  // Step 1: validate + per-entry cache lookup
+  await Promise.all(entries.map(async (entry, index) => {
+    const project = validateProjectAndGet(entry.tokenAddress);
+    const ids = normalizeSeasonIds(entry.seasonIds);
+    const base = {
+      userAddress: entry.userAddress,
+      tokenAddress: project.tokenAddress,
+      project: project.name,
+    };
+
+    let userChecksum;
+    try {
+      userChecksum = ethers.getAddress(entry.userAddress);
+    } catch (error) {
+      results[index] = { ...base, error: 'Invalid Ethereum address format' };
+      return;
+    }
+
+    const cacheKey = userClaimCacheKey(userChecksum, project, ids, maxTokenAmount);
+    const cached = await getCachedData(cacheKey);
+    if (cached) {
+      const { block = null, ...data } = cached.data;
+      results[index] = {
+        ...base,
+        userAddress: userChecksum,
+        cacheStatus: cached.isStale ? 'STALE' : 'HIT',
+        timestamp: cached.timestamp,
+        block,
+        data,
+      };
+      return;
+    }
+
+    const groupKey = project.claimAddress.toLowerCase();
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { project, items: [] });
+    }
+    groups.get(groupKey).items.push({ index, base, userChecksum, ids, cacheKey });
+  }));
+
+  // Step 2: one getUserState per claim contract for all misses; every call of
+  // every group lands in the same Multicall3 window → usually one round trip total
+  await Promise.all([...groups.values()].map(async ({ project, items }) => {
+    console.log(`[Cache] 🔄 FETCHING batch from RPC - ${project.name} (${items.length} wallets)`);
+    const fetchTime = Date.now();
+
+    const fetchFn = async () => {
+      const claimContract = getClaimContract(project);
+      const maxTokenAmountRaw = toRawUnits(maxTokenAmount, project.decimals);
+      const block = await resolveReadBlock('latest');
+      const at = { blockTag: block.number };
+
+      // Flatten (user, season) pairs of every wallet into a single getUserState call
+      const usersAndSeasonIds = items.flatMap(item => item.ids.map(id => [item.userChecksum, id]));
+
+      const [userStates, ...claimValues] = await Promise.all([
+        claimContract.getUserState(usersAndSeasonIds, at),
+        ...items.map(item => claimContract.getCurrentClaimValues(
+          item.userChecksum,
+          item.ids.map(id => [id, maxTokenAmountRaw]),
+          at
+        )),
+      ]);
+
+      // Split the flattened user states back per wallet
+      let offset = 0;
+      return items.map((item, i) => {
+        const itemUserStates = userStates.slice(offset, offset + item.ids.length);
+        offset += item.ids.length;
+
+        if (!claimValues[i] || claimValues[i].length !== item.ids.length) {
+          throw new Error('No claim data returned from contract');
+        }
+        return { block, ...buildUserClaimData(item.ids, claimValues[i], itemUserStates, project) };
+      });
+    };
+
+    try {
+      const groupData = await fetchFn();
+
+      await Promise.all(items.map(async (item, i) => {
+        await setCachedData(item.cacheKey, groupData[i], TTL.USER_CLAIM, TTL.USER_CLAIM_STALE, fetchTime);
+        const { block, ...data } = groupData[i];
+        results[item.index] = {
+          ...item.base,
+          userAddress: item.userChecksum,
+          cacheStatus: 'MISS',
+          timestamp: fetchTime,
+          block,
+          data,
+        };
+      }));
+    } catch (error) {
+      console.error(`[RPC] ✗ Batch failed for ${project.name}: ${error.message}`);
+      items.forEach(item => {
+        results[item.index] = { ...item.base, userAddress: item.userChecksum, error: error.message };
+      });
+    }
+  }));
+
+  return {
+    results,
+    ttl: TTL.USER_CLAIM
+  };
+}
+
+/**
+ * Verify user-supplied claim params against the season merkleRoot
+ * On success the verified maxTokenAmount is used to fetch exact claim values
+ * 
+ * @param {string} userAddress - Wallet address (leaf `user`)
+ * @param {string} tokenAddress - Project token address
+ * @param {number} seasonId - Season the proof belongs to
+ * @param {{proof: string[], maxTokenAmount: bigint, salt: bigint, isEarlyClaim: boolean}} params - Parsed claim params
+ * @returns {Promise<{valid: boolean, data: Object, block: Object|null, cacheStatus: string, timestamp: number, ttl: number}>}
+ */
+export async function verifyClaimProof(userAddress, tokenAddress, seasonId, params) {
+  const project = validateProjectAndGet(tokenAddress);
+
+  let userChecksum;
+  try {
+    userChecksum = ethers.getAddress(userAddress);
+  } catch (error) {
+    throw new Error('Invalid Ethereum address format');
+  }
+
+  // merkleRoot comes from the (cached) project season config
+  const configResult = await fetchProjectConfig(tokenAddress, [seasonId]);
+  const { merkleRoot } = configResult.data.seasons[seasonId].get_project_season_config;
+
+  const leaf = computeClaimLeaf(userChecksum, params.maxTokenAmount, params.isEarlyClaim, params.salt);
+  const valid = verifyMerkleProof(params.proof, merkleRoot, leaf);
+
+  const data = {
+    valid,
+    userAddress: userChecksum,
+    seasonId,
+    merkleRoot,
+    leaf,
+  };
+
+  if (!valid) {
+    return { valid, data, block: configResult.block, cacheStatus: configResult.cacheStatus, timestamp: configResult.timestamp, ttl: configResult.ttl };
+  }
+
+  // Exact claim values for the verified allocation
+  const maxTokenAmount = ethers.formatUnits(params.maxTokenAmount, project.decimals);
+  const claimResult = await fetchUserClaimValues(userChecksum, tokenAddress, [seasonId], maxTokenAmount);
+
+  return {
+    valid,
+    data: {
+      ...data,
+      allocation: {
+        maxTokenAmount: Number(maxTokenAmount),
+        maxTokenAmountRaw: params.maxTokenAmount.toString(),
+        isEarlyClaim: params.isEarlyClaim,
+      },
+      get_current_claim_values: claimResult.data.get_current_claim_values,
+      get_user_state: claimResult.data.get_user_state,
+    },
+    block: claimResult.block,
+    cacheStatus: claimResult.cacheStatus,
+    timestamp: claimResult.timestamp,
+    ttl: claimResult.ttl
+  };
+}
+
+/**
+ * Copy the keys of `source` that are set (undefined = keep the chain value)
+ * @param {Object} source - Overrides
+ * @param {string[]} keys - Keys to copy
+ * @returns {Object}
+ */
+function pickDefined(source, keys) {
+  return Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+}
+
+/**
+ * Build the vesting timeline server-side (same rows as vesting.worker.js)
+ * Config + global state (and the wallet's claim state) come from the cached
+ * fetchers above. A pinned blockTag reads all of them at that block; with 'latest'
+ * each is as fresh as its own cache (config 24h, state 1h), so `blocks` lists the
+ * block every input was read at
+ * 
+ * @param {string} tokenAddress - Project token address
+ * @param {number} seasonId - Season to build the timeline for
+ * @param {Object} options
+ * @param {number|string} options.maxTokenAmount - Allocation in tokens
+ * @param {string} [options.userAddress] - Wallet → rows use its claimed / early-claim state (+ claimed / claimable columns)
+ * @param {Object} [options.overrides] - Simulation overrides (config + global state fields, startDate)
+ * @param {string|number} [options.blockTag] - 'latest' or a block number to read at
+ * @returns {Promise<{data: Object, block: Object|null, cacheStatus: string, timestamp: number, ttl: number}>}
+ */
+export async function fetchVestingTimeline(tokenAddress, seasonId, { maxTokenAmount, userAddress, overrides = {}, blockTag = 'latest' }) {
+  const project = validateProjectAndGet(tokenAddress);
+
+  const [configResult, stateResult, claimResult] = await Promise.all([
+    fetchProjectConfig(tokenAddress, [seasonId], blockTag),
+    fetchGlobalState(tokenAddress, [seasonId], blockTag),
+    userAddress ? fetchUserClaimValues(userAddress, tokenAddress, [seasonId], maxTokenAmount, blockTag) : null,
+  ]);
+  const results = [configResult, stateResult, claimResult].filter(Boolean);
+
+  const seasonConfig = configResult.data.seasons[seasonId].get_project_season_config;
+  const seasonState = stateResult.data.seasons[seasonId].get_global_state;
+
+  // Chain values first, then overrides - a duration override drops the exact seconds,
+  // an amount override drops the exact raw units
+  const config = {
+    tokenAmount: seasonConfig.tokenAmount,
+    tokenAmountRaw: overrides.tokenAmount !== undefined ? undefined : seasonConfig.tokenAmountRaw,
+    baseTokenClaimBps: seasonConfig.baseTokenClaimBps,
+    unlockDurationDays: seasonConfig.unlockDurationDays,
+    unlockDuration: overrides.unlockDurationDays !== undefined ? undefined : seasonConfig.unlockDuration,
+    earlyVestRatioMinBps: seasonConfig.earlyVestRatioMinBps,
+    earlyVestRatioMaxBps: seasonConfig.earlyVestRatioMaxBps,
+    decimals: project.decimals,
+    ...pickDefined(overrides, ['tokenAmount', 'baseTokenClaimBps', 'unlockDurationDays', 'earlyVestRatioMinBps', 'earlyVestRatioMaxBps']),
+  };
+  const globalState = {
+    totalLoyalty: seasonState.totalLoyalty,
+    totalLoyaltyRaw: overrides.totalLoyalty !== undefined ? undefined : seasonState.totalLoyaltyRaw,
+    totalLoyaltyIneligible: seasonState.totalLoyaltyIneligible,
+    totalLoyaltyIneligibleRaw: overrides.totalLoyaltyIneligible !== undefined ? undefined : seasonState.totalLoyaltyIneligibleRaw,
+    ...pickDefined(overrides, ['totalLoyalty', 'totalLoyaltyIneligible']),
+  };
+
+  // Unlock starts after the project delay
+  const unlockStartsAt = seasonConfig.seasonUnlockStartTime > 0
+    ? seasonConfig.seasonUnlockStartTime + seasonConfig.unlockDelay
+    : 0;
+  const startDate = overrides.startDate
+    || (unlockStartsAt > 0 ? new Date(unlockStartsAt * 1000).toISOString().split('T')[0] : null);
+
+  const userState = claimResult ? claimResult.data.get_user_state : null;
+  const rows = generateVestingTimeline({ maxTokenAmount, config, globalState, startDate, userState });
+
+  // As fresh as its oldest input (same rule as the batch endpoint)
+  const cacheStatus = results.some(r => r.cacheStatus === 'MISS') ? 'MISS'
+    : results.some(r => r.cacheStatus === 'STALE') ? 'STALE'
+    : 'HIT';
+
+  return {
+    data: {
+      seasonId,
+      maxTokenAmount: Number(maxTokenAmount),
+      startDate,
+      config,
+      globalState,
+      overrides,
+      wallet: claimResult ? {
+        userAddress: ethers.getAddress(userAddress),
+        get_current_claim_values: claimResult.data.get_current_claim_values,
+        get_user_state: userState,
+      } : null,
+      blocks: {
+        config: configResult.block,
+        globalState: stateResult.block,
+        wallet: claimResult ? claimResult.block : null,
+      },
+      rows,
+    },
+    block: stateResult.block,
+    cacheStatus,
+    timestamp: Math.min(...results.map(r => r.timestamp)),
+    ttl: TTL.GLOBAL_STATE
+  };
+}
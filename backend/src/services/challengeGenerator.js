@@ -2,20 +2,52 @@
  * Challenge Generator Service
  * 
  * Generates and validates security challenges for suspicious sessions.
- * Challenge types: math, time, interactive, custom
+ * Challenge types: math, time, interactive, pow (proof-of-work), custom
+ *
+ * A passed challenge is exchanged for a short-lived challenge token
+ * (x-challenge-token header) that lets the device through challenge checks
+ * until it expires. Challenges and tokens are always bound to a device.
  */
 
 import crypto from 'crypto';
 import { getRedisClient, isRedisAvailable } from '../utils/redis.js'; // Shared Redis client
+import { getDevice } from './deviceRegistry.js';
+import { getPenaltyState } from '../middleware/rateLimiter.js';
+import { SECURITY_CONFIG } from '../../../config/backend/security.js';
+import { POW_ALGORITHM, POW_MAX_NONCE_LENGTH, powInput, countLeadingZeroBits } from '../../../config/shared/proofOfWork.js';
 
 const CHALLENGE_PREFIX = 'challenge:';
+const CHALLENGE_TOKEN_PREFIX = 'challenge_token:';
+const TRUST_BONUS_PREFIX = 'challenge_bonus:';
 const CHALLENGE_TTL = 5 * 60; // 5 minutes
+const {
+  maxAttempts: MAX_ATTEMPTS,
+  tokenTtlSeconds: TOKEN_TTL,
+  cleanupIntervalMs: CLEANUP_INTERVAL_MS,
+  pow: POW_CONFIG,
+} = SECURITY_CONFIG.paranoid.challenge;
 
 // Use shared Redis client
 const redis = getRedisClient();
 
 // In-memory fallback
 const memoryChallenges = new Map();
+const memoryTokens = new Map();
+const memoryTrustBonuses = new Map(); // deviceHash → expiresAt
+
+// Clean up expired challenges / tokens / bonus markers periodically (memory fallback)
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, challenge] of memoryChallenges) {
+    if (challenge.expiresAt <= now) memoryChallenges.delete(id);
+  }
+  for (const [token, record] of memoryTokens) {
+    if (record.expiresAt <= now) memoryTokens.delete(token);
+  }
+  for (const [deviceHash, expiresAt] of memoryTrustBonuses) {
+    if (expiresAt <= now) memoryTrustBonuses.delete(deviceHash);
+  }
+}, CLEANUP_INTERVAL_MS);
 
 /**
  * Generate math challenge
@@ -77,17 +109,73 @@ function generateInteractiveChallenge() {
   };
 }
 
+/**
+ * Proof-of-work difficulty for a device / IP
+ * Low trust score or an active rate-limit penalty → more leading zero bits
+ * @param {string|null} deviceHash - Device fingerprint hash
+ * @param {string|null} ip - Client IP
+ * @returns {Promise<number>} Difficulty in leading zero bits
+ */
+export async function getPowDifficulty(deviceHash = null, ip = null) {
+  const device = deviceHash ? await getDevice(deviceHash) : null;
+  const trustScore = device?.trustScore ?? 50;
+  const penalty = ip ? await getPenaltyState(ip) : { active: false };
+  
+  const trustBits = Math.round(((50 - trustScore) / 50) * POW_CONFIG.trustRangeBits);
+  const penaltyBits = penalty.active ? POW_CONFIG.penaltyBits : 0;
+  
+  return Math.min(
+    POW_CONFIG.maxDifficulty,
+    Math.max(POW_CONFIG.minDifficulty, POW_CONFIG.baseDifficulty + trustBits + penaltyBits)
+  );
+}
+
+/**
+ * Generate proof-of-work challenge
+ * @param {number} difficulty - Leading zero bits
+ * @returns {Object} Challenge data
+ */
+function generatePowChallenge(difficulty) {
+  return {
+    type: 'pow',
+    algorithm: POW_ALGORITHM,
+    salt: crypto.randomBytes(16).toString('hex'),
+    difficulty,
+    message: 'Verifying your browser. This takes a few seconds.',
+  };
+}
+
+/**
+ * Check a proof-of-work nonce (one hash)
+ * @param {Object} challenge - Stored challenge
+ * @param {string} nonce - Client nonce
+ * @returns {boolean}
+ */
+function verifyPowNonce(challenge, nonce) {
+  if (!/^\d+$/.test(nonce) || nonce.length > POW_MAX_NONCE_LENGTH) return false;
+  
+  const digest = crypto.createHash('sha256').update(powInput(challenge.id, challenge.salt, nonce)).digest();
+  return countLeadingZeroBits(digest) >= challenge.difficulty;
+}
+
 /**
  * Generate challenge
- * @param {string} type - Challenge type ('math', 'time', 'interactive', 'random')
- * @param {string} deviceHash - Device fingerprint hash
+ * @param {string} type - Challenge type ('math', 'time', 'interactive', 'pow', 'random')
+ * @param {string} deviceHash - Device fingerprint hash (required - the challenge is bound to it)
+ * @param {Object} options - Optional context
+ * @param {string} options.ip - Client IP (proof-of-work difficulty)
+ * @param {string} options.source - Who asked for it: 'behavior' (behaviorCheck) or 'client' (POST /api/challenge)
  * @returns {Promise<Object>} Challenge object with ID
  */
-export async function generateChallenge(type = 'random', deviceHash = null) {
+export async function generateChallenge(type = 'random', deviceHash = null, options = {}) {
+  if (!deviceHash) {
+    throw new Error('Challenges must be bound to a device fingerprint');
+  }
+  
   // Select challenge type
   let challengeType = type;
   if (type === 'random') {
-    const types = ['math', 'time', 'interactive'];
+    const types = SECURITY_CONFIG.paranoid.challenge.verifiableTypes;
     challengeType = types[Math.floor(Math.random() * types.length)];
   }
   
@@ -103,6 +191,9 @@ export async function generateChallenge(type = 'random', deviceHash = null) {
     case 'interactive':
       challengeData = generateInteractiveChallenge();
       break;
+    case 'pow':
+      challengeData = generatePowChallenge(await getPowDifficulty(deviceHash, options.ip));
+      break;
     default:
       challengeData = generateMathChallenge();
   }
@@ -115,9 +206,11 @@ export async function generateChallenge(type = 'random', deviceHash = null) {
     id: challengeId,
     ...challengeData,
     deviceHash,
+    source: options.source || 'client',
     createdAt: Date.now(),
     expiresAt: Date.now() + (CHALLENGE_TTL * 1000),
     attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
     completed: false,
   };
   
@@ -130,7 +223,7 @@ export async function generateChallenge(type = 'random', deviceHash = null) {
       memoryChallenges.set(challengeId, challenge);
     }
     
-    console.log(`[ChallengeGenerator] Generated ${challengeType} challenge:`, challengeId);
+    console.log(`[ChallengeGenerator] Generated ${challengeType} challenge:`, challengeId, challengeData.difficulty ? `(difficulty ${challengeData.difficulty})` : '');
     
     // Return challenge without answer (for client)
     const { answer, ...clientChallenge } = challenge;
@@ -145,9 +238,10 @@ export async function generateChallenge(type = 'random', deviceHash = null) {
  * Validate challenge response
  * @param {string} challengeId - Challenge ID
  * @param {string} response - User's response
- * @returns {Promise<Object>} Validation result
+ * @param {string|null} deviceHash - Fingerprint of the verifying device (must match the challenged one)
+ * @returns {Promise<Object>} Validation result (+ deviceHash of the challenged device)
  */
-export async function validateChallenge(challengeId, response) {
+export async function validateChallenge(challengeId, response, deviceHash = null) {
   const key = `${CHALLENGE_PREFIX}${challengeId}`;
   
   try {
@@ -176,6 +270,16 @@ export async function validateChallenge(challengeId, response) {
       return { valid: false, reason: 'challenge-already-completed' };
     }
     
+    // Challenge belongs to the device it was issued for
+    if (!challenge.deviceHash || challenge.deviceHash !== deviceHash) {
+      return { valid: false, reason: 'device-mismatch' };
+    }
+    
+    // Check remaining attempts
+    if (challenge.attempts >= MAX_ATTEMPTS) {
+      return { valid: false, reason: 'too-many-attempts', attemptsRemaining: 0 };
+    }
+    
     // Increment attempts
     challenge.attempts++;
     
@@ -194,6 +298,9 @@ export async function validateChallenge(challengeId, response) {
         // Interactive challenges validated by client, just accept
         valid = true;
         break;
+      case 'pow':
+        valid = verifyPowNonce(challenge, response);
+        break;
     }
     
     if (valid) {
@@ -214,6 +321,10 @@ export async function validateChallenge(challengeId, response) {
       valid,
       reason: valid ? 'success' : 'incorrect-answer',
       attempts: challenge.attempts,
+      attemptsRemaining: Math.max(0, MAX_ATTEMPTS - challenge.attempts),
+      deviceHash: challenge.deviceHash,
+      type: challenge.type,
+      source: challenge.source,
     };
   } catch (error) {
     console.error('[ChallengeGenerator] Error validating challenge:', error);
@@ -242,3 +353,84 @@ export async function getChallenge(challengeId) {
   }
 }
 
+/**
+ * Issue a challenge token after a passed challenge
+ * @param {string} deviceHash - Device the token is bound to
+ * @returns {Promise<{token: string, expiresIn: number}>}
+ */
+export async function issueChallengeToken(deviceHash) {
+  if (!deviceHash) {
+    throw new Error('Challenge tokens must be bound to a device fingerprint');
+  }
+  
+  const token = crypto.randomBytes(24).toString('hex');
+  const record = {
+    deviceHash,
+    issuedAt: Date.now(),
+    expiresAt: Date.now() + (TOKEN_TTL * 1000),
+  };
+  
+  if (isRedisAvailable() && redis) {
+    await redis.setex(`${CHALLENGE_TOKEN_PREFIX}${token}`, TOKEN_TTL, JSON.stringify(record));
+  } else {
+    memoryTokens.set(token, record);
+  }
+  
+  console.log(`[ChallengeGenerator] Issued challenge token (${TOKEN_TTL}s) for ${deviceHash.substring(0, 16)}...`);
+  return { token, expiresIn: TOKEN_TTL };
+}
+
+/**
+ * Check a challenge token (x-challenge-token header)
+ * @param {string} token - Challenge token
+ * @param {string|null} deviceHash - Fingerprint of the requesting device
+ * @returns {Promise<boolean>} True if the token is valid for this device
+ */
+export async function verifyChallengeToken(token, deviceHash = null) {
+  if (!token || !deviceHash) return false;
+  
+  try {
+    let record;
+    if (isRedisAvailable() && redis) {
+      const data = await redis.get(`${CHALLENGE_TOKEN_PREFIX}${token}`);
+      record = data ? JSON.parse(data) : null;
+    } else {
+      record = memoryTokens.get(token) || null;
+      if (record && Date.now() > record.expiresAt) {
+        memoryTokens.delete(token);
+        record = null;
+      }
+    }
+    
+    if (!record) return false;
+    
+    // A token earned by one device does not work for another (unbound tokens are never valid)
+    return Boolean(record.deviceHash) && record.deviceHash === deviceHash;
+  } catch (error) {
+    console.error('[ChallengeGenerator] Error verifying challenge token:', error);
+    return false;
+  }
+}
+
+/**
+ * Reserve the passed-challenge trust bonus for a device
+ * At most one bonus per device per token TTL, so re-solving challenges can't farm trust
+ * @param {string} deviceHash - Device fingerprint hash
+ * @returns {Promise<boolean>} True if the bonus may be awarded now
+ */
+export async function claimTrustBonus(deviceHash) {
+  if (isRedisAvailable() && redis) {
+    try {
+      const set = await redis.set(`${TRUST_BONUS_PREFIX}${deviceHash}`, Date.now(), 'EX', TOKEN_TTL, 'NX');
+      return set === 'OK';
+    } catch (error) {
+      console.error('[ChallengeGenerator] Error reserving trust bonus:', error);
+      return false;
+    }
+  }
+  
+  const now = Date.now();
+  if ((memoryTrustBonuses.get(deviceHash) || 0) > now) return false;
+  memoryTrustBonuses.set(deviceHash, now + (TOKEN_TTL * 1000));
+  return true;
+}
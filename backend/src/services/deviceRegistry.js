@@ -20,6 +20,7 @@ const DEVICE_PREFIX = 'device:';
 const DEVICE_IP_PREFIX = 'device_ip:';
 const BLOCKED_DEVICE_PREFIX = 'blocked_device:';
 const DEVICE_TTL = 30 * 24 * 60 * 60; // 30 days
+const SCAN_COUNT = 200; // Keys per SCAN call (admin listing / stats)
 
 // Use shared Redis client
 const redis = getRedisClient();
@@ -450,6 +451,87 @@ export async function validateDeviceFingerprint(fingerprintHash, fingerprint) {
   };
 }
 
+/**
+ * List registered devices (admin)
+ * Pages follow SCAN order (Redis) / registration order (memory), so the store is
+ * never read in one go; each page is sorted newest activity first. The raw
+ * fingerprint is left out (see getDevice)
+ * @param {Object} options
+ * @param {string} options.search - Fingerprint hash prefix or IP (substring, case-insensitive)
+ * @param {boolean|null} options.blocked - true = blocked only, false = not blocked only, null = all
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - '0' for the first page, then the previous page's nextCursor
+ * @returns {Promise<{devices: Array, nextCursor: string|null}>} nextCursor is null on the last page
+ */
+export async function listDevices({ search = '', blocked = null, limit = 50, cursor = '0' } = {}) {
+  const query = search.trim().toLowerCase();
+  const isMatch = device =>
+    (blocked === null || !!device.isBlocked === blocked) &&
+    (!query ||
+      device.fingerprintHash.toLowerCase().includes(query) ||
+      (device.ipHistory || []).some(ip => ip.toLowerCase().includes(query)));
+  
+  try {
+    const devices = [];
+    let nextCursor = null;
+    
+    if (isRedisAvailable() && redis) {
+      // Cursor: "<SCAN cursor>[:<matches of that batch already returned>]"
+      let [scanCursor, skip = 0] = cursor.split(':');
+      skip = parseInt(skip, 10) || 0;
+      
+      do {
+        const [next, keys] = await redis.scan(scanCursor, 'MATCH', `${DEVICE_PREFIX}*`, 'COUNT', SCAN_COUNT);
+        const values = keys.length > 0 ? await redis.mget(keys) : [];
+        const batch = values.filter(Boolean).map(value => JSON.parse(value)).filter(isMatch).slice(skip);
+        const room = limit - devices.length;
+        
+        devices.push(...batch.slice(0, room));
+        if (batch.length > room) {
+          // Page filled mid-batch: the next page re-reads this batch and skips what was returned
+          nextCursor = `${scanCursor}:${skip + room}`;
+          break;
+        }
+        
+        skip = 0;
+        scanCursor = next;
+        nextCursor = next === '0' ? null : next;
+      } while (scanCursor !== '0' && devices.length < limit);
+    } else {
+      const matches = Array.from(memoryDevices.values()).filter(isMatch);
+      const start = parseInt(cursor, 10) || 0;
+      devices.push(...matches.slice(start, start + limit));
+      nextCursor = start + limit < matches.length ? String(start + limit) : null;
+    }
+    
+    return {
+      devices: devices
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(({ fingerprint, ...device }) => device),
+      nextCursor,
+    };
+  } catch (error) {
+    console.error('[DeviceRegistry] Error listing devices:', error);
+    return { devices: [], nextCursor: null };
+  }
+}
+
+/**
+ * Count keys matching a pattern with SCAN (does not block Redis like KEYS)
+ * @param {string} pattern - Key pattern
+ * @returns {Promise<number>} Key count
+ */
+async function countKeys(pattern) {
+  let count = 0;
+  let cursor = '0';
+  do {
+    const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+    cursor = nextCursor;
+    count += keys.length;
+  } while (cursor !== '0');
+  return count;
+}
+
 /**
  * Get device registry statistics
  * @returns {Promise<Object>} Statistics
@@ -457,12 +539,14 @@ export async function validateDeviceFingerprint(fingerprintHash, fingerprint) {
 export async function getDeviceStats() {
   try {
     if (isRedisAvailable() && redis) {
-      const deviceKeys = await redis.keys(`${DEVICE_PREFIX}*`);
-      const blockedKeys = await redis.keys(`${BLOCKED_DEVICE_PREFIX}*`);
+      const [deviceCount, blockedCount] = await Promise.all([
+        countKeys(`${DEVICE_PREFIX}*`),
+        countKeys(`${BLOCKED_DEVICE_PREFIX}*`),
+      ]);
       
       return {
-        totalDevices: deviceKeys.length,
-        blockedDevices: blockedKeys.length,
+        totalDevices: deviceCount,
+        blockedDevices: blockedCount,
         storage: 'redis',
       };
     } else {
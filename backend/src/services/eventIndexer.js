@@ -0,0 +1,474 @@
+/**
+ * Claim Event Indexer Service
+ *
+ * Backfills and tails BUILDClaim events (Claimed / Deposited / Withdrawn) for every
+ * claim contract in PROJECTS_MAP, so the API can serve claim history that `view`
+ * calls can't provide (who claimed what, when, early or not).
+ *
+ * =============================================================================
+ * FLOW
+ * =============================================================================
+ *
+ *   cursor (last indexed block, persisted)
+ *     → eth_getLogs(cursor+1 .. min(cursor+blockRange, head-confirmations))
+ *     → parse + attach block timestamps
+ *     → store events + stats sets
+ *     → advance cursor
+ *   Round-robin over projects one chunk at a time until every project is caught
+ *   up with head, then poll every pollIntervalMs.
+ *
+ * =============================================================================
+ * STORAGE (Redis, in-memory fallback with the same layout)
+ * =============================================================================
+ *
+ *   app:indexer:cursor:<claim>                     last indexed block
+ *   app:indexer:events:<claim>:<type>              ZSET (score = block * 1e4 + logIndex)
+ *   app:indexer:wallet:<user>                      ZSET of Claimed events across projects
+ *   app:indexer:seasons:<claim>                    SET of season IDs seen in Claimed
+ *   app:indexer:claims:<claim>:<season>            SET of event IDs (txHash:logIndex)
+ *   app:indexer:earlyClaims:<claim>:<season>       SET of early-claim event IDs
+ *   app:indexer:claimers:<claim>:<season>          SET of users
+ *   app:indexer:earlyClaimers:<claim>:<season>     SET of users who early claimed
+ *
+ * All writes are idempotent (ZSET/SET members), so re-indexing a range after a
+ * crash never double-counts stats.
+ *
+ * =============================================================================
+ */
+
+import { ethers } from 'ethers';
+import { BUILD_CLAIM_EVENTS_ABI, PROJECTS_MAP } from '../../../config/shared/contracts.js';
+import { INDEXER_CONFIG } from '../../../config/backend/indexer.js';
+import { fetchWithRetry } from './blockchain.js';
+import { getProvider } from './rpcPool.js';
+import { getRedisClient, isRedisAvailable } from '../utils/redis.js'; // Shared Redis client
+
+export const EVENT_TYPES = ['Claimed', 'Deposited', 'Withdrawn'];
+
+const PREFIX = INDEXER_CONFIG.keyPrefix;
+const eventsInterface = new ethers.Interface(BUILD_CLAIM_EVENTS_ABI);
+const EVENT_TOPICS = EVENT_TYPES.map(name => eventsInterface.getEvent(name).topicHash);
+
+// Use shared Redis client
+const redis = getRedisClient();
+
+// In-memory fallback
+const memoryZsets = new Map();   // key → [{ score, member }] (sorted ascending)
+const memorySets = new Map();    // key → Set
+const memoryCursors = new Map(); // key → block number
+
+// Indexer runtime state
+const indexerStatus = new Map(); // claimAddress → { lastIndexedBlock, headBlock, caughtUp, lastRunAt, lastError }
+let indexerTimer = null;
+let indexerRunning = false;
+
+// =============================================================================
+// Storage Helpers
+// =============================================================================
+
+function useRedis() {
+  return isRedisAvailable() && redis;
+}
+
+function eventScore(event) {
+  return event.blockNumber * 1e4 + event.logIndex;
+}
+
+function memoryZadd(key, score, member) {
+  const list = memoryZsets.get(key) || [];
+  if (list.some(entry => entry.member === member)) return;
+  list.push({ score, member });
+  list.sort((a, b) => a.score - b.score);
+  memoryZsets.set(key, list);
+}
+
+function memorySadd(key, member) {
+  if (!memorySets.has(key)) memorySets.set(key, new Set());
+  memorySets.get(key).add(member);
+}
+
+async function getCursor(claimAddress) {
+  const key = `${PREFIX}cursor:${claimAddress}`;
+  if (useRedis()) {
+    try {
+      const value = await redis.get(key);
+      return value !== null ? Number(value) : null;
+    } catch (err) {
+      console.warn('[Indexer] Cursor get failed:', err.message);
+    }
+  }
+  return memoryCursors.has(key) ? memoryCursors.get(key) : null;
+}
+
+/**
+ * Store events + stats, then advance the cursor
+ * Cursor is written last so a crash mid-write re-indexes the same range
+ */
+async function storeEvents(claimAddress, events, toBlock) {
+  const cursorKey = `${PREFIX}cursor:${claimAddress}`;
+
+  if (useRedis()) {
+    try {
+      const pipeline = redis.multi();
+      for (const event of events) {
+        const member = JSON.stringify(event);
+        const score = eventScore(event);
+        pipeline.zadd(`${PREFIX}events:${claimAddress}:${event.type}`, score, member);
+
+        if (event.type === 'Claimed') {
+          const user = event.user.toLowerCase();
+          pipeline.zadd(`${PREFIX}wallet:${user}`, score, member);
+          pipeline.sadd(`${PREFIX}seasons:${claimAddress}`, event.seasonId);
+          pipeline.sadd(`${PREFIX}claims:${claimAddress}:${event.seasonId}`, event.id);
+          pipeline.sadd(`${PREFIX}claimers:${claimAddress}:${event.seasonId}`, user);
+          if (event.isEarlyClaim) {
+            pipeline.sadd(`${PREFIX}earlyClaims:${claimAddress}:${event.seasonId}`, event.id);
+            pipeline.sadd(`${PREFIX}earlyClaimers:${claimAddress}:${event.seasonId}`, user);
+          }
+        }
+      }
+      pipeline.set(cursorKey, toBlock);
+      await pipeline.exec();
+      return;
+    } catch (err) {
+      console.warn('[Indexer] Redis write failed, using memory:', err.message);
+    }
+  }
+
+  for (const event of events) {
+    const member = JSON.stringify(event);
+    const score = eventScore(event);
+    memoryZadd(`${PREFIX}events:${claimAddress}:${event.type}`, score, member);
+
+    if (event.type === 'Claimed') {
+      const user = event.user.toLowerCase();
+      memoryZadd(`${PREFIX}wallet:${user}`, score, member);
+      memorySadd(`${PREFIX}seasons:${claimAddress}`, String(event.seasonId));
+      memorySadd(`${PREFIX}claims:${claimAddress}:${event.seasonId}`, event.id);
+      memorySadd(`${PREFIX}claimers:${claimAddress}:${event.seasonId}`, user);
+      if (event.isEarlyClaim) {
+        memorySadd(`${PREFIX}earlyClaims:${claimAddress}:${event.seasonId}`, event.id);
+        memorySadd(`${PREFIX}earlyClaimers:${claimAddress}:${event.seasonId}`, user);
+      }
+    }
+  }
+  memoryCursors.set(cursorKey, toBlock);
+}
+
+/**
+ * Read a ZSET newest-first
+ * @param {string} key - ZSET key
+ * @param {number} offset - Items to skip
+ * @param {number|null} limit - Max items (null = all)
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function readZsetDesc(key, offset, limit = null) {
+  if (useRedis()) {
+    try {
+      const stop = limit === null ? -1 : offset + limit - 1;
+      const [members, total] = await Promise.all([
+        redis.zrevrange(key, offset, stop),
+        redis.zcard(key),
+      ]);
+      return { items: members.map(member => JSON.parse(member)), total };
+    } catch (err) {
+      console.warn('[Indexer] Redis read failed, using memory:', err.message);
+    }
+  }
+
+  const list = memoryZsets.get(key) || [];
+  const items = list
+    .slice()
+    .reverse()
+    .slice(offset, limit === null ? undefined : offset + limit)
+    .map(entry => JSON.parse(entry.member));
+  return { items, total: list.length };
+}
+
+async function setMembers(key) {
+  if (useRedis()) {
+    try {
+      return await redis.smembers(key);
+    } catch (err) {
+      console.warn('[Indexer] Redis read failed, using memory:', err.message);
+    }
+  }
+  return [...(memorySets.get(key) || [])];
+}
+
+async function setSize(key) {
+  if (useRedis()) {
+    try {
+      return await redis.scard(key);
+    } catch (err) {
+      console.warn('[Indexer] Redis read failed, using memory:', err.message);
+    }
+  }
+  return memorySets.get(key)?.size || 0;
+}
+
+// =============================================================================
+// Log Parsing
+// =============================================================================
+
+/**
+ * Convert a raw log into a stored event
+ * @param {Object} log - ethers Log
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @param {number} timestamp - Block timestamp (seconds)
+ * @returns {Object|null}
+ */
+function formatEvent(log, project, timestamp) {
+  const parsed = eventsInterface.parseLog(log);
+  if (!parsed) return null;
+
+  const amount = (value) => Number(ethers.formatUnits(value, project.decimals));
+  const base = {
+    id: `${log.transactionHash}:${log.index}`,
+    type: parsed.name,
+    project: project.name,
+    tokenAddress: project.tokenAddress.toLowerCase(),
+    claimAddress: project.claimAddress.toLowerCase(),
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    timestamp,
+  };
+
+  switch (parsed.name) {
+    case 'Claimed':
+      return {
+        ...base,
+        user: parsed.args.user,
+        seasonId: Number(parsed.args.seasonId),
+        amount: amount(parsed.args.amount),
+        amountRaw: parsed.args.amount.toString(),
+        isEarlyClaim: parsed.args.isEarlyClaim,
+        earlyVestAmount: amount(parsed.args.earlyVestAmount),
+        earlyVestAmountRaw: parsed.args.earlyVestAmount.toString(),
+        userClaimedInSeason: amount(parsed.args.userClaimedInSeason),
+        totalClaimedInSeason: amount(parsed.args.totalClaimedInSeason),
+        totalLoyaltyAmount: amount(parsed.args.totalLoyaltyAmount),
+        totalLoyaltyIneligibleAmount: amount(parsed.args.totalLoyaltyIneligibleAmount),
+      };
+    case 'Deposited':
+      return {
+        ...base,
+        sender: parsed.args.sender,
+        amount: amount(parsed.args.amount),
+        amountRaw: parsed.args.amount.toString(),
+        totalDeposit: amount(parsed.args.totalDeposit),
+      };
+    case 'Withdrawn':
+      return {
+        ...base,
+        recipient: parsed.args.recipient,
+        amount: amount(parsed.args.amount),
+        amountRaw: parsed.args.amount.toString(),
+        totalWithdrawn: amount(parsed.args.totalWithdrawn),
+      };
+    default:
+      return null;
+  }
+}
+
+// =============================================================================
+// Indexer Loop
+// =============================================================================
+
+/**
+ * Index the next block range of one project
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Promise<boolean>} True when the project is caught up with head
+ */
+async function indexProjectChunk(project) {
+  const claimAddress = project.claimAddress.toLowerCase();
+  const startBlock = Number(process.env.INDEXER_START_BLOCK) || INDEXER_CONFIG.startBlock;
+  const cursor = (await getCursor(claimAddress)) ?? startBlock - 1;
+  const status = indexerStatus.get(claimAddress) || {};
+
+  const result = await fetchWithRetry(async (rpcUrl) => {
+    const provider = getProvider(rpcUrl);
+    const headBlock = await provider.getBlockNumber();
+    const targetBlock = headBlock - INDEXER_CONFIG.confirmations;
+
+    if (cursor >= targetBlock) {
+      return { headBlock, toBlock: cursor, events: [], caughtUp: true };
+    }
+
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(cursor + INDEXER_CONFIG.blockRange, targetBlock);
+
+    // One getLogs call for all three event types
+    const logs = await provider.getLogs({
+      address: project.claimAddress,
+      fromBlock,
+      toBlock,
+      topics: [EVENT_TOPICS],
+    });
+
+    // Block timestamps (fired together → single JSON-RPC batch)
+    const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map(n => provider.getBlock(n)));
+    const timestamps = new Map(blocks.map(block => [block.number, block.timestamp]));
+
+    const events = logs
+      .map(log => formatEvent(log, project, timestamps.get(log.blockNumber)))
+      .filter(Boolean);
+
+    return { headBlock, toBlock, events, caughtUp: toBlock >= targetBlock };
+  });
+
+  if (result.events.length > 0 || result.toBlock !== cursor) {
+    await storeEvents(claimAddress, result.events, result.toBlock);
+  }
+
+  if (result.events.length > 0) {
+    console.log(`[Indexer] ${project.name}: +${result.events.length} events (blocks ${cursor + 1}-${result.toBlock})`);
+  }
+
+  indexerStatus.set(claimAddress, {
+    ...status,
+    project: project.name,
+    lastIndexedBlock: result.toBlock,
+    headBlock: result.headBlock,
+    caughtUp: result.caughtUp,
+    lastRunAt: new Date().toISOString(),
+    lastError: null,
+  });
+
+  return result.caughtUp;
+}
+
+/**
+ * One round over every project (one chunk each), then reschedule
+ */
+async function runIndexerRound() {
+  let allCaughtUp = true;
+
+  for (const project of Object.values(PROJECTS_MAP)) {
+    if (!indexerRunning) return;
+    const claimAddress = project.claimAddress.toLowerCase();
+
+    try {
+      const caughtUp = await indexProjectChunk(project);
+      allCaughtUp = allCaughtUp && caughtUp;
+    } catch (err) {
+      console.error(`[Indexer] ✗ ${project.name} failed: ${err.message}`);
+      indexerStatus.set(claimAddress, {
+        ...(indexerStatus.get(claimAddress) || { project: project.name }),
+        lastError: err.message,
+        lastRunAt: new Date().toISOString(),
+      });
+      allCaughtUp = false;
+    }
+  }
+
+  if (!indexerRunning) return;
+
+  // Backfilling → next chunk right away, caught up → poll
+  const hasErrors = [...indexerStatus.values()].some(status => status.lastError);
+  const delay = allCaughtUp
+    ? INDEXER_CONFIG.pollIntervalMs
+    : (hasErrors ? INDEXER_CONFIG.retryDelayMs : 0);
+
+  indexerTimer = setTimeout(runIndexerRound, delay);
+}
+
+/**
+ * Start the indexer (no-op unless ENABLE_EVENT_INDEXER=true)
+ */
+export function startEventIndexer() {
+  if (process.env.ENABLE_EVENT_INDEXER !== 'true') {
+    console.log('[Indexer] DISABLED (ENABLE_EVENT_INDEXER=false)');
+    return;
+  }
+  if (indexerRunning) return;
+
+  indexerRunning = true;
+  console.log(`[Indexer] Starting for ${Object.keys(PROJECTS_MAP).length} claim contracts`);
+  indexerTimer = setTimeout(runIndexerRound, 0);
+}
+
+/**
+ * Stop the indexer (graceful shutdown)
+ */
+export function stopEventIndexer() {
+  indexerRunning = false;
+  if (indexerTimer) {
+    clearTimeout(indexerTimer);
+    indexerTimer = null;
+  }
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * Indexer status (per project)
+ * @returns {{enabled: boolean, running: boolean, projects: Object[]}}
+ */
+export function getIndexerStatus() {
+  return {
+    enabled: process.env.ENABLE_EVENT_INDEXER === 'true',
+    running: indexerRunning,
+    projects: [...indexerStatus.values()],
+  };
+}
+
+/**
+ * Claim statistics per season (from indexed Claimed events)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Promise<Object>} { [seasonId]: { claims, earlyClaims, uniqueClaimers, earlyClaimers, earlyClaimRate } }
+ */
+export async function getProjectClaimStats(project) {
+  const claimAddress = project.claimAddress.toLowerCase();
+  const seasonIds = await setMembers(`${PREFIX}seasons:${claimAddress}`);
+
+  const entries = await Promise.all(seasonIds.map(async (seasonId) => {
+    const [claims, earlyClaims, uniqueClaimers, earlyClaimers] = await Promise.all([
+      setSize(`${PREFIX}claims:${claimAddress}:${seasonId}`),
+      setSize(`${PREFIX}earlyClaims:${claimAddress}:${seasonId}`),
+      setSize(`${PREFIX}claimers:${claimAddress}:${seasonId}`),
+      setSize(`${PREFIX}earlyClaimers:${claimAddress}:${seasonId}`),
+    ]);
+
+    return [seasonId, {
+      claims,
+      earlyClaims,
+      uniqueClaimers,
+      earlyClaimers,
+      // Share of claimers who took the early-vest path
+      earlyClaimRate: uniqueClaimers > 0 ? earlyClaimers / uniqueClaimers : 0,
+    }];
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Indexed events of one project (newest first)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @param {Object} options - { type, offset, limit }
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+export async function getProjectEvents(project, { type = 'Claimed', offset = 0, limit = INDEXER_CONFIG.defaultLimit } = {}) {
+  const claimAddress = project.claimAddress.toLowerCase();
+  const { items, total } = await readZsetDesc(`${PREFIX}events:${claimAddress}:${type}`, offset, limit);
+  return { events: items, total };
+}
+
+/**
+ * Indexed Claimed events of one wallet across projects (newest first)
+ * @param {string} userAddress - Wallet address
+ * @param {Object} options - { tokenAddress } to restrict to one project
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+export async function getWalletEvents(userAddress, { tokenAddress } = {}) {
+  const { items } = await readZsetDesc(`${PREFIX}wallet:${userAddress.toLowerCase()}`, 0);
+  const events = tokenAddress
+    ? items.filter(event => event.tokenAddress === tokenAddress.toLowerCase())
+    : items;
+  return { events, total: events.length };
+}
@@ -0,0 +1,377 @@
+/**
+ * Factory Event Watcher Service
+ *
+ * Tails BUILDFactory events that change project data (season config, unlock start,
+ * pause/unpause, refunds, deposits, withdrawals) and:
+ *   1. Invalidates the matching blockchain.js cache keys right away, so the 24h
+ *      projectConfig cache never keeps serving values the factory already replaced
+ *   2. Records a per-project changelog for the frontend timeline
+ *
+ * =============================================================================
+ * FLOW
+ * =============================================================================
+ *
+ *   cursor (last watched block, persisted)
+ *     → eth_getLogs(factory, cursor+1 .. min(cursor+blockRange, head-confirmations))
+ *     → parse + attach block timestamps
+ *     → store changelog entries
+ *     → invalidate caches (once per project per chunk, merged scopes)
+ *     → advance cursor
+ *
+ * =============================================================================
+ * STORAGE (Redis, in-memory fallback with the same layout)
+ * =============================================================================
+ *
+ *   app:factory:cursor                  last watched block
+ *   app:factory:changelog:<token>       ZSET (score = block * 1e4 + logIndex)
+ *
+ * =============================================================================
+ */
+
+import { ethers } from 'ethers';
+import { BUILD_FACTORY_ADDRESS, BUILD_FACTORY_EVENTS_ABI, PROJECTS_MAP } from '../../../config/shared/contracts.js';
+import { FACTORY_WATCHER_CONFIG } from '../../../config/backend/indexer.js';
+import { fetchWithRetry, invalidateProjectCache } from './blockchain.js';
+import { getProvider } from './rpcPool.js';
+import { getRedisClient, isRedisAvailable } from '../utils/redis.js'; // Shared Redis client
+
+const PREFIX = FACTORY_WATCHER_CONFIG.keyPrefix;
+const CURSOR_KEY = `${PREFIX}cursor`;
+const eventsInterface = new ethers.Interface(BUILD_FACTORY_EVENTS_ABI);
+const EVENT_TOPICS = BUILD_FACTORY_EVENTS_ABI.map(
+  signature => eventsInterface.getEvent(signature.match(/^event (\w+)/)[1]).topicHash
+);
+
+// Which caches each event makes stale (project config is always invalidated)
+const EVENT_SCOPES = {
+  ProjectSeasonConfigUpdated: { userClaims: true },
+  SeasonUnlockStartTimeUpdated: { userClaims: true },
+  ProjectSeasonRefundStarted: { globalState: true, userClaims: true },
+};
+
+// Event args holding token amounts (formatted with project decimals)
+const TOKEN_AMOUNT_ARGS = new Set([
+  'amount',
+  'tokenAmount',
+  'totalDeposited',
+  'totalWithdrawn',
+  'totalRefunded',
+  'totalAllocatedToAllSeasons',
+  'totalAllocatedToAllSeasonsPrev',
+  'refundableAmount',
+]);
+
+// Use shared Redis client
+const redis = getRedisClient();
+
+// In-memory fallback
+const memoryChangelogs = new Map(); // key → [{ score, member }] (sorted ascending)
+let memoryCursor = null;
+
+// Watcher runtime state
+const watcherStatus = {
+  lastWatchedBlock: null,
+  headBlock: null,
+  caughtUp: false,
+  lastRunAt: null,
+  lastError: null,
+  invalidations: 0,
+};
+let watcherTimer = null;
+let watcherRunning = false;
+
+// =============================================================================
+// Storage Helpers
+// =============================================================================
+
+function useRedis() {
+  return isRedisAvailable() && redis;
+}
+
+function entryScore(entry) {
+  return entry.blockNumber * 1e4 + entry.logIndex;
+}
+
+async function getCursor() {
+  if (useRedis()) {
+    try {
+      const value = await redis.get(CURSOR_KEY);
+      return value !== null ? Number(value) : null;
+    } catch (err) {
+      console.warn('[FactoryWatcher] Cursor get failed:', err.message);
+    }
+  }
+  return memoryCursor;
+}
+
+/**
+ * Store changelog entries, then advance the cursor
+ * Cursor is written last so a crash mid-write re-watches the same range
+ * @param {Object[]} entries - Changelog entries (one per affected project)
+ * @param {number} toBlock - New cursor
+ */
+async function storeEntries(entries, toBlock) {
+  if (useRedis()) {
+    try {
+      const pipeline = redis.multi();
+      for (const entry of entries) {
+        pipeline.zadd(`${PREFIX}changelog:${entry.tokenAddress}`, entryScore(entry), JSON.stringify(entry));
+      }
+      pipeline.set(CURSOR_KEY, toBlock);
+      await pipeline.exec();
+      return;
+    } catch (err) {
+      console.warn('[FactoryWatcher] Redis write failed, using memory:', err.message);
+    }
+  }
+
+  for (const entry of entries) {
+    const key = `${PREFIX}changelog:${entry.tokenAddress}`;
+    const member = JSON.stringify(entry);
+    const list = memoryChangelogs.get(key) || [];
+    if (!list.some(item => item.member === member)) {
+      list.push({ score: entryScore(entry), member });
+      list.sort((a, b) => a.score - b.score);
+      memoryChangelogs.set(key, list);
+    }
+  }
+  memoryCursor = toBlock;
+}
+
+// =============================================================================
+// Log Parsing
+// =============================================================================
+
+/**
+ * Flatten event args into plain JSON (token amounts formatted, tuples spread)
+ * `token` and `seasonId` are kept out - they're top-level entry fields
+ * @param {Object[]} inputs - ABI fragment inputs
+ * @param {Array} values - Decoded values
+ * @param {number} decimals - Project token decimals
+ * @returns {Object}
+ */
+function formatArgs(inputs, values, decimals) {
+  const details = {};
+
+  inputs.forEach((input, index) => {
+    const value = values[index];
+    if (input.name === 'token' || input.name === 'seasonId') return;
+
+    if (input.baseType === 'tuple') {
+      Object.assign(details, formatArgs(input.components, value, decimals));
+    } else if (typeof value === 'bigint') {
+      details[input.name] = TOKEN_AMOUNT_ARGS.has(input.name)
+        ? Number(ethers.formatUnits(value, decimals))
+        : Number(value);
+    } else {
+      details[input.name] = value;
+    }
+  });
+
+  return details;
+}
+
+/**
+ * Convert a raw factory log into changelog entries (one per affected project)
+ * SeasonUnlockStartTimeUpdated has no token → applies to every project running the season
+ * @param {Object} log - ethers Log
+ * @param {number} timestamp - Block timestamp (seconds)
+ * @returns {Object[]}
+ */
+function toChangelogEntries(log, timestamp) {
+  const parsed = eventsInterface.parseLog(log);
+  if (!parsed) return [];
+
+  const seasonId = parsed.args.seasonId !== undefined ? Number(parsed.args.seasonId) : null;
+  const projects = parsed.args.token
+    ? [PROJECTS_MAP[parsed.args.token.toLowerCase()]].filter(Boolean)
+    : Object.values(PROJECTS_MAP).filter(project => project.seasonIds.includes(seasonId));
+
+  return projects.map(project => ({
+    id: `${log.transactionHash}:${log.index}`,
+    type: parsed.name,
+    project: project.name,
+    tokenAddress: project.tokenAddress.toLowerCase(),
+    seasonId,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    timestamp,
+    details: formatArgs(parsed.fragment.inputs, parsed.args, project.decimals),
+  }));
+}
+
+// =============================================================================
+// Watcher Loop
+// =============================================================================
+
+/**
+ * Invalidate caches for every project touched in a chunk (merged scopes)
+ * @param {Object[]} entries - Changelog entries of the chunk
+ */
+async function invalidateChanged(entries) {
+  const scopesByToken = new Map();
+
+  for (const entry of entries) {
+    const scopes = scopesByToken.get(entry.tokenAddress) || { config: true, globalState: false, userClaims: false };
+    const extra = EVENT_SCOPES[entry.type] || {};
+    scopes.globalState = scopes.globalState || Boolean(extra.globalState);
+    scopes.userClaims = scopes.userClaims || Boolean(extra.userClaims);
+    scopesByToken.set(entry.tokenAddress, scopes);
+  }
+
+  for (const [tokenAddress, scopes] of scopesByToken) {
+    await invalidateProjectCache(tokenAddress, scopes);
+    watcherStatus.invalidations++;
+  }
+}
+
+/**
+ * Watch the next block range of the factory
+ * @returns {Promise<boolean>} True when caught up with head
+ */
+async function watchChunk() {
+  const startBlock = Number(process.env.FACTORY_WATCHER_START_BLOCK) || FACTORY_WATCHER_CONFIG.startBlock;
+  const cursor = (await getCursor()) ?? startBlock - 1;
+
+  const result = await fetchWithRetry(async (rpcUrl) => {
+    const provider = getProvider(rpcUrl);
+    const headBlock = await provider.getBlockNumber();
+    const targetBlock = headBlock - FACTORY_WATCHER_CONFIG.confirmations;
+
+    if (cursor >= targetBlock) {
+      return { headBlock, toBlock: cursor, entries: [], caughtUp: true };
+    }
+
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(cursor + FACTORY_WATCHER_CONFIG.blockRange, targetBlock);
+
+    // One getLogs call for every watched event type
+    const logs = await provider.getLogs({
+      address: BUILD_FACTORY_ADDRESS,
+      fromBlock,
+      toBlock,
+      topics: [EVENT_TOPICS],
+    });
+
+    // Block timestamps (fired together → single JSON-RPC batch)
+    const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map(n => provider.getBlock(n)));
+    const timestamps = new Map(blocks.map(block => [block.number, block.timestamp]));
+
+    const entries = logs.flatMap(log => toChangelogEntries(log, timestamps.get(log.blockNumber)));
+
+    return { headBlock, toBlock, entries, caughtUp: toBlock >= targetBlock };
+  });
+
+  if (result.entries.length > 0 || result.toBlock !== cursor) {
+    await storeEntries(result.entries, result.toBlock);
+  }
+
+  if (result.entries.length > 0) {
+    console.log(`[FactoryWatcher] +${result.entries.length} changelog entries (blocks ${cursor + 1}-${result.toBlock})`);
+    await invalidateChanged(result.entries);
+  }
+
+  Object.assign(watcherStatus, {
+    lastWatchedBlock: result.toBlock,
+    headBlock: result.headBlock,
+    caughtUp: result.caughtUp,
+    lastRunAt: new Date().toISOString(),
+    lastError: null,
+  });
+
+  return result.caughtUp;
+}
+
+/**
+ * One chunk, then reschedule (right away while backfilling, poll once caught up)
+ */
+async function runWatcher() {
+  let delay = FACTORY_WATCHER_CONFIG.pollIntervalMs;
+
+  try {
+    const caughtUp = await watchChunk();
+    if (!caughtUp) delay = 0;
+  } catch (err) {
+    console.error(`[FactoryWatcher] ✗ Failed: ${err.message}`);
+    watcherStatus.lastError = err.message;
+    watcherStatus.lastRunAt = new Date().toISOString();
+    delay = FACTORY_WATCHER_CONFIG.retryDelayMs;
+  }
+
+  if (!watcherRunning) return;
+  watcherTimer = setTimeout(runWatcher, delay);
+}
+
+/**
+ * Start the watcher (no-op unless ENABLE_FACTORY_WATCHER=true)
+ */
+export function startFactoryWatcher() {
+  if (process.env.ENABLE_FACTORY_WATCHER !== 'true') {
+    console.log('[FactoryWatcher] DISABLED (ENABLE_FACTORY_WATCHER=false)');
+    return;
+  }
+  if (watcherRunning) return;
+
+  watcherRunning = true;
+  console.log(`[FactoryWatcher] Starting for factory ${BUILD_FACTORY_ADDRESS}`);
+  watcherTimer = setTimeout(runWatcher, 0);
+}
+
+/**
+ * Stop the watcher (graceful shutdown)
+ */
+export function stopFactoryWatcher() {
+  watcherRunning = false;
+  if (watcherTimer) {
+    clearTimeout(watcherTimer);
+    watcherTimer = null;
+  }
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * Watcher status
+ * @returns {Object} { enabled, running, lastWatchedBlock, headBlock, caughtUp, lastRunAt, lastError, invalidations }
+ */
+export function getFactoryWatcherStatus() {
+  return {
+    enabled: process.env.ENABLE_FACTORY_WATCHER === 'true',
+    running: watcherRunning,
+    ...watcherStatus,
+  };
+}
+
+/**
+ * Changelog of one project (newest first)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @param {Object} options - { offset, limit }
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+export async function getProjectChangelog(project, { offset = 0, limit = FACTORY_WATCHER_CONFIG.defaultLimit } = {}) {
+  const key = `${PREFIX}changelog:${project.tokenAddress.toLowerCase()}`;
+
+  if (useRedis()) {
+    try {
+      const [members, total] = await Promise.all([
+        redis.zrevrange(key, offset, offset + limit - 1),
+        redis.zcard(key),
+      ]);
+      return { events: members.map(member => JSON.parse(member)), total };
+    } catch (err) {
+      console.warn('[FactoryWatcher] Redis read failed, using memory:', err.message);
+    }
+  }
+
+  const list = memoryChangelogs.get(key) || [];
+  const events = list
+    .slice()
+    .reverse()
+    .slice(offset, offset + limit)
+    .map(entry => JSON.parse(entry.member));
+  return { events, total: list.length };
+}
@@ -0,0 +1,266 @@
+/**
+ * Global State Snapshotter Service
+ *
+ * fetchGlobalState only knows the current totalLoyalty / totalLoyaltyIneligible /
+ * totalClaimed, and the previous value is gone once the cache expires. This
+ * service records them for every project/season on a fixed interval, so the
+ * frontend can show how fast the loyalty pool grows.
+ *
+ * =============================================================================
+ * FLOW
+ * =============================================================================
+ *
+ *   every intervalMs:
+ *     → one block (head - confirmations) for the whole run
+ *     → fetchGlobalState(project, all seasons, block) per project
+ *     → append one snapshot per season, drop snapshots past retention
+ *
+ * =============================================================================
+ * STORAGE (Redis, in-memory fallback with the same layout)
+ * =============================================================================
+ *
+ *   app:snapshots:<token>:<seasonId>    ZSET (score = unix seconds)
+ *
+ * =============================================================================
+ */
+
+import { PROJECTS_MAP } from '../../../config/shared/contracts.js';
+import { SNAPSHOT_CONFIG } from '../../../config/backend/indexer.js';
+import { fetchGlobalState, fetchWithRetry } from './blockchain.js';
+import { getProvider } from './rpcPool.js';
+import { getRedisClient, isRedisAvailable } from '../utils/redis.js'; // Shared Redis client
+
+const PREFIX = SNAPSHOT_CONFIG.keyPrefix;
+
+// Use shared Redis client
+const redis = getRedisClient();
+
+// In-memory fallback
+const memorySeries = new Map(); // key → [{ score, member }] (sorted ascending)
+
+// Snapshotter runtime state
+const snapshotterStatus = {
+  lastBlock: null,
+  lastRunAt: null,
+  lastError: null,
+  snapshots: 0,
+};
+let snapshotterTimer = null;
+let snapshotterRunning = false;
+
+// =============================================================================
+// Storage Helpers
+// =============================================================================
+
+function useRedis() {
+  return isRedisAvailable() && redis;
+}
+
+function seriesKey(tokenAddress, seasonId) {
+  return `${PREFIX}${tokenAddress.toLowerCase()}:${seasonId}`;
+}
+
+/**
+ * Append snapshots and trim everything past retention
+ * @param {Object[]} snapshots - { tokenAddress, seasonId, timestamp, ... }
+ */
+async function storeSnapshots(snapshots) {
+  const cutoff = Math.floor((Date.now() - SNAPSHOT_CONFIG.retentionMs) / 1000);
+
+  if (useRedis()) {
+    try {
+      const pipeline = redis.multi();
+      for (const { tokenAddress, seasonId, ...snapshot } of snapshots) {
+        const key = seriesKey(tokenAddress, seasonId);
+        pipeline.zadd(key, snapshot.timestamp, JSON.stringify(snapshot));
+        pipeline.zremrangebyscore(key, '-inf', `(${cutoff}`);
+      }
+      await pipeline.exec();
+      return;
+    } catch (err) {
+      console.warn('[Snapshotter] Redis write failed, using memory:', err.message);
+    }
+  }
+
+  for (const { tokenAddress, seasonId, ...snapshot } of snapshots) {
+    const key = seriesKey(tokenAddress, seasonId);
+    const list = (memorySeries.get(key) || []).filter(item => item.score >= cutoff);
+    list.push({ score: snapshot.timestamp, member: JSON.stringify(snapshot) });
+    list.sort((a, b) => a.score - b.score);
+    memorySeries.set(key, list);
+  }
+}
+
+/**
+ * Read raw snapshots of one season between two timestamps (ascending)
+ * @param {string} tokenAddress - Project token address
+ * @param {number} seasonId - Season ID
+ * @param {number|null} from - Unix seconds (null = oldest kept)
+ * @param {number} to - Unix seconds
+ * @returns {Promise<Object[]>}
+ */
+async function readSnapshots(tokenAddress, seasonId, from, to) {
+  const key = seriesKey(tokenAddress, seasonId);
+
+  if (useRedis()) {
+    try {
+      const members = await redis.zrangebyscore(key, from ?? '-inf', to);
+      return members.map(member => JSON.parse(member));
+    } catch (err) {
+      console.warn('[Snapshotter] Redis read failed, using memory:', err.message);
+    }
+  }
+
+  return (memorySeries.get(key) || [])
+    .filter(item => (from === null || item.score >= from) && item.score <= to)
+    .map(item => JSON.parse(item.member));
+}
+
+// =============================================================================
+// Snapshot Loop
+// =============================================================================
+
+/**
+ * Snapshot every project/season at one block
+ */
+async function takeSnapshots() {
+  const headBlock = await fetchWithRetry(async (rpcUrl) => getProvider(rpcUrl).getBlockNumber());
+  const blockNumber = headBlock - SNAPSHOT_CONFIG.confirmations;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const snapshots = [];
+
+  for (const project of Object.values(PROJECTS_MAP)) {
+    try {
+      // Pinned block → cache key ":b<number>", never served for 'latest'
+      const result = await fetchGlobalState(project.tokenAddress, project.seasonIds, blockNumber);
+
+      for (const seasonId of result.data.seasonIds) {
+        const state = result.data.seasons[seasonId].get_global_state;
+        snapshots.push({
+          tokenAddress: project.tokenAddress,
+          seasonId,
+          timestamp,
+          blockNumber,
+          totalLoyalty: state.totalLoyalty,
+          totalLoyaltyIneligible: state.totalLoyaltyIneligible,
+          totalClaimed: state.totalClaimed,
+        });
+      }
+    } catch (err) {
+      // One broken project (e.g. season not configured yet) must not stop the rest
+      console.warn(`[Snapshotter] ${project.name} skipped: ${err.message}`);
+    }
+  }
+
+  await storeSnapshots(snapshots);
+  console.log(`[Snapshotter] +${snapshots.length} snapshots at block ${blockNumber}`);
+
+  Object.assign(snapshotterStatus, {
+    lastBlock: blockNumber,
+    lastRunAt: new Date().toISOString(),
+    lastError: null,
+    snapshots: snapshotterStatus.snapshots + snapshots.length,
+  });
+}
+
+/**
+ * One run, then reschedule
+ */
+async function runSnapshotter() {
+  let delay = SNAPSHOT_CONFIG.intervalMs;
+
+  try {
+    await takeSnapshots();
+  } catch (err) {
+    console.error(`[Snapshotter] ✗ Failed: ${err.message}`);
+    snapshotterStatus.lastError = err.message;
+    snapshotterStatus.lastRunAt = new Date().toISOString();
+    delay = SNAPSHOT_CONFIG.retryDelayMs;
+  }
+
+  if (!snapshotterRunning) return;
+  snapshotterTimer = setTimeout(runSnapshotter, delay);
+}
+
+/**
+ * Start the snapshotter (no-op unless ENABLE_GLOBAL_STATE_SNAPSHOTS=true)
+ */
+export function startSnapshotter() {
+  if (process.env.ENABLE_GLOBAL_STATE_SNAPSHOTS !== 'true') {
+    console.log('[Snapshotter] DISABLED (ENABLE_GLOBAL_STATE_SNAPSHOTS=false)');
+    return;
+  }
+  if (snapshotterRunning) return;
+
+  snapshotterRunning = true;
+  console.log(`[Snapshotter] Starting (every ${SNAPSHOT_CONFIG.intervalMs / 1000}s)`);
+  snapshotterTimer = setTimeout(runSnapshotter, 0);
+}
+
+/**
+ * Stop the snapshotter (graceful shutdown)
+ */
+export function stopSnapshotter() {
+  snapshotterRunning = false;
+  if (snapshotterTimer) {
+    clearTimeout(snapshotterTimer);
+    snapshotterTimer = null;
+  }
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * Snapshotter status
+ * @returns {Object} { enabled, running, lastBlock, lastRunAt, lastError, snapshots }
+ */
+export function getSnapshotterStatus() {
+  return {
+    enabled: process.env.ENABLE_GLOBAL_STATE_SNAPSHOTS === 'true',
+    running: snapshotterRunning,
+    ...snapshotterStatus,
+  };
+}
+
+/**
+ * Keep the last snapshot of each bucket (values are cumulative → last one is the bucket's state)
+ * @param {Object[]} snapshots - Ascending by timestamp
+ * @param {number} resolution - Bucket size in seconds (0 = keep all)
+ * @returns {Object[]}
+ */
+function downsample(snapshots, resolution) {
+  if (!resolution) return snapshots;
+
+  const buckets = new Map();
+  for (const snapshot of snapshots) {
+    buckets.set(Math.floor(snapshot.timestamp / resolution), snapshot);
+  }
+  return [...buckets.values()];
+}
+
+/**
+ * Global state history of one project (per season, ascending)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @param {number[]} seasonIds - Seasons to return
+ * @param {Object} options - { range, resolution } (keys of SNAPSHOT_CONFIG.ranges / resolutions)
+ * @returns {Promise<{from: number|null, to: number, seasons: Object}>}
+ */
+export async function getGlobalStateHistory(project, seasonIds, {
+  range = SNAPSHOT_CONFIG.defaultRange,
+  resolution = SNAPSHOT_CONFIG.defaultResolution,
+} = {}) {
+  const to = Math.floor(Date.now() / 1000);
+  const rangeSeconds = SNAPSHOT_CONFIG.ranges[range];
+  const from = rangeSeconds ? to - rangeSeconds : null;
+  const bucket = SNAPSHOT_CONFIG.resolutions[resolution];
+
+  const seasons = {};
+  for (const seasonId of seasonIds) {
+    const snapshots = await readSnapshots(project.tokenAddress, seasonId, from, to);
+    seasons[seasonId] = downsample(snapshots, bucket).slice(-SNAPSHOT_CONFIG.maxPoints);
+  }
+
+  return { from, to, seasons };
+}
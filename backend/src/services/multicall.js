@@ -0,0 +1,197 @@
+/**
+ * Multicall3 Batching Layer
+ *
+ * Every view call in blockchain.js goes through a batched contract instead of
+ * its own eth_call. Calls queued within MULTICALL_CONFIG.windowMs - across
+ * projects, fetchers and concurrent API requests - are sent as ONE Multicall3
+ * `aggregate3` eth_call, then each decoded result is routed back to its caller.
+ *
+ * =============================================================================
+ * FLOW
+ * =============================================================================
+ *
+ *   factory.getTokenAmounts(token)        ─┐
+ *   claim.getGlobalState([1])              ├→ queue (windowMs) → aggregate3([...])
+ *   claim.getCurrentClaimValues(user, ...) ─┘        │
+ *                                                    ▼
+ *                          executeWithFailover (rpcPool.js) → 1 eth_call
+ *                                                    │
+ *            resolve/reject each caller ←── decode per-call returnData
+ *
+ * Calls use allowFailure=true: one revert (e.g. unknown season) rejects only
+ * its own caller with a CALL_EXCEPTION, the rest of the batch still resolves.
+ *
+ * Block pinning: a trailing overrides object (`{ blockTag }`, like ethers) pins
+ * a call to a block. Queued calls are grouped by blockTag, so every aggregate3
+ * reads one block only.
+ *
+ * =============================================================================
+ */
+
+import { ethers } from 'ethers';
+import { MULTICALL_CONFIG } from '../../../config/backend/rpcPool.js';
+import { executeWithFailover, getProvider } from './rpcPool.js';
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// Pending calls: [{ target, callData, iface, fragment, blockTag, resolve, reject }]
+let pendingCalls = [];
+let flushTimer = null;
+
+// Batching stats (reported in /health)
+const stats = {
+  batches: 0,
+  calls: 0,
+  failedBatches: 0,
+  revertedCalls: 0,
+};
+
+// =============================================================================
+// Batch Execution
+// =============================================================================
+
+/**
+ * Build the error for a reverted call (shape matches ethers CALL_EXCEPTION)
+ */
+function revertError(call, returnData) {
+  let reason = '';
+  try {
+    const parsed = call.iface.parseError(returnData);
+    if (parsed) reason = `: ${parsed.name}(${parsed.args.join(', ')})`;
+  } catch (error) {
+    // Unknown error selector - keep the generic message
+  }
+
+  const error = new Error(`${call.fragment.name} reverted${reason}`);
+  error.code = 'CALL_EXCEPTION';
+  error.data = returnData;
+  return error;
+}
+
+/**
+ * Send one aggregate3 for a chunk of calls and route results back
+ * @param {Object[]} calls - Pending calls (≤ maxCallsPerBatch)
+ * @param {string|number} blockTag - Block every call of the chunk reads
+ */
+async function executeBatch(calls, blockTag) {
+  stats.batches++;
+  stats.calls += calls.length;
+
+  let results;
+  try {
+    results = await executeWithFailover(async (rpcUrl) => {
+      const data = multicallInterface.encodeFunctionData('aggregate3', [
+        calls.map(call => [call.target, true, call.callData]),
+      ]);
+      const raw = await getProvider(rpcUrl).call({ to: MULTICALL_CONFIG.address, data, blockTag });
+      return multicallInterface.decodeFunctionResult('aggregate3', raw)[0];
+    });
+  } catch (error) {
+    stats.failedBatches++;
+    calls.forEach(call => call.reject(error));
+    return;
+  }
+
+  calls.forEach((call, index) => {
+    const { success, returnData } = results[index];
+    if (!success) {
+      stats.revertedCalls++;
+      call.reject(revertError(call, returnData));
+      return;
+    }
+
+    try {
+      const decoded = call.iface.decodeFunctionResult(call.fragment, returnData);
+      // Unwrap single outputs like ethers.Contract does
+      call.resolve(decoded.length === 1 ? decoded[0] : decoded);
+    } catch (error) {
+      call.reject(error);
+    }
+  });
+}
+
+/**
+ * Send everything queued so far (grouped by blockTag, chunked by maxCallsPerBatch)
+ */
+function flush() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const byBlock = new Map(); // blockTag → calls
+  pendingCalls.forEach(call => {
+    if (!byBlock.has(call.blockTag)) byBlock.set(call.blockTag, []);
+    byBlock.get(call.blockTag).push(call);
+  });
+  pendingCalls = [];
+
+  byBlock.forEach((calls, blockTag) => {
+    for (let i = 0; i < calls.length; i += MULTICALL_CONFIG.maxCallsPerBatch) {
+      const chunk = calls.slice(i, i + MULTICALL_CONFIG.maxCallsPerBatch);
+      if (chunk.length > 1) {
+        console.log(`[Multicall] Batching ${chunk.length} calls into one aggregate3 (block ${blockTag})`);
+      }
+      executeBatch(chunk, blockTag);
+    }
+  });
+}
+
+function enqueue(call) {
+  return new Promise((resolve, reject) => {
+    pendingCalls.push({ ...call, resolve, reject });
+
+    if (pendingCalls.length >= MULTICALL_CONFIG.maxCallsPerBatch) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, MULTICALL_CONFIG.windowMs);
+    }
+  });
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Contract-like object whose view functions are batched through Multicall3
+ * Usage mirrors ethers.Contract: `await contract.getTokenAmounts(token)`
+ * Pin a call to a block with a trailing overrides object:
+ * `await contract.getTokenAmounts(token, { blockTag: 21000000 })`
+ * @param {string} address - Contract address
+ * @param {string[]} abi - Human-readable ABI (view functions)
+ * @returns {Object} { [functionName]: (...args) => Promise<Result|any> }
+ */
+export function batchedContract(address, abi) {
+  const iface = new ethers.Interface(abi);
+  const contract = {};
+
+  iface.forEachFunction(fragment => {
+    contract[fragment.name] = (...args) => {
+      const overrides = args.length === fragment.inputs.length + 1 ? args.pop() : {};
+      return enqueue({
+        target: address,
+        callData: iface.encodeFunctionData(fragment, args),
+        iface,
+        fragment,
+        blockTag: overrides?.blockTag ?? 'latest',
+      });
+    };
+  });
+
+  return contract;
+}
+
+/**
+ * Batching stats for /health
+ * @returns {{batches: number, calls: number, avgCallsPerBatch: number, failedBatches: number, revertedCalls: number}}
+ */
+export function getMulticallStats() {
+  return {
+    ...stats,
+    avgCallsPerBatch: stats.batches > 0 ? Number((stats.calls / stats.batches).toFixed(2)) : 0,
+  };
+}
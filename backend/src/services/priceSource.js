@@ -0,0 +1,133 @@
+/**
+ * Token Price Source Service
+ *
+ * USD price of a project token from a pluggable source. Every source is an
+ * object with `name` and `getUsdPrice(project) → number`; pick one with
+ * PRICE_SOURCE, or add one with registerPriceSource().
+ *
+ *   coingecko  /simple/token_price/ethereum?contract_addresses=<token>&vs_currencies=usd
+ *   defillama  /prices/current/ethereum:<token>
+ *   static     PRICE_STATIC_USD JSON by ticker (dev / no network)
+ *
+ * Base URLs can be pointed at a local stub with PRICE_SOURCE_URL. Prices go
+ * through the shared blockchain cache (Redis + in-memory fallback), so a
+ * source outage serves the last price as STALE instead of failing.
+ */
+
+import { PRICE_CONFIG } from '../../../config/backend/price.js';
+import { withCache } from './blockchain.js';
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * GET JSON with timeout
+ * @param {string} url - Request URL
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>}
+ */
+async function fetchJson(url, headers = {}) {
+  const res = await fetch(url, {
+    headers: { accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(PRICE_CONFIG.requestTimeoutMs),
+  });
+  if (!res.ok) {
+    throw new Error(`Price source responded ${res.status}`);
+  }
+  return res.json();
+}
+
+function baseUrl(name) {
+  return (process.env.PRICE_SOURCE_URL || PRICE_CONFIG.sources[name].baseUrl).replace(/\/$/, '');
+}
+
+const coingeckoSource = {
+  name: 'coingecko',
+  async getUsdPrice(project) {
+    const token = project.tokenAddress.toLowerCase();
+    const apiKey = process.env.PRICE_SOURCE_API_KEY;
+    const body = await fetchJson(
+      `${baseUrl('coingecko')}/simple/token_price/ethereum?contract_addresses=${token}&vs_currencies=usd`,
+      apiKey ? { 'x-cg-demo-api-key': apiKey } : {}
+    );
+    return body?.[token]?.usd;
+  },
+};
+
+const defillamaSource = {
+  name: 'defillama',
+  async getUsdPrice(project) {
+    const coin = `ethereum:${project.tokenAddress.toLowerCase()}`;
+    const body = await fetchJson(`${baseUrl('defillama')}/prices/current/${coin}`);
+    return body?.coins?.[coin]?.price;
+  },
+};
+
+const staticSource = {
+  name: 'static',
+  async getUsdPrice(project) {
+    const prices = JSON.parse(process.env.PRICE_STATIC_USD || '{}');
+    return prices[project.name];
+  },
+};
+
+const sources = new Map([coingeckoSource, defillamaSource, staticSource].map(source => [source.name, source]));
+
+/**
+ * Register (or replace) a price source
+ * @param {{name: string, getUsdPrice: Function}} source
+ */
+export function registerPriceSource(source) {
+  if (!source?.name || typeof source.getUsdPrice !== 'function') {
+    throw new Error('Price source needs a name and getUsdPrice(project)');
+  }
+  sources.set(source.name, source);
+}
+
+/**
+ * Source selected by PRICE_SOURCE
+ * @returns {{name: string, getUsdPrice: Function}}
+ */
+export function getPriceSource() {
+  const name = process.env.PRICE_SOURCE || PRICE_CONFIG.defaultSource;
+  const source = sources.get(name);
+  if (!source) {
+    throw new Error(`Unknown price source: ${name} (available: ${[...sources.keys()].join(', ')})`);
+  }
+  return source;
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * USD price of a project token (cached)
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @returns {Promise<{data: {tokenAddress: string, ticker: string, usd: number, source: string}, cacheStatus: string, timestamp: number, ttl: number}>}
+ */
+export async function fetchTokenPrice(project) {
+  const source = getPriceSource();
+  const cacheKey = `${PRICE_CONFIG.keyPrefix}${source.name}:${project.tokenAddress.toLowerCase()}`;
+
+  const result = await withCache(cacheKey, PRICE_CONFIG.ttl, PRICE_CONFIG.staleTtl, async () => {
+    const usd = Number(await source.getUsdPrice(project));
+    if (!Number.isFinite(usd) || usd <= 0) {
+      throw new Error(`Price not available for ${project.name} (${source.name})`);
+    }
+    return {
+      tokenAddress: project.tokenAddress.toLowerCase(),
+      ticker: project.name,
+      usd,
+      source: source.name,
+    };
+  });
+
+  return {
+    data: result.data,
+    cacheStatus: result.cacheStatus,
+    timestamp: result.timestamp,
+    ttl: PRICE_CONFIG.ttl
+  };
+}
@@ -0,0 +1,310 @@
+/**
+ * RPC Provider Pool
+ *
+ * Every blockchain read goes through this pool instead of picking a random
+ * Infura key. Endpoints can be any JSON-RPC URL (Infura, Alchemy, own node,
+ * local anvil) and are chosen by health score.
+ *
+ * =============================================================================
+ * HEALTH SCORING
+ * =============================================================================
+ *
+ *   latencyMs  EWMA of successful call latency
+ *   errorRate  EWMA of failures (1 = failed, 0 = ok)
+ *   score      latencyMs * (1 + errorPenalty * errorRate)   (lower = better)
+ *
+ *   Selection is weighted random by 1/score, so the fastest healthy endpoint
+ *   gets most traffic while the others keep receiving samples (and Infura keys
+ *   keep sharing the load).
+ *
+ * =============================================================================
+ * CIRCUIT BREAKER (per endpoint)
+ * =============================================================================
+ *
+ *   CLOSED    → failureThreshold consecutive failures → OPEN
+ *   OPEN      → skipped until cooldown ends            → HALF_OPEN
+ *   HALF_OPEN → one trial call: ok → CLOSED, fail → OPEN (cooldown doubled)
+ *
+ *   If every endpoint is OPEN, the one whose cooldown ends first is still
+ *   tried - failing fast with no attempt at all would turn a blip into an outage.
+ *
+ * =============================================================================
+ */
+
+import { ethers } from 'ethers';
+import { RPC_POOL_CONFIG } from '../../../config/backend/rpcPool.js';
+import { BLOCKCHAIN_CONSTANTS } from '../../../config/backend/constants.js';
+
+const { scoring, circuitBreaker } = RPC_POOL_CONFIG;
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+// Errors caused by the call itself (revert, bad args, undecodable result e.g. 0x from a
+// contract not yet deployed at blockTag) - the endpoint answered fine
+const NON_ENDPOINT_ERROR_CODES = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'BAD_DATA']);
+
+// Endpoint state (built lazily from env on first use)
+let endpoints = null;
+
+// One provider per URL (static network → no eth_chainId round trip per call)
+const providers = new Map();
+const MAINNET = ethers.Network.from('mainnet');
+
+// =============================================================================
+// Endpoint Registry
+// =============================================================================
+
+/**
+ * Short label safe to expose in logs and /health (API keys masked)
+ * @param {string} url - Endpoint URL
+ * @returns {string}
+ */
+function maskUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.replace(/[^/]{8,}/g, (segment) => `${segment.substring(0, 4)}…`);
+    return `${parsed.host}${path === '/' ? '' : path}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Load endpoint URLs from env (Infura keys + generic RPC URLs)
+ * @returns {string[]}
+ */
+function loadEndpointUrls() {
+  const infuraUrls = (process.env.INFURA_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => `${BLOCKCHAIN_CONSTANTS.INFURA_MAINNET_BASE_URL}${key}`);
+
+  const rpcUrls = (process.env.RPC_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return [...new Set([...rpcUrls, ...infuraUrls])];
+}
+
+function getEndpoints() {
+  if (endpoints) return endpoints;
+
+  const urls = loadEndpointUrls();
+  if (urls.length === 0) {
+    console.error('[RPC] INFURA_API_KEYS or RPC_URLS is required!');
+    throw new Error('Missing INFURA_API_KEYS / RPC_URLS environment variable');
+  }
+
+  endpoints = urls.map(url => ({
+    url,
+    label: maskUrl(url),
+    latencyMs: scoring.initialLatencyMs,
+    errorRate: 0,
+    requests: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    state: CIRCUIT_STATES.CLOSED,
+    openedUntil: 0,
+    cooldownMs: circuitBreaker.cooldownMs,
+    trialInFlight: false,
+    lastError: null,
+  }));
+
+  console.log(`[RPC] Pool initialized with ${endpoints.length} endpoints: ${endpoints.map(e => e.label).join(', ')}`);
+  return endpoints;
+}
+
+// =============================================================================
+// Scoring & Selection
+// =============================================================================
+
+function endpointScore(endpoint) {
+  return endpoint.latencyMs * (1 + scoring.errorPenalty * endpoint.errorRate);
+}
+
+/**
+ * Move OPEN endpoints whose cooldown ended to HALF_OPEN
+ */
+function refreshCircuit(endpoint, now = Date.now()) {
+  if (endpoint.state === CIRCUIT_STATES.OPEN && now >= endpoint.openedUntil) {
+    endpoint.state = CIRCUIT_STATES.HALF_OPEN;
+    console.log(`[RPC] ◐ HALF-OPEN ${endpoint.label} (trial call allowed)`);
+  }
+}
+
+/**
+ * Pick the next endpoint to try
+ * @param {Set<Object>} exclude - Endpoints already tried for this call
+ * @returns {Object} Endpoint
+ */
+function selectEndpoint(exclude) {
+  const all = getEndpoints();
+  const now = Date.now();
+  all.forEach(endpoint => refreshCircuit(endpoint, now));
+
+  // HALF_OPEN endpoints take a single trial call at a time
+  const candidates = all.filter(e => !exclude.has(e)
+    && e.state !== CIRCUIT_STATES.OPEN
+    && !(e.state === CIRCUIT_STATES.HALF_OPEN && e.trialInFlight));
+
+  if (candidates.length === 0) {
+    // Everything untried is OPEN → try the one recovering first
+    const fallback = all
+      .filter(e => !exclude.has(e))
+      .sort((a, b) => a.openedUntil - b.openedUntil)[0];
+    return fallback || null;
+  }
+
+  // Weighted random by 1/score
+  const weights = candidates.map(e => 1 / endpointScore(e));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let pick = Math.random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    pick -= weights[i];
+    if (pick <= 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+// =============================================================================
+// Outcome Recording
+// =============================================================================
+
+function recordSuccess(endpoint, latencyMs) {
+  endpoint.requests++;
+  endpoint.latencyMs = scoring.alpha * latencyMs + (1 - scoring.alpha) * endpoint.latencyMs;
+  endpoint.errorRate = (1 - scoring.alpha) * endpoint.errorRate;
+  endpoint.consecutiveFailures = 0;
+
+  if (endpoint.state !== CIRCUIT_STATES.CLOSED) {
+    console.log(`[RPC] ✓ CLOSED ${endpoint.label} (recovered)`);
+  }
+  endpoint.state = CIRCUIT_STATES.CLOSED;
+  endpoint.cooldownMs = circuitBreaker.cooldownMs;
+}
+
+function recordFailure(endpoint, error) {
+  endpoint.requests++;
+  endpoint.failures++;
+  endpoint.errorRate = scoring.alpha + (1 - scoring.alpha) * endpoint.errorRate;
+  endpoint.consecutiveFailures++;
+  // Error messages may echo the URL (API key) → mask before exposing in /health
+  endpoint.lastError = error.message.split(endpoint.url).join(endpoint.label).substring(0, 200);
+
+  const shouldOpen = endpoint.state === CIRCUIT_STATES.HALF_OPEN
+    || endpoint.consecutiveFailures >= circuitBreaker.failureThreshold;
+
+  if (shouldOpen) {
+    // Re-trip after a failed trial → longer cooldown
+    if (endpoint.state === CIRCUIT_STATES.HALF_OPEN) {
+      endpoint.cooldownMs = Math.min(endpoint.cooldownMs * 2, circuitBreaker.maxCooldownMs);
+    }
+    endpoint.state = CIRCUIT_STATES.OPEN;
+    endpoint.openedUntil = Date.now() + endpoint.cooldownMs;
+    console.warn(`[RPC] ✗ OPEN ${endpoint.label} for ${endpoint.cooldownMs / 1000}s (${endpoint.consecutiveFailures} consecutive failures)`);
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`RPC timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Run an RPC call against the pool with failover
+ * Tries up to maxAttempts distinct endpoints, best score first (weighted)
+ * Contract reverts / bad arguments are rethrown immediately (no failover, no penalty)
+ * @param {Function} fetchFn - async (rpcUrl) => result
+ * @returns {Promise<any>}
+ */
+export async function executeWithFailover(fetchFn) {
+  const tried = new Set();
+  const maxAttempts = Math.min(RPC_POOL_CONFIG.maxAttempts, getEndpoints().length);
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const endpoint = selectEndpoint(tried);
+    if (!endpoint) break;
+    tried.add(endpoint);
+
+    const isTrial = endpoint.state === CIRCUIT_STATES.HALF_OPEN;
+    if (isTrial) endpoint.trialInFlight = true;
+
+    const startedAt = Date.now();
+    try {
+      console.log(`[RPC] Attempt ${attempt} with ${endpoint.label}`);
+      const result = await withTimeout(fetchFn(endpoint.url), RPC_POOL_CONFIG.requestTimeoutMs);
+      recordSuccess(endpoint, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (NON_ENDPOINT_ERROR_CODES.has(error.code)) {
+        recordSuccess(endpoint, Date.now() - startedAt);
+        throw error;
+      }
+      console.warn(`[RPC] ✗ Attempt ${attempt} failed (${endpoint.label}): ${error.message}`);
+      recordFailure(endpoint, error);
+      lastError = error;
+    } finally {
+      if (isTrial) endpoint.trialInFlight = false;
+    }
+  }
+
+  throw lastError || new Error('No RPC endpoint available');
+}
+
+/**
+ * Shared provider for an endpoint URL
+ * @param {string} url - Endpoint URL (as passed to fetchFn)
+ * @returns {ethers.JsonRpcProvider}
+ */
+export function getProvider(url) {
+  if (!providers.has(url)) {
+    providers.set(url, new ethers.JsonRpcProvider(url, MAINNET, { staticNetwork: MAINNET }));
+  }
+  return providers.get(url);
+}
+
+/**
+ * Pool status for /health (URLs masked)
+ * @returns {{endpoints: number, healthy: number, pool: Object[]}}
+ */
+export function getRpcPoolStatus() {
+  let all;
+  try {
+    all = getEndpoints();
+  } catch (error) {
+    return { endpoints: 0, healthy: 0, error: error.message, pool: [] };
+  }
+
+  const now = Date.now();
+  all.forEach(endpoint => refreshCircuit(endpoint, now));
+
+  return {
+    endpoints: all.length,
+    healthy: all.filter(e => e.state === CIRCUIT_STATES.CLOSED).length,
+    pool: all.map(e => ({
+      label: e.label,
+      state: e.state,
+      score: Math.round(endpointScore(e)),
+      latencyMs: Math.round(e.latencyMs),
+      errorRate: Number(e.errorRate.toFixed(3)),
+      requests: e.requests,
+      failures: e.failures,
+      retryInSec: e.state === CIRCUIT_STATES.OPEN ? Math.ceil((e.openedUntil - now) / 1000) : 0,
+      lastError: e.lastError,
+    })),
+  };
+}
@@ -1,4 +1,5 @@
 import { PROJECTS_MAP } from '../../../config/shared/contracts.js';
+import { API_DEFAULTS } from '../../../config/backend/constants.js';
 
 export function validateProjectAndGet(tokenAddress) {
   const project = PROJECTS_MAP[tokenAddress.toLowerCase()];
@@ -7,3 +8,79 @@ export function validateProjectAndGet(tokenAddress) {
   }
   return project;
 }
+
+/**
+ * Normalize a season ID argument into a de-duplicated array of integers
+ * Accepts a single ID (1), an array ([1, 2]) or a comma-separated string ("1,2")
+ * @param {number|string|Array} seasonIds - Season ID(s)
+ * @returns {number[]} Season IDs (falls back to API_DEFAULTS.DEFAULT_SEASON_ID)
+ */
+export function normalizeSeasonIds(seasonIds) {
+  const list = Array.isArray(seasonIds)
+    ? seasonIds
+    : String(seasonIds ?? '').split(',');
+
+  const ids = list
+    .map(id => parseInt(String(id).trim(), 10))
+    .filter(id => !isNaN(id));
+
+  return ids.length > 0 ? [...new Set(ids)] : [API_DEFAULTS.DEFAULT_SEASON_ID];
+}
+
+/**
+ * Build the season suffix used in cache keys
+ * Single season keeps the legacy format (":1"), multiple seasons are joined (":1,2")
+ * @param {number[]} seasonIds - Normalized season IDs
+ * @returns {string}
+ */
+export function seasonCacheSuffix(seasonIds) {
+  return seasonIds.join(',');
+}
+
+/**
+ * Resolve a requested season argument against the seasons a project runs
+ * (none) → project's default season, 'all' → every season, otherwise normalized IDs
+ * @param {Object} project - Project from PROJECTS_MAP
+ * @param {number|string|Array|undefined} requested - Requested season(s)
+ * @returns {{seasonIds: number[], unknown: number[], invalid: string[]}}
+ *   unknown lists IDs the project doesn't run, invalid lists entries that aren't season IDs
+ */
+export function resolveProjectSeasons(project, requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return { seasonIds: [project.defaultSeasonId], unknown: [], invalid: [] };
+  }
+
+  if (requested === 'all') {
+    return { seasonIds: [...project.seasonIds], unknown: [], invalid: [] };
+  }
+
+  // Reject garbage instead of letting normalizeSeasonIds fall back to the default season
+  const list = Array.isArray(requested) ? requested : String(requested).split(',');
+  const invalid = list
+    .map(id => String(id).trim())
+    .filter(id => !/^\d+$/.test(id));
+
+  const seasonIds = normalizeSeasonIds(requested);
+  return {
+    seasonIds,
+    unknown: seasonIds.filter(id => !project.seasonIds.includes(id)),
+    invalid,
+  };
+}
+
+/**
+ * Check a whole-token amount from a request (maxTokenAmount)
+ * Accepts non-negative numbers and decimal strings ("1234.5", "1e21"); extra
+ * fraction digits are fine (toRawUnits truncates them to the token decimals)
+ * @param {*} value - Amount from query / body
+ * @returns {boolean}
+ */
+export function isValidTokenAmount(value) {
+  if (typeof value === 'string' && !/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value.trim())) {
+    return false;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') return false;
+
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 && amount <= API_DEFAULTS.MAX_TOKEN_AMOUNT;
+}
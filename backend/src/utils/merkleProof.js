@@ -0,0 +1,94 @@
+import { ethers } from 'ethers';
+
+/**
+ * Merkle proof helpers - mirror BUILDClaim._verifyMerkleProof
+ *
+ * =============================================================================
+ * LEAF FORMAT (smartcontract_logic/BUILDClaim.sol)
+ * =============================================================================
+ *
+ *   leaf = keccak256(bytes.concat(keccak256(abi.encode(user, maxTokenAmount, isEarlyClaim, salt))))
+ *
+ * Double hashing prevents second-preimage attacks (leaf can't be mistaken for
+ * an inner node). Verification follows OpenZeppelin MerkleProof.verify:
+ * sibling pairs are sorted before hashing, so proof order is bottom → top only.
+ *
+ * =============================================================================
+ */
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const BYTES32_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Compute the Merkle leaf for a user's claim params
+ * @param {string} user - Wallet address
+ * @param {bigint} maxTokenAmount - Max token amount (raw, with decimals)
+ * @param {boolean} isEarlyClaim - Early claim flag
+ * @param {bigint} salt - Salt (uint256)
+ * @returns {string} bytes32 leaf
+ */
+export function computeClaimLeaf(user, maxTokenAmount, isEarlyClaim, salt) {
+  const encoded = abiCoder.encode(
+    ['address', 'uint256', 'bool', 'uint256'],
+    [user, maxTokenAmount, isEarlyClaim, salt]
+  );
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Hash a sibling pair the way OpenZeppelin does (sorted, then keccak256)
+ * @param {string} a - bytes32
+ * @param {string} b - bytes32
+ * @returns {string} bytes32
+ */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Verify a Merkle proof against a root (OpenZeppelin MerkleProof.verify)
+ * @param {string[]} proof - bytes32 sibling hashes
+ * @param {string} root - bytes32 Merkle root
+ * @param {string} leaf - bytes32 leaf
+ * @returns {boolean}
+ */
+export function verifyMerkleProof(proof, root, leaf) {
+  const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Validate and normalize claim params pasted/uploaded by the user
+ * @param {Object} params - { proof, maxTokenAmount, salt, isEarlyClaim }
+ * @returns {{proof: string[], maxTokenAmount: bigint, salt: bigint, isEarlyClaim: boolean}}
+ * @throws {Error} When a field is missing or malformed
+ */
+export function parseClaimParams(params = {}) {
+  const { proof, maxTokenAmount, salt, isEarlyClaim } = params;
+
+  if (!Array.isArray(proof) || !proof.every(p => BYTES32_REGEX.test(p))) {
+    throw new Error('proof must be an array of bytes32 hex strings');
+  }
+
+  let amount;
+  let saltValue;
+  try {
+    amount = BigInt(maxTokenAmount);
+    saltValue = BigInt(salt);
+  } catch (error) {
+    throw new Error('maxTokenAmount and salt must be uint256 values (raw integer, decimal or hex)');
+  }
+
+  if (amount <= 0n || saltValue < 0n || saltValue > ethers.MaxUint256 || amount > ethers.MaxUint256) {
+    throw new Error('maxTokenAmount and salt must be uint256 values (raw integer, decimal or hex)');
+  }
+
+  return {
+    proof,
+    maxTokenAmount: amount,
+    salt: saltValue,
+    isEarlyClaim: isEarlyClaim === true || isEarlyClaim === 'true',
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Rate Limit Store (Redis-backed, shared across instances)
+ *
+ * express-rate-limit store keeping the hit counters in the shared Redis client,
+ * so every app instance (PM2 cluster, several hosts) counts against the same
+ * window. Falls back to express-rate-limit's MemoryStore (per process) while
+ * Redis is disabled or unavailable.
+ *
+ * Usage:
+ * ```javascript
+ * rateLimit({ windowMs, max, store: new RedisRateLimitStore('rate_limit:second:') })
+ * ```
+ * One store per limiter, each with its own prefix.
+ */
+
+import { MemoryStore } from 'express-rate-limit';
+import { getRedisClient, isRedisAvailable, incrementFallbackUsage } from './redis.js'; // Shared Redis client
+
+// Use shared Redis client
+const redis = getRedisClient();
+
+// INCR + start the window on the first hit (atomic, so concurrent instances share one window)
+// Returns [totalHits, msUntilReset]
+const INCREMENT_SCRIPT = `
+local totalHits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl <= 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { totalHits, ttl }
+`;
+
+export class RedisRateLimitStore {
+  /**
+   * @param {string} prefix - Redis key prefix (unique per limiter)
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    // Keys are shared with other instances (express-rate-limit validations)
+    this.localKeys = false;
+    this.memoryStore = new MemoryStore();
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {Object} options - Limiter options (windowMs)
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.memoryStore.init(options);
+  }
+
+  /**
+   * Hit count and reset time of a client
+   * @param {string} key - Client key (IP)
+   * @returns {Promise<{totalHits: number, resetTime: Date}|undefined>}
+   */
+  async get(key) {
+    if (isRedisAvailable() && redis) {
+      try {
+        const [hits, ttl] = await Promise.all([
+          redis.get(`${this.prefix}${key}`),
+          redis.pttl(`${this.prefix}${key}`),
+        ]);
+        if (hits === null) return undefined;
+        return {
+          totalHits: parseInt(hits, 10),
+          resetTime: new Date(Date.now() + Math.max(ttl, 0)),
+        };
+      } catch (err) {
+        console.warn('[RateLimitStore] Redis get failed, falling back to memory:', err.message);
+      }
+    }
+
+    incrementFallbackUsage();
+    return this.memoryStore.get(key);
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key - Client key (IP)
+   * @returns {Promise<{totalHits: number, resetTime: Date}>}
+   */
+  async increment(key) {
+    if (isRedisAvailable() && redis) {
+      try {
+        const [totalHits, ttl] = await redis.eval(INCREMENT_SCRIPT, 1, `${this.prefix}${key}`, this.windowMs);
+        return {
+          totalHits: Number(totalHits),
+          resetTime: new Date(Date.now() + Number(ttl)),
+        };
+      } catch (err) {
+        console.warn('[RateLimitStore] Redis increment failed, falling back to memory:', err.message);
+      }
+    }
+
+    incrementFallbackUsage();
+    return this.memoryStore.increment(key);
+  }
+
+  /**
+   * Undo a hit (skipSuccessfulRequests / skipFailedRequests)
+   * @param {string} key - Client key (IP)
+   */
+  async decrement(key) {
+    if (isRedisAvailable() && redis) {
+      try {
+        await redis.decr(`${this.prefix}${key}`);
+        return;
+      } catch (err) {
+        console.warn('[RateLimitStore] Redis decrement failed, falling back to memory:', err.message);
+      }
+    }
+
+    incrementFallbackUsage();
+    await this.memoryStore.decrement(key);
+  }
+
+  /**
+   * Reset a client's counter (in Redis and in this process' fallback)
+   * @param {string} key - Client key (IP)
+   */
+  async resetKey(key) {
+    if (isRedisAvailable() && redis) {
+      try {
+        await redis.del(`${this.prefix}${key}`);
+      } catch (err) {
+        console.warn('[RateLimitStore] Redis reset failed:', err.message);
+      }
+    }
+
+    await this.memoryStore.resetKey(key);
+  }
+}
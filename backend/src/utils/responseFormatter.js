@@ -16,6 +16,14 @@ export const CONTRACT_INFO = {
   claimContract: (claimAddress) => ({
     name: 'claimContract',
     address: claimAddress
+  }),
+  claimContracts: (claimAddresses) => ({
+    name: 'claimContracts',
+    address: claimAddresses
+  }),
+  token: (tokenAddress) => ({
+    name: 'token',
+    address: tokenAddress
   })
 };
 
@@ -27,6 +35,7 @@ export const CONTRACT_INFO = {
  * @param {string} cacheInfo.cacheStatus - Cache status: 'HIT' | 'MISS' | 'STALE'
  * @param {number} cacheInfo.timestamp - Timestamp when data was cached/fetched
  * @param {number} cacheInfo.ttl - TTL in seconds (e.g., 3600 for 1 hour, 86400 for 24 hours)
+ * @param {{number: number, hash: string}} [cacheInfo.block] - Block the data was read at
  * @param {Object} contractInfo - Contract information
  * @param {string} contractInfo.name - Contract name (buildFactory | claimContract)
  * @param {string} contractInfo.address - Contract address
@@ -35,7 +44,7 @@ export const CONTRACT_INFO = {
  * @example
  * formatApiResponse(
  *   { tokenAmount: 1000000, ... },
- *   { cacheStatus: 'HIT', timestamp: 1702468245000, ttl: 86400 },
+ *   { cacheStatus: 'HIT', timestamp: 1702468245000, ttl: 86400, block: { number: 21000000, hash: '0x...' } },
  *   { name: 'buildFactory', address: '0x...' }
  * )
  * // Returns:
@@ -51,6 +60,8 @@ export const CONTRACT_INFO = {
  * //     cacheTime: '2025-12-13 17:30:45',
  * //     cacheStatus: 'HIT',
  * //     ttl_hour: 24,
+ * //     blockNumber: 21000000,
+ * //     blockHash: '0x...',
  * //     caching: {
  * //       redis: 'HIT',
  * //       http: 'enabled',
@@ -71,6 +82,8 @@ export function formatApiResponse(data, cacheInfo, contractInfo) {
       cacheTime: getVietnamTime(cacheInfo.timestamp),
       cacheStatus: cacheInfo.cacheStatus,
       ttl_hour: getTTLHours(cacheInfo.ttl),
+      blockNumber: cacheInfo.block?.number ?? null, // null for data without a pinned read
+      blockHash: cacheInfo.block?.hash ?? null,
       caching: {
         redis: cacheInfo.cacheStatus, // Backend Redis cache status
         http: 'enabled', // HTTP cache headers enabled
@@ -3,4 +3,6 @@ import { API_ROUTES } from '../shared/api.js';
 export const API_CONSTANTS = {
   BASE_API_PATH: API_ROUTES.BASE_PATH,
   INTERNAL_API_PATH: API_ROUTES.INTERNAL_PATH,
+  CHALLENGE_API_PATH: API_ROUTES.CHALLENGE_PATH,
+  ADMIN_API_PATH: API_ROUTES.ADMIN_PATH,
 };
@@ -43,6 +43,48 @@ export const CACHE_PRESETS = {
     isPublic: false
   },
   
+  // Indexed claim events (indexer polls every minute)
+  claimEvents: {
+    maxAge: 60,                 // 1 minute in seconds
+    staleWhileRevalidate: 300,  // 5 minutes in seconds
+    isPublic: true
+  },
+  
+  // Global state history (snapshotter records every 10 minutes)
+  globalStateHistory: {
+    maxAge: 300,                // 5 minutes in seconds
+    staleWhileRevalidate: 600,  // 10 minutes in seconds
+    isPublic: true
+  },
+  
+  // Token USD price (price source cached for 60s)
+  tokenPrice: {
+    maxAge: 60,                 // 1 minute in seconds
+    staleWhileRevalidate: 300,  // 5 minutes in seconds
+    isPublic: true
+  },
+  
+  // Project changelog from factory events (watcher polls every 30s)
+  projectChangelog: {
+    maxAge: 30,                 // 30 seconds
+    staleWhileRevalidate: 120,  // 2 minutes in seconds
+    isPublic: true
+  },
+  
+  // Server-side vesting timeline (derived from config + global state, may include a wallet)
+  projectTimeline: {
+    maxAge: 3600,               // 1 hour in seconds (same as global state)
+    staleWhileRevalidate: 0,    // No stale serving (wallet-specific responses)
+    isPublic: false
+  },
+  
+  // Indexed claim events of one wallet (private per-user)
+  walletClaimEvents: {
+    maxAge: 60,                 // 1 minute in seconds
+    staleWhileRevalidate: 0,    // No stale serving for private data
+    isPublic: false
+  },
+  
   // Static assets with hash in filename (immutable)
   immutable: {
     maxAge: 31536000,           // 1 year in seconds
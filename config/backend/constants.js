@@ -4,6 +4,12 @@ export const APP_CONSTANTS = {
 
 export const API_DEFAULTS = {
   DEFAULT_SEASON_ID: 1,
+  // Batch user-claim lookup limits (addresses × projects per request)
+  BATCH_MAX_ADDRESSES: 50,
+  BATCH_MAX_ENTRIES: 200,
+  // Upper bound for maxTokenAmount (whole tokens) - far above any real allocation,
+  // keeps exponent inputs ("1e400") from expanding into huge strings / uint256 overflow
+  MAX_TOKEN_AMOUNT: 1e18,
 };
 
 export const BLOCKCHAIN_CONSTANTS = {
@@ -12,3 +12,6 @@ export { SECURITY_CONFIG } from './security.js';
 export { CACHE_CONFIG } from './cache.js';
 export { SERVER_CONFIG } from './server.js';
 
+export { INDEXER_CONFIG, FACTORY_WATCHER_CONFIG, SNAPSHOT_CONFIG } from './indexer.js';
+export { RPC_POOL_CONFIG, MULTICALL_CONFIG, BLOCK_PINNING_CONFIG } from './rpcPool.js';
+export { PRICE_CONFIG } from './price.js';
@@ -0,0 +1,110 @@
+/**
+ * Event Indexer Configuration
+ * 
+ * Settings for the BUILDClaim event indexer (Claimed / Deposited / Withdrawn).
+ * Enabled via ENABLE_EVENT_INDEXER (see config/environment.js).
+ */
+
+export const INDEXER_CONFIG = {
+  // First block to backfill from (before any BUILDClaim deployment)
+  // Override with INDEXER_START_BLOCK to speed up a fresh backfill
+  startBlock: 23000000,
+  
+  // Max block range per eth_getLogs call (Infura caps results at 10k logs)
+  blockRange: 5000,
+  
+  // Blocks to stay behind head (avoid indexing logs that may be re-orged)
+  confirmations: 12,
+  
+  // Delay between tail polls once caught up with head
+  pollIntervalMs: 60 * 1000,
+  
+  // Delay before retrying after an RPC error
+  retryDelayMs: 30 * 1000,
+  
+  // Storage key prefix (Redis, in-memory fallback uses the same keys)
+  keyPrefix: 'app:indexer:',
+  
+  // API pagination
+  defaultLimit: 50,
+  maxLimit: 500,
+};
+
+/**
+ * Factory Watcher Configuration
+ * 
+ * Settings for the BUILDFactory event watcher (config changes, pauses, refunds,
+ * withdrawals). Invalidates cached project data and records a per-project changelog.
+ * Enabled via ENABLE_FACTORY_WATCHER (see config/environment.js).
+ */
+export const FACTORY_WATCHER_CONFIG = {
+  // First block to backfill the changelog from (before the factory deployment)
+  startBlock: 23000000,
+  
+  // Max block range per eth_getLogs call
+  blockRange: 5000,
+  
+  // Fewer confirmations than the indexer: a stale 24h config cache is worse
+  // than invalidating once more after a rare re-org
+  confirmations: 2,
+  
+  // Delay between tail polls once caught up with head
+  pollIntervalMs: 30 * 1000,
+  
+  // Delay before retrying after an RPC error
+  retryDelayMs: 30 * 1000,
+  
+  // Storage key prefix (Redis, in-memory fallback uses the same keys)
+  keyPrefix: 'app:factory:',
+  
+  // Changelog entries returned per request
+  defaultLimit: 20,
+  maxLimit: 200,
+};
+
+/**
+ * Global State Snapshotter Configuration
+ * 
+ * Periodically records getGlobalState (totalLoyalty, totalLoyaltyIneligible,
+ * totalClaimed) of every project/season into a time series, so the history
+ * survives after the 1h globalState cache expires.
+ * Enabled via ENABLE_GLOBAL_STATE_SNAPSHOTS (see config/environment.js).
+ */
+export const SNAPSHOT_CONFIG = {
+  // Delay between snapshot runs
+  intervalMs: 10 * 60 * 1000,
+  
+  // Delay before retrying after an RPC error
+  retryDelayMs: 60 * 1000,
+  
+  // Blocks to stay behind head (same block for every project of a run)
+  confirmations: 2,
+  
+  // Snapshots older than this are dropped on write
+  retentionMs: 365 * 24 * 60 * 60 * 1000,
+  
+  // Storage key prefix (Redis, in-memory fallback uses the same keys)
+  keyPrefix: 'app:snapshots:',
+  
+  // History query: range presets (seconds, null = everything kept)
+  ranges: {
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '30d': 30 * 24 * 60 * 60,
+    '90d': 90 * 24 * 60 * 60,
+    all: null,
+  },
+  defaultRange: '30d',
+  
+  // History query: bucket size (seconds, 0 = every snapshot)
+  resolutions: {
+    raw: 0,
+    '1h': 60 * 60,
+    '6h': 6 * 60 * 60,
+    '1d': 24 * 60 * 60,
+  },
+  defaultResolution: '1h',
+  
+  // Max points returned per season (oldest buckets dropped first)
+  maxPoints: 1000,
+};
@@ -0,0 +1,35 @@
+/**
+ * Token Price Source Configuration
+ * 
+ * USD prices for the calculator's USD toggle and opportunity-cost comparison.
+ * The source is pluggable (see backend/src/services/priceSource.js):
+ *   PRICE_SOURCE=coingecko|defillama|static   (default: coingecko)
+ *   PRICE_SOURCE_URL=http://127.0.0.1:18700   → overrides the source base URL (local stub)
+ *   PRICE_SOURCE_API_KEY=...                  → sent as x-cg-demo-api-key (CoinGecko only)
+ *   PRICE_STATIC_USD={"SXT":0.08,"DOLO":0.1}  → prices for the static source (by ticker)
+ */
+
+export const PRICE_CONFIG = {
+  // Source used when PRICE_SOURCE is not set
+  defaultSource: 'coingecko',
+  
+  // Per-source base URLs (token prices on Ethereum mainnet, keyed by token address)
+  sources: {
+    coingecko: {
+      baseUrl: 'https://api.coingecko.com/api/v3',
+    },
+    defillama: {
+      baseUrl: 'https://coins.llama.fi',
+    },
+  },
+  
+  // Per-request timeout (a hung price API must not hold the request)
+  requestTimeoutMs: 5 * 1000,
+  
+  // Cache TTLs in seconds (stale copy served when the source is down)
+  ttl: 60,
+  staleTtl: 6 * 60 * 60,
+  
+  // Cache key prefix (shared Redis cache, in-memory fallback)
+  keyPrefix: 'app:price:',
+};
@@ -21,7 +21,15 @@ export const RATE_LIMIT_CONFIG = {
   // Penalty settings (applied when rate limit is exceeded)
   penalty: {
     durationMs: 60 * 1000,      // 60 seconds block after violation
-    cleanupIntervalMs: 60 * 1000, // Clean up expired penalties every 60 seconds
+    cleanupIntervalMs: 60 * 1000, // Clean up expired penalties every 60 seconds (memory fallback)
+  },
+  
+  // Shared state (backend/src/utils/rateLimitStore.js + penalties in rateLimiter.js)
+  // Counters and penalties live in Redis when ENABLE_REDIS=true, so every instance
+  // enforces the same limits; in-memory per process otherwise
+  store: {
+    prefix: 'rate_limit:',              // + limiter (second / minute / init_second / init_minute) + ':' + IP
+    penaltyPrefix: 'rate_limit_penalty:', // + IP, value = penalty end timestamp (ms)
   },
   
   // Paths to skip rate limiting entirely
@@ -30,16 +38,17 @@ export const RATE_LIMIT_CONFIG = {
   // Special rate limit for /api/init endpoint
   // Each protected API call needs 1 nonce from /api/init
   // Protected endpoints list: see config/shared/security.js (PROTECTED_ENDPOINTS)
-  // Currently 3 endpoints: config, global-state, user-claim
-  // /api/init needs 3x capacity of protected endpoints
+  // All of them share apiLimiter (perSecond / perMinute above), so nonce demand per
+  // client is bounded by that limit, not by how many endpoints exist
+  // /api/init gets 3x the API limit (retries, expired nonces, several tabs)
   init: {
     perSecond: {
       windowMs: 1 * 1000,
-      max: 60,                // 3x of protected endpoints (20 * 3)
+      max: 60,                // 3x perSecond (20 * 3)
     },
     perMinute: {
       windowMs: 1 * 60 * 1000,
-      max: 360,               // 3x of protected endpoints (120 * 3)
+      max: 360,               // 3x perMinute (120 * 3)
     },
   },
 };
@@ -0,0 +1,70 @@
+/**
+ * RPC Provider Pool Configuration
+ * 
+ * Settings for the JSON-RPC endpoint pool used by every blockchain read.
+ * Endpoints come from .env:
+ *   INFURA_API_KEYS=key1,key2        → https://mainnet.infura.io/v3/<key>
+ *   RPC_URLS=https://...,http://...  → any JSON-RPC URL (Alchemy, own node, anvil)
+ */
+
+export const RPC_POOL_CONFIG = {
+  // Distinct endpoints tried per call before giving up
+  maxAttempts: 3,
+  
+  // Per-attempt timeout (a hung endpoint counts as a failure)
+  requestTimeoutMs: 15 * 1000,
+  
+  // Health scoring (exponentially weighted moving averages)
+  scoring: {
+    alpha: 0.3,                  // Weight of the newest sample
+    initialLatencyMs: 500,       // Assumed latency before the first sample
+    errorPenalty: 4,             // score = latency * (1 + errorPenalty * errorRate)
+  },
+  
+  // Circuit breaker (per endpoint)
+  circuitBreaker: {
+    failureThreshold: 3,         // Consecutive failures before opening
+    cooldownMs: 60 * 1000,       // First cooldown, doubled on every re-trip
+    maxCooldownMs: 10 * 60 * 1000,
+  },
+};
+
+/**
+ * Multicall3 Batching Configuration
+ * 
+ * View calls made within `windowMs` of each other (any project, any request)
+ * are sent as one Multicall3 aggregate3 eth_call.
+ */
+export const MULTICALL_CONFIG = {
+  // Multicall3 - same address on every EVM chain (https://www.multicall3.com)
+  address: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  
+  // Ethereum mainnet deployment block - earlier blocks have no code at `address`
+  // (eth_call returns 0x), so blockTag below this is rejected with 400
+  deployBlock: 14353601,
+  
+  // Collect calls for this long before sending a batch
+  windowMs: 10,
+  
+  // Max calls per aggregate3 (keeps eth_call under provider gas / payload caps)
+  maxCallsPerBatch: 150,
+};
+
+/**
+ * Block Pinning Configuration
+ * 
+ * Every fetcher reads at one resolved block (number + hash) so config, global
+ * state and user claim data can be matched to the same chain state.
+ *   ?blockTag=latest (default) → current head, shared by requests within headMaxAgeMs
+ *   ?blockTag=21000000 / 0x...  → that exact block (cache keys suffixed ":b<number>")
+ */
+export const BLOCK_PINNING_CONFIG = {
+  // Reuse the resolved head block for this long (~1/6 of a 12s slot)
+  headMaxAgeMs: 2 * 1000,
+  
+  // Pinned block number → hash lookups kept in memory
+  blockHashCacheSize: 256,
+  
+  // Only blocks this far behind head are memoized (closer ones can still reorg)
+  finalityDepth: 64,
+};
@@ -81,6 +81,16 @@ export const SECURITY_CONFIG = {
     description: "CSP with nonce for scripts (production), unsafe-inline for styles (React compatibility)"
   },
   
+  // Admin API (backend/src/routes/admin.js)
+  // Auth: Authorization: Bearer <JWT with role 'admin'> (JWT_SECRET) or HMAC signature (HMAC_SECRET)
+  // Mounted only if one of the secrets is set
+  admin: {
+    role: 'admin',                    // Required `role` claim of admin JWTs
+    tokenExpiresIn: '8h',             // Default expiry of tokens from scripts/generate-admin-token.js
+    defaultPageSize: 50,              // Devices per page
+    maxPageSize: 200,
+  },
+  
   // Paranoid-Level Security Settings
   paranoid: {
     // Device Fingerprinting
@@ -109,10 +119,45 @@ export const SECURITY_CONFIG = {
     // Challenge System
     challenge: {
       enabled: true,
-      types: ['math', 'time', 'interactive'],
+      types: ['math', 'time', 'interactive', 'pow'],
+      // Types the server can actually check - the only ones POST /api/challenge issues
+      // and the only ones a pass is exchanged for a token ('time' / 'interactive' prove nothing)
+      verifiableTypes: ['pow', 'math'],
+      defaultType: 'pow',             // Issued on low behavior score (non-interactive, solved in a worker)
       maxAttempts: 3,
       triggerOnNewDevice: false,      // Set to true for maximum security
       triggerOnLowScore: true,
+      tokenTtlSeconds: 10 * 60,       // 10 minutes - x-challenge-token validity after a passed challenge
+      trustScoreBonus: 20,            // Trust score added on a passed behavior-check challenge (once per tokenTtlSeconds)
+      cleanupIntervalMs: 60 * 1000,   // Clean up expired challenges / tokens every 60 seconds (memory fallback)
+      
+      // Proof-of-work (hashcash) difficulty in leading zero bits (~2^bits hashes to solve)
+      pow: {
+        baseDifficulty: 16,           // Trust score 50, no penalty
+        trustRangeBits: 4,            // Trust 0 → +4 bits, trust 100 → -4 bits
+        penaltyBits: 4,               // IP in rate-limit penalty → +4 bits
+        minDifficulty: 12,
+        maxDifficulty: 22,            // Keep worst case solvable well within the challenge TTL
+      },
+    },
+    
+    // Security pipeline on the protected routes (backend/src/middleware/securityPipeline.js)
+    // Checks run in this order; mode per check:
+    //   'off'     - not run
+    //   'monitor' - run + log the decision, never block (tune thresholds first)
+    //   'enforce' - run + log, block on failure
+    pipeline: {
+      checks: {
+        integrity: 'monitor',               // validateBrowserIntegrity (x-integrity, x-integrity-score, automation UA)
+        device: 'monitor',                  // validateDeviceMiddleware (x-fingerprint, blocked devices, min trust score)
+        fingerprintConsistency: 'monitor',  // checkFingerprintConsistency (suspicious fingerprint changes)
+        deviceRateLimit: 'monitor',         // adaptiveDeviceRateLimiter + deviceRateLimiter (trust-scaled req/min)
+        behavior: 'monitor',                // validateBehaviorScore (x-behavior-score, challenge on low score when enforced)
+      },
+      // Per-endpoint overrides, keyed by route (API_ROUTES), e.g.
+      // [API_ROUTES.PROJECT.USER_CLAIM_BATCH]: { behavior: 'enforce' },
+      endpoints: {},
+      logPasses: false,                     // Passes of 'enforce' checks too (noisy); 'monitor' checks always log passes (tuning baseline)
     },
     
     // CSP Nonce
@@ -34,6 +34,15 @@ const environments = {
     // Cache Layer 3: Redis cache (depends on ENABLE_REDIS, fallback to in-memory Map)
     ENABLE_CACHE_REDIS: 'false',
     
+    // Claim event indexer (backfill + tail Claimed/Deposited/Withdrawn logs)
+    ENABLE_EVENT_INDEXER: 'false',
+    
+    // Factory event watcher (cache invalidation + project changelog)
+    ENABLE_FACTORY_WATCHER: 'false',
+    
+    // Global state snapshotter (loyalty pool history + sparklines)
+    ENABLE_GLOBAL_STATE_SNAPSHOTS: 'false',
+    
     // Build configuration
     ENABLE_OBFUSCATION: 'false',
     ENABLE_CHUNKS: 'false',
@@ -77,6 +86,15 @@ const environments = {
     // Cache Layer 3: Redis cache (depends on ENABLE_REDIS, fallback to in-memory Map)
     ENABLE_CACHE_REDIS: 'false',
     
+    // Claim event indexer (backfill + tail Claimed/Deposited/Withdrawn logs)
+    ENABLE_EVENT_INDEXER: 'false',
+    
+    // Factory event watcher (cache invalidation + project changelog)
+    ENABLE_FACTORY_WATCHER: 'false',
+    
+    // Global state snapshotter (loyalty pool history + sparklines)
+    ENABLE_GLOBAL_STATE_SNAPSHOTS: 'false',
+    
     // Build configuration
     ENABLE_OBFUSCATION: 'true',
     ENABLE_CHUNKS: 'true',
@@ -117,6 +135,15 @@ const environments = {
     // Cache Layer 3: Redis cache (uses Redis service when available)
     ENABLE_CACHE_REDIS: 'true',
     
+    // Claim event indexer (backfill + tail Claimed/Deposited/Withdrawn logs)
+    ENABLE_EVENT_INDEXER: 'true',
+    
+    // Factory event watcher (cache invalidation + project changelog)
+    ENABLE_FACTORY_WATCHER: 'true',
+    
+    // Global state snapshotter (loyalty pool history + sparklines)
+    ENABLE_GLOBAL_STATE_SNAPSHOTS: 'true',
+    
     // Build configuration
     ENABLE_OBFUSCATION: 'true',
     ENABLE_CHUNKS: 'true',
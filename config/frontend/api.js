@@ -14,12 +14,26 @@ export const API_CONFIG = {
   // API base path
   basePath: API_ROUTES.BASE_PATH,
   
+  // Challenge endpoints (outside basePath): POST challengePath, POST challengePath/verify
+  challengePath: API_ROUTES.CHALLENGE_PATH,
+  
+  // Admin API (outside basePath, Bearer token) - used by the /admin page only
+  adminPath: API_ROUTES.ADMIN_PATH,
+  
   // API endpoint paths (relative to basePath)
   // ✅ Using shared config to ensure sync with backend
   endpoints: {
     projectConfig: API_ROUTES.PROJECT.CONFIG,
     projectGlobalState: API_ROUTES.PROJECT.GLOBAL_STATE,
     projectUserClaimValues: API_ROUTES.PROJECT.USER_CLAIM, // Now synced with backend
+    projectUserClaimBatch: API_ROUTES.PROJECT.USER_CLAIM_BATCH,
+    projectVerifyProof: API_ROUTES.PROJECT.VERIFY_PROOF,
+    projectClaims: API_ROUTES.PROJECT.CLAIMS,
+    projectChangelog: API_ROUTES.PROJECT.CHANGELOG,
+    projectGlobalStateHistory: API_ROUTES.PROJECT.GLOBAL_STATE_HISTORY,
+    projectPrice: API_ROUTES.PROJECT.PRICE,
+    projectTimeline: API_ROUTES.PROJECT.TIMELINE,
+    walletClaims: API_ROUTES.WALLET.CLAIMS,
   },
   
   // Helper to build full endpoint path
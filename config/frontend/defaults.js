@@ -12,6 +12,18 @@ export const DEFAULTS = {
   totalLoyalty: 0,
   totalLoyaltyIneligible: 0,
   
+  // Loyalty pool forecast defaults
+  loyaltyForecastMode: 'scenario', // 'scenario' (rate curve) | 'historical' (snapshots)
+  loyaltyForecastEarlyClaimPercent: 10, // % of eligible allocation early-claiming by unlock end
+  loyaltyForecastCurve: 'even', // 'even' | 'front-loaded' | 'back-loaded'
+  
+  // Opportunity cost (present value of waiting)
+  discountRatePercent: 20, // % per year
+  
+  // Calendar (ICS) export
+  calendarThresholdsPercent: [30, 40, 50], // Early-vest ratio milestones (%)
+  calendarReminderDaysBefore: 1, // null = no reminder
+  
   // UI settings
   animationDuration: 0.4, // Counter animation duration in seconds
 };
@@ -7,12 +7,26 @@ export const API_ROUTES = {
   // Base paths
   BASE_PATH: '/api/v1',
   INTERNAL_PATH: '/internal/api',
+  CHALLENGE_PATH: '/api/challenge', // POST / (issue) + POST /verify → x-challenge-token
+  ADMIN_PATH: '/api/admin', // Devices, IP penalties, nonce stats (JWT or HMAC, see routes/admin.js)
   
   // Project endpoints (relative to BASE_PATH)
   PROJECT: {
     CONFIG: '/project/config',
     GLOBAL_STATE: '/project/global-state',
+    GLOBAL_STATE_HISTORY: '/project/global-state/history', // Snapshotter time series (range + resolution)
     USER_CLAIM: '/project/user-claim', // ✅ Canonical name - used by both frontend and backend
+    USER_CLAIM_BATCH: '/project/user-claim/batch', // N wallets × M projects in one request
+    VERIFY_PROOF: '/project/verify-proof', // Merkle claim params → verified allocation
+    CLAIMS: '/project/claims', // Indexed Claimed/Deposited/Withdrawn events + early-claim stats
+    CHANGELOG: '/project/changelog', // Factory events (config changes, pauses, refunds, withdrawals)
+    TIMELINE: '/project/timeline', // Server-side vesting timeline (same rows as vesting.worker.js)
+    PRICE: '/project/price', // Token USD price from the configured price source
+  },
+  
+  // Wallet endpoints (relative to BASE_PATH)
+  WALLET: {
+    CLAIMS: '/wallet/claims', // Indexed Claimed events of one wallet across projects
   },
 };
 
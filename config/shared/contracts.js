@@ -4,7 +4,12 @@ export const BUILD_FACTORY_ADDRESS = "0xEd587067E15bCED0F7226133FaCD65248939c6bA
 // Contract ABIs
 export const BUILD_FACTORY_ABI = [
   "function getProjectSeasonConfig(address token, uint256 seasonId) view returns (tuple(uint256 tokenAmount, bytes32 merkleRoot, uint40 unlockDelay, uint40 unlockDuration, uint40 earlyVestRatioMinBps, uint40 earlyVestRatioMaxBps, uint16 baseTokenClaimBps, bool isRefunding), uint256 seasonUnlockStartTime)",
-  "function getTokenAmounts(address token) view returns (tuple(uint256 totalDeposited, uint256 totalWithdrawn, uint256 totalAllocatedToAllSeasons, uint256 totalRefunded))"
+  "function getTokenAmounts(address token) view returns (tuple(uint256 totalDeposited, uint256 totalWithdrawn, uint256 totalAllocatedToAllSeasons, uint256 totalRefunded))",
+  "function isClaimContractPaused(address token) view returns (bool)",
+  "function isRefunding(address token, uint256 seasonId) view returns (bool)",
+  "function getRefundableAmount(address token, uint256 seasonId) view returns (uint256)",
+  "function calcMaxAvailableAmount(address token) view returns (uint256)",
+  "function getScheduledWithdrawal(address token) view returns (tuple(address recipient, uint256 amount))"
 ];
 
 export const BUILD_CLAIM_ABI = [
@@ -13,11 +18,34 @@ export const BUILD_CLAIM_ABI = [
   "function getUserState(tuple(address user, uint256 seasonId)[] usersAndSeasonIds) view returns (tuple(uint256 claimed, bool hasEarlyClaimed)[])"
 ];
 
+// BUILDFactory events that change project data (watched by backend/src/services/factoryWatcher.js)
+export const BUILD_FACTORY_EVENTS_ABI = [
+  "event ProjectSeasonConfigUpdated(address indexed token, uint256 indexed seasonId, tuple(uint256 tokenAmount, bytes32 merkleRoot, uint40 unlockDelay, uint40 unlockDuration, uint40 earlyVestRatioMinBps, uint40 earlyVestRatioMaxBps, uint16 baseTokenClaimBps, bool isRefunding) config)",
+  "event SeasonUnlockStartTimeUpdated(uint256 indexed seasonId, uint256 unlockStartsAt)",
+  "event ProjectTotalDepositedIncreased(address indexed token, address indexed sender, uint256 amount, uint256 totalDeposited)",
+  "event ProjectTotalAllocatedUpdated(address indexed token, uint256 totalAllocatedToAllSeasonsPrev, uint256 totalAllocatedToAllSeasons, uint256 refundableAmount)",
+  "event WithdrawalScheduled(address indexed token, address indexed recipient, uint256 amount)",
+  "event WithdrawalCancelled(address indexed token, address indexed recipient, uint256 amount)",
+  "event WithdrawalExecuted(address indexed token, address indexed recipient, uint256 amount, uint256 totalWithdrawn)",
+  "event ClaimPaused(address indexed token)",
+  "event ClaimUnpaused(address indexed token)",
+  "event ProjectSeasonRefundStarted(address indexed token, uint256 indexed seasonId, uint256 totalRefunded)",
+  "event ProjectSeasonRefundableAmountReduced(address indexed token, uint256 indexed seasonId, uint256 amount, uint256 refundableAmount)"
+];
+
+// BUILDClaim events (indexed by backend/src/services/eventIndexer.js)
+export const BUILD_CLAIM_EVENTS_ABI = [
+  "event Claimed(address indexed user, uint256 seasonId, uint256 amount, bool isEarlyClaim, uint256 earlyVestAmount, uint256 userClaimedInSeason, uint256 totalClaimedInSeason, uint256 totalLoyaltyAmount, uint256 totalLoyaltyIneligibleAmount)",
+  "event Deposited(address indexed token, address indexed sender, uint256 amount, uint256 totalDeposit)",
+  "event Withdrawn(address indexed token, address indexed recipient, uint256 amount, uint256 totalWithdrawn)"
+];
+
 // 9 BUILD Projects with their details
+// seasonIds: every season the project runs (the last entry is the default season)
 export const BUILD_PROJECTS = [
   {
     projectId: 1,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Space and Time",
     ticker: "SXT",
     tokenAddress: "0xe6bfd33f52d82ccb5b37e16d3dd81f9ffdabb195",
@@ -26,7 +54,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 2,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Dolomite",
     ticker: "DOLO",
     tokenAddress: "0x0f81001ef0a83ecce5ccebf63eb302c70a39a654",
@@ -35,7 +63,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 3,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Brickken",
     ticker: "BKN",
     tokenAddress: "0x0a638f07acc6969abf392bb009f216d22adea36d",
@@ -44,7 +72,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 4,
-    seasonId: 1,
+    seasonIds: [1],
     name: "bitsCrunch",
     ticker: "BCUT",
     tokenAddress: "0xbef26bd568e421d6708cca55ad6e35f8bfa0c406",
@@ -53,7 +81,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 5,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Folks Finance",
     ticker: "FOLKS",
     tokenAddress: "0xff7f8f301f7a706e3cfd3d2275f5dc0b9ee8009b",
@@ -62,7 +90,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 6,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Mind Network",
     ticker: "FHE",
     tokenAddress: "0xd55c9fb62e176a8eb6968f32958fefdd0962727e",
@@ -71,7 +99,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 7,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Suku",
     ticker: "SUKU",
     tokenAddress: "0x0763fdccf1ae541a5961815c0872a8c5bc6de4d7",
@@ -80,7 +108,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 8,
-    seasonId: 1,
+    seasonIds: [1],
     name: "Truflation",
     ticker: "TRUF",
     tokenAddress: "0x243c9be13faba09f945ccc565547293337da0ad7",
@@ -89,7 +117,7 @@ export const BUILD_PROJECTS = [
   },
   {
     projectId: 9,
-    seasonId: 1,
+    seasonIds: [1],
     name: "XSwap",
     ticker: "XSWAP",
     tokenAddress: "0x8fe815417913a93ea99049fc0718ee1647a2a07c",
@@ -98,14 +126,27 @@ export const BUILD_PROJECTS = [
   },
 ];
 
+/**
+ * Get the default season for a project (latest declared season)
+ * @param {Object} project - Entry from BUILD_PROJECTS
+ * @returns {number} Season ID
+ */
+export function getDefaultSeasonId(project) {
+  const seasonIds = project?.seasonIds || [];
+  return seasonIds.length > 0 ? seasonIds[seasonIds.length - 1] : 1;
+}
+
 // Project registry map (for backend - keyed by lowercase token address)
 export const PROJECTS_MAP = BUILD_PROJECTS.reduce((acc, project) => {
   return {
     ...acc,
     [project.tokenAddress.toLowerCase()]: {
       name: project.ticker,
+      tokenAddress: project.tokenAddress,
       decimals: project.decimals,
-      claimAddress: project.claimAddress
+      claimAddress: project.claimAddress,
+      seasonIds: project.seasonIds,
+      defaultSeasonId: getDefaultSeasonId(project)
     }
   };
 }, {});
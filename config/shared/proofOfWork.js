@@ -0,0 +1,45 @@
+/**
+ * Proof-of-Work Challenge (shared between frontend worker & backend)
+ *
+ * Hashcash-style: find a nonce such that
+ *   SHA-256(`${challengeId}:${salt}:${nonce}`)
+ * starts with `difficulty` zero bits.
+ *
+ * Solving takes ~2^difficulty hashes on average (pow.worker.js),
+ * verifying takes one (challengeGenerator.js).
+ *
+ * No imports: runs unchanged in a Web Worker, the browser and Node.
+ */
+
+export const POW_ALGORITHM = 'SHA-256';
+
+// Nonces are decimal strings; longer ones are rejected before hashing
+export const POW_MAX_NONCE_LENGTH = 16;
+
+/**
+ * String hashed for a nonce
+ * @param {string} challengeId
+ * @param {string} salt
+ * @param {string|number} nonce
+ * @returns {string}
+ */
+export function powInput(challengeId, salt, nonce) {
+  return `${challengeId}:${salt}:${nonce}`;
+}
+
+/**
+ * Number of leading zero bits of a digest
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
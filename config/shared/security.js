@@ -18,7 +18,14 @@
 export const PROTECTED_ENDPOINTS = [
   '/api/v1/project/config',
   '/api/v1/project/global-state',
-  '/api/v1/project/user-claim'
+  '/api/v1/project/global-state/history',
+  '/api/v1/project/user-claim',
+  '/api/v1/project/user-claim/batch',
+  '/api/v1/project/verify-proof',
+  '/api/v1/project/claims',
+  '/api/v1/project/changelog',
+  '/api/v1/project/price',
+  '/api/v1/wallet/claims'
 ];
 
 /**
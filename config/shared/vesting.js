@@ -0,0 +1,416 @@
+/**
+ * Vesting Engine (shared between frontend worker & backend)
+ *
+ * Exact port of BUILDClaim._getClaimableState in BigInt - same integer
+ * divisions, same per-second unlockElapsedDuration, same solady
+ * FixedPointMathLib.mulWad/divWad rounding - so results match
+ * getCurrentClaimValues to the wei (6-decimal tokens like FOLKS included).
+ *
+ * =============================================================================
+ * LAYERS
+ * =============================================================================
+ *
+ *   Exact (BigInt, raw token units)
+ *     getUnlockState()      ← Unlockable.getUnlockState
+ *     getClaimableState()   ← BUILDClaim._getClaimableState
+ *     calcEarlyVestableBonus() ← BUILDClaim._calcEarlyVestableBonus
+ *
+ *   Display (numbers in whole tokens, used by the calculator UI)
+ *     calculateVestingMetrics()  → one day / second of the unlock window
+ *     generateVestingTimeline()  → one row per day (vesting.worker.js)
+ *
+ * No imports: runs unchanged in a Web Worker, the browser and Node.
+ *
+ * =============================================================================
+ */
+
+export const PERCENTAGE_BASIS_POINTS_DENOMINATOR = 10000n;
+export const WAD = 10n ** 18n;
+export const SECONDS_PER_DAY = 86400;
+
+const toBigInt = (value) => BigInt(value ?? 0);
+
+// =============================================================================
+// Fixed Point Math (solady FixedPointMathLib)
+// =============================================================================
+
+/**
+ * (x * y) / WAD, rounded down
+ * @param {bigint} x
+ * @param {bigint} y
+ * @returns {bigint}
+ */
+export function mulWad(x, y) {
+  return (x * y) / WAD;
+}
+
+/**
+ * (x * WAD) / y, rounded down
+ * @param {bigint} x
+ * @param {bigint} y
+ * @returns {bigint}
+ */
+export function divWad(x, y) {
+  return (x * WAD) / y;
+}
+
+// =============================================================================
+// Unit Conversion
+// =============================================================================
+
+/**
+ * Expand exponent notation ("1.5e+21") into a plain decimal string
+ */
+function toPlainDecimal(value) {
+  const text = String(value).trim();
+  const match = text.match(/^(-?)(\d+)(?:\.(\d+))?e([+-]?\d+)$/i);
+  if (!match) return text;
+
+  const [, sign, intPart, fracPart = '', exp] = match;
+  const digits = intPart + fracPart;
+  const point = intPart.length + Number(exp);
+
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Whole-token amount → raw units (extra fraction digits are truncated)
+ * @param {number|string|bigint} value - Amount in tokens (e.g. 1234.5)
+ * @param {number} decimals - Token decimals
+ * @returns {bigint}
+ */
+export function toRawUnits(value, decimals = 18) {
+  if (typeof value === 'bigint') return value * 10n ** BigInt(decimals);
+
+  const text = toPlainDecimal(value ?? 0);
+  if (!/^-?\d*(\.\d*)?$/.test(text) || text === '' || text === '-') return 0n;
+
+  const negative = text.startsWith('-');
+  const [intPart = '0', fracPart = ''] = text.replace('-', '').split('.');
+  const raw = BigInt(intPart || '0') * 10n ** BigInt(decimals)
+    + BigInt(fracPart.slice(0, decimals).padEnd(decimals, '0') || '0');
+  return negative ? -raw : raw;
+}
+
+/**
+ * Raw units → whole-token number (display only - precision stays in the BigInt)
+ * @param {bigint} raw - Raw token units
+ * @param {number} decimals - Token decimals
+ * @returns {number}
+ */
+export function fromRawUnits(raw, decimals = 18) {
+  const base = 10n ** BigInt(decimals);
+  const abs = raw < 0n ? -raw : raw;
+  const text = `${abs / base}.${(abs % base).toString().padStart(decimals, '0')}`;
+  return raw < 0n ? -Number(text) : Number(text);
+}
+
+// =============================================================================
+// Contract Logic (exact)
+// =============================================================================
+
+/**
+ * Port of Unlockable.getUnlockState
+ * @param {bigint|number} unlockStartsAt - Season unlock start (unix seconds)
+ * @param {bigint|number} unlockDelay - Project delay after season start (seconds)
+ * @param {bigint|number} unlockDuration - Linear unlock duration (seconds)
+ * @param {bigint|number} timestamp - block.timestamp to evaluate at
+ * @returns {{unlockElapsedDuration: bigint, isBeforeUnlock: boolean, isUnlocking: boolean}}
+ */
+export function getUnlockState(unlockStartsAt, unlockDelay, unlockDuration, timestamp) {
+  const unlockStartsAtWithDelay = toBigInt(unlockStartsAt) + toBigInt(unlockDelay);
+  const now = toBigInt(timestamp);
+  const isBeforeUnlock = now < unlockStartsAtWithDelay;
+  const unlockElapsedDuration = isBeforeUnlock ? 0n : now - unlockStartsAtWithDelay;
+
+  return {
+    unlockElapsedDuration,
+    isBeforeUnlock,
+    isUnlocking: !isBeforeUnlock && unlockElapsedDuration < toBigInt(unlockDuration),
+  };
+}
+
+/**
+ * Early vest ratio (WAD) after `timeElapsed` seconds - the second mulWad operand
+ * of _calcEarlyVestableBonus, rounded exactly like the contract
+ * @param {Object} config - { earlyVestRatioMinBps, earlyVestRatioMaxBps, unlockDuration }
+ * @param {bigint} timeElapsed - Seconds since unlock started
+ * @returns {bigint}
+ */
+export function earlyVestRatioWad(config, timeElapsed) {
+  const minBps = toBigInt(config.earlyVestRatioMinBps);
+  const maxBps = toBigInt(config.earlyVestRatioMaxBps);
+
+  return divWad(minBps, PERCENTAGE_BASIS_POINTS_DENOMINATOR)
+    + (divWad(maxBps - minBps, PERCENTAGE_BASIS_POINTS_DENOMINATOR) * toBigInt(timeElapsed))
+      / toBigInt(config.unlockDuration);
+}
+
+/**
+ * Port of BUILDClaim._calcEarlyVestableBonus
+ * @param {Object} claimableState - { bonus, vested } (bigint)
+ * @param {Object} config - Project season config
+ * @param {bigint} timeElapsed - Seconds since unlock started
+ * @returns {bigint}
+ */
+export function calcEarlyVestableBonus(claimableState, config, timeElapsed) {
+  return mulWad(claimableState.bonus - claimableState.vested, earlyVestRatioWad(config, timeElapsed));
+}
+
+/**
+ * Port of BUILDClaim._getClaimableState
+ * All amounts are raw token units (bigint). Throws like the contract reverts
+ * (division by zero) when tokenAmount == totalLoyaltyIneligible during unlock.
+ *
+ * @param {Object} config - { tokenAmount, baseTokenClaimBps, unlockDuration, earlyVestRatioMinBps, earlyVestRatioMaxBps, isRefunding }
+ * @param {Object} globalState - { totalLoyalty, totalLoyaltyIneligible }
+ * @param {Object} userState - { claimed, hasEarlyClaimed }
+ * @param {Object} unlockState - From getUnlockState()
+ * @param {bigint} maxTokenAmount - User allocation for the season
+ * @returns {{base: bigint, bonus: bigint, vested: bigint, claimable: bigint, earlyVestableBonus: bigint, loyaltyBonus: bigint, claimed: bigint}}
+ */
+export function getClaimableState(config, globalState, userState, unlockState, maxTokenAmount) {
+  const max = toBigInt(maxTokenAmount);
+  const tokenAmount = toBigInt(config.tokenAmount);
+  const claimed = toBigInt(userState?.claimed);
+
+  const state = {
+    base: (max * toBigInt(config.baseTokenClaimBps)) / PERCENTAGE_BASIS_POINTS_DENOMINATOR,
+    bonus: 0n,
+    vested: 0n,
+    claimable: 0n,
+    earlyVestableBonus: 0n,
+    loyaltyBonus: 0n,
+    claimed: 0n,
+  };
+  state.bonus = max - state.base;
+
+  if (tokenAmount === 0n || (config.isRefunding && claimed === 0n)) {
+    return state;
+  }
+
+  state.claimed = claimed;
+
+  if (userState?.hasEarlyClaimed || unlockState.isBeforeUnlock) return state;
+
+  // Informative during unlock - only claimable once vesting completes
+  state.loyaltyBonus = max * toBigInt(globalState.totalLoyalty)
+    / (tokenAmount - toBigInt(globalState.totalLoyaltyIneligible));
+
+  if (unlockState.isUnlocking) {
+    state.vested = (state.bonus * unlockState.unlockElapsedDuration) / toBigInt(config.unlockDuration);
+    state.claimable = state.base + state.vested - state.claimed;
+    state.earlyVestableBonus = calcEarlyVestableBonus(state, config, unlockState.unlockElapsedDuration);
+  } else {
+    state.claimable = max + state.loyaltyBonus - state.claimed;
+  }
+
+  return state;
+}
+
+// =============================================================================
+// Calculator Metrics (display)
+// =============================================================================
+
+/**
+ * Calculate vesting metrics for a given day (or exact second) of the unlock
+ * Runs getClaimableState on raw units for a fresh wallet (nothing claimed yet) or the
+ * given wallet state, then converts back to token numbers for the UI.
+ *
+ * @param {Object} params
+ * @param {number|string} params.maxTokenAmount - Allocation in tokens
+ * @param {number} params.baseTokenClaimBps
+ * @param {number} params.unlockDurationDays - Used when unlockDuration (seconds) is missing
+ * @param {number} [params.unlockDuration] - Exact on-chain duration in seconds
+ * @param {number} params.earlyVestRatioMinBps
+ * @param {number} params.earlyVestRatioMaxBps
+ * @param {number} params.dayT - Day since unlock start (used when elapsedSeconds is missing)
+ * @param {number} [params.elapsedSeconds] - Exact seconds since unlock start
+ * @param {number|string} params.totalLoyalty - Pool in tokens
+ * @param {number|string} params.totalLoyaltyIneligible - Ineligible allocations in tokens
+ * @param {number|string} params.tokenAmount - Season token amount in tokens
+ * @param {string|bigint} [params.tokenAmountRaw] - Exact raw units (wins over tokenAmount)
+ * @param {string|bigint} [params.totalLoyaltyRaw] - Exact raw units (wins over totalLoyalty)
+ * @param {string|bigint} [params.totalLoyaltyIneligibleRaw] - Exact raw units (wins over totalLoyaltyIneligible)
+ * @param {number} [params.decimals=18] - Token decimals
+ * @param {Object} [params.userState] - Wallet { claimedRaw, hasEarlyClaimed } → adds claimed / claimable
+ * @returns {Object} Metrics in tokens (+ `raw` ClaimableState as decimal strings)
+ */
+export function calculateVestingMetrics({
+  maxTokenAmount,
+  baseTokenClaimBps,
+  unlockDurationDays,
+  unlockDuration,
+  earlyVestRatioMinBps,
+  earlyVestRatioMaxBps,
+  dayT,
+  elapsedSeconds,
+  totalLoyalty,
+  totalLoyaltyIneligible,
+  tokenAmount,
+  tokenAmountRaw,
+  totalLoyaltyRaw,
+  totalLoyaltyIneligibleRaw,
+  decimals = 18,
+  userState = null,
+}) {
+  const toRaw = (value) => toRawUnits(value || 0, decimals);
+  const toTokens = (raw) => fromRawUnits(raw, decimals);
+  // Chain values arrive as raw decimal strings - a float round-trip would lose wei
+  const rawOrTokens = (raw, value) => (raw !== undefined && raw !== null ? BigInt(raw) : toRaw(value));
+
+  const config = {
+    tokenAmount: rawOrTokens(tokenAmountRaw, tokenAmount),
+    baseTokenClaimBps,
+    unlockDuration: BigInt(Math.round(unlockDuration ?? (unlockDurationDays || 0) * SECONDS_PER_DAY)),
+    earlyVestRatioMinBps,
+    earlyVestRatioMaxBps,
+    isRefunding: false,
+  };
+  const max = toRaw(maxTokenAmount);
+
+  // Empty pool (or everyone ineligible) → the contract would revert; show no loyalty instead
+  const ineligible = rawOrTokens(totalLoyaltyIneligibleRaw, totalLoyaltyIneligible);
+  const globalState = config.tokenAmount > ineligible
+    ? { totalLoyalty: rawOrTokens(totalLoyaltyRaw, totalLoyalty), totalLoyaltyIneligible: ineligible }
+    : { totalLoyalty: 0n, totalLoyaltyIneligible: 0n };
+
+  // Unlock starts at 0 → timestamp = seconds elapsed
+  const elapsed = BigInt(Math.max(0, Math.floor(elapsedSeconds ?? (dayT || 0) * SECONDS_PER_DAY)));
+  const unlockState = getUnlockState(0n, 0n, config.unlockDuration, elapsed);
+
+  // Simulated tokenAmount 0 → still show the vesting curve (contract would return zeros)
+  const state = getClaimableState(
+    config.tokenAmount > 0n ? config : { ...config, tokenAmount: max > 0n ? max : 1n },
+    globalState,
+    userState
+      ? { claimed: BigInt(userState.claimedRaw ?? 0), hasEarlyClaimed: !!userState.hasEarlyClaimed }
+      : { claimed: 0n, hasEarlyClaimed: false },
+    unlockState,
+    max
+  );
+
+  const isUnlockComplete = !unlockState.isUnlocking;
+
+  // After unlock the contract stops reporting vested → the whole bonus is vested
+  const vested = isUnlockComplete ? state.bonus : state.vested;
+  const unlocked = state.base + vested;
+  const locked = max - unlocked;
+
+  let ratioWad = 0n;
+  let forfeited = 0n;
+  if (!isUnlockComplete && locked > 0n) {
+    ratioWad = earlyVestRatioWad(config, unlockState.unlockElapsedDuration);
+    // Early claim moves bonus - vested - earlyVestableBonus into the loyalty pool
+    forfeited = state.bonus - state.vested - state.earlyVestableBonus;
+  }
+
+  const totalIfWait = max + state.loyaltyBonus;
+  const totalIfEarlyClaim = isUnlockComplete
+    ? totalIfWait
+    : unlocked + state.earlyVestableBonus;
+
+  const earlyVestRatio = Number(ratioWad) / Number(WAD);
+
+  // Wallet given → what the contract would let it claim now (0 after an early claim)
+  const wallet = userState ? {
+    claimed: toTokens(state.claimed),
+    claimable: toTokens(state.claimable),
+  } : {};
+  const walletRaw = userState ? {
+    claimed: state.claimed.toString(),
+    claimable: state.claimable.toString(),
+  } : {};
+
+  return {
+    base: toTokens(state.base),
+    bonus: toTokens(state.bonus),
+    vested: toTokens(vested),
+    unlocked: toTokens(unlocked),
+    locked: toTokens(locked),
+    earlyVestRatio,
+    earlyVestRatioPercent: earlyVestRatio * 100,
+    earlyVestableBonus: toTokens(state.earlyVestableBonus),
+    totalIfEarlyClaim: toTokens(totalIfEarlyClaim),
+    forfeited: toTokens(forfeited),
+    loyaltyBonus: toTokens(state.loyaltyBonus),
+    totalIfWait: toTokens(totalIfWait),
+    isUnlockComplete,
+    ...wallet,
+    raw: {
+      base: state.base.toString(),
+      bonus: state.bonus.toString(),
+      vested: vested.toString(),
+      earlyVestableBonus: state.earlyVestableBonus.toString(),
+      loyaltyBonus: state.loyaltyBonus.toString(),
+      totalIfEarlyClaim: totalIfEarlyClaim.toString(),
+      totalIfWait: totalIfWait.toString(),
+      ...walletRaw,
+    },
+  };
+}
+
+/**
+ * Generate full vesting timeline table data (one row per day, day 0 → first day at or past unlock end)
+ * @param {Object} params
+ * @param {number|string} params.maxTokenAmount - Allocation in tokens
+ * @param {Object} params.config - Season config (+ optional unlockDuration seconds, decimals, tokenAmountRaw)
+ * @param {Object} params.globalState - { totalLoyalty, totalLoyaltyIneligible } (+ optional *Raw)
+ * @param {string} params.startDate - Unlock start date (YYYY-MM-DD) for the date column
+ * @param {Object} [params.userState] - Wallet { claimedRaw, hasEarlyClaimed } → rows add claimed / claimable
+ * @returns {Object[]} Rows: { t, date, ...metrics }
+ */
+export function generateVestingTimeline({
+  maxTokenAmount,
+  config,
+  globalState,
+  startDate,
+  userState = null,
+}) {
+  if (!config || !maxTokenAmount || Number(maxTokenAmount) <= 0) {
+    return [];
+  }
+
+  const rows = [];
+  // Days from the exact duration: a duration that is not a whole number of days gets one
+  // more row, so the last row is past unlockEnd and shows 100% unlocked
+  const unlockDuration = config.unlockDuration ?? (config.unlockDurationDays || 90) * SECONDS_PER_DAY;
+  const days = Math.ceil(unlockDuration / SECONDS_PER_DAY);
+
+  for (let t = 0; t <= days; t++) {
+    const metrics = calculateVestingMetrics({
+      maxTokenAmount,
+      baseTokenClaimBps: config.baseTokenClaimBps,
+      unlockDuration,
+      earlyVestRatioMinBps: config.earlyVestRatioMinBps,
+      earlyVestRatioMaxBps: config.earlyVestRatioMaxBps,
+      dayT: t,
+      totalLoyalty: globalState?.totalLoyalty || 0,
+      totalLoyaltyIneligible: globalState?.totalLoyaltyIneligible || 0,
+      tokenAmount: config.tokenAmount,
+      tokenAmountRaw: config.tokenAmountRaw,
+      totalLoyaltyRaw: globalState?.totalLoyaltyRaw,
+      totalLoyaltyIneligibleRaw: globalState?.totalLoyaltyIneligibleRaw,
+      decimals: config.decimals,
+      userState,
+    });
+
+    // Calculate date
+    let date = "";
+    if (startDate) {
+      const d = new Date(startDate);
+      d.setDate(d.getDate() + t);
+      date = d.toISOString().split("T")[0];
+    }
+
+    rows.push({
+      t,
+      date,
+      ...metrics,
+    });
+  }
+
+  return rows;
+}
@@ -1,12 +1,25 @@
-import { useMemo, useState, useEffect } from "react";
+import { useMemo, useState, useEffect, useRef } from "react";
 import { BUILD_PROJECTS } from "../../config/shared/contracts.js";
 import { useBlockchainData, calculateVestingMetrics } from "./hooks/useBlockchainData.js";
 import { useWalletClaimData } from "./hooks/useWalletClaimData.js";
+import { useWalletPortfolio } from "./hooks/useWalletPortfolio.js";
+import { useClaimProof } from "./hooks/useClaimProof.js";
+import { useWalletClaimHistory } from "./hooks/useWalletClaimHistory.js";
+import { useProjectChangelog } from "./hooks/useProjectChangelog.js";
+import { useGlobalStateHistory, HISTORY_RANGES } from "./hooks/useGlobalStateHistory.js";
+import { useTokenPrice } from "./hooks/useTokenPrice.js";
 import { useVestingWorker } from "./hooks/useVestingWorker.js";
+import { useSavedScenarios } from "./hooks/useSavedScenarios.js";
+import { useScenarioTimelines } from "./hooks/useScenarioTimelines.js";
 import { useRateLimit } from "./contexts/RateLimitContext.jsx";
+import { useChallenge } from "./contexts/ChallengeContext.jsx";
 import { containerStyle } from "./styles/components.js";
 import "./styles/animations.css";
 import { calculateCurrentDay } from "./utils/dateUtils.js"; // Import the new helper
+import { resolveSeasonSelection, ALL_SEASONS } from "./utils/seasonUtils.js";
+import { readScenarioLink, buildScenarioLink, buildProjectDeepLink } from "./utils/deepLink.js";
+import { forecastLoyaltyPool } from "./utils/loyaltyForecast.js";
+import { buildTimelineExport, downloadTimelineExport } from "./utils/timelineExport.js";
 import { DEFAULTS } from "../../config/frontend/defaults.js";
 
 // Components
@@ -16,12 +29,25 @@ import {
   DisclaimerBanner,
   RateLimitBanner,
   ProjectSelector,
+  SeasonComparison,
+  ProjectHealthBanner,
+  ViewModeToggle,
+  VIEW_MODES,
+  PortfolioView,
   WalletInput,
+  ClaimProofImport,
+  ClaimHistory,
   WalletMetricExplanations,
+  ConfigChangelog,
   ConfigInfo,
   GlobalStateInfo,
   SimulationInputs,
+  DISPLAY_UNITS,
   ComparisonCards,
+  CalendarExport,
+  ScenarioComparison,
+  SCENARIO_COLORS,
+  MAX_COMPARED_SCENARIOS,
   VestingTable,
   VestingChart,
   FormulaSection,
@@ -29,39 +55,157 @@ import {
   Footer
 } from "./components/index.js";
 
+// Values the scenario link accepts for UI-only state
+const SCENARIO_LINK_OPTIONS = {
+  viewModes: Object.values(VIEW_MODES),
+  displayUnits: Object.values(DISPLAY_UNITS),
+  historyRanges: Object.keys(HISTORY_RANGES),
+};
+
+const DEFAULT_MAX_TOKEN_AMOUNT = 10000;
+const DEFAULT_HISTORY_RANGE = '30d';
+
 export default function App() {
   // Rate limit context
   const { rateLimitActive, rateLimitRetryAfter, triggerRateLimit, clearRateLimit } = useRateLimit();
 
+  // Challenge context (ChallengeModal on a challenge-required response, then retry)
+  const { requestChallenge } = useChallenge();
+
+  // Scenario link (?project=TICKER&wallet=0x...&day=...) - read once on first render
+  const [scenario] = useState(() => readScenarioLink(BUILD_PROJECTS, SCENARIO_LINK_OPTIONS));
+  // Linked day wins over "today" on the next chain config sync
+  const linkedDayRef = useRef(scenario.currentDay);
+
+  // View mode (calculator for one project, portfolio for one wallet across all projects)
+  const [viewMode, setViewMode] = useState(scenario.viewMode ?? VIEW_MODES.calculator);
+
   // Project selection
-  const [selectedProjectIndex, setSelectedProjectIndex] = useState(0);
+  const [selectedProjectIndex, setSelectedProjectIndex] = useState(scenario.projectIndex ?? 0);
   const selectedProject = BUILD_PROJECTS[selectedProjectIndex];
 
+  // Season selection (null = project's default season, ALL_SEASONS = side-by-side view)
+  const [selectedSeason, setSelectedSeason] = useState(scenario.season);
+  const { seasonIds, activeSeasonId } = useMemo(
+    () => resolveSeasonSelection(selectedProject, selectedSeason),
+    [selectedProject, selectedSeason]
+  );
+
   // Fetch blockchain data for selected project
-  const { config, globalState, loading, error, refetch } = useBlockchainData(selectedProject, {
-    onRateLimit: triggerRateLimit
+  const {
+    config,
+    globalState,
+    seasonConfigs,
+    seasonGlobalStates,
+    health: projectHealth,
+    metaData: blockchainMeta,
+    loading,
+    error,
+    refetch
+  } = useBlockchainData(selectedProject, {
+    seasonIds,
+    activeSeasonId,
+    onRateLimit: triggerRateLimit,
+    onChallenge: requestChallenge
   });
 
   // Wallet data state
-  const [walletAddress, setWalletAddress] = useState('');
+  const [walletAddress, setWalletAddress] = useState(scenario.wallet || '');
   
   // Fetch wallet claim data with SWR hook (auto-fetches when walletAddress is valid)
-  const { claimData: walletClaimData, loading: walletLoading, error: walletError, refetch: refetchWallet } = useWalletClaimData(
+  const {
+    claimData: walletClaimData,
+    seasonClaimData: walletSeasonClaimData,
+    loading: walletLoading,
+    error: walletError,
+    refetch: refetchWallet
+  } = useWalletClaimData(
     walletAddress, 
     selectedProject, 
-    { onRateLimit: triggerRateLimit }
+    { seasonIds, activeSeasonId, onRateLimit: triggerRateLimit, onChallenge: requestChallenge }
   );
 
+  // Portfolio: same wallet across every project (only fetched in portfolio mode)
+  const {
+    portfolio,
+    loading: portfolioLoading,
+    error: portfolioError,
+    refetch: refetchPortfolio
+  } = useWalletPortfolio(walletAddress, BUILD_PROJECTS, {
+    enabled: viewMode === VIEW_MODES.portfolio,
+    onRateLimit: triggerRateLimit,
+    onChallenge: requestChallenge
+  });
+
+  // Merkle claim params verification (exact allocation instead of manual input)
+  const {
+    verify: verifyClaimProof,
+    verifying: proofVerifying,
+    result: verifiedProof,
+    error: proofError,
+    reset: resetClaimProof
+  } = useClaimProof({ onRateLimit: triggerRateLimit, onChallenge: requestChallenge });
+
+  // Indexed claim history (Claimed events) for the selected project
+  const {
+    events: claimHistoryEvents,
+    stats: claimStats,
+    indexer: indexerStatus,
+    loading: claimHistoryLoading,
+    error: claimHistoryError
+  } = useWalletClaimHistory(walletAddress, selectedProject, {
+    enabled: viewMode === VIEW_MODES.calculator,
+    onRateLimit: triggerRateLimit,
+    onChallenge: requestChallenge
+  });
+
+  // Global state snapshots (loyalty pool growth sparklines + historical forecast rate)
+  const [historyRange, setHistoryRange] = useState(scenario.historyRange ?? DEFAULT_HISTORY_RANGE);
+  const { snapshots: globalStateHistory } = useGlobalStateHistory(selectedProject, {
+    seasonId: activeSeasonId,
+    range: historyRange,
+    resolution: HISTORY_RANGES[historyRange],
+    onRateLimit: triggerRateLimit,
+    onChallenge: requestChallenge
+  });
+
+  // Token USD price (USD toggle) + opportunity rate for present values
+  const { price: tokenPrice } = useTokenPrice(selectedProject, { onRateLimit: triggerRateLimit, onChallenge: requestChallenge });
+  const [displayUnit, setDisplayUnit] = useState(scenario.displayUnit ?? DISPLAY_UNITS.token);
+  const [discountRatePercent, setDiscountRatePercent] = useState(scenario.discountRatePercent ?? DEFAULTS.discountRatePercent);
+  const usdPrice = displayUnit === DISPLAY_UNITS.usd && tokenPrice ? tokenPrice.usd : null;
+
+  // Project changelog (factory events) - a new entry means cached config changed on-chain
+  const {
+    events: changelogEvents,
+    latestChangeId,
+    loading: changelogLoading,
+    error: changelogError
+  } = useProjectChangelog(selectedProject, {
+    enabled: viewMode === VIEW_MODES.calculator,
+    onRateLimit: triggerRateLimit,
+    onChallenge: requestChallenge
+  });
+
+  // Refetch project data when a new factory event shows up (backend cache is already invalidated)
+  const [seenChange, setSeenChange] = useState(null); // { tokenAddress, id }
+  useEffect(() => {
+    if (!latestChangeId || latestChangeId === seenChange?.id) return;
+    // Only a change within the same project means fresh data (not a project switch)
+    if (seenChange?.tokenAddress === selectedProject.tokenAddress) refetch();
+    setSeenChange({ tokenAddress: selectedProject.tokenAddress, id: latestChangeId });
+  }, [latestChangeId, seenChange, selectedProject.tokenAddress, refetch]);
+
   // User inputs for simulation (editable freely)
-  const [maxTokenAmount, setMaxTokenAmount] = useState(10000);
-  const [currentDay, setCurrentDay] = useState(0);
+  const [maxTokenAmount, setMaxTokenAmount] = useState(scenario.maxTokenAmount ?? DEFAULT_MAX_TOKEN_AMOUNT);
+  const [currentDay, setCurrentDay] = useState(scenario.currentDay ?? 0);
   // Removed throttle for instant slider response - data is pre-computed in rows array (O(1) lookup)
-  const [simulateDurationDays, setSimulateDurationDays] = useState(DEFAULTS.unlockDurationDays);
-  const [simulateStartDate, setSimulateStartDate] = useState("2025-12-16");
-  const [simulateBaseClaimBps, setSimulateBaseClaimBps] = useState(DEFAULTS.baseTokenClaimBps);
-  const [simulateEarlyVestMinBps, setSimulateEarlyVestMinBps] = useState(DEFAULTS.earlyVestRatioMinBps);
-  const [simulateEarlyVestMaxBps, setSimulateEarlyVestMaxBps] = useState(DEFAULTS.earlyVestRatioMaxBps);
-  const [simulateLoyaltyPool, setSimulateLoyaltyPool] = useState(DEFAULTS.loyaltyPool);
+  const [simulateDurationDays, setSimulateDurationDays] = useState(scenario.durationDays ?? DEFAULTS.unlockDurationDays);
+  const [simulateStartDate, setSimulateStartDate] = useState(scenario.startDate ?? DEFAULTS.unlockStartDate);
+  const [simulateBaseClaimBps, setSimulateBaseClaimBps] = useState(scenario.baseClaimBps ?? DEFAULTS.baseTokenClaimBps);
+  const [simulateEarlyVestMinBps, setSimulateEarlyVestMinBps] = useState(scenario.earlyVestMinBps ?? DEFAULTS.earlyVestRatioMinBps);
+  const [simulateEarlyVestMaxBps, setSimulateEarlyVestMaxBps] = useState(scenario.earlyVestMaxBps ?? DEFAULTS.earlyVestRatioMaxBps);
+  const [simulateLoyaltyPool, setSimulateLoyaltyPool] = useState(scenario.loyaltyPool ?? DEFAULTS.loyaltyPool);
 
   // Detect if on-chain config is set (tokenAmount > 0 means config is properly set)
   const isChainConfigSet = config?.tokenAmount > 0;
@@ -110,7 +254,9 @@ export default function App() {
         const diffTime = today.getTime() - unlockStart.getTime();
         const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
         // Set currentDay to calculated value, but not less than 0 and not more than duration
-        setCurrentDay(calculateCurrentDay(config.unlockStartDate, config.unlockDurationDays));
+        setCurrentDay(linkedDayRef.current !== null
+          ? Math.min(linkedDayRef.current, config.unlockDurationDays)
+          : calculateCurrentDay(config.unlockStartDate, config.unlockDurationDays));
       }
     } else if (config) {
       // Config not set, only sync start date if available
@@ -122,9 +268,11 @@ export default function App() {
         const diffTime = today.getTime() - unlockStart.getTime();
         const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
         // Set currentDay to calculated value, but not less than 0
-        setCurrentDay(calculateCurrentDay(config.unlockStartDate));
+        setCurrentDay(linkedDayRef.current ?? calculateCurrentDay(config.unlockStartDate));
       }
     }
+    // The linked day only applies to the first config it was opened with
+    if (config) linkedDayRef.current = null;
   }, [config, isChainConfigSet]);
 
   // Create simulated config
@@ -133,12 +281,15 @@ export default function App() {
       // Config is set on-chain: use ALL chain values (even if some are 0)
       return {
         tokenAmount: config.tokenAmount,
+        tokenAmountRaw: config.tokenAmountRaw, // Exact wei (tokenAmount is a float)
         totalDeposited: config.totalDeposited || 0,
         baseTokenClaimBps: config.baseTokenClaimBps,
         unlockDurationDays: config.unlockDurationDays,
+        unlockDuration: config.unlockDuration, // Exact seconds (days are rounded)
         earlyVestRatioMinBps: config.earlyVestRatioMinBps,
         earlyVestRatioMaxBps: config.earlyVestRatioMaxBps,
         unlockStartDate: config.unlockStartDate || startDate,
+        decimals: selectedProject.decimals,
       };
     }
     
@@ -155,8 +306,9 @@ export default function App() {
       earlyVestRatioMinBps: simulateEarlyVestMinBps,
       earlyVestRatioMaxBps: simulateEarlyVestMaxBps,
       unlockStartDate: startDate,
+      decimals: selectedProject.decimals,
     };
-  }, [config, isChainConfigSet, durationDays, startDate, simulateBaseClaimBps, simulateEarlyVestMinBps, simulateEarlyVestMaxBps]);
+  }, [config, isChainConfigSet, durationDays, startDate, simulateBaseClaimBps, simulateEarlyVestMinBps, simulateEarlyVestMaxBps, selectedProject]);
 
   // Create simulated global state (use chain if set, simulation if not)
   const simulatedGlobalState = useMemo(() => {
@@ -164,7 +316,9 @@ export default function App() {
       // Use chain values
       return {
         totalLoyalty: globalState?.totalLoyalty || 0,
+        totalLoyaltyRaw: globalState?.totalLoyaltyRaw,
         totalLoyaltyIneligible: globalState?.totalLoyaltyIneligible || 0,
+        totalLoyaltyIneligibleRaw: globalState?.totalLoyaltyIneligibleRaw,
         totalClaimed: globalState?.totalClaimed || 0,
       };
     }
@@ -184,6 +338,60 @@ export default function App() {
       startDate,
     });
 
+  // Loyalty pool forecast settings (shared by ComparisonCards + VestingChart)
+  const [forecastSettings, setForecastSettings] = useState(() => ({
+    mode: scenario.forecast.mode ?? DEFAULTS.loyaltyForecastMode,
+    earlyClaimPercent: scenario.forecast.earlyClaimPercent ?? DEFAULTS.loyaltyForecastEarlyClaimPercent,
+    curve: scenario.forecast.curve ?? DEFAULTS.loyaltyForecastCurve,
+  }));
+
+  // Project the loyalty pool from today's snapshot to unlock end
+  const loyaltyForecast = useMemo(() => {
+    // Simulation mode has no real snapshot → forecast from day 0
+    const fromDay = isChainConfigSet ? calculateCurrentDay(startDate, durationDays) : 0;
+
+    // Recorded snapshots (as unlock days) when there are enough, otherwise
+    // unlock start → today (nothing is ineligible before early claims open)
+    const unlockStart = Date.parse(startDate);
+    const recorded = isChainConfigSet
+      ? globalStateHistory
+        .map(snapshot => ({
+          day: (snapshot.timestamp * 1000 - unlockStart) / (1000 * 60 * 60 * 24),
+          totalLoyaltyIneligible: snapshot.totalLoyaltyIneligible,
+        }))
+        .filter(snapshot => snapshot.day >= 0)
+      : [];
+    const snapshots = recorded.length >= 2 ? recorded : [
+      { day: 0, totalLoyaltyIneligible: 0 },
+      { day: fromDay, totalLoyaltyIneligible: Number(simulatedGlobalState.totalLoyaltyIneligible) || 0 },
+    ];
+
+    return forecastLoyaltyPool(rows, {
+      config: simulatedConfig,
+      globalState: simulatedGlobalState,
+      fromDay,
+      ...forecastSettings,
+      snapshots,
+    });
+  }, [rows, simulatedConfig, simulatedGlobalState, isChainConfigSet, startDate, durationDays, forecastSettings, globalStateHistory]);
+
+  // Saved scenarios (localStorage) + the ones compared side by side
+  const { scenarios: savedScenarios, saveScenario, removeScenario } = useSavedScenarios();
+  const [comparedScenarioIds, setComparedScenarioIds] = useState([]);
+  const comparedSavedScenarios = useMemo(
+    () => comparedScenarioIds.map(id => savedScenarios.find(s => s.id === id)).filter(Boolean),
+    [comparedScenarioIds, savedScenarios]
+  );
+  const { timelines: scenarioTimelines } = useScenarioTimelines(comparedSavedScenarios);
+  const comparedScenarios = useMemo(
+    () => comparedSavedScenarios.map((scenario, i) => ({
+      ...scenario,
+      color: SCENARIO_COLORS[i],
+      rows: scenarioTimelines[scenario.id] || [],
+    })),
+    [comparedSavedScenarios, scenarioTimelines]
+  );
+
   // Current day metrics - using direct currentDay for instant response
   const currentMetrics = useMemo(() => {
     if (!maxTokenAmount) return null;
@@ -191,12 +399,17 @@ export default function App() {
       maxTokenAmount: Number(maxTokenAmount),
       baseTokenClaimBps: simulatedConfig.baseTokenClaimBps,
       unlockDurationDays: durationDays,
+      unlockDuration: simulatedConfig.unlockDuration,
       earlyVestRatioMinBps: simulatedConfig.earlyVestRatioMinBps,
       earlyVestRatioMaxBps: simulatedConfig.earlyVestRatioMaxBps,
       dayT: currentDay, // Direct currentDay for instant slider response
       totalLoyalty: simulatedGlobalState.totalLoyalty,
       totalLoyaltyIneligible: simulatedGlobalState.totalLoyaltyIneligible,
       tokenAmount: simulatedConfig.tokenAmount,
+      tokenAmountRaw: simulatedConfig.tokenAmountRaw,
+      totalLoyaltyRaw: simulatedGlobalState.totalLoyaltyRaw,
+      totalLoyaltyIneligibleRaw: simulatedGlobalState.totalLoyaltyIneligibleRaw,
+      decimals: simulatedConfig.decimals,
     });
   }, [maxTokenAmount, simulatedConfig, simulatedGlobalState, currentDay, durationDays]);
 
@@ -209,7 +422,8 @@ export default function App() {
 
   // Reset handler
   const handleReset = () => {
-    setMaxTokenAmount(10000);
+    setMaxTokenAmount(DEFAULT_MAX_TOKEN_AMOUNT);
+    resetClaimProof();
     // Reset to today's day relative to unlock start
     const today = new Date();
     const unlockStart = new Date(simulateStartDate);
@@ -219,11 +433,226 @@ export default function App() {
     setSimulateLoyaltyPool(DEFAULTS.loyaltyPool);
   };
 
+  // Switching project resets the season to the new project's default
+  const handleProjectSelect = (index) => {
+    setSelectedProjectIndex(index);
+    setSelectedSeason(null);
+    resetClaimProof();
+  };
+
+  // Verified allocation fills in the calculator
+  const handleVerifyClaimProof = async (params) => {
+    const verified = await verifyClaimProof(walletAddress, selectedProject, params);
+    if (verified) {
+      setMaxTokenAmount(verified.allocation.maxTokenAmount);
+    }
+  };
+
+  // Manual edits drop the verified badge
+  const handleMaxTokenAmountChange = (value) => {
+    setMaxTokenAmount(value);
+    resetClaimProof();
+  };
+
+  // Portfolio deep link → open the calculator on that project with the same wallet
+  const handleOpenProject = (index) => {
+    handleProjectSelect(index);
+    setViewMode(VIEW_MODES.calculator);
+    window.history.pushState(null, '', buildProjectDeepLink(BUILD_PROJECTS[index], walletAddress));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const isPortfolio = viewMode === VIEW_MODES.portfolio;
+
   // Handle wallet address change (SWR automatically refetches when walletAddress changes)
   const handleWalletAddressChange = (newAddress) => {
     setWalletAddress(newAddress);
+    resetClaimProof();
   };
 
+  // Simulation parameter edits (min early vest ratio never above max)
+  const handleSimulationParamsChange = (patch) => {
+    if (patch.durationDays !== undefined) {
+      setSimulateDurationDays(patch.durationDays);
+      setCurrentDay(day => Math.min(day, patch.durationDays));
+    }
+    if (patch.startDate !== undefined) setSimulateStartDate(patch.startDate);
+    if (patch.baseClaimBps !== undefined) setSimulateBaseClaimBps(patch.baseClaimBps);
+    if (patch.earlyVestMinBps !== undefined) {
+      setSimulateEarlyVestMinBps(patch.earlyVestMinBps);
+      setSimulateEarlyVestMaxBps(max => Math.max(max, patch.earlyVestMinBps));
+    }
+    if (patch.earlyVestMaxBps !== undefined) {
+      setSimulateEarlyVestMaxBps(patch.earlyVestMaxBps);
+      setSimulateEarlyVestMinBps(min => Math.min(min, patch.earlyVestMaxBps));
+    }
+    if (patch.loyaltyPool !== undefined) setSimulateLoyaltyPool(patch.loyaltyPool);
+  };
+
+  // Save the effective inputs (chain config when set, simulation values otherwise)
+  const handleSaveScenario = (name) => saveScenario(name, {
+    ticker: selectedProject.ticker,
+    maxTokenAmount: Number(maxTokenAmount) || 0,
+    startDate,
+    config: simulatedConfig,
+    globalState: {
+      totalLoyalty: Number(simulatedGlobalState.totalLoyalty) || 0,
+      totalLoyaltyIneligible: Number(simulatedGlobalState.totalLoyaltyIneligible) || 0,
+    },
+  });
+
+  // Loading a scenario restores its project + inputs (chain values still win once set)
+  const handleLoadScenario = (scenario) => {
+    const projectIndex = BUILD_PROJECTS.findIndex(p => p.ticker === scenario.ticker);
+    if (projectIndex >= 0 && projectIndex !== selectedProjectIndex) handleProjectSelect(projectIndex);
+    setMaxTokenAmount(scenario.maxTokenAmount);
+    resetClaimProof();
+    setSimulateDurationDays(scenario.config.unlockDurationDays);
+    setSimulateStartDate(scenario.startDate || DEFAULTS.unlockStartDate);
+    setSimulateBaseClaimBps(scenario.config.baseTokenClaimBps);
+    setSimulateEarlyVestMinBps(scenario.config.earlyVestRatioMinBps);
+    setSimulateEarlyVestMaxBps(scenario.config.earlyVestRatioMaxBps);
+    setSimulateLoyaltyPool(scenario.globalState?.totalLoyalty || 0);
+    setCurrentDay(day => Math.min(day, scenario.config.unlockDurationDays));
+  };
+
+  const handleRemoveScenario = (id) => {
+    removeScenario(id);
+    setComparedScenarioIds(ids => ids.filter(compared => compared !== id));
+  };
+
+  const handleToggleCompare = (id) => {
+    setComparedScenarioIds(ids => (ids.includes(id)
+      ? ids.filter(compared => compared !== id)
+      : [...ids, id].slice(0, MAX_COMPARED_SCENARIOS)));
+  };
+
+  // Whole scenario as a shareable link (defaults and chain-provided values are left out)
+  const scenarioLink = useMemo(() => {
+    const simulation = !isChainConfigSet;
+    return buildScenarioLink({
+      project: selectedProject,
+      season: selectedSeason,
+      wallet: walletAddress,
+      viewMode,
+      maxTokenAmount,
+      currentDay,
+      durationDays: simulation ? simulateDurationDays : null,
+      startDate: simulation && !config?.unlockStartDate ? simulateStartDate : null,
+      baseClaimBps: simulation ? simulateBaseClaimBps : null,
+      earlyVestMinBps: simulation ? simulateEarlyVestMinBps : null,
+      earlyVestMaxBps: simulation ? simulateEarlyVestMaxBps : null,
+      loyaltyPool: simulation ? simulateLoyaltyPool : null,
+      forecastMode: forecastSettings.mode,
+      forecastEarlyClaimPercent: forecastSettings.earlyClaimPercent,
+      forecastCurve: forecastSettings.curve,
+      displayUnit,
+      discountRatePercent,
+      historyRange,
+    }, {
+      viewMode: VIEW_MODES.calculator,
+      maxTokenAmount: DEFAULT_MAX_TOKEN_AMOUNT,
+      currentDay: calculateCurrentDay(startDate, durationDays), // "today" stays relative
+      durationDays: DEFAULTS.unlockDurationDays,
+      startDate: DEFAULTS.unlockStartDate,
+      baseClaimBps: DEFAULTS.baseTokenClaimBps,
+      earlyVestMinBps: DEFAULTS.earlyVestRatioMinBps,
+      earlyVestMaxBps: DEFAULTS.earlyVestRatioMaxBps,
+      loyaltyPool: DEFAULTS.totalLoyalty,
+      forecastMode: DEFAULTS.loyaltyForecastMode,
+      forecastEarlyClaimPercent: DEFAULTS.loyaltyForecastEarlyClaimPercent,
+      forecastCurve: DEFAULTS.loyaltyForecastCurve,
+      displayUnit: DISPLAY_UNITS.token,
+      discountRatePercent: DEFAULTS.discountRatePercent,
+      historyRange: DEFAULT_HISTORY_RANGE,
+    });
+  }, [
+    selectedProject, selectedSeason, walletAddress, viewMode, maxTokenAmount, currentDay,
+    isChainConfigSet, config, startDate, durationDays,
+    simulateDurationDays, simulateStartDate, simulateBaseClaimBps, simulateEarlyVestMinBps, simulateEarlyVestMaxBps, simulateLoyaltyPool,
+    forecastSettings, displayUnit, discountRatePercent, historyRange,
+  ]);
+
+  // Timeline export with scenario inputs, data source flags and block metadata
+  const handleExportTimeline = (format) => {
+    const exportData = buildTimelineExport({
+      rows,
+      project: selectedProject,
+      seasonId: activeSeasonId,
+      inputs: {
+        maxTokenAmount: Number(maxTokenAmount) || 0,
+        currentDay,
+        startDate,
+        tokenAmount: simulatedConfig.tokenAmount,
+        baseTokenClaimBps: simulatedConfig.baseTokenClaimBps,
+        unlockDurationDays: simulatedConfig.unlockDurationDays,
+        earlyVestRatioMinBps: simulatedConfig.earlyVestRatioMinBps,
+        earlyVestRatioMaxBps: simulatedConfig.earlyVestRatioMaxBps,
+        totalLoyalty: simulatedGlobalState.totalLoyalty,
+        totalLoyaltyIneligible: simulatedGlobalState.totalLoyaltyIneligible,
+        walletAddress: walletAddress || null,
+        scenarioLink: `${window.location.origin}${window.location.pathname}${scenarioLink}`,
+      },
+      dataSource,
+      metaData: blockchainMeta,
+    });
+    downloadTimelineExport(exportData, format);
+  };
+
+  // Keep the address bar in sync (replace, so slider drags don't flood the history)
+  useEffect(() => {
+    if (window.location.search !== scenarioLink) {
+      window.history.replaceState(null, '', scenarioLink);
+    }
+  }, [scenarioLink]);
+
+  // Back/forward → restore the scenario of that history entry
+  const chainStartDate = config?.unlockStartDate;
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = readScenarioLink(BUILD_PROJECTS, SCENARIO_LINK_OPTIONS);
+      const projectIndex = next.projectIndex ?? 0;
+      // Same project/season keeps its config → no chain sync will follow
+      const nextSeasonId = resolveSeasonSelection(BUILD_PROJECTS[projectIndex], next.season).activeSeasonId;
+      const sameConfig = projectIndex === selectedProjectIndex && nextSeasonId === activeSeasonId;
+
+      setViewMode(next.viewMode ?? VIEW_MODES.calculator);
+      setSelectedProjectIndex(projectIndex);
+      setSelectedSeason(next.season);
+      setWalletAddress(next.wallet || '');
+      setMaxTokenAmount(next.maxTokenAmount ?? DEFAULT_MAX_TOKEN_AMOUNT);
+      // Chain-provided values are not in the link → keep them
+      if (!sameConfig || !isChainConfigSet) {
+        setSimulateDurationDays(next.durationDays ?? DEFAULTS.unlockDurationDays);
+        setSimulateBaseClaimBps(next.baseClaimBps ?? DEFAULTS.baseTokenClaimBps);
+        setSimulateEarlyVestMinBps(next.earlyVestMinBps ?? DEFAULTS.earlyVestRatioMinBps);
+        setSimulateEarlyVestMaxBps(next.earlyVestMaxBps ?? DEFAULTS.earlyVestRatioMaxBps);
+        setSimulateLoyaltyPool(next.loyaltyPool ?? DEFAULTS.loyaltyPool);
+      }
+      if (!sameConfig || !chainStartDate) {
+        setSimulateStartDate(next.startDate ?? DEFAULTS.unlockStartDate);
+      }
+      setForecastSettings({
+        mode: next.forecast.mode ?? DEFAULTS.loyaltyForecastMode,
+        earlyClaimPercent: next.forecast.earlyClaimPercent ?? DEFAULTS.loyaltyForecastEarlyClaimPercent,
+        curve: next.forecast.curve ?? DEFAULTS.loyaltyForecastCurve,
+      });
+      setDisplayUnit(next.displayUnit ?? DISPLAY_UNITS.token);
+      setDiscountRatePercent(next.discountRatePercent ?? DEFAULTS.discountRatePercent);
+      setHistoryRange(next.historyRange ?? DEFAULT_HISTORY_RANGE);
+      resetClaimProof();
+
+      if (sameConfig) {
+        setCurrentDay(next.currentDay ?? calculateCurrentDay(startDate, durationDays));
+      } else {
+        linkedDayRef.current = next.currentDay;
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [selectedProjectIndex, activeSeasonId, isChainConfigSet, chainStartDate, startDate, durationDays, resetClaimProof]);
+
 
   return (
     <>
@@ -245,80 +674,198 @@ export default function App() {
         {/* Disclaimer Banner - Important notice at the top */}
         <DisclaimerBanner />
 
+        {/* Calculator / Portfolio switch */}
+        <ViewModeToggle mode={viewMode} onChange={setViewMode} />
+
         {/* Project Selector */}
-        <ProjectSelector
-          projects={BUILD_PROJECTS}
-          selectedIndex={selectedProjectIndex}
-          onSelect={setSelectedProjectIndex}
-          onRefresh={refetch}
-          loading={loading}
-          error={error}
-          config={config}
-        />
+        {!isPortfolio && (
+          <ProjectSelector
+            projects={BUILD_PROJECTS}
+            selectedIndex={selectedProjectIndex}
+            onSelect={handleProjectSelect}
+            selectedSeason={selectedSeason === ALL_SEASONS ? ALL_SEASONS : activeSeasonId}
+            onSelectSeason={setSelectedSeason}
+            onRefresh={refetch}
+            loading={loading}
+            error={error}
+            config={config}
+          />
+        )}
+
+        {/* Pause / refund warnings - claimable values are zero in these states */}
+        {!isPortfolio && (
+          <ProjectHealthBanner health={projectHealth} selectedProject={selectedProject} />
+        )}
 
         {/* Wallet Input with integrated claim data - Shows on-chain data only */}
         <WalletInput
           walletAddress={walletAddress}
           setWalletAddress={handleWalletAddressChange}
-          loading={walletLoading}
-          error={walletError}
+          loading={isPortfolio ? portfolioLoading : walletLoading}
+          error={isPortfolio ? portfolioError : walletError}
           claimData={walletClaimData}
           rateLimitActive={rateLimitActive}
-          onRefresh={refetchWallet}
-        />
-
-        {/* Config Info from Blockchain */}
-        <ConfigInfo
-          simulatedConfig={simulatedConfig}
-          selectedProject={selectedProject}
-          dataSource={dataSource}
+          onRefresh={isPortfolio ? refetchPortfolio : refetchWallet}
         />
 
-        {/* Global State Info */}
-        <GlobalStateInfo
-          simulatedGlobalState={simulatedGlobalState}
-          selectedProject={selectedProject}
-          dataSource={dataSource}
-          simulatedConfig={simulatedConfig}
-        />
-
-        {/* Simulation Inputs */}
-        <SimulationInputs
-          maxTokenAmount={maxTokenAmount}
-          setMaxTokenAmount={setMaxTokenAmount}
-          currentDay={currentDay}
-          setCurrentDay={setCurrentDay}
-          durationDays={durationDays}
-          progressPercent={progressPercent}
-          onReset={handleReset}
-        />
-
-        {/* Comparison Summary Cards */}
-        <ComparisonCards
-          currentDay={currentDay}
-          rows={rows}
-          startDate={startDate}
-        />
-
-        {/* Table */}
-        <VestingTable
-          rows={rows}
-          currentDay={currentDay}
-          selectedProject={selectedProject}
-          loading={loading}
-        />
-
-        {/* Vesting Progress Chart */}
-        <VestingChart
-          rows={rows}
-          currentDay={currentDay}
-          setCurrentDay={setCurrentDay}
-          durationDays={durationDays}
-          maxTokenAmount={maxTokenAmount}
-          simulatedConfig={simulatedConfig}
-          simulatedGlobalState={simulatedGlobalState}
-          startDate={startDate}
-        />
+        {/* Portfolio - one wallet across all BUILD projects */}
+        {isPortfolio && (
+          <PortfolioView
+            walletAddress={walletAddress}
+            portfolio={portfolio}
+            loading={portfolioLoading}
+            error={portfolioError}
+            onOpenProject={handleOpenProject}
+          />
+        )}
+
+        {/* Calculator - single project */}
+        {!isPortfolio && (
+          <>
+            {/* Claim history from indexed Claimed events */}
+            <ClaimHistory
+              walletAddress={walletAddress}
+              selectedProject={selectedProject}
+              events={claimHistoryEvents}
+              stats={claimStats}
+              indexer={indexerStatus}
+              loading={claimHistoryLoading}
+              error={claimHistoryError}
+            />
+
+            {/* Merkle claim params import */}
+            <ClaimProofImport
+              walletAddress={walletAddress}
+              seasonId={activeSeasonId}
+              verifying={proofVerifying}
+              result={verifiedProof}
+              error={proofError}
+              onVerify={handleVerifyClaimProof}
+            />
+
+            {/* Season Comparison - only in "All seasons" mode */}
+            {selectedSeason === ALL_SEASONS && (
+              <SeasonComparison
+                seasonIds={seasonIds}
+                activeSeasonId={activeSeasonId}
+                seasonConfigs={seasonConfigs}
+                seasonGlobalStates={seasonGlobalStates}
+                seasonClaimData={walletSeasonClaimData}
+                selectedProject={selectedProject}
+              />
+            )}
+
+            {/* Changelog timeline (factory events) */}
+            <ConfigChangelog
+              selectedProject={selectedProject}
+              events={changelogEvents}
+              loading={changelogLoading}
+              error={changelogError}
+            />
+
+            {/* Config Info from Blockchain */}
+            <ConfigInfo
+              simulatedConfig={simulatedConfig}
+              selectedProject={selectedProject}
+              dataSource={dataSource}
+            />
+
+            {/* Global State Info */}
+            <GlobalStateInfo
+              simulatedGlobalState={simulatedGlobalState}
+              selectedProject={selectedProject}
+              dataSource={dataSource}
+              simulatedConfig={simulatedConfig}
+              history={globalStateHistory}
+              historyRange={historyRange}
+              onHistoryRangeChange={setHistoryRange}
+            />
+
+            {/* Simulation Inputs */}
+            <SimulationInputs
+              maxTokenAmount={maxTokenAmount}
+              setMaxTokenAmount={handleMaxTokenAmountChange}
+              verifiedAllocation={verifiedProof?.allocation}
+              currentDay={currentDay}
+              setCurrentDay={setCurrentDay}
+              durationDays={durationDays}
+              progressPercent={progressPercent}
+              onReset={handleReset}
+              displayUnit={usdPrice ? DISPLAY_UNITS.usd : DISPLAY_UNITS.token}
+              onDisplayUnitChange={setDisplayUnit}
+              tokenPrice={tokenPrice}
+              ticker={selectedProject.ticker}
+              simulationParams={{
+                durationDays: simulateDurationDays,
+                startDate: simulateStartDate,
+                baseClaimBps: simulateBaseClaimBps,
+                earlyVestMinBps: simulateEarlyVestMinBps,
+                earlyVestMaxBps: simulateEarlyVestMaxBps,
+                loyaltyPool: simulateLoyaltyPool,
+              }}
+              onSimulationParamsChange={handleSimulationParamsChange}
+              paramsFromChain={isChainConfigSet}
+            />
+
+            {/* Comparison Summary Cards */}
+            <ComparisonCards
+              currentDay={currentDay}
+              rows={rows}
+              startDate={startDate}
+              loyaltyForecast={loyaltyForecast}
+              forecastSettings={forecastSettings}
+              onForecastSettingsChange={setForecastSettings}
+              usdPrice={usdPrice}
+              discountRatePercent={discountRatePercent}
+              onDiscountRateChange={setDiscountRatePercent}
+            />
+
+            {/* Unlock milestones as an ICS calendar */}
+            <CalendarExport
+              rows={rows}
+              selectedProject={selectedProject}
+              seasonId={activeSeasonId}
+              walletAddress={walletAddress}
+            />
+
+            {/* Saved scenarios + side-by-side comparison */}
+            <ScenarioComparison
+              scenarios={savedScenarios}
+              comparedScenarios={comparedScenarios}
+              onSave={handleSaveScenario}
+              onLoad={handleLoadScenario}
+              onRemove={handleRemoveScenario}
+              onToggleCompare={handleToggleCompare}
+              currentDay={currentDay}
+              usdPrice={usdPrice}
+            />
+
+            {/* Table */}
+            <VestingTable
+              rows={rows}
+              currentDay={currentDay}
+              selectedProject={selectedProject}
+              loading={loading}
+              usdPrice={usdPrice}
+              onExport={handleExportTimeline}
+            />
+
+            {/* Vesting Progress Chart */}
+            <VestingChart
+              rows={rows}
+              currentDay={currentDay}
+              setCurrentDay={setCurrentDay}
+              durationDays={durationDays}
+              maxTokenAmount={maxTokenAmount}
+              simulatedConfig={simulatedConfig}
+              simulatedGlobalState={simulatedGlobalState}
+              startDate={startDate}
+              loyaltyForecast={loyaltyForecast}
+              comparedScenarios={comparedScenarios}
+              usdPrice={usdPrice}
+            />
+          </>
+        )}
 
         {/* Wallet Metric Explanations */}
         <WalletMetricExplanations />
@@ -0,0 +1,350 @@
+import { useState, useEffect, useCallback } from 'react';
+import { theme } from '../styles/theme.js';
+import { adminRequest, getAdminToken, setAdminToken } from '../utils/adminClient.js';
+import {
+  containerStyle,
+  titleStyle,
+  configInfoStyle,
+  configTitleStyle,
+  configGridStyle,
+  configItemStyle,
+  configLabelStyle,
+  configValueStyle,
+  dotStyle,
+  inputHintStyle,
+  inlineErrorStyle,
+  tableWrapperStyle,
+  tableStyle,
+  thStyle,
+  tdStyle,
+  tdStyleMuted,
+  tdStyleGreen,
+  tdStyleRed,
+  emptyStateStyle,
+  walletInputFieldStyle,
+  walletLoadButtonStyle,
+  walletLoadButtonDisabledStyle,
+  scenarioSaveRowStyle,
+  scenarioActionButtonStyle,
+} from '../styles/components.js';
+
+const PAGE_SIZE = 25;
+
+// Block duration options (seconds, 0 = permanent)
+const BLOCK_DURATIONS = [
+  { label: '1 hour', value: 3600 },
+  { label: '24 hours', value: 86400 },
+  { label: '7 days', value: 7 * 86400 },
+  { label: 'Permanent', value: 0 },
+];
+
+const sectionStyle = { ...configInfoStyle, marginLeft: 0, marginRight: 0 };
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '—';
+}
+
+function StatItem({ label, value }) {
+  return (
+    <div style={configItemStyle}>
+      <span style={configLabelStyle}>{label}</span>
+      <span style={configValueStyle}>{value ?? '—'}</span>
+    </div>
+  );
+}
+
+/**
+ * Operator page (/admin): devices, IP penalties and nonce usage
+ * Needs an admin JWT (pnpm run admin:token <name>), see backend/src/routes/admin.js
+ */
+export function AdminPage() {
+  const [token, setToken] = useState(getAdminToken);
+  const [tokenInput, setTokenInput] = useState('');
+  const [stats, setStats] = useState(null);
+  const [devices, setDevices] = useState({ devices: [], nextCursor: null });
+  const [penalties, setPenalties] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [blockedFilter, setBlockedFilter] = useState('');
+  // Cursors of the pages visited so far (the server pages with SCAN, so only forward cursors exist)
+  const [cursors, setCursors] = useState(['0']);
+  const [blockDuration, setBlockDuration] = useState(BLOCK_DURATIONS[0].value);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    setError(null);
+
+    const query = new URLSearchParams({ search, limit: PAGE_SIZE, cursor: cursors.at(-1) });
+    if (blockedFilter) query.set('blocked', blockedFilter);
+
+    try {
+      const [nextStats, nextDevices, nextPenalties] = await Promise.all([
+        adminRequest('/stats', { token }),
+        adminRequest(`/devices?${query}`, { token }),
+        adminRequest('/penalties', { token }),
+      ]);
+      setStats(nextStats);
+      setDevices(nextDevices);
+      setPenalties(nextPenalties.penalties);
+    } catch (err) {
+      setError(err.status === 401 || err.status === 403 ? `Token rejected: ${err.message}` : err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, search, blockedFilter, cursors]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runAction = async (path, options) => {
+    setError(null);
+    try {
+      await adminRequest(path, { token, ...options });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    const nextToken = tokenInput.trim();
+    if (!nextToken) return;
+    setAdminToken(nextToken);
+    setToken(nextToken);
+    setTokenInput('');
+  };
+
+  const handleSignOut = () => {
+    setAdminToken('');
+    setToken('');
+    setStats(null);
+    setDevices({ devices: [], nextCursor: null });
+    setPenalties([]);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCursors(['0']);
+    setSearch(searchInput.trim());
+  };
+
+  if (!token) {
+    return (
+      <div style={containerStyle}>
+        <h1 style={titleStyle}>Admin</h1>
+        <form style={{ ...sectionStyle, marginTop: 24 }} onSubmit={handleSignIn}>
+          <div style={configTitleStyle}><span style={dotStyle} />Admin token</div>
+          <div style={scenarioSaveRowStyle}>
+            <input
+              type="password"
+              style={{ ...walletInputFieldStyle, flex: 1, minWidth: 280 }}
+              value={tokenInput}
+              onChange={(e) => setTokenInput(e.target.value)}
+              placeholder="eyJhbGciOi..."
+              autoComplete="off"
+            />
+            <button type="submit" style={tokenInput.trim() ? walletLoadButtonStyle : walletLoadButtonDisabledStyle} disabled={!tokenInput.trim()}>
+              Sign in
+            </button>
+          </div>
+          <p style={inputHintStyle}>
+            Tạo token trên server: <code>pnpm run admin:token &lt;tên&gt;</code>. Token chỉ được lưu trong tab này.
+          </p>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div style={containerStyle}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 24 }}>
+        <h1 style={titleStyle}>Admin</h1>
+        <button type="button" style={{ ...scenarioActionButtonStyle, marginLeft: 'auto' }} onClick={load} disabled={loading}>
+          {loading ? 'Loading…' : 'Refresh'}
+        </button>
+        <button type="button" style={scenarioActionButtonStyle} onClick={handleSignOut}>
+          Sign out
+        </button>
+      </div>
+
+      {error && <div style={{ ...inlineErrorStyle, marginBottom: 16 }}>{error}</div>}
+
+      <section style={sectionStyle}>
+        <div style={configTitleStyle}><span style={dotStyle} />Overview</div>
+        <div style={configGridStyle}>
+          <StatItem label="Devices" value={stats?.devices.totalDevices} />
+          <StatItem label="Blocked devices" value={stats?.devices.blockedDevices} />
+          <StatItem label="Active IP penalties" value={stats?.penalties.active} />
+          <StatItem label="Nonces issued" value={stats?.nonces.generated} />
+          <StatItem label="Nonces used" value={stats?.nonces.used} />
+          <StatItem label="Storage" value={stats && `${stats.devices.storage} / ${stats.nonces.storage}`} />
+        </div>
+      </section>
+
+      <section style={sectionStyle}>
+        <div style={configTitleStyle}><span style={dotStyle} />Devices ({stats?.devices.totalDevices ?? '—'})</div>
+        <form style={scenarioSaveRowStyle} onSubmit={handleSearch}>
+          <input
+            type="text"
+            style={{ ...walletInputFieldStyle, flex: 1, minWidth: 240 }}
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Fingerprint hash or IP"
+          />
+          <button type="submit" style={scenarioActionButtonStyle}>Search</button>
+          <select
+            style={scenarioActionButtonStyle}
+            value={blockedFilter}
+            onChange={(e) => { setBlockedFilter(e.target.value); setCursors(['0']); }}
+          >
+            <option value="">All devices</option>
+            <option value="true">Blocked</option>
+            <option value="false">Not blocked</option>
+          </select>
+          <label style={{ fontSize: 13, color: theme.textSecondary }}>
+            Block for{' '}
+            <select
+              style={scenarioActionButtonStyle}
+              value={blockDuration}
+              onChange={(e) => setBlockDuration(Number(e.target.value))}
+            >
+              {BLOCK_DURATIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </form>
+
+        {devices.devices.length === 0 ? (
+          <div style={emptyStateStyle}>No devices match.</div>
+        ) : (
+          <div style={tableWrapperStyle}>
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={thStyle}>Fingerprint</th>
+                  <th style={thStyle}>Last IP</th>
+                  <th style={thStyle}>Trust</th>
+                  <th style={thStyle}>Requests</th>
+                  <th style={thStyle}>Suspicious</th>
+                  <th style={thStyle}>Last seen</th>
+                  <th style={thStyle}>Status</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {devices.devices.map(device => (
+                  <tr key={device.fingerprintHash}>
+                    <td style={{ ...tdStyle, fontFamily: "'SF Mono', 'Fira Code', monospace" }} title={device.fingerprintHash}>
+                      {device.fingerprintHash.substring(0, 16)}…
+                    </td>
+                    <td style={tdStyle}>{device.lastSeenIP}</td>
+                    <td style={tdStyle}>{device.trustScore}</td>
+                    <td style={tdStyle}>{device.requestCount}</td>
+                    <td style={tdStyle}>{device.suspiciousActivityCount}</td>
+                    <td style={tdStyleMuted}>{formatTime(device.lastSeenAt)}</td>
+                    {device.isBlocked ? (
+                      <td style={tdStyleRed} title={device.blockReason || ''}>Blocked</td>
+                    ) : (
+                      <td style={tdStyleGreen}>Active</td>
+                    )}
+                    <td style={tdStyle}>
+                      {device.isBlocked ? (
+                        <button
+                          type="button"
+                          style={scenarioActionButtonStyle}
+                          onClick={() => runAction(`/devices/${device.fingerprintHash}/unblock`, { method: 'POST' })}
+                        >
+                          Unblock
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          style={scenarioActionButtonStyle}
+                          onClick={() => runAction(`/devices/${device.fingerprintHash}/block`, {
+                            method: 'POST',
+                            body: { reason: 'Blocked from admin page', durationSeconds: blockDuration },
+                          })}
+                        >
+                          Block
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {(cursors.length > 1 || devices.nextCursor) && (
+          <div style={{ ...scenarioSaveRowStyle, marginTop: 12, marginBottom: 0 }}>
+            <button
+              type="button"
+              style={scenarioActionButtonStyle}
+              disabled={cursors.length === 1}
+              onClick={() => setCursors(cursors.slice(0, -1))}
+            >
+              Previous
+            </button>
+            <span style={{ fontSize: 13 }}>Page {cursors.length}</span>
+            <button
+              type="button"
+              style={scenarioActionButtonStyle}
+              disabled={!devices.nextCursor}
+              onClick={() => setCursors([...cursors, devices.nextCursor])}
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section style={sectionStyle}>
+        <div style={configTitleStyle}><span style={dotStyle} />IP penalties ({penalties.length})</div>
+        {penalties.length === 0 ? (
+          <div style={emptyStateStyle}>No IP is in a rate-limit penalty.</div>
+        ) : (
+          <div style={tableWrapperStyle}>
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={thStyle}>IP</th>
+                  <th style={thStyle}>Remaining</th>
+                  <th style={thStyle}>Until</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {penalties.map(penalty => (
+                  <tr key={penalty.ip}>
+                    <td style={tdStyle}>{penalty.ip}</td>
+                    <td style={tdStyle}>{penalty.remainingSeconds}s</td>
+                    <td style={tdStyleMuted}>{formatTime(penalty.until)}</td>
+                    <td style={tdStyle}>
+                      <button
+                        type="button"
+                        style={scenarioActionButtonStyle}
+                        onClick={() => runAction(`/penalties/${encodeURIComponent(penalty.ip)}`, { method: 'DELETE' })}
+                      >
+                        Clear
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p style={inputHintStyle}>
+          Xoá penalty cũng reset bộ đếm rate limit của IP đó.
+        </p>
+      </section>
+    </div>
+  );
+}
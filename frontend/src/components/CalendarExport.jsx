@@ -0,0 +1,150 @@
+import { useMemo, useState } from 'react';
+import { theme } from '../styles/theme.js';
+import { formatNumber, formatPercentDecimal } from '../utils/formatters.js';
+import { buildUnlockMilestones, buildIcsCalendar, downloadIcs, MILESTONE_TYPES } from '../utils/calendarExport.js';
+import { DEFAULTS } from '../../../config/frontend/defaults.js';
+import {
+  configInfoStyle,
+  configTitleStyle,
+  dotStyle,
+  inputHintStyle,
+  strategyIntervalSelectStyle,
+  forecastControlsStyle,
+  forecastControlLabelStyle,
+  walletLoadButtonStyle,
+  changelogListStyle,
+  changelogItemStyle,
+  changelogMarkerStyle,
+  changelogDateStyle,
+  changelogTitleStyle,
+  changelogDetailStyle,
+} from '../styles/components.js';
+
+const MARKER_COLORS = {
+  [MILESTONE_TYPES.START]: theme.accentBlue,
+  [MILESTONE_TYPES.THRESHOLD]: theme.accentOrange,
+  [MILESTONE_TYPES.COMPLETE]: theme.accentGreen,
+};
+
+const REMINDER_OPTIONS = [
+  { value: '', label: 'No reminder' },
+  { value: '0', label: 'Same day, 09:00' },
+  { value: '1', label: '1 day before' },
+  { value: '3', label: '3 days before' },
+  { value: '7', label: '1 week before' },
+];
+
+// "30, 40,50%" → [30, 40, 50] (0 < x <= 100)
+function parseThresholds(text) {
+  return text
+    .split(/[\s,;]+/)
+    .map(part => Number(part.replace('%', '')))
+    .filter(value => Number.isFinite(value) && value > 0 && value <= 100);
+}
+
+/**
+ * ICS export of the unlock milestones for the selected project / wallet
+ * (unlock start, early-vest ratio thresholds, unlock completion)
+ */
+export function CalendarExport({ rows, selectedProject, seasonId, walletAddress }) {
+  const [thresholdsText, setThresholdsText] = useState(DEFAULTS.calendarThresholdsPercent.join(', '));
+  const [reminder, setReminder] = useState(String(DEFAULTS.calendarReminderDaysBefore ?? ''));
+
+  const thresholds = useMemo(() => parseThresholds(thresholdsText), [thresholdsText]);
+  const milestones = useMemo(() => buildUnlockMilestones(rows, thresholds), [rows, thresholds]);
+
+  if (milestones.length === 0) return null;
+
+  const ticker = selectedProject.ticker;
+  const unreachable = thresholds.filter(t => !milestones.some(m => m.thresholdPercent === t));
+
+  const describe = (milestone) => {
+    const { row } = milestone;
+    const wallet = walletAddress ? `\nWallet: ${walletAddress}` : '';
+    if (milestone.type === MILESTONE_TYPES.START) {
+      return {
+        summary: `${ticker} S${seasonId}: unlock starts`,
+        description: `Base unlocked: ${formatNumber(row.base)} ${ticker}\nEarly vest ratio: ${formatPercentDecimal(row.earlyVestRatioPercent)}${wallet}`,
+      };
+    }
+    if (milestone.type === MILESTONE_TYPES.THRESHOLD) {
+      return {
+        summary: `${ticker} S${seasonId}: early vest ratio ${milestone.thresholdPercent}%`,
+        description: `Day ${row.t}: early claim = ${formatNumber(row.totalIfEarlyClaim)} ${ticker} (forfeit ${formatNumber(row.forfeited)})\nWait till end = ${formatNumber(row.totalIfWait)} ${ticker}${wallet}`,
+      };
+    }
+    return {
+      summary: `${ticker} S${seasonId}: unlock complete`,
+      description: `Full allocation + loyalty bonus claimable: ${formatNumber(row.totalIfWait)} ${ticker}${wallet}`,
+    };
+  };
+
+  const handleDownload = () => {
+    const ics = buildIcsCalendar({
+      milestones,
+      project: selectedProject,
+      seasonId,
+      wallet: walletAddress,
+      reminderDaysBefore: reminder === '' ? null : Number(reminder),
+      describe,
+    });
+    downloadIcs(ics, `${ticker}-season${seasonId}-unlock.ics`);
+  };
+
+  return (
+    <div style={configInfoStyle} className="animate-fade-in-up animate-delay-3">
+      <h4 style={configTitleStyle}>
+        <span style={dotStyle} className="pulse-dot"></span>
+        Unlock Calendar
+      </h4>
+
+      <div style={{ ...forecastControlsStyle, marginTop: 0, marginBottom: 16 }}>
+        <label style={forecastControlLabelStyle}>
+          Early vest ratio thresholds (%)
+          <input
+            type="text"
+            value={thresholdsText}
+            onChange={(e) => setThresholdsText(e.target.value)}
+            style={{ ...strategyIntervalSelectStyle, width: 140, cursor: 'text' }}
+          />
+        </label>
+        <select
+          value={reminder}
+          onChange={(e) => setReminder(e.target.value)}
+          style={strategyIntervalSelectStyle}
+          title="Reminder for every event"
+        >
+          {REMINDER_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button type="button" style={walletLoadButtonStyle} onClick={handleDownload}>
+          Download .ics
+        </button>
+      </div>
+
+      <ol style={changelogListStyle}>
+        {milestones.map(milestone => {
+          const { summary, description } = describe(milestone);
+          return (
+            <li key={milestone.id} style={changelogItemStyle}>
+              <span style={{ ...changelogMarkerStyle, background: MARKER_COLORS[milestone.type] }}></span>
+              <div style={changelogDateStyle}>{milestone.date} · Day {milestone.day}</div>
+              <div style={changelogTitleStyle}>{summary}</div>
+              <div style={changelogDetailStyle}>{description.split('\n')[0]}</div>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div style={inputHintStyle}>
+        Import file .ics vào Google Calendar / Outlook / Apple Calendar để được nhắc mà không cần mở trang.
+        {unreachable.length > 0 && (
+          <span style={{ color: theme.accentOrange }}>
+            {' '}Ngưỡng {unreachable.join('%, ')}% nằm ngoài khoảng early vest ratio nên bị bỏ qua.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
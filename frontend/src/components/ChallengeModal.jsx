@@ -6,19 +6,25 @@
  * - Math: Simple arithmetic problem
  * - Time: Wait period before retry
  * - Interactive: Click/tap specific location
+ * - Proof-of-work: Solved in pow.worker.js, no user input
  * - Custom: Server-provided challenge
+ * 
+ * Answers are checked by the server (onVerify → POST /api/challenge/verify);
+ * onSuccess receives the verification result (with the challenge token).
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { evaluate } from 'mathjs';
 import { theme } from '../styles/theme.js';
+// Import worker using Vite's explicit syntax
+import PowWorkerUrl from '../workers/pow.worker.js?worker&url';
 
 export function ChallengeModal({ 
   challenge, 
+  onVerify,
   onSuccess, 
   onFail, 
   onCancel,
-  maxAttempts = 3 
+  maxAttempts = challenge?.maxAttempts ?? 3 
 }) {
   const [answer, setAnswer] = useState('');
   const [attempts, setAttempts] = useState(0);
@@ -26,29 +32,102 @@ export function ChallengeModal({
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [clickTarget, setClickTarget] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [powHashes, setPowHashes] = useState(0);
   
   const modalRef = useRef(null);
   const canvasRef = useRef(null);
+  const submitRef = useRef(null);
+  
+  const registerFailure = (newAttempts, remaining, message) => {
+    setAttempts(newAttempts);
+    if (remaining <= 0) {
+      setError(`Too many failed attempts. Please try again later.`);
+      setTimeout(() => onFail?.(), 2000);
+    } else {
+      setError(`${message} ${remaining} attempts remaining.`);
+    }
+  };
+  
+  // Server-side verification of a response ('' for time / interactive)
+  const submitResponse = async (response, failMessage) => {
+    if (isSubmitting) return;
+    
+    setIsSubmitting(true);
+    setError('');
+    
+    try {
+      const result = await onVerify(response);
+      if (result.valid) {
+        onSuccess?.(result);
+        return;
+      }
+      const newAttempts = attempts + 1;
+      registerFailure(newAttempts, result.attemptsRemaining ?? maxAttempts - newAttempts, failMessage);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  submitRef.current = submitResponse;
   
   useEffect(() => {
     // Initialize challenge based on type
     if (challenge.type === 'time') {
-      setTimeRemaining(challenge.waitSeconds || 30);
+      const waitSeconds = challenge.waitSeconds || 30;
+      const deadline = Date.now() + waitSeconds * 1000;
+      setTimeRemaining(waitSeconds);
       
       const interval = setInterval(() => {
-        setTimeRemaining(prev => {
-          if (prev <= 1) {
-            clearInterval(interval);
-            onSuccess?.();
-            return 0;
-          }
-          return prev - 1;
-        });
+        const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        setTimeRemaining(remaining);
+        if (remaining === 0) {
+          clearInterval(interval);
+          submitRef.current('', 'Verification failed.');
+        }
       }, 1000);
       
       return () => clearInterval(interval);
     }
     
+    if (challenge.type === 'pow') {
+      let worker;
+      try {
+        worker = new Worker(PowWorkerUrl, { type: 'module' });
+      } catch (error) {
+        console.error('[PowWorker] Worker creation error:', error);
+        setError('Your browser cannot run the verification. Please try again later.');
+        return;
+      }
+      
+      worker.onmessage = (event) => {
+        const { type, payload } = event.data;
+        
+        if (type === 'POW_PROGRESS') {
+          setPowHashes(payload.hashes);
+        } else if (type === 'POW_RESULT') {
+          console.log('[PowWorker] Solved', payload);
+          setPowHashes(payload.hashes);
+          worker.terminate();
+          submitRef.current(payload.nonce, 'Verification failed.');
+        } else if (type === 'POW_ERROR') {
+          console.error('[PowWorker] Error:', payload.message);
+          worker.terminate();
+          setError('Verification failed. Please try again later.');
+        }
+      };
+      
+      worker.onerror = (error) => {
+        console.error('[PowWorker] Worker error:', error);
+        setError('Verification failed. Please try again later.');
+      };
+      
+      worker.postMessage({
+        type: 'SOLVE_POW',
+        payload: { challengeId: challenge.id, salt: challenge.salt, difficulty: challenge.difficulty },
+      });
+      
+      return () => worker.terminate();
+    }
+    
     if (challenge.type === 'interactive') {
       // Generate random click target
       const canvas = canvasRef.current;
@@ -67,38 +146,12 @@ export function ChallengeModal({
         ctx.fill();
       }
     }
-  }, [challenge, onSuccess]);
+  }, [challenge]);
   
   const handleSubmitMath = async () => {
-    if (isSubmitting) return;
-    
-    setIsSubmitting(true);
-    setError('');
-    
-    try {
-      const userAnswer = parseInt(answer, 10);
-      const sanitizedQuestion = challenge.question.replace(/[^0-9+\-*/() ]/g, '');
-      const correctAnswer = evaluate(sanitizedQuestion);
-      
-      if (userAnswer === correctAnswer) {
-        onSuccess?.();
-      } else {
-        const newAttempts = attempts + 1;
-        setAttempts(newAttempts);
-        
-        if (newAttempts >= maxAttempts) {
-          setError(`Too many failed attempts. Please try again later.`);
-          setTimeout(() => onFail?.(), 2000);
-        } else {
-          setError(`Incorrect answer. ${maxAttempts - newAttempts} attempts remaining.`);
-        }
-      }
-    } catch (error) {
-      setError('Invalid answer format');
-    } finally {
-      setIsSubmitting(false);
-      setAnswer('');
-    }
+    const userAnswer = answer.trim();
+    setAnswer('');
+    await submitResponse(userAnswer, 'Incorrect answer.');
   };
   
   const handleCanvasClick = (e) => {
@@ -116,17 +169,10 @@ export function ChallengeModal({
     );
     
     if (distance <= 15) {
-      onSuccess?.();
+      submitResponse('', 'Verification failed.');
     } else {
       const newAttempts = attempts + 1;
-      setAttempts(newAttempts);
-      
-      if (newAttempts >= maxAttempts) {
-        setError(`Too many failed attempts. Please try again later.`);
-        setTimeout(() => onFail?.(), 2000);
-      } else {
-        setError(`Missed the target. ${maxAttempts - newAttempts} attempts remaining.`);
-      }
+      registerFailure(newAttempts, maxAttempts - newAttempts, 'Missed the target.');
     }
   };
   
@@ -213,6 +259,30 @@ export function ChallengeModal({
             </div>
           )}
           
+          {/* Proof-of-Work Challenge */}
+          {challenge.type === 'pow' && (
+            <div style={challengeContainerStyle}>
+              <div style={timerStyle}>
+                <div style={timerIconStyle}>⚙️</div>
+                <div style={timerTextStyle}>
+                  {isSubmitting ? 'Verifying...' : 'Checking your browser...'}
+                </div>
+                <div style={timerBarContainerStyle}>
+                  <div 
+                    style={{
+                      ...timerBarFillStyle,
+                      // Expected ~2^difficulty hashes, the bar never claims to be done before the solution
+                      width: `${Math.min(95, (powHashes / 2 ** challenge.difficulty) * 100)}%`
+                    }}
+                  />
+                </div>
+                <div style={attemptsStyle}>
+                  {powHashes.toLocaleString()} hashes · difficulty {challenge.difficulty} bits
+                </div>
+              </div>
+            </div>
+          )}
+          
           {/* Interactive Challenge */}
           {challenge.type === 'interactive' && (
             <div style={challengeContainerStyle}>
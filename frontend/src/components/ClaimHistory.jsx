@@ -0,0 +1,113 @@
+import { formatDate, formatNumberDecimal, formatPercentDecimal } from '../utils/formatters.js';
+import {
+  configInfoStyle,
+  configTitleStyle,
+  chainTagStyle,
+  dotStyle,
+  emptyStateStyle,
+  configGridStyle,
+  configItemStyle,
+  configLabelStyle,
+  configValueStyle,
+  tableWrapperStyle,
+  tableStyle,
+  thStyle,
+  tdStyle,
+  inlineLoadingStyle,
+  inlineErrorStyle,
+  portfolioLinkStyle,
+} from '../styles/components.js';
+
+const ETHERSCAN_TX_URL = 'https://etherscan.io/tx/';
+
+/**
+ * Claim history - indexed Claimed events of the wallet for the selected project,
+ * plus the project's early-claim rate (share of claimers who took early vest)
+ */
+export function ClaimHistory({
+  walletAddress,
+  selectedProject,
+  events,
+  stats,
+  indexer,
+  loading,
+  error,
+}) {
+  const hasWallet = walletAddress && /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
+  const seasonStats = Object.entries(stats || {});
+
+  return (
+    <div style={configInfoStyle} className="animate-fade-in-up animate-delay-2">
+      <h4 style={configTitleStyle}>
+        <span style={dotStyle} className="pulse-dot"></span>
+        Claim History{' '}
+        <span style={chainTagStyle}>(indexed events)</span>
+        {loading && <span style={inlineLoadingStyle}>Fetching...</span>}
+        {error && <span style={inlineErrorStyle}>⚠️ {error}</span>}
+      </h4>
+
+      {seasonStats.length > 0 && (
+        <div style={{ ...configGridStyle, marginBottom: 20 }}>
+          {seasonStats.map(([seasonId, s]) => (
+            <div key={seasonId} style={configItemStyle}>
+              <span style={configLabelStyle}>Season {seasonId} Early-Claim Rate</span>
+              <span style={configValueStyle}>
+                {formatPercentDecimal(s.earlyClaimRate * 100)} ({s.earlyClaimers}/{s.uniqueClaimers} claimers)
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!hasWallet ? (
+        <div style={emptyStateStyle}>
+          Nhập địa chỉ ví ở trên để xem lịch sử claim (từ event Claimed on-chain).
+        </div>
+      ) : events.length === 0 ? (
+        <div style={emptyStateStyle}>
+          {loading ? 'Loading...' : `Ví này chưa có giao dịch claim nào cho ${selectedProject.ticker}${indexer && !indexer.caughtUp ? ' (indexer đang đồng bộ, dữ liệu có thể chưa đầy đủ)' : ''}.`}
+        </div>
+      ) : (
+        <div style={tableWrapperStyle}>
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={thStyle}>Date</th>
+                <th style={thStyle}>Season</th>
+                <th style={thStyle}>Amount</th>
+                <th style={thStyle}>Type</th>
+                <th style={thStyle}>Claimed in Season</th>
+                <th style={thStyle}>Tx</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={event.id}>
+                  <td style={tdStyle}>{formatDate(new Date(event.timestamp * 1000))}</td>
+                  <td style={tdStyle}>{event.seasonId}</td>
+                  <td style={tdStyle}>{formatNumberDecimal(event.amount)} {selectedProject.ticker}</td>
+                  <td style={tdStyle}>
+                    {event.isEarlyClaim
+                      ? `Early (vest ${formatNumberDecimal(event.earlyVestAmount)})`
+                      : 'Normal'}
+                  </td>
+                  <td style={tdStyle}>{formatNumberDecimal(event.userClaimedInSeason)}</td>
+                  <td style={tdStyle}>
+                    <a
+                      href={`${ETHERSCAN_TX_URL}${event.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={portfolioLinkStyle}
+                    >
+                      {event.txHash.slice(0, 10)}…
+                    </a>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
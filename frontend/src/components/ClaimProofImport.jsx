@@ -0,0 +1,157 @@
+import { useState, useRef } from 'react';
+import { theme } from '../styles/theme.js';
+import { formatNumberDecimal } from '../utils/formatters.js';
+import { parseClaimParamsText } from '../hooks/useClaimProof.js';
+import {
+  configGridStyle,
+  configItemStyle,
+  configLabelStyle,
+  configValueStyle,
+  labelStyle,
+  inputStyle,
+  inputHintStyle,
+  inlineLoadingStyle,
+  inlineSuccessStyle,
+  inlineErrorStyle,
+  walletInputContainerStyle,
+} from '../styles/components.js';
+
+const textareaStyle = {
+  ...inputStyle,
+  minHeight: 120,
+  fontFamily: "'SF Mono', 'Fira Code', monospace",
+  fontSize: 12,
+  resize: 'vertical',
+};
+
+const actionRowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: 12,
+  flexWrap: 'wrap',
+};
+
+const actionButtonStyle = {
+  padding: '10px 18px',
+  borderRadius: 4,
+  border: 'none',
+  background: `linear-gradient(135deg, ${theme.accentBlue} 0%, #3366ff 100%)`,
+  color: '#ffffff',
+  fontSize: 13,
+  fontWeight: 600,
+  cursor: 'pointer',
+};
+
+const secondaryButtonStyle = {
+  ...actionButtonStyle,
+  background: 'transparent',
+  color: theme.accentBlue,
+  border: `1px solid ${theme.accentBlue}`,
+};
+
+const EXAMPLE = `{
+  "proof": ["0x...", "0x..."],
+  "maxTokenAmount": "1000000000000000000000",
+  "salt": "123456789",
+  "isEarlyClaim": false
+}`;
+
+/**
+ * Import Merkle claim params → backend verifies against the season merkleRoot
+ * On success the verified allocation replaces the manual maxTokenAmount
+ */
+export function ClaimProofImport({
+  walletAddress,
+  seasonId,
+  verifying,
+  result,
+  error,
+  onVerify,
+}) {
+  const [text, setText] = useState('');
+  const [parseError, setParseError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const hasWallet = walletAddress && /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setText(await file.text());
+    setParseError(null);
+    e.target.value = '';
+  };
+
+  const handleVerify = () => {
+    try {
+      const params = parseClaimParamsText(text, seasonId);
+      setParseError(null);
+      onVerify(params);
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  const claimValues = result?.get_current_claim_values;
+
+  return (
+    <div style={walletInputContainerStyle} className="animate-fade-in-up animate-delay-2">
+      <label style={labelStyle}>OPTIONAL: IMPORT CLAIM PARAMS (MERKLE PROOF)</label>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={EXAMPLE}
+        style={textareaStyle}
+        spellCheck={false}
+      />
+      <div style={inputHintStyle}>
+        Dán hoặc upload file claim params (proof, maxTokenAmount, salt, isEarlyClaim) để tính chính xác allocation thay vì nhập tay.
+      </div>
+
+      <div style={{ ...actionRowStyle, marginTop: 12 }}>
+        <button
+          style={actionButtonStyle}
+          onClick={handleVerify}
+          disabled={!hasWallet || !text.trim() || verifying}
+          title={hasWallet ? 'Verify against on-chain merkleRoot' : 'Enter a wallet address first'}
+        >
+          Verify proof
+        </button>
+        <button style={secondaryButtonStyle} onClick={() => fileInputRef.current?.click()}>
+          Upload JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          style={{ display: 'none' }}
+        />
+        {verifying && <span style={inlineLoadingStyle}>Verifying...</span>}
+        {result && !verifying && <span style={inlineSuccessStyle}>✓ Verified (season {result.seasonId})</span>}
+        {(parseError || error) && !verifying && <span style={inlineErrorStyle}>⚠️ {parseError || error}</span>}
+      </div>
+
+      {result && claimValues && (
+        <div style={{ ...configGridStyle, marginTop: 20 }}>
+          <div style={configItemStyle}>
+            <span style={configLabelStyle}>Verified Max Allocation</span>
+            <span style={configValueStyle}>{formatNumberDecimal(result.allocation.maxTokenAmount)}</span>
+          </div>
+          <div style={configItemStyle}>
+            <span style={configLabelStyle}>Base</span>
+            <span style={configValueStyle}>{formatNumberDecimal(claimValues.base)}</span>
+          </div>
+          <div style={configItemStyle}>
+            <span style={configLabelStyle}>Bonus</span>
+            <span style={configValueStyle}>{formatNumberDecimal(claimValues.bonus)}</span>
+          </div>
+          <div style={configItemStyle}>
+            <span style={configLabelStyle}>Claimable Now</span>
+            <span style={configValueStyle}>{formatNumberDecimal(claimValues.claimable)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
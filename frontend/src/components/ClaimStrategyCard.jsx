@@ -0,0 +1,78 @@
+import { useMemo, useState } from 'react';
+import { theme } from '../styles/theme.js';
+import { formatAmount } from '../utils/formatters.js';
+import { rankClaimStrategies, STRATEGY_IDS, CLAIM_INTERVAL_OPTIONS } from '../utils/claimStrategy.js';
+import {
+  comparisonCardStyle,
+  comparisonCardHeaderStyle,
+  comparisonCardTitleStyle,
+  comparisonCardBodyStyle,
+  comparisonRowStyle,
+  comparisonRowDividerStyle,
+  inputHintStyle,
+  strategyRankStyle,
+  strategyIntervalSelectStyle,
+} from '../styles/components.js';
+
+const STRATEGY_LABELS = {
+  [STRATEGY_IDS.EARLY_DAY_0]: () => 'Early claim on day 0',
+  [STRATEGY_IDS.PERIODIC_THEN_EARLY]: (s, interval) => `Claim every ${interval}d, early claim day ${s.earlyDay}`,
+  [STRATEGY_IDS.NEVER_EARLY]: (s, interval) => `Claim every ${interval}d, never early claim`,
+};
+
+/**
+ * Strategy advisor card (sits next to the Early Claim / Wait Till End cards)
+ * Ranks claim scenarios over the whole unlock window by final token count
+ */
+export function ClaimStrategyCard({ rows, currentDay, usdPrice = null }) {
+  const [intervalDays, setIntervalDays] = useState(CLAIM_INTERVAL_OPTIONS[0]);
+
+  const advice = useMemo(
+    () => rankClaimStrategies(rows, { earlyClaimDay: currentDay, intervalDays }),
+    [rows, currentDay, intervalDays]
+  );
+
+  if (!advice) return null;
+
+  return (
+    <div style={comparisonCardStyle}>
+      <div style={{ ...comparisonCardHeaderStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ ...comparisonCardTitleStyle, color: theme.textPrimary }}>STRATEGY ADVISOR</span>
+        <select
+          value={intervalDays}
+          onChange={(e) => setIntervalDays(Number(e.target.value))}
+          style={strategyIntervalSelectStyle}
+          title="Days between regular claims"
+        >
+          {CLAIM_INTERVAL_OPTIONS.map(days => (
+            <option key={days} value={days}>Every {days}d</option>
+          ))}
+        </select>
+      </div>
+      <div style={comparisonCardBodyStyle}>
+        {advice.strategies.map(strategy => (
+          <div key={strategy.id} style={comparisonRowStyle}>
+            <span>
+              <span style={strategyRankStyle}>#{strategy.rank}</span>
+              {STRATEGY_LABELS[strategy.id](strategy, intervalDays)}
+            </span>
+            <span style={strategy.rank === 1 ? { color: theme.accentBlue, fontWeight: 700 } : undefined}>
+              {formatAmount(strategy.total, usdPrice)}
+              {strategy.rank > 1 && (
+                <span style={{ opacity: 0.6, marginLeft: 6 }}>({formatAmount(strategy.diffFromBest, usdPrice)})</span>
+              )}
+            </span>
+          </div>
+        ))}
+        <div style={comparisonRowDividerStyle}></div>
+        <div style={comparisonRowStyle}>
+          <span>Break-even day</span>
+          <span>Day {advice.breakEvenDay ?? '-'}</span>
+        </div>
+        <div style={inputHintStyle}>
+          Claim định kỳ chỉ nhận token sớm hơn, không đổi tổng cuối cùng. Break-even là ngày đầu tiên claim sớm nhận được ít nhất bằng chờ đến hết unlock.
+        </div>
+      </div>
+    </div>
+  );
+}
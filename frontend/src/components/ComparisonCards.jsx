@@ -1,6 +1,9 @@
 import { useMemo } from 'react';
 import { theme } from '../styles/theme.js';
-import { formatNumber, formatPercent } from '../utils/formatters.js';
+import { formatAmount, formatPercentDecimal } from '../utils/formatters.js';
+import { presentValue, breakEvenRate } from '../utils/presentValue.js';
+import { ClaimStrategyCard } from './ClaimStrategyCard.jsx';
+import { LoyaltyForecastControls } from './LoyaltyForecastControls.jsx';
 import {
   comparisonContainerStyle,
   comparisonTitleStyle,
@@ -13,15 +16,38 @@ import {
   comparisonRowStyle,
   comparisonRowDividerStyle,
   comparisonRowTotalStyle,
+  forecastRangeStyle,
+  forecastControlsStyle,
+  forecastControlLabelStyle,
+  forecastPercentInputStyle,
+  inputHintStyle,
   dotStyle
 } from '../styles/components.js';
 
-export function ComparisonCards({ currentDay, rows, startDate }) {
+export function ComparisonCards({
+  currentDay,
+  rows,
+  startDate,
+  loyaltyForecast,
+  forecastSettings,
+  onForecastSettingsChange,
+  usdPrice = null,
+  discountRatePercent = 0,
+  onDiscountRateChange
+}) {
   // O(1) lookup from precomputed data
   const currentMetrics = rows[currentDay];
   
   if (!currentMetrics) return null;
 
+  // Token amounts, or USD when the toggle is on
+  const fmt = (value) => formatAmount(value, usdPrice);
+
+  // Present value on day X: early claim is received now, waiting pays at unlock end
+  const daysToEnd = rows.length - 1 - currentDay;
+  const waitPresentValue = presentValue(currentMetrics.totalIfWait, discountRatePercent, daysToEnd);
+  const waitBreakEvenRate = breakEvenRate(currentMetrics.totalIfEarlyClaim, currentMetrics.totalIfWait, daysToEnd);
+
   // Calculate the target date (startDate + currentDay days)
   const calculatedDate = useMemo(() => {
     if (!startDate) return null;
@@ -51,32 +77,36 @@ export function ComparisonCards({ currentDay, rows, startDate }) {
           <div style={comparisonCardBodyStyle}>
             <div style={comparisonRowStyle}>
               <span>Base (unlocked)</span>
-              <span>{formatNumber(currentMetrics.base)}</span>
+              <span>{fmt(currentMetrics.base)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Locked ({Math.round((currentMetrics.locked / currentMetrics.bonus) * 100)}%)</span>
-              <span>{formatNumber(currentMetrics.locked)}</span>
+              <span>{fmt(currentMetrics.locked)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Vested ({Math.round((currentMetrics.vested / currentMetrics.bonus) * 100)}%)</span>
-              <span>{formatNumber(currentMetrics.vested)}</span>
+              <span>{fmt(currentMetrics.vested)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Early Vest Bonus ({Math.round(currentMetrics.earlyVestRatioPercent)}%)</span>
-              <span>+{formatNumber(currentMetrics.earlyVestableBonus)}</span>
+              <span>+{fmt(currentMetrics.earlyVestableBonus)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Estimated Loyalty Bonus</span>
-              <span>+{formatNumber(0)}</span>
+              <span>+{fmt(0)}</span>
             </div>
             <div style={comparisonRowDividerStyle}></div>
             <div style={{ ...comparisonRowStyle, ...comparisonRowTotalStyle }}>
               <span>TOTAL RECEIVE</span>
-              <span style={{ fontWeight: 700 }}>{formatNumber(currentMetrics.totalIfEarlyClaim)}</span>
+              <span style={{ fontWeight: 700 }}>{fmt(currentMetrics.totalIfEarlyClaim)}</span>
+            </div>
+            <div style={{ ...comparisonRowStyle, ...forecastRangeStyle }}>
+              <span>Present value (received now)</span>
+              <span>{fmt(currentMetrics.totalIfEarlyClaim)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span style={{ opacity: 0.6 }}>Forfeited to Loyalty</span>
-              <span style={{ opacity: 0.6 }}>-{formatNumber(currentMetrics.forfeited)}</span>
+              <span style={{ opacity: 0.6 }}>-{fmt(currentMetrics.forfeited)}</span>
             </div>
           </div>
         </div>
@@ -89,36 +119,97 @@ export function ComparisonCards({ currentDay, rows, startDate }) {
           <div style={comparisonCardBodyStyle}>
             <div style={comparisonRowStyle}>
               <span>Base (unlocked)</span>
-              <span>{formatNumber(currentMetrics.base)}</span>
+              <span>{fmt(currentMetrics.base)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Locked (0%)</span>
-              <span>{formatNumber(0)}</span>
+              <span>{fmt(0)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Vested (100%)</span>
-              <span>{formatNumber(currentMetrics.bonus)}</span>
+              <span>{fmt(currentMetrics.bonus)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Early Vest Bonus</span>
-              <span>+{formatNumber(0)}</span>
+              <span>+{fmt(0)}</span>
             </div>
             <div style={comparisonRowStyle}>
               <span>Estimated Loyalty Bonus</span>
-              <span>+{formatNumber(currentMetrics.loyaltyBonus)}</span>
+              <span>+{fmt(currentMetrics.loyaltyBonus)}</span>
             </div>
             <div style={comparisonRowDividerStyle}></div>
             <div style={{ ...comparisonRowStyle, ...comparisonRowTotalStyle }}>
               <span>TOTAL RECEIVE</span>
-              <span style={{ color: theme.accentBlue, fontWeight: 700 }}>{formatNumber(currentMetrics.totalIfWait)}</span>
+              <span style={{ color: theme.accentBlue, fontWeight: 700 }}>{fmt(currentMetrics.totalIfWait)}</span>
             </div>
+            <div style={{ ...comparisonRowStyle, ...forecastRangeStyle }}>
+              <span>Present value (@ {discountRatePercent}%/yr, {daysToEnd}d)</span>
+              <span style={waitPresentValue >= currentMetrics.totalIfEarlyClaim ? { color: theme.accentBlue } : undefined}>
+                {fmt(waitPresentValue)}
+              </span>
+            </div>
+            {loyaltyForecast && (
+              <>
+                <div style={{ ...comparisonRowStyle, ...forecastRangeStyle }}>
+                  <span>Forecast (expected)</span>
+                  <span style={{ color: theme.accentBlue }}>{fmt(loyaltyForecast.scenarios.expected.final.totalIfWait)}</span>
+                </div>
+                <div style={{ ...comparisonRowStyle, ...forecastRangeStyle }}>
+                  <span>Forecast range</span>
+                  <span>
+                    {fmt(loyaltyForecast.scenarios.pessimistic.final.totalIfWait)} – {fmt(loyaltyForecast.scenarios.optimistic.final.totalIfWait)}
+                  </span>
+                </div>
+              </>
+            )}
             <div style={comparisonRowStyle}>
               <span style={{ opacity: 0.6 }}>Forfeited to Loyalty</span>
-              <span style={{ opacity: 0.6 }}>-{formatNumber(0)}</span>
+              <span style={{ opacity: 0.6 }}>-{fmt(0)}</span>
             </div>
           </div>
         </div>
+
+        {/* Strategy Advisor Card */}
+        <ClaimStrategyCard rows={rows} currentDay={currentDay} usdPrice={usdPrice} />
       </div>
+
+      {onDiscountRateChange && (
+        <div>
+          <div style={forecastControlsStyle}>
+            <span style={{ ...forecastControlLabelStyle, color: theme.textPrimary, fontWeight: 600 }}>
+              OPPORTUNITY COST
+            </span>
+            <label style={forecastControlLabelStyle}>
+              <input
+                type="number"
+                min={0}
+                max={1000}
+                step={1}
+                value={discountRatePercent}
+                onChange={(e) => onDiscountRateChange(Math.min(1000, Math.max(0, Number(e.target.value) || 0)))}
+                style={forecastPercentInputStyle}
+              />
+              % per year discount rate
+            </label>
+            {waitBreakEvenRate !== null && (
+              <span style={forecastControlLabelStyle}>
+                Break-even rate: {formatPercentDecimal(waitBreakEvenRate, 1)}/yr
+              </span>
+            )}
+          </div>
+          <div style={inputHintStyle}>
+            Claim sớm thắng khi lợi suất bạn có thể kiếm được với token/tiền (bán ngay) cao hơn break-even rate. Present value = số nhận được khi chờ, chiết khấu về ngày {currentDay}.
+          </div>
+        </div>
+      )}
+
+      {forecastSettings && (
+        <LoyaltyForecastControls
+          settings={forecastSettings}
+          onChange={onForecastSettingsChange}
+          forecast={loyaltyForecast}
+        />
+      )}
     </div>
   );
 }
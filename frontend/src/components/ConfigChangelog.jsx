@@ -0,0 +1,135 @@
+import { theme } from '../styles/theme.js';
+import { formatDate, formatNumberDecimal } from '../utils/formatters.js';
+import {
+  configInfoStyle,
+  configTitleStyle,
+  chainTagStyle,
+  dotStyle,
+  inputHintStyle,
+  inlineLoadingStyle,
+  inlineErrorStyle,
+  portfolioLinkStyle,
+  changelogListStyle,
+  changelogItemStyle,
+  changelogMarkerStyle,
+  changelogDateStyle,
+  changelogTitleStyle,
+  changelogDetailStyle,
+} from '../styles/components.js';
+
+const ETHERSCAN_TX_URL = 'https://etherscan.io/tx/';
+
+const bps = (value) => `${value / 100}%`;
+const days = (seconds) => `${Math.round(seconds / 86400)}d`;
+
+/**
+ * Title, marker color and one-line summary per factory event
+ * @param {Object} event - Changelog entry
+ * @param {string} ticker - Project ticker
+ * @returns {{title: string, color: string, detail: string}}
+ */
+function describeEvent(event, ticker) {
+  const d = event.details;
+  const amount = (value) => `${formatNumberDecimal(value)} ${ticker}`;
+
+  switch (event.type) {
+    case 'ProjectSeasonConfigUpdated':
+      return {
+        title: 'Season config updated',
+        color: theme.accentBlue,
+        detail: `Base ${bps(d.baseTokenClaimBps)} · Early vest ${bps(d.earlyVestRatioMinBps)} → ${bps(d.earlyVestRatioMaxBps)} · Unlock ${days(d.unlockDuration)} (delay ${days(d.unlockDelay)}) · ${amount(d.tokenAmount)}`,
+      };
+    case 'SeasonUnlockStartTimeUpdated':
+      return {
+        title: 'Unlock start changed',
+        color: theme.accentBlue,
+        detail: `Unlock starts ${formatDate(new Date(d.unlockStartsAt * 1000))}`,
+      };
+    case 'ClaimPaused':
+      return { title: 'Claims paused', color: theme.accentRed, detail: 'Claim contract paused by the factory' };
+    case 'ClaimUnpaused':
+      return { title: 'Claims resumed', color: theme.accentGreen, detail: 'Claim contract unpaused' };
+    case 'ProjectSeasonRefundStarted':
+      return { title: 'Refund started', color: theme.accentRed, detail: `Total refunded ${amount(d.totalRefunded)}` };
+    case 'ProjectSeasonRefundableAmountReduced':
+      return {
+        title: 'Refundable amount reduced',
+        color: theme.accentOrange,
+        detail: `-${amount(d.amount)} (refundable ${amount(d.refundableAmount)})`,
+      };
+    case 'ProjectTotalDepositedIncreased':
+      return { title: 'Tokens deposited', color: theme.accentGreen, detail: `+${amount(d.amount)} (total ${amount(d.totalDeposited)})` };
+    case 'ProjectTotalAllocatedUpdated':
+      return {
+        title: 'Allocation updated',
+        color: theme.accentBlue,
+        detail: `${amount(d.totalAllocatedToAllSeasonsPrev)} → ${amount(d.totalAllocatedToAllSeasons)}`,
+      };
+    case 'WithdrawalScheduled':
+      return { title: 'Withdrawal scheduled', color: theme.accentOrange, detail: `${amount(d.amount)} → ${d.recipient}` };
+    case 'WithdrawalCancelled':
+      return { title: 'Withdrawal cancelled', color: theme.textMuted, detail: `${amount(d.amount)} → ${d.recipient}` };
+    case 'WithdrawalExecuted':
+      return {
+        title: 'Withdrawal executed',
+        color: theme.accentOrange,
+        detail: `${amount(d.amount)} → ${d.recipient} (total withdrawn ${amount(d.totalWithdrawn)})`,
+      };
+    default:
+      return { title: event.type, color: theme.textMuted, detail: '' };
+  }
+}
+
+/**
+ * Project changelog timeline (factory events), shown above ConfigInfo
+ * Hidden when nothing has been recorded (watcher disabled or no changes)
+ */
+export function ConfigChangelog({
+  selectedProject,
+  events,
+  loading,
+  error,
+}) {
+  if (!loading && !error && events.length === 0) return null;
+
+  return (
+    <div style={configInfoStyle} className="animate-fade-in-up animate-delay-2">
+      <h4 style={configTitleStyle}>
+        <span style={dotStyle} className="pulse-dot"></span>
+        {selectedProject.ticker} Changelog{' '}
+        <span style={chainTagStyle}>(factory events)</span>
+        {loading && <span style={inlineLoadingStyle}>Fetching...</span>}
+        {error && <span style={inlineErrorStyle}>⚠️ {error}</span>}
+      </h4>
+      <div style={inputHintStyle}>
+        Các thay đổi on-chain của project (config, pause, refund, withdraw). Dữ liệu config bên dưới được làm mới ngay khi có thay đổi.
+      </div>
+
+      <ol style={changelogListStyle}>
+        {events.map(event => {
+          const { title, color, detail } = describeEvent(event, selectedProject.ticker);
+          return (
+            <li key={event.id} style={changelogItemStyle}>
+              <span style={{ ...changelogMarkerStyle, background: color }}></span>
+              <div style={changelogDateStyle}>
+                {formatDate(new Date(event.timestamp * 1000))}
+                {event.seasonId !== null && ` · Season ${event.seasonId}`}
+                {' · '}
+                <a
+                  href={`${ETHERSCAN_TX_URL}${event.txHash}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={portfolioLinkStyle}
+                >
+                  tx
+                </a>
+              </div>
+              <div style={changelogTitleStyle}>{title}</div>
+              {detail && <div style={changelogDetailStyle}>{detail}</div>}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
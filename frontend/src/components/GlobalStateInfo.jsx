@@ -1,5 +1,8 @@
 import CountUp from 'react-countup';
 import { DEFAULTS } from '../../../config/frontend/defaults.js';
+import { formatNumber } from '../utils/formatters.js';
+import { HISTORY_RANGES } from '../hooks/useGlobalStateHistory.js';
+import { Sparkline } from './Sparkline.jsx';
 import {
   globalStateInfoStyle,
   globalStateTitleStyle,
@@ -7,6 +10,9 @@ import {
   globalStateItemStyle,
   globalStateLabelStyle,
   globalStateValueStyle,
+  globalStateTrendStyle,
+  globalStateHistoryHeaderStyle,
+  strategyIntervalSelectStyle,
   chainTagStyle,
   simTagStyle,
   chainTagTitleStyle,
@@ -14,12 +20,38 @@ import {
   dotStyle
 } from '../styles/components.js';
 
+/**
+ * Sparkline + change over the selected range for one global state field
+ * Only shown for on-chain data with at least 2 snapshots
+ */
+function HistoryTrend({ snapshots, field, range, ticker }) {
+  if (!snapshots || snapshots.length < 2) return null;
+
+  const values = snapshots.map(snapshot => snapshot[field]);
+  const change = values[values.length - 1] - values[0];
+
+  return (
+    <div>
+      <Sparkline values={values} />
+      <span style={globalStateTrendStyle}>
+        {change >= 0 ? '+' : '-'}{formatNumber(Math.abs(change))} {ticker} / {range}
+      </span>
+    </div>
+  );
+}
+
 export function GlobalStateInfo({ 
   simulatedGlobalState, 
   selectedProject, 
   dataSource,
-  simulatedConfig 
+  simulatedConfig,
+  history = [],
+  historyRange,
+  onHistoryRangeChange
 }) {
+  // Simulated pool values have no history
+  const snapshots = dataSource.loyaltyPool === 'chain' ? history : [];
+
   return (
     <div style={globalStateInfoStyle} className="animate-fade-in-up animate-delay-2">
       <h4 style={globalStateTitleStyle}>
@@ -28,6 +60,20 @@ export function GlobalStateInfo({
         <span style={dataSource.loyaltyPool === 'chain' ? chainTagStyle : simTagStyle}>
           ({dataSource.loyaltyPool === 'chain' ? 'on-chain data' : dataSource.loyaltyPool})
         </span>
+        {snapshots.length >= 2 && onHistoryRangeChange && (
+          <span style={globalStateHistoryHeaderStyle}>
+            History
+            <select
+              value={historyRange}
+              onChange={(e) => onHistoryRangeChange(e.target.value)}
+              style={strategyIntervalSelectStyle}
+            >
+              {Object.keys(HISTORY_RANGES).map(range => (
+                <option key={range} value={range}>{range}</option>
+              ))}
+            </select>
+          </span>
+        )}
       </h4>
       <div style={globalStateGridStyle}>
         <div style={globalStateItemStyle}>
@@ -53,6 +99,7 @@ export function GlobalStateInfo({
               preserveValue={true}
             />{' '}{selectedProject.ticker}
           </span>
+          <HistoryTrend snapshots={snapshots} field="totalClaimed" range={historyRange} ticker={selectedProject.ticker} />
         </div>
         <div style={globalStateItemStyle}>
           <span style={globalStateLabelStyle}>Total Loyalty (Forfeited)</span>
@@ -65,6 +112,7 @@ export function GlobalStateInfo({
               preserveValue={true}
             />{' '}{selectedProject.ticker}
           </span>
+          <HistoryTrend snapshots={snapshots} field="totalLoyalty" range={historyRange} ticker={selectedProject.ticker} />
         </div>
         <div style={globalStateItemStyle}>
           <span style={globalStateLabelStyle}>Total Ineligible (Early Claimers)</span>
@@ -77,6 +125,7 @@ export function GlobalStateInfo({
               preserveValue={true}
             />{' '}{selectedProject.ticker}
           </span>
+          <HistoryTrend snapshots={snapshots} field="totalLoyaltyIneligible" range={historyRange} ticker={selectedProject.ticker} />
         </div>
       </div>
     </div>
@@ -0,0 +1,83 @@
+import { theme } from '../styles/theme.js';
+import { formatNumber } from '../utils/formatters.js';
+import { FORECAST_MODES, FORECAST_CURVES } from '../utils/loyaltyForecast.js';
+import {
+  inputHintStyle,
+  strategyIntervalSelectStyle,
+  forecastControlsStyle,
+  forecastControlLabelStyle,
+  forecastPercentInputStyle,
+} from '../styles/components.js';
+
+const CURVE_LABELS = {
+  [FORECAST_CURVES.EVEN]: 'Even',
+  [FORECAST_CURVES.FRONT_LOADED]: 'Front-loaded',
+  [FORECAST_CURVES.BACK_LOADED]: 'Back-loaded',
+};
+
+/**
+ * Loyalty pool forecast settings (below the comparison cards)
+ * Scenario = user-chosen early-claim rate curve, Historical = rate from global-state snapshots
+ */
+export function LoyaltyForecastControls({ settings, onChange, forecast }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const isScenario = settings.mode === FORECAST_MODES.SCENARIO;
+
+  return (
+    <div>
+      <div style={forecastControlsStyle}>
+        <span style={{ ...forecastControlLabelStyle, color: theme.textPrimary, fontWeight: 600 }}>
+          LOYALTY POOL FORECAST
+        </span>
+        <select
+          value={settings.mode}
+          onChange={(e) => update({ mode: e.target.value })}
+          style={strategyIntervalSelectStyle}
+        >
+          <option value={FORECAST_MODES.SCENARIO}>Early-claim scenario</option>
+          <option value={FORECAST_MODES.HISTORICAL}>Historical rate</option>
+        </select>
+
+        {isScenario && (
+          <>
+            <label style={forecastControlLabelStyle}>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step={1}
+                value={settings.earlyClaimPercent}
+                onChange={(e) => update({ earlyClaimPercent: Math.min(100, Math.max(0, Number(e.target.value) || 0)) })}
+                style={forecastPercentInputStyle}
+              />
+              % of eligible allocation early-claims
+            </label>
+            <select
+              value={settings.curve}
+              onChange={(e) => update({ curve: e.target.value })}
+              style={strategyIntervalSelectStyle}
+              title="When the early claims happen"
+            >
+              {Object.values(FORECAST_CURVES).map(curve => (
+                <option key={curve} value={curve}>{CURVE_LABELS[curve]}</option>
+              ))}
+            </select>
+          </>
+        )}
+
+        {!isScenario && forecast && (
+          <span style={forecastControlLabelStyle}>
+            ~{formatNumber(forecast.dailyVolume)} tokens/day become ineligible
+          </span>
+        )}
+      </div>
+      <div style={inputHintStyle}>
+        {isScenario
+          ? 'Pool loyalty tăng khi người khác claim sớm. Khoảng dự báo: bi quan = 0.5×, kỳ vọng = 1×, lạc quan = 1.5× lượng claim sớm đã chọn.'
+          : forecast
+            ? 'Tốc độ lịch sử ước lượng từ các snapshot global state (totalLoyaltyIneligible theo ngày), ngoại suy đến hết unlock.'
+            : 'Chưa đủ snapshot global state để tính tốc độ lịch sử (cần ít nhất 1 ngày unlock).'}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { formatNumberDecimal } from '../utils/formatters.js';
+import { buildProjectDeepLink } from '../utils/deepLink.js';
+import { theme } from '../styles/theme.js';
+import {
+  configInfoStyle,
+  configTitleStyle,
+  chainTagStyle,
+  dotStyle,
+  emptyStateStyle,
+  tableWrapperStyle,
+  tableStyle,
+  thStyle,
+  tdStyle,
+  inlineLoadingStyle,
+  inlineErrorStyle,
+  portfolioLinkStyle,
+} from '../styles/components.js';
+
+const COLUMNS = [
+  { key: 'claimed', label: 'Claimed' },
+  { key: 'claimable', label: 'Claimable' },
+  { key: 'vested', label: 'Vested' },
+  { key: 'loyaltyBonus', label: 'Loyalty Bonus' },
+];
+
+/**
+ * Portfolio mode - one wallet across every BUILD project
+ * Amounts are per-token, so totals count projects instead of summing tokens
+ */
+export function PortfolioView({
+  walletAddress,
+  portfolio,
+  loading,
+  error,
+  onOpenProject,
+}) {
+  const hasWallet = walletAddress && /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
+
+  const rows = portfolio || [];
+  const okRows = rows.filter(row => !row.error);
+  const totals = {
+    claimedIn: okRows.filter(row => row.claimed > 0).length,
+    earlyClaimedIn: okRows.filter(row => row.hasEarlyClaimed).length,
+    claimableIn: okRows.filter(row => row.claimable > 0).length,
+    failed: rows.length - okRows.length,
+  };
+
+  const handleOpen = (e, index) => {
+    // Keep middle/ctrl-click as a normal link (new tab), intercept plain clicks
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+    e.preventDefault();
+    onOpenProject(index);
+  };
+
+  return (
+    <div style={configInfoStyle} className="animate-fade-in-up animate-delay-2">
+      <h4 style={configTitleStyle}>
+        <span style={dotStyle} className="pulse-dot"></span>
+        Wallet Portfolio{' '}
+        <span style={chainTagStyle}>(on-chain data)</span>
+        {loading && <span style={inlineLoadingStyle}>Fetching...</span>}
+        {error && <span style={inlineErrorStyle}>⚠️ {error}</span>}
+      </h4>
+
+      {!hasWallet ? (
+        <div style={emptyStateStyle}>
+          Enter a wallet address above to see its claims across all BUILD projects.
+        </div>
+      ) : (
+        <div style={tableWrapperStyle}>
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={thStyle}>Project</th>
+                {COLUMNS.map(col => (
+                  <th key={col.key} style={thStyle}>{col.label}</th>
+                ))}
+                <th style={thStyle}>Early Claimed</th>
+                <th style={thStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.project.projectId}>
+                  <td style={{ ...tdStyle, fontWeight: 600 }}>
+                    {row.project.ticker} - {row.project.name}
+                  </td>
+                  {row.error ? (
+                    <td style={{ ...tdStyle, color: theme.accentRed }} colSpan={COLUMNS.length + 1}>
+                      {row.error}
+                    </td>
+                  ) : (
+                    <>
+                      {COLUMNS.map(col => (
+                        <td key={col.key} style={tdStyle}>
+                          {formatNumberDecimal(row[col.key] || 0)} {row.project.ticker}
+                        </td>
+                      ))}
+                      <td style={tdStyle}>{row.hasEarlyClaimed ? 'Yes' : 'No'}</td>
+                    </>
+                  )}
+                  <td style={tdStyle}>
+                    <a
+                      href={buildProjectDeepLink(row.project, walletAddress)}
+                      onClick={(e) => handleOpen(e, row.index)}
+                      style={portfolioLinkStyle}
+                    >
+                      Open in calculator →
+                    </a>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            {rows.length > 0 && (
+              <tfoot>
+                <tr>
+                  <td style={{ ...tdStyle, fontWeight: 700 }}>Totals</td>
+                  <td style={{ ...tdStyle, fontWeight: 700 }} colSpan={COLUMNS.length + 2}>
+                    Claimed in {totals.claimedIn}/{rows.length} projects · Claimable in {totals.claimableIn} · Early claimed in {totals.earlyClaimedIn}
+                    {totals.failed > 0 && ` · ${totals.failed} failed to load`}
+                  </td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
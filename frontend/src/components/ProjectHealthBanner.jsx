@@ -0,0 +1,60 @@
+import { formatNumberDecimal } from '../utils/formatters.js';
+import {
+  healthBannerStyle,
+  healthBannerWarningStyle,
+  healthBannerTitleStyle,
+  healthBannerTextStyle,
+} from '../styles/components.js';
+
+/**
+ * Prominent warnings from the project health block (factory state)
+ * Paused or refunding → BUILDClaim._getClaimableState returns zeros, so the
+ * calculator's numbers are not what the wallet can actually claim
+ */
+export function ProjectHealthBanner({ health, selectedProject }) {
+  if (!health) return null;
+
+  const { isPaused, refundingSeasonIds = [], scheduledWithdrawal, seasons = {} } = health;
+  if (!isPaused && refundingSeasonIds.length === 0 && !scheduledWithdrawal) return null;
+
+  return (
+    <>
+      {isPaused && (
+        <div style={healthBannerStyle} role="alert">
+          <div style={healthBannerTitleStyle}>⏸ {selectedProject.ticker} claims are paused</div>
+          <div style={healthBannerTextStyle}>
+            Claim contract đang bị pause (bởi factory hoặc emergency pause). Trong thời gian này không thể claim,
+            các số liệu bên dưới chỉ mang tính mô phỏng.
+          </div>
+        </div>
+      )}
+
+      {refundingSeasonIds.length > 0 && (
+        <div style={healthBannerStyle} role="alert">
+          <div style={healthBannerTitleStyle}>
+            ↩ Season {refundingSeasonIds.join(', ')} is refunding
+          </div>
+          <div style={healthBannerTextStyle}>
+            Season đang refund: ví chưa claim lần nào sẽ nhận claimable = 0 (contract trả về 0 cho mọi giá trị).
+            Kết quả calculator không phản ánh số token thực tế có thể claim.
+            {refundingSeasonIds.map(id => (
+              <div key={id}>
+                Season {id}: refundable {formatNumberDecimal(seasons[id]?.refundableAmount || 0)} {selectedProject.ticker}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {scheduledWithdrawal && (
+        <div style={healthBannerWarningStyle}>
+          <div style={healthBannerTitleStyle}>Withdrawal scheduled</div>
+          <div style={healthBannerTextStyle}>
+            Project đã lên lịch rút {formatNumberDecimal(scheduledWithdrawal.amount)} {selectedProject.ticker} về{' '}
+            {scheduledWithdrawal.recipient}. Số token còn có thể phân bổ: {formatNumberDecimal(health.maxAvailableAmount)} {selectedProject.ticker}.
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
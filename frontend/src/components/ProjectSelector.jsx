@@ -2,6 +2,7 @@ import {
   projectSelectorStyle,
   selectWrapperStyle,
   selectContainerStyle,
+  seasonSelectContainerStyle,
   selectStyle,
   selectChevronStyle,
   refreshButtonStyle,
@@ -11,6 +12,7 @@ import {
   inlineSuccessStyle,
   inlineErrorStyle
 } from '../styles/components.js';
+import { ALL_SEASONS } from '../utils/seasonUtils.js';
 
 // Chevron Down SVG Icon
 const ChevronDownIcon = () => (
@@ -52,6 +54,8 @@ export function ProjectSelector({
   projects,
   selectedIndex,
   onSelect,
+  selectedSeason,
+  onSelectSeason,
   onRefresh,
   loading,
   error,
@@ -79,6 +83,31 @@ export function ProjectSelector({
             <ChevronDownIcon />
           </div>
         </div>
+
+        {/* Season Select - single season or side-by-side comparison */}
+        <div style={seasonSelectContainerStyle} className="custom-select">
+          <select
+            value={selectedSeason}
+            onChange={(e) => onSelectSeason(
+              e.target.value === ALL_SEASONS ? ALL_SEASONS : Number(e.target.value)
+            )}
+            style={selectStyle}
+            className="project-select"
+            title="Select season"
+          >
+            {projects[selectedIndex].seasonIds.map((seasonId) => (
+              <option key={seasonId} value={seasonId}>
+                Season {seasonId}
+              </option>
+            ))}
+            {projects[selectedIndex].seasonIds.length > 1 && (
+              <option value={ALL_SEASONS}>All seasons</option>
+            )}
+          </select>
+          <div style={selectChevronStyle} className="select-chevron">
+            <ChevronDownIcon />
+          </div>
+        </div>
         
         {/* Refresh Button */}
         <button 
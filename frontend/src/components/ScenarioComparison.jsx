@@ -0,0 +1,209 @@
+import { useState } from 'react';
+import { theme } from '../styles/theme.js';
+import { formatAmount, formatNumber, formatPercentDecimal } from '../utils/formatters.js';
+import { findBreakEvenDay } from '../utils/claimStrategy.js';
+import {
+  configInfoStyle,
+  configTitleStyle,
+  dotStyle,
+  tableWrapperStyle,
+  tableStyle,
+  thStyle,
+  tdStyle,
+  inputHintStyle,
+  walletInputFieldStyle,
+  walletLoadButtonStyle,
+  walletLoadButtonDisabledStyle,
+  scenarioSaveRowStyle,
+  scenarioListStyle,
+  scenarioItemStyle,
+  scenarioSwatchStyle,
+  scenarioActionButtonStyle,
+} from '../styles/components.js';
+
+export const MAX_COMPARED_SCENARIOS = 3;
+
+// Line color of each compared scenario (chart + table header)
+export const SCENARIO_COLORS = [theme.accentOrange, theme.accentGreen, theme.accentRed];
+
+/**
+ * Row of a scenario timeline for a day (clamped to its own unlock window)
+ */
+function rowAt(rows, day) {
+  if (!rows || rows.length === 0) return null;
+  return rows[Math.min(Math.max(0, day), rows.length - 1)];
+}
+
+/**
+ * Difference against the first compared scenario
+ */
+function DiffValue({ value, base, format }) {
+  if (value === null || base === null || value === base) return null;
+  const diff = value - base;
+  return (
+    <span style={{ marginLeft: 6, fontSize: 12, color: diff > 0 ? theme.accentGreen : theme.accentRed }}>
+      ({diff > 0 ? '+' : '-'}{format(Math.abs(diff))})
+    </span>
+  );
+}
+
+/**
+ * Named scenarios (saved in localStorage) + side-by-side diff of up to 3 of them
+ * Compared scenarios are also drawn as overlaid lines in VestingChart
+ */
+export function ScenarioComparison({
+  scenarios,
+  comparedScenarios,
+  onSave,
+  onLoad,
+  onRemove,
+  onToggleCompare,
+  currentDay,
+  usdPrice = null,
+}) {
+  const [name, setName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (onSave(name)) setName('');
+  };
+
+  const comparedIndex = (id) => comparedScenarios.findIndex(s => s.id === id);
+  const compareFull = comparedScenarios.length >= MAX_COMPARED_SCENARIOS;
+
+  const amount = (value) => formatAmount(value, usdPrice);
+  const rows = [
+    { label: 'Project', value: (s) => s.ticker },
+    { label: 'Allocation', value: (s) => `${formatNumber(s.maxTokenAmount)} ${s.ticker}` },
+    { label: 'Unlock Start', value: (s) => s.startDate || '—' },
+    { label: 'Unlock Duration', value: (s) => `${s.config.unlockDurationDays} days` },
+    { label: 'Base Claim', value: (s) => formatPercentDecimal(s.config.baseTokenClaimBps / 100) },
+    {
+      label: 'Early Vest Ratio',
+      value: (s) => `${formatPercentDecimal(s.config.earlyVestRatioMinBps / 100)} → ${formatPercentDecimal(s.config.earlyVestRatioMaxBps / 100)}`,
+    },
+    { label: 'Loyalty Pool', value: (s) => formatNumber(s.globalState?.totalLoyalty || 0) },
+    {
+      label: `Early Claim Day ${currentDay}`,
+      metric: (s) => rowAt(s.rows, currentDay)?.totalIfEarlyClaim ?? null,
+      format: amount,
+    },
+    {
+      label: 'Total If Wait',
+      metric: (s) => rowAt(s.rows, 0)?.totalIfWait ?? null,
+      format: amount,
+    },
+    {
+      label: 'Break-even Day',
+      metric: (s) => (s.rows?.length ? findBreakEvenDay(s.rows) : null),
+      format: (day) => `${day}`,
+    },
+  ];
+
+  return (
+    <div style={configInfoStyle} className="animate-fade-in-up animate-delay-3">
+      <h4 style={configTitleStyle}>
+        <span style={dotStyle} className="pulse-dot"></span>
+        Saved Scenarios
+      </h4>
+
+      <form style={scenarioSaveRowStyle} onSubmit={handleSave}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scenario name"
+          maxLength={40}
+          style={{ ...walletInputFieldStyle, flex: '1 1 200px' }}
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          style={{ ...walletLoadButtonStyle, ...(!name.trim() ? walletLoadButtonDisabledStyle : {}) }}
+        >
+          Save current
+        </button>
+      </form>
+
+      {scenarios.length === 0 ? (
+        <div style={inputHintStyle}>
+          Chưa có scenario nào. Đặt tên và lưu input hiện tại để so sánh tối đa {MAX_COMPARED_SCENARIOS} scenario cạnh nhau.
+        </div>
+      ) : (
+        <div style={scenarioListStyle}>
+          {scenarios.map((scenario) => {
+            const index = comparedIndex(scenario.id);
+            const compared = index >= 0;
+            return (
+              <div key={scenario.id} style={scenarioItemStyle}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, flex: 1, cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={compared}
+                    disabled={!compared && compareFull}
+                    onChange={() => onToggleCompare(scenario.id)}
+                  />
+                  <span style={{ ...scenarioSwatchStyle, background: compared ? SCENARIO_COLORS[index] : theme.borderSubtle }}></span>
+                  <span style={{ fontWeight: 600 }}>{scenario.name}</span>
+                  <span style={{ color: theme.textMuted, fontSize: 12 }}>
+                    {scenario.ticker} · {formatNumber(scenario.maxTokenAmount)} · {scenario.config.unlockDurationDays}d
+                  </span>
+                </label>
+                <button type="button" style={scenarioActionButtonStyle} onClick={() => onLoad(scenario)}>
+                  Load
+                </button>
+                <button type="button" style={scenarioActionButtonStyle} onClick={() => onRemove(scenario.id)}>
+                  Delete
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {comparedScenarios.length > 0 && (
+        <div style={tableWrapperStyle}>
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={thStyle}></th>
+                {comparedScenarios.map((scenario) => (
+                  <th key={scenario.id} style={{ ...thStyle, color: scenario.color }}>
+                    {scenario.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const base = row.metric ? row.metric(comparedScenarios[0]) : null;
+                return (
+                  <tr key={row.label}>
+                    <td style={{ ...tdStyle, fontWeight: 600 }}>{row.label}</td>
+                    {comparedScenarios.map((scenario, i) => {
+                      if (!row.metric) {
+                        return <td key={scenario.id} style={tdStyle}>{row.value(scenario)}</td>;
+                      }
+                      const value = row.metric(scenario);
+                      return (
+                        <td key={scenario.id} style={tdStyle}>
+                          {value === null ? '—' : row.format(value)}
+                          {i > 0 && <DiffValue value={value} base={base} format={row.format} />}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {comparedScenarios.length > 1 && (
+        <div style={inputHintStyle}>
+          Chênh lệch (trong ngoặc) so với scenario đầu tiên. Ngày claim sớm bị giới hạn trong thời gian unlock của từng scenario.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { formatNumber, formatPercentDecimal } from '../utils/formatters.js';
+import {
+  configInfoStyle,
+  configTitleStyle,
+  chainTagStyle,
+  dotStyle,
+  tableWrapperStyle,
+  tableStyle,
+  thStyle,
+  tdStyle,
+} from '../styles/components.js';
+
+/**
+ * Side-by-side view of every season of the selected project
+ * Rendered only in "All seasons" mode - the calculator keeps using the active season
+ */
+export function SeasonComparison({
+  seasonIds,
+  activeSeasonId,
+  seasonConfigs,
+  seasonGlobalStates,
+  seasonClaimData,
+  selectedProject,
+}) {
+  if (!seasonConfigs) return null;
+
+  const ticker = selectedProject.ticker;
+  const rows = [
+    { label: 'Token Pool', value: (c) => `${formatNumber(c?.tokenAmount || 0)} ${ticker}` },
+    { label: 'Unlock Start', value: (c) => c?.seasonUnlockStartTimeFormatted || '—' },
+    { label: 'Unlock Duration', value: (c) => `${c?.unlockDurationDays || 0} days` },
+    { label: 'Base Claim', value: (c) => formatPercentDecimal((c?.baseTokenClaimBps || 0) / 100) },
+    {
+      label: 'Early Vest Ratio',
+      value: (c) => `${formatPercentDecimal((c?.earlyVestRatioMinBps || 0) / 100)} → ${formatPercentDecimal((c?.earlyVestRatioMaxBps || 0) / 100)}`,
+    },
+    { label: 'Total Claimed', value: (c, g) => `${formatNumber(g?.totalClaimed || 0)} ${ticker}` },
+    { label: 'Total Loyalty (Forfeited)', value: (c, g) => `${formatNumber(g?.totalLoyalty || 0)} ${ticker}` },
+  ];
+
+  if (seasonClaimData) {
+    rows.push(
+      { label: 'Your Claimable', value: (c, g, w) => `${formatNumber(w?.claimable || 0)} ${ticker}` },
+      { label: 'Your Claimed', value: (c, g, w) => `${formatNumber(w?.claimed || 0)} ${ticker}` },
+    );
+  }
+
+  return (
+    <div style={configInfoStyle} className="animate-fade-in-up animate-delay-2">
+      <h4 style={configTitleStyle}>
+        <span style={dotStyle} className="pulse-dot"></span>
+        Season Comparison{' '}
+        <span style={chainTagStyle}>(on-chain data)</span>
+      </h4>
+      <div style={tableWrapperStyle}>
+        <table style={tableStyle}>
+          <thead>
+            <tr>
+              <th style={thStyle}></th>
+              {seasonIds.map((seasonId) => (
+                <th key={seasonId} style={thStyle}>
+                  Season {seasonId}{seasonId === activeSeasonId ? ' (calculator)' : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label}>
+                <td style={{ ...tdStyle, fontWeight: 600 }}>{row.label}</td>
+                {seasonIds.map((seasonId) => (
+                  <td key={seasonId} style={tdStyle}>
+                    {row.value(
+                      seasonConfigs[seasonId],
+                      seasonGlobalStates?.[seasonId],
+                      seasonClaimData?.[seasonId]
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
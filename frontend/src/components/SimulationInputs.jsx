@@ -7,7 +7,9 @@ import {
   inputStyle,
   inputHintStyle,
   rangeStyle,
+  simulationParamGridStyle,
 } from "../styles/components.js";
+import { UnitToggle } from "./UnitToggle.jsx";
 
 // Reset/Refresh Icon (same as ProjectSelector)
 const ResetIcon = ({ spinning }) => (
@@ -75,6 +77,56 @@ const customInputGroupStyle = {
   gap: 8,
 };
 
+// Editable simulation parameters (bps shown as %)
+const clampNumber = (raw, min, max) => {
+  const num = Number(raw);
+  return raw === '' || !Number.isFinite(num) ? null : Math.min(max, Math.max(min, num));
+};
+const bpsField = (key, label) => ({
+  key,
+  label,
+  min: 0,
+  max: 100,
+  step: 0.01,
+  toInput: (bps) => (Number(bps) || 0) / 100,
+  fromInput: (raw) => {
+    const percent = clampNumber(raw, 0, 100);
+    return percent === null ? null : Math.round(percent * 100);
+  },
+});
+const SIMULATION_PARAM_FIELDS = [
+  {
+    key: 'durationDays',
+    label: 'Unlock duration (days)',
+    min: 1,
+    max: 3650,
+    step: 1,
+    toInput: (days) => days,
+    fromInput: (raw) => {
+      const days = clampNumber(raw, 1, 3650);
+      return days === null ? null : Math.round(days);
+    },
+  },
+  {
+    key: 'startDate',
+    label: 'Unlock start',
+    type: 'date',
+    toInput: (date) => date || '',
+    fromInput: (raw) => raw || null,
+  },
+  bpsField('baseClaimBps', 'Base claim (%)'),
+  bpsField('earlyVestMinBps', 'Early vest min (%)'),
+  bpsField('earlyVestMaxBps', 'Early vest max (%)'),
+  {
+    key: 'loyaltyPool',
+    label: 'Loyalty pool (tokens)',
+    min: 0,
+    step: 1,
+    toInput: (pool) => pool ?? 0,
+    fromInput: (raw) => clampNumber(raw, 0, Number.MAX_SAFE_INTEGER),
+  },
+];
+
 export function SimulationInputs({
   maxTokenAmount,
   setMaxTokenAmount,
@@ -82,7 +134,15 @@ export function SimulationInputs({
   setCurrentDay,
   durationDays,
   progressPercent,
-  onReset
+  onReset,
+  verifiedAllocation,
+  displayUnit,
+  onDisplayUnitChange,
+  tokenPrice,
+  ticker,
+  simulationParams,
+  onSimulationParamsChange,
+  paramsFromChain = false
 }) {
   // Ref for slider container to calculate touch position
   const sliderContainerRef = useRef(null);
@@ -121,6 +181,11 @@ export function SimulationInputs({
         >
           <ResetIcon spinning={false} />
         </button>
+        {onDisplayUnitChange && (
+          <div style={{ marginLeft: 'auto' }}>
+            <UnitToggle unit={displayUnit} onChange={onDisplayUnitChange} price={tokenPrice} ticker={ticker} />
+          </div>
+        )}
       </div>
 
       {/* Input Grid */}
@@ -137,6 +202,11 @@ export function SimulationInputs({
             }}
             style={inputStyle}
           />
+          {verifiedAllocation && (
+            <div style={{ ...inputHintStyle, color: theme.accentGreen, fontWeight: 600 }}>
+              ✓ Verified via Merkle proof
+            </div>
+          )}
         </div>
 
         <div style={customInputGroupStyle} className="input-group">
@@ -184,6 +254,38 @@ export function SimulationInputs({
           </div>
         </div>
       </div>
+
+      {/* Simulation parameters (used until the season config is set on-chain) */}
+      {simulationParams && onSimulationParamsChange && (
+        <div style={customInputGroupStyle} className="input-group">
+          <label style={labelStyle} className="input-label">SIMULATION PARAMETERS</label>
+          <div style={simulationParamGridStyle}>
+            {SIMULATION_PARAM_FIELDS.map(field => (
+              <div key={field.key} style={customInputGroupStyle}>
+                <span style={{ ...inputHintStyle, marginTop: 0 }}>{field.label}</span>
+                <input
+                  type={field.type || 'number'}
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  disabled={paramsFromChain}
+                  value={field.toInput(simulationParams[field.key])}
+                  onChange={(e) => {
+                    const value = field.fromInput(e.target.value);
+                    if (value !== null) onSimulationParamsChange({ [field.key]: value });
+                  }}
+                  style={{ ...inputStyle, ...(paramsFromChain ? { opacity: 0.6, cursor: 'not-allowed' } : {}) }}
+                />
+              </div>
+            ))}
+          </div>
+          <div style={inputHintStyle}>
+            {paramsFromChain
+              ? 'Config đã được set on-chain nên các tham số lấy từ chain. Lưu scenario để so sánh với giá trị khác.'
+              : 'Config chưa set on-chain: chỉnh tham số để mô phỏng, rồi lưu thành scenario để so sánh.'}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,35 @@
+import { theme } from '../styles/theme.js';
+
+/**
+ * Minimal inline SVG sparkline (no axes) for a numeric series
+ * @param {number[]} values - Series in time order
+ * @param {number} width - Width in px
+ * @param {number} height - Height in px
+ */
+export function Sparkline({ values, width = 120, height = 28, color = theme.accentBlue }) {
+  if (!values || values.length < 2) return null;
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1; // Flat series → line in the middle
+  const pad = 2;
+
+  const points = values.map((value, i) => ({
+    x: pad + (i / (values.length - 1)) * (width - pad * 2),
+    y: max === min ? height / 2 : pad + (1 - (value - min) / span) * (height - pad * 2),
+  }));
+  const last = points[points.length - 1];
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: 'block' }}>
+      <polyline
+        points={points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}
+        fill="none"
+        stroke={color}
+        strokeWidth={1.5}
+        strokeLinejoin="round"
+      />
+      <circle cx={last.x} cy={last.y} r={2} fill={color} />
+    </svg>
+  );
+}
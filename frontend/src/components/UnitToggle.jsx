@@ -0,0 +1,50 @@
+import { formatNumberDecimal } from '../utils/formatters.js';
+import {
+  viewModeToggleStyle,
+  viewModeButtonStyle,
+  viewModeButtonActiveStyle,
+  inputHintStyle,
+} from '../styles/components.js';
+
+export const DISPLAY_UNITS = {
+  token: 'token',
+  usd: 'usd',
+};
+
+/**
+ * Token / USD switch for every amount in the calculator
+ * USD is disabled while no price is available for the project
+ */
+export function UnitToggle({ unit, onChange, price, ticker }) {
+  const options = [
+    { value: DISPLAY_UNITS.token, label: ticker, disabled: false },
+    { value: DISPLAY_UNITS.usd, label: 'USD', disabled: !price },
+  ];
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+      <div style={{ ...viewModeToggleStyle, marginBottom: 0 }} role="tablist">
+        {options.map(option => (
+          <button
+            key={option.value}
+            role="tab"
+            aria-selected={unit === option.value}
+            disabled={option.disabled}
+            style={{
+              ...(unit === option.value ? viewModeButtonActiveStyle : viewModeButtonStyle),
+              ...(option.disabled ? { opacity: 0.4, cursor: 'not-allowed' } : {}),
+            }}
+            onClick={() => onChange(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <span style={inputHintStyle}>
+        {price
+          ? `1 ${ticker} = $${formatNumberDecimal(price.usd, price.usd < 1 ? 4 : 2)} (${price.source})`
+          : 'Chưa có giá USD cho token này'}
+      </span>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState, useRef, useMemo, useCallback, useEffect } from 'react';
 import { theme } from '../styles/theme.js';
-import { formatNumber, formatPercent } from '../utils/formatters.js';
+import { formatAmount, formatPercent } from '../utils/formatters.js';
 
 const CHART_HEIGHT = 300;
 const CHART_PADDING = { top: 20, right: 20, bottom: 40, left: 50 };
@@ -13,7 +13,10 @@ export function VestingChart({
   maxTokenAmount,
   simulatedConfig,
   simulatedGlobalState,
-  startDate
+  startDate,
+  loyaltyForecast,
+  comparedScenarios = [],
+  usdPrice = null
 }) {
   // Detect screen size for responsive layout
   const [isMobile, setIsMobile] = useState(false);
@@ -54,6 +57,12 @@ export function VestingChart({
   }, []);
 
   const innerWidth = chartWidth - CHART_PADDING.left - CHART_PADDING.right;
+
+  // X axis covers the longest unlock window (a compared scenario may last longer)
+  const chartDays = useMemo(
+    () => Math.max(durationDays, ...comparedScenarios.map(s => (s.rows?.length || 1) - 1)),
+    [durationDays, comparedScenarios]
+  );
   const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
 
   // Calculate max Y percentage based on totalIfWait at the end (includes loyalty bonus)
@@ -61,7 +70,15 @@ export function VestingChart({
     if (!rows || rows.length === 0) return { maxYPercent: 100, yGridLines: [0, 20, 40, 60, 80, 100] };
     const lastRow = rows[rows.length - 1];
     const originalAllocation = lastRow.base + lastRow.bonus;
-    const maxPercent = (lastRow.totalIfWait / originalAllocation) * 100;
+    // Leave room for the optimistic loyalty forecast and the compared scenarios
+    const topValue = Math.max(lastRow.totalIfWait, loyaltyForecast?.scenarios.optimistic.final.totalIfWait || 0);
+    const scenarioPercents = comparedScenarios
+      .filter(s => s.rows?.length)
+      .map(s => {
+        const last = s.rows[s.rows.length - 1];
+        return (last.totalIfWait / (last.base + last.bonus)) * 100;
+      });
+    const maxPercent = Math.max((topValue / originalAllocation) * 100, ...scenarioPercents);
     // Round up to nearest 10 for clean grid lines
     const roundedMax = Math.ceil(maxPercent / 10) * 10;
     // Generate grid lines from 0 to roundedMax
@@ -75,10 +92,10 @@ export function VestingChart({
       gridLines.sort((a, b) => a - b);
     }
     return { maxYPercent: roundedMax, yGridLines: gridLines };
-  }, [rows]);
+  }, [rows, loyaltyForecast, comparedScenarios]);
 
   // Scale functions
-  const xScale = (day) => CHART_PADDING.left + (day / durationDays) * innerWidth;
+  const xScale = (day) => CHART_PADDING.left + (day / chartDays) * innerWidth;
   const yScale = (percent) => CHART_PADDING.top + innerHeight - (percent / maxYPercent) * innerHeight;
 
   // Helper to calculate total receive percent for a row
@@ -96,7 +113,7 @@ export function VestingChart({
       const y = yScale(percent);
       return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
     }).join(' ');
-  }, [rows, innerWidth, innerHeight, maxYPercent]);
+  }, [rows, innerWidth, innerHeight, chartDays, maxYPercent]);
 
   // Generate filled area path for Total Receive
   const totalReceiveAreaPath = useMemo(() => {
@@ -107,11 +124,38 @@ export function VestingChart({
       const y = yScale(percent);
       return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
     }).join(' ');
-    const lastX = xScale(durationDays);
+    const lastX = xScale(rows[rows.length - 1].t);
     const firstX = xScale(0);
     const bottomY = yScale(0);
     return `${linePath} L ${lastX} ${bottomY} L ${firstX} ${bottomY} Z`;
-  }, [rows, innerWidth, innerHeight, durationDays, maxYPercent]);
+  }, [rows, innerWidth, innerHeight, chartDays, maxYPercent]);
+
+  // Loyalty forecast band (pessimistic → optimistic "total if wait", today → unlock end)
+  const forecastPaths = useMemo(() => {
+    if (!loyaltyForecast || !rows || rows.length === 0) return null;
+    const originalAllocation = rows[0].base + rows[0].bonus;
+    if (originalAllocation <= 0) return null;
+    const toPoint = (point) => `${xScale(point.day)} ${yScale((point.totalIfWait / originalAllocation) * 100)}`;
+    const { pessimistic, expected, optimistic } = loyaltyForecast.scenarios;
+    const upper = optimistic.series.map((point, i) => `${i === 0 ? 'M' : 'L'} ${toPoint(point)}`).join(' ');
+    const lower = [...pessimistic.series].reverse().map(point => `L ${toPoint(point)}`).join(' ');
+    return {
+      band: `${upper} ${lower} Z`,
+      expected: expected.series.map((point, i) => `${i === 0 ? 'M' : 'L'} ${toPoint(point)}`).join(' '),
+    };
+  }, [loyaltyForecast, rows, innerWidth, innerHeight, chartDays, maxYPercent]);
+
+  // Compared saved scenarios - same "Total Receive" line, one color each
+  const scenarioPaths = useMemo(() => {
+    return comparedScenarios
+      .filter(s => s.rows?.length)
+      .map(scenario => ({
+        id: scenario.id,
+        name: scenario.name,
+        color: scenario.color,
+        path: scenario.rows.map((row, i) => `${i === 0 ? 'M' : 'L'} ${xScale(row.t)} ${yScale(getTotalReceivePercent(row))}`).join(' '),
+      }));
+  }, [comparedScenarios, innerWidth, innerHeight, chartDays, maxYPercent]);
 
   // Unified handler for tap + drag (works for both touch and mouse)
   const handleChartInteraction = useCallback((e) => {
@@ -133,12 +177,12 @@ export function VestingChart({
     const svgP = pt.matrixTransform(svg.getScreenCTM().inverse());
     
     // Calculate day from position
-    const dayFloat = ((svgP.x - CHART_PADDING.left) / innerWidth) * durationDays;
+    const dayFloat = ((svgP.x - CHART_PADDING.left) / innerWidth) * chartDays;
     const day = Math.max(0, Math.min(durationDays, Math.round(dayFloat)));
     
     // Update currentDay (syncs with slider via App.jsx)
     setCurrentDay(day);
-  }, [innerWidth, durationDays, setCurrentDay]);
+  }, [innerWidth, chartDays, durationDays, setCurrentDay]);
 
   const handleTouchStart = (e) => {
     setIsDragging(true);
@@ -156,7 +200,7 @@ export function VestingChart({
   };
 
   // X-axis grid lines
-  const xGridLines = Array.from({ length: 10 }, (_, i) => Math.round((i + 1) * durationDays / 10));
+  const xGridLines = Array.from({ length: 10 }, (_, i) => Math.round((i + 1) * chartDays / 10));
 
   if (!rows || rows.length === 0) return null;
 
@@ -248,7 +292,7 @@ export function VestingChart({
           fontSize={13}
           fill="#94a3b8"
         >
-          Day {durationDays}
+          Day {chartDays}
         </text>
 
         {/* Filled area for Total Receive */}
@@ -265,6 +309,33 @@ export function VestingChart({
           strokeWidth={2.5}
         />
 
+        {/* Compared saved scenarios */}
+        {scenarioPaths.map(scenario => (
+          <path
+            key={scenario.id}
+            d={scenario.path}
+            fill="none"
+            stroke={scenario.color}
+            strokeWidth={2}
+            opacity={0.85}
+            pointerEvents="none"
+          />
+        ))}
+
+        {/* Loyalty forecast band + expected line */}
+        {forecastPaths && (
+          <g pointerEvents="none">
+            <path d={forecastPaths.band} fill="rgba(55, 91, 210, 0.15)" stroke="none" />
+            <path
+              d={forecastPaths.expected}
+              fill="none"
+              stroke={theme.accentBlue}
+              strokeWidth={1.5}
+              strokeDasharray="6,4"
+            />
+          </g>
+        )}
+
         {/* Draggable bullet point - ENLARGED for touch */}
         <g style={{ cursor: isDragging ? 'grabbing' : 'grab' }}>
           {/* Touch target - larger invisible circle */}
@@ -311,6 +382,18 @@ export function VestingChart({
             <div style={{ ...legendColorStyle, background: theme.accentBlue }}></div>
             <span>Total Receive (% of Original Allocation)</span>
           </div>
+          {forecastPaths && (
+            <div style={legendItemStyle}>
+              <div style={{ ...legendColorStyle, height: 10, background: 'rgba(55, 91, 210, 0.15)', borderTop: `2px dashed ${theme.accentBlue}` }}></div>
+              <span>Total If Wait forecast (pessimistic – optimistic)</span>
+            </div>
+          )}
+          {scenarioPaths.map(scenario => (
+            <div key={scenario.id} style={legendItemStyle}>
+              <div style={{ ...legendColorStyle, background: scenario.color }}></div>
+              <span>{scenario.name}</span>
+            </div>
+          ))}
           <div style={legendItemStyle}>
             <div style={{ 
               ...legendColorStyle, 
@@ -341,24 +424,24 @@ export function VestingChart({
           <div style={tooltipSectionStyle}>
             <div style={tooltipRowStyle}>
               <span>Base (unlocked)</span>
-              <span>{formatNumber(currentDayMetrics.base)}</span>
+              <span>{formatAmount(currentDayMetrics.base, usdPrice)}</span>
             </div>
             <div style={tooltipRowStyle}>
               <span>Vested ({formatPercent((currentDayMetrics.vested / currentDayMetrics.bonus) * 100)})</span>
-              <span>{formatNumber(currentDayMetrics.vested)}</span>
+              <span>{formatAmount(currentDayMetrics.vested, usdPrice)}</span>
             </div>
             <div style={tooltipRowStyle}>
               <span>Early Vest Bonus ({formatPercent(currentDayMetrics.earlyVestRatioPercent)})</span>
-              <span>+{formatNumber(currentDayMetrics.earlyVestableBonus)}</span>
+              <span>+{formatAmount(currentDayMetrics.earlyVestableBonus, usdPrice)}</span>
             </div>
             <div style={tooltipRowStyle}>
               <span>Estimated Loyalty Bonus</span>
-              <span style={{ color: theme.accentBlue }}>+{formatNumber(currentDayMetrics.isUnlockComplete ? currentDayMetrics.loyaltyBonus : 0)}</span>
+              <span style={{ color: theme.accentBlue }}>+{formatAmount(currentDayMetrics.isUnlockComplete ? currentDayMetrics.loyaltyBonus : 0, usdPrice)}</span>
             </div>
             <div style={tooltipDividerStyle}></div>
             <div style={{ ...tooltipRowStyle, fontWeight: 600 }}>
               <span>TOTAL RECEIVE</span>
-              <span style={{ color: theme.accentBlue }}>{formatNumber(currentDayMetrics.totalIfEarlyClaim)}</span>
+              <span style={{ color: theme.accentBlue }}>{formatAmount(currentDayMetrics.totalIfEarlyClaim, usdPrice)}</span>
             </div>
             <div style={{ ...tooltipRowStyle, fontWeight: 600, fontSize: 11 }}>
               <span>% of Original Allocation</span>
@@ -366,7 +449,7 @@ export function VestingChart({
             </div>
             <div style={{ ...tooltipRowStyle, opacity: 0.6, fontSize: 11 }}>
               <span>Forfeited to Loyalty Pool</span>
-              <span>-{formatNumber(currentDayMetrics.forfeited)}</span>
+              <span>-{formatAmount(currentDayMetrics.forfeited, usdPrice)}</span>
             </div>
           </div>
         </div>
@@ -1,5 +1,6 @@
 import { theme } from '../styles/theme.js';
-import { formatNumber, formatPercent, formatPercentDecimal } from '../utils/formatters.js';
+import { formatAmount, formatPercentDecimal } from '../utils/formatters.js';
+import { EXPORT_FORMATS } from '../utils/timelineExport.js';
 import {
   tableSectionStyle,
   tableHeaderTitleStyle,
@@ -13,7 +14,9 @@ import {
   tdStyleMuted,
   trEvenStyle,
   trOddStyle,
-  trHighlightStyle
+  trHighlightStyle,
+  exportButtonGroupStyle,
+  exportButtonStyle
 } from '../styles/components.js';
 
 // Blue accent styles - chỉ dùng 1 màu xanh với các độ đậm nhạt
@@ -36,11 +39,27 @@ const tdStyleAccentStrong = {
   background: '#f8faff',
 };
 
-export function VestingTable({ rows, currentDay, selectedProject, loading }) {
+export function VestingTable({ rows, currentDay, selectedProject, loading, usdPrice = null, onExport }) {
   return (
     <div style={tableSectionStyle} className="animate-fade-in-up animate-delay-4">
       <h3 style={tableHeaderTitleStyle}>
-        Vesting Timeline - {selectedProject.ticker}
+        Vesting Timeline - {usdPrice ? 'USD' : selectedProject.ticker}
+        {/* Exports always use token amounts (full precision) */}
+        {onExport && rows.length > 0 && (
+          <span style={exportButtonGroupStyle}>
+            {Object.values(EXPORT_FORMATS).map(format => (
+              <button
+                key={format}
+                type="button"
+                style={exportButtonStyle}
+                onClick={() => onExport(format)}
+                title={`Download timeline + scenario as ${format.toUpperCase()}`}
+              >
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </span>
+        )}
       </h3>
       {rows.length === 0 ? (
         <p style={emptyStateStyle}>
@@ -82,15 +101,15 @@ export function VestingTable({ rows, currentDay, selectedProject, loading }) {
                   >
                     <td style={tdStyle}>{row.t}</td>
                     <td style={tdStyleDate}>{row.date}</td>
-                    <td style={tdStyle}>{formatNumber(row.vested)}</td>
-                    <td style={tdStyle}>{formatNumber(row.unlocked)}</td>
-                    <td style={tdStyleMuted}>{formatNumber(row.locked)}</td>
+                    <td style={tdStyle}>{formatAmount(row.vested, usdPrice)}</td>
+                    <td style={tdStyle}>{formatAmount(row.unlocked, usdPrice)}</td>
+                    <td style={tdStyleMuted}>{formatAmount(row.locked, usdPrice)}</td>
                     <td style={tdStyle}>{formatPercentDecimal(row.earlyVestRatioPercent)}</td>
-                    <td style={tdStyle}>{formatNumber(row.earlyVestableBonus)}</td>
-                    <td style={tdStyle}>{formatNumber(row.totalIfEarlyClaim)}</td>
-                    <td style={tdStyleMuted}>{formatNumber(row.forfeited)}</td>
-                    <td style={tdStyleAccent}>{formatNumber(row.loyaltyBonus)}</td>
-                    <td style={tdStyleAccentStrong}>{formatNumber(row.totalIfWait)}</td>
+                    <td style={tdStyle}>{formatAmount(row.earlyVestableBonus, usdPrice)}</td>
+                    <td style={tdStyle}>{formatAmount(row.totalIfEarlyClaim, usdPrice)}</td>
+                    <td style={tdStyleMuted}>{formatAmount(row.forfeited, usdPrice)}</td>
+                    <td style={tdStyleAccent}>{formatAmount(row.loyaltyBonus, usdPrice)}</td>
+                    <td style={tdStyleAccentStrong}>{formatAmount(row.totalIfWait, usdPrice)}</td>
                   </tr>
                 );
               })}
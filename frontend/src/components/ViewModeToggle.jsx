@@ -0,0 +1,33 @@
+import {
+  viewModeToggleStyle,
+  viewModeButtonStyle,
+  viewModeButtonActiveStyle,
+} from '../styles/components.js';
+
+export const VIEW_MODES = {
+  calculator: 'calculator',
+  portfolio: 'portfolio',
+};
+
+const OPTIONS = [
+  { value: VIEW_MODES.calculator, label: 'Calculator' },
+  { value: VIEW_MODES.portfolio, label: 'Portfolio' },
+];
+
+export function ViewModeToggle({ mode, onChange }) {
+  return (
+    <div style={viewModeToggleStyle} role="tablist">
+      {OPTIONS.map(option => (
+        <button
+          key={option.value}
+          role="tab"
+          aria-selected={mode === option.value}
+          style={mode === option.value ? viewModeButtonActiveStyle : viewModeButtonStyle}
+          onClick={() => onChange(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -26,7 +26,7 @@ import {
 const METRIC_EXPLANATIONS = {
   walletOnChainData: {
     title: "Wallet On-Chain Data — Dữ liệu tra cứu được từ blockchain",
-    description: "✅ CÓ THỂ TRA CỨU:\n• Claimed: Số token đã claim\n• Has Early Claimed: Đã early claim chưa\n\n❌ KHÔNG THỂ TRA CỨU:\n• Max Allocation, Base, Bonus (cần data off-chain từ Chainlink)\n\nSmart contract dùng Merkle Tree nên chỉ lưu UserState (claimed, hasEarlyClaimed) sau khi user claim. Allocation data được lưu off-chain.\n\nXem FAQ Q10 để biết thêm chi tiết."
+    description: "✅ CÓ THỂ TRA CỨU:\n• Claimed: Số token đã claim\n• Has Early Claimed: Đã early claim chưa\n\n❌ KHÔNG THỂ TRA CỨU:\n• Max Allocation, Base, Bonus (cần data off-chain từ Chainlink)\n  → Import claim params (Merkle proof) bên dưới để xác minh allocation chính xác\n\nSmart contract dùng Merkle Tree nên chỉ lưu UserState (claimed, hasEarlyClaimed) sau khi user claim. Allocation data được lưu off-chain.\n\nXem FAQ Q10 để biết thêm chi tiết."
   },
   claimed: {
     title: "claimed — số token bạn đã nhận trước đó",
@@ -3,16 +3,30 @@ export { Header } from './Header.jsx';
 export { DisclaimerBanner } from './DisclaimerBanner.jsx';
 export { RateLimitBanner } from './RateLimitBanner.jsx';
 export { ProjectSelector } from './ProjectSelector.jsx';
+export { SeasonComparison } from './SeasonComparison.jsx';
+export { ProjectHealthBanner } from './ProjectHealthBanner.jsx';
+export { ViewModeToggle, VIEW_MODES } from './ViewModeToggle.jsx';
+export { PortfolioView } from './PortfolioView.jsx';
 export { WalletInput } from './WalletInput.jsx';
+export { ClaimProofImport } from './ClaimProofImport.jsx';
+export { ClaimHistory } from './ClaimHistory.jsx';
 export { WalletMetricExplanations } from './WalletMetricExplanations.jsx';
+export { ConfigChangelog } from './ConfigChangelog.jsx';
 export { ConfigInfo } from './ConfigInfo.jsx';
 export { GlobalStateInfo } from './GlobalStateInfo.jsx';
+export { Sparkline } from './Sparkline.jsx';
 export { SimulationInputs } from './SimulationInputs.jsx';
+export { UnitToggle, DISPLAY_UNITS } from './UnitToggle.jsx';
 export { ComparisonCards } from './ComparisonCards.jsx';
+export { ClaimStrategyCard } from './ClaimStrategyCard.jsx';
+export { LoyaltyForecastControls } from './LoyaltyForecastControls.jsx';
+export { CalendarExport } from './CalendarExport.jsx';
+export { ScenarioComparison, SCENARIO_COLORS, MAX_COMPARED_SCENARIOS } from './ScenarioComparison.jsx';
 export { VestingTable } from './VestingTable.jsx';
 export { VestingChart } from './VestingChart.jsx';
 export { FormulaSection } from './FormulaSection.jsx';
 export { FAQ } from './FAQ.jsx';
 export { Footer } from './Footer.jsx';
+export { AdminPage } from './AdminPage.jsx';
 export { LoadingSpinner } from './icons/index.js';
 
@@ -0,0 +1,67 @@
+import { createContext, useContext, useState, useCallback, useRef } from 'react';
+import { ChallengeModal } from '../components/ChallengeModal.jsx';
+import { verifyChallenge } from '../utils/challengeClient.js';
+
+const ChallengeContext = createContext(undefined);
+
+/**
+ * Opens ChallengeModal when an API request requires a challenge
+ * requestChallenge(challenge) resolves with the challenge token (null = cancelled / failed)
+ * Parallel requests hitting the same challenge share one modal
+ */
+export function ChallengeProvider({ children }) {
+  const [challenge, setChallenge] = useState(null);
+  const pendingRef = useRef(null);
+
+  const settle = useCallback((token) => {
+    pendingRef.current?.resolve(token);
+    pendingRef.current = null;
+    setChallenge(null);
+  }, []);
+
+  const requestChallenge = useCallback((nextChallenge) => {
+    if (pendingRef.current) {
+      return pendingRef.current.promise;
+    }
+
+    let resolve;
+    const promise = new Promise((res) => { resolve = res; });
+    pendingRef.current = { promise, resolve };
+    setChallenge(nextChallenge);
+    return promise;
+  }, []);
+
+  const handleVerify = useCallback(
+    (response) => verifyChallenge(challenge.id, response),
+    [challenge]
+  );
+
+  const value = {
+    challengeActive: challenge !== null,
+    requestChallenge,
+  };
+
+  return (
+    <ChallengeContext.Provider value={value}>
+      {children}
+      {challenge && (
+        <ChallengeModal
+          key={challenge.id}
+          challenge={challenge}
+          onVerify={handleVerify}
+          onSuccess={(result) => settle(result.token)}
+          onFail={() => settle(null)}
+          onCancel={() => settle(null)}
+        />
+      )}
+    </ChallengeContext.Provider>
+  );
+}
+
+export function useChallenge() {
+  const context = useContext(ChallengeContext);
+  if (!context) {
+    throw new Error('useChallenge must be used within a ChallengeProvider');
+  }
+  return context;
+}
@@ -1,12 +1,14 @@
+import { useRef, useCallback } from 'react';
 import useSWR from 'swr';
 import { generateAuthHeaders } from "../utils/signature.js";
 import { getSecret } from "../utils/secretDecryptor.js";
 import { handleApiResponse } from "../utils/rateLimitHandler.js";
+import { getChallengeToken } from "../utils/challengeClient.js";
 import { API_CONFIG } from "../../../config/frontend/api.js";
 import { requiresSignature } from "../../../config/shared/security.js";
 
 /**
- * Get API request headers with optional signature and API key
+ * Get API request headers with optional signature, API key and challenge token
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {string} path - Request path
  * @param {Object|null} body - Request body (for POST/PUT/PATCH requests)
@@ -33,30 +35,48 @@ export async function getApiHeaders(method, path, body = null) {
     headers = { ...headers, 'x-api-key': apiKey };
   }
   
+  // Token of a recently passed challenge (see challengeClient.js)
+  const challengeToken = getChallengeToken();
+  if (challengeToken) {
+    headers = { ...headers, 'x-challenge-token': challengeToken };
+  }
+  
   return headers;
 }
 
 /**
- * Fetcher function with authentication headers
- * @param {string} url - Full URL to fetch
+ * Fetcher function with authentication headers (every API hook goes through it)
+ * A challenge-required response opens the challenge (onChallenge) and retries once
+ * @param {string} path - API path with query string (signed as-is, VITE_API_URL is prepended)
  * @param {string} method - HTTP method
  * @param {Function} onRateLimit - Callback for rate limit errors
+ * @param {Function} [onChallenge] - (challenge) → Promise<token|null> (ChallengeContext)
+ * @param {Object} [options]
+ * @param {Object} [options.body] - JSON body (POST), part of the signature
+ * @param {RequestCache} [options.cache] - fetch cache mode ('no-cache' = revalidate the browser HTTP cache)
+ * @param {boolean} [options.isRetry] - Retry after a passed challenge (no second challenge)
  * @returns {Promise<Object>} Parsed response data
  */
-async function fetchWithAuth(url, method, onRateLimit) {
+export async function fetchWithAuth(path, method, onRateLimit, onChallenge = null, { body = null, cache, isRetry = false } = {}) {
   const startTime = performance.now();
   const requestId = Math.random().toString(36).substring(7);
+  const url = `${import.meta.env.VITE_API_URL || ''}${path}`;
   
   console.log(`[Fetch ${requestId}] 🔵 START`, { url, method });
   
   try {
-    const headers = await getApiHeaders(method, url);
+    const headers = await getApiHeaders(method, path, body);
     const headerTime = performance.now();
     console.log(`[Fetch ${requestId}] 📝 Headers generated`, { 
       duration: `${(headerTime - startTime).toFixed(2)}ms` 
     });
     
-    const res = await fetch(url, { headers });
+    const res = await fetch(url, {
+      method,
+      headers,
+      ...(body && { body: JSON.stringify(body) }),
+      ...(cache && { cache }),
+    });
     const fetchTime = performance.now();
     console.log(`[Fetch ${requestId}] 🌐 Fetch complete`, { 
       status: res.status,
@@ -73,6 +93,14 @@ async function fetchWithAuth(url, method, onRateLimit) {
     
     return response;
   } catch (error) {
+    if (error.challenge && onChallenge && !isRetry) {
+      console.warn(`[Fetch ${requestId}] 🔒 Challenge required`, { type: error.challenge.type });
+      const token = await onChallenge(error.challenge);
+      if (token) {
+        return fetchWithAuth(path, method, onRateLimit, onChallenge, { body, cache, isRetry: true });
+      }
+    }
+    
     const endTime = performance.now();
     console.error(`[Fetch ${requestId}] ❌ FAILED`, {
       error: error.message,
@@ -84,38 +112,67 @@ async function fetchWithAuth(url, method, onRateLimit) {
   }
 }
 
+/**
+ * Build the `seasonIds` query string for the requested seasons
+ * @param {number[]} seasonIds - Season IDs
+ * @returns {string}
+ */
+function seasonQuery(seasonIds) {
+  return `seasonIds=${seasonIds.join(',')}`;
+}
+
 /**
  * Hook to fetch project config
  * @param {Object} project - The selected project object
  * @param {Object} options - Optional configuration
- * @returns {Object} - { config, loading, error, refetch }
+ * @param {number[]} options.seasonIds - Seasons to fetch (default: project's default season)
+ * @param {number} options.activeSeasonId - Season exposed as `config` (default: first requested)
+ * @returns {Object} - { config, seasonConfigs, health, metaData, loading, error, refetch }
  */
 export function useProjectConfig(project, options = {}) {
-  const { onRateLimit } = options;
+  const { onRateLimit, onChallenge } = options;
+  const seasonIds = options.seasonIds || [API_CONFIG.defaultSeasonId];
+  const activeSeasonId = options.activeSeasonId ?? seasonIds[0];
   
-      const apiUrl = import.meta.env.VITE_API_URL || '';
   const configPath = project 
-    ? `${API_CONFIG.getEndpointPath('projectConfig')}?tokenAddress=${project.tokenAddress}&seasonId=${project.seasonId || API_CONFIG.defaultSeasonId}`
+    ? `${API_CONFIG.getEndpointPath('projectConfig')}?tokenAddress=${project.tokenAddress}&${seasonQuery(seasonIds)}`
     : null;
   
+  // Explicit refetch (e.g. after a factory event) must skip the browser HTTP cache:
+  // the config is served with a 24h max-age (CACHE_PRESETS.projectConfig)
+  const bypassHttpCacheRef = useRef(false);
+  
   const { data, error, isLoading, mutate } = useSWR(
-    project ? ['projectConfig', project.tokenAddress, project.seasonId || API_CONFIG.defaultSeasonId] : null,
+    project ? ['projectConfig', project.tokenAddress, seasonIds.join(',')] : null,
     async () => {
-      const response = await fetchWithAuth(`${apiUrl}${configPath}`, 'GET', onRateLimit);
+      const cache = bypassHttpCacheRef.current ? 'no-cache' : undefined;
+      bypassHttpCacheRef.current = false;
+      const response = await fetchWithAuth(configPath, 'GET', onRateLimit, onChallenge, { cache });
 
       // Validate response structure
       if (!response?.blockchainData) {
         throw new Error('Invalid config response: missing blockchainData field');
       }
 
-      // Extract and flatten data from v1 structure
-      const getProjectConfig = response.blockchainData.get_project_season_config || {};
+      // Extract and flatten data from v1 structure (one entry per season)
       const getTokenAmounts = response.blockchainData.get_token_amounts || {};
+      const health = response.blockchainData.get_project_health || null;
+      const seasons = response.blockchainData.seasons || {};
       
-      return {
-        ...getProjectConfig,
-        ...getTokenAmounts
-      };
+      const configs = Object.fromEntries(
+        Object.entries(seasons).map(([seasonId, season]) => [
+          seasonId,
+          {
+            ...(season.get_project_season_config || {}),
+            ...getTokenAmounts,
+            isClaimPaused: health?.isPaused || false,
+            refundableAmount: health?.seasons?.[seasonId]?.refundableAmount || 0
+          }
+        ])
+      );
+
+      // Block / cache metadata of the read (export audit trail)
+      return { configs, health, metaData: response.metaData || null };
     },
     {
       dedupingInterval: 2000,
@@ -138,40 +195,54 @@ export function useProjectConfig(project, options = {}) {
     }
   );
   
+  const refetch = useCallback(() => {
+    bypassHttpCacheRef.current = true;
+    return mutate();
+  }, [mutate]);
+  
   return {
-    config: data,
+    config: data?.configs?.[activeSeasonId],
+    seasonConfigs: data?.configs,
+    health: data?.health || null,
+    metaData: data?.metaData || null,
     loading: isLoading,
     error,
-    refetch: mutate
+    refetch
   };
 }
 
 /**
  * Hook to fetch global state
  * @param {Object} project - The selected project object
- * @param {Object} options - Optional configuration
- * @returns {Object} - { globalState, loading, error, refetch }
+ * @param {Object} options - Optional configuration (same season options as useProjectConfig)
+ * @returns {Object} - { globalState, seasonGlobalStates, metaData, loading, error, refetch }
  */
 export function useGlobalState(project, options = {}) {
-  const { onRateLimit } = options;
+  const { onRateLimit, onChallenge } = options;
+  const seasonIds = options.seasonIds || [API_CONFIG.defaultSeasonId];
+  const activeSeasonId = options.activeSeasonId ?? seasonIds[0];
   
-  const apiUrl = import.meta.env.VITE_API_URL || '';
   const globalStatePath = project
-    ? `${API_CONFIG.getEndpointPath('projectGlobalState')}?tokenAddress=${project.tokenAddress}&seasonId=${project.seasonId || API_CONFIG.defaultSeasonId}`
+    ? `${API_CONFIG.getEndpointPath('projectGlobalState')}?tokenAddress=${project.tokenAddress}&${seasonQuery(seasonIds)}`
     : null;
   
   const { data, error, isLoading, mutate } = useSWR(
-    project ? ['projectGlobalState', project.tokenAddress, project.seasonId || API_CONFIG.defaultSeasonId] : null,
+    project ? ['projectGlobalState', project.tokenAddress, seasonIds.join(',')] : null,
     async () => {
-      const response = await fetchWithAuth(`${apiUrl}${globalStatePath}`, 'GET', onRateLimit);
+      const response = await fetchWithAuth(globalStatePath, 'GET', onRateLimit, onChallenge);
       
       // Validate response structure
       if (!response?.blockchainData) {
         throw new Error('Invalid global state response: missing blockchainData field');
       }
       
-      // Extract data from v1 structure
-      return response.blockchainData.get_global_state || {};
+      // Extract data from v1 structure (one entry per season)
+      const seasons = response.blockchainData.seasons || {};
+      
+      const states = Object.fromEntries(
+        Object.entries(seasons).map(([seasonId, season]) => [seasonId, season.get_global_state || {}])
+      );
+      return { states, metaData: response.metaData || null };
     },
     {
       dedupingInterval: 2000,
@@ -195,7 +266,9 @@ export function useGlobalState(project, options = {}) {
   );
   
   return {
-    globalState: data,
+    globalState: data?.states?.[activeSeasonId],
+    seasonGlobalStates: data?.states,
+    metaData: data?.metaData || null,
     loading: isLoading,
     error,
     refetch: mutate
@@ -206,15 +279,19 @@ export function useGlobalState(project, options = {}) {
  * Combined hook to fetch both config and global state (backward compatible)
  * @param {Object} project - The selected project object
  * @param {Object} options - Optional configuration
- * @returns {Object} - { config, globalState, loading, error, refetch }
+ * @returns {Object} - { config, globalState, seasonConfigs, seasonGlobalStates, health, metaData, loading, error, refetch }
  */
 export function useBlockchainData(project, options = {}) {
-  const { config, loading: configLoading, error: configError, refetch: refetchConfig } = useProjectConfig(project, options);
-  const { globalState, loading: stateLoading, error: stateError, refetch: refetchState } = useGlobalState(project, options);
+  const { config, seasonConfigs, health, metaData: configMeta, loading: configLoading, error: configError, refetch: refetchConfig } = useProjectConfig(project, options);
+  const { globalState, seasonGlobalStates, metaData: stateMeta, loading: stateLoading, error: stateError, refetch: refetchState } = useGlobalState(project, options);
 
   return {
     config,
     globalState,
+    seasonConfigs,
+    seasonGlobalStates,
+    health,
+    metaData: { config: configMeta, globalState: stateMeta },
     loading: configLoading || stateLoading,
     error: configError || stateError,
     refetch: () => {
@@ -226,82 +303,8 @@ export function useBlockchainData(project, options = {}) {
 
 /**
  * Calculate vesting metrics for a given day
- * Based on BUILDClaim.sol logic
+ * Re-exported from config/shared/vesting.js (BigInt port of BUILDClaim.sol)
  * NOTE: This is kept for currentMetrics calculation in App.jsx
- * Timeline generation is now handled by Web Worker (vesting.worker.js)
+ * Timeline generation is handled by Web Worker (vesting.worker.js) with the same engine
  */
-export function calculateVestingMetrics({
-  maxTokenAmount,
-  baseTokenClaimBps,
-  unlockDurationDays,
-  earlyVestRatioMinBps,
-  earlyVestRatioMaxBps,
-  dayT,
-  totalLoyalty,
-  totalLoyaltyIneligible,
-  tokenAmount,
-}) {
-  const BPS_DENOMINATOR = 10000;
-
-  // Base calculation
-  const base = (maxTokenAmount * baseTokenClaimBps) / BPS_DENOMINATOR;
-  const bonus = maxTokenAmount - base;
-
-  // Check if unlock is complete (matches smart contract isUnlocking logic)
-  const isUnlockComplete = dayT >= unlockDurationDays;
-
-  // Vested calculation at day t - cap at bonus (can't vest more than 100%)
-  const vestedRaw = unlockDurationDays > 0 ? (bonus * dayT) / unlockDurationDays : bonus;
-  const vested = Math.min(vestedRaw, bonus);
-
-  const unlocked = base + vested;
-  const locked = Math.max(0, maxTokenAmount - unlocked); // Can't be negative
-
-  // Loyalty bonus estimate (share of pool if wait till end)
-  // Formula: maxTokenAmount * totalLoyalty / (tokenAmount - totalLoyaltyIneligible)
-  const eligiblePool = tokenAmount - totalLoyaltyIneligible;
-  const loyaltyBonus = eligiblePool > 0 ? (maxTokenAmount * totalLoyalty) / eligiblePool : 0;
-
-  // Early vest only applies during unlock period (matches smart contract)
-  let earlyVestRatio = 0;
-  let earlyVestableBonus = 0;
-  let forfeited = 0;
-
-  if (!isUnlockComplete && locked > 0) {
-    // Early vest ratio at day t (scales linearly from min to max)
-    const earlyVestRatioMin = earlyVestRatioMinBps / BPS_DENOMINATOR;
-    const earlyVestRatioMax = earlyVestRatioMaxBps / BPS_DENOMINATOR;
-    earlyVestRatio = earlyVestRatioMin + ((earlyVestRatioMax - earlyVestRatioMin) * dayT) / unlockDurationDays;
-
-    // Early vestable bonus (what you can claim early from locked portion)
-    earlyVestableBonus = locked * earlyVestRatio;
-
-    // Forfeited to loyalty pool (what you give up if early claim)
-    forfeited = locked - earlyVestableBonus;
-  }
-
-  // Total if early claim (only valid during unlock period)
-  // After unlock complete, early claim = same as waiting (full amount + loyalty)
-  const totalIfEarlyClaim = isUnlockComplete
-    ? maxTokenAmount + loyaltyBonus
-    : unlocked + earlyVestableBonus;
-
-  // Total if wait till end
-  const totalIfWait = maxTokenAmount + loyaltyBonus;
-
-  return {
-    base,
-    bonus,
-    vested,
-    unlocked,
-    locked,
-    earlyVestRatio,
-    earlyVestRatioPercent: earlyVestRatio * 100,
-    earlyVestableBonus,
-    totalIfEarlyClaim,
-    forfeited,
-    loyaltyBonus,
-    totalIfWait,
-    isUnlockComplete,
-  };
-}
+export { calculateVestingMetrics } from "../../../config/shared/vesting.js";
@@ -0,0 +1,93 @@
+import { useState, useCallback } from 'react';
+import { fetchWithAuth } from './useBlockchainData.js';
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+/**
+ * Parse claim params pasted or uploaded by the user
+ * Accepts { proof, maxTokenAmount, salt, isEarlyClaim, seasonId? } - optionally wrapped in
+ * { params: [...] } / an array, in which case the entry for `seasonId` (or the first) is used
+ * @param {string} text - Raw JSON text
+ * @param {number} seasonId - Preferred season
+ * @returns {Object} Claim params
+ * @throws {Error} When the JSON is malformed or fields are missing
+ */
+export function parseClaimParamsText(text, seasonId) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Claim params must be valid JSON');
+  }
+
+  const list = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.params) ? parsed.params : [parsed]);
+  const params = list.find(p => Number(p?.seasonId) === Number(seasonId)) || list[0];
+
+  const missing = ['proof', 'maxTokenAmount', 'salt'].filter(key => params?.[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing field(s): ${missing.join(', ')}`);
+  }
+
+  return {
+    proof: params.proof,
+    maxTokenAmount: String(params.maxTokenAmount),
+    salt: String(params.salt),
+    isEarlyClaim: Boolean(params.isEarlyClaim),
+    seasonId: params.seasonId !== undefined ? Number(params.seasonId) : seasonId,
+  };
+}
+
+/**
+ * Hook to verify Merkle claim params against the season merkleRoot (backend)
+ * @param {Object} options - Optional configuration (onRateLimit, onChallenge)
+ * @returns {Object} - { verify, verifying, result, error, reset }
+ */
+export function useClaimProof(options = {}) {
+  const { onRateLimit, onChallenge } = options;
+  const [verifying, setVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * @param {string} walletAddress - Leaf user address
+   * @param {Object} project - Selected project
+   * @param {Object} params - Output of parseClaimParamsText
+   * @returns {Promise<Object|null>} Verified data or null on failure
+   */
+  const verify = useCallback(async (walletAddress, project, params) => {
+    setVerifying(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const verifyPath = `${API_CONFIG.getEndpointPath('projectVerifyProof')}?tokenAddress=${project.tokenAddress}`;
+
+      const requestBody = {
+        userAddress: walletAddress,
+        ...params,
+      };
+
+      // Signed POST (body is part of the signature), challenge + rate limit handling
+      const response = await fetchWithAuth(verifyPath, 'POST', onRateLimit, onChallenge, { body: requestBody });
+
+      if (!response?.blockchainData?.valid) {
+        throw new Error('Invalid verify response: missing blockchainData field');
+      }
+
+      setResult(response.blockchainData);
+      return response.blockchainData;
+    } catch (err) {
+      console.error('[useClaimProof] Error:', err);
+      setError(err.message);
+      return null;
+    } finally {
+      setVerifying(false);
+    }
+  }, [onRateLimit, onChallenge]);
+
+  const reset = useCallback(() => {
+    setResult(null);
+    setError(null);
+  }, []);
+
+  return { verify, verifying, result, error, reset };
+}
@@ -0,0 +1,61 @@
+import useSWR from 'swr';
+import { fetchWithAuth } from './useBlockchainData.js';
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+// Range → resolution used by the sparklines (~90-170 points each)
+export const HISTORY_RANGES = {
+  '7d': '1h',
+  '30d': '6h',
+  '90d': '1d',
+};
+
+/**
+ * Hook to fetch global state snapshots (totalLoyalty, totalLoyaltyIneligible,
+ * totalClaimed over time) of one project season
+ * @param {Object} project - Selected project
+ * @param {Object} options - Optional configuration
+ * @param {number} options.seasonId - Season to fetch (defaults to project default)
+ * @param {string} options.range - 24h | 7d | 30d | 90d | all
+ * @param {string} options.resolution - raw | 1h | 6h | 1d
+ * @returns {Object} - { snapshots, snapshotter, loading, error, refetch }
+ */
+export function useGlobalStateHistory(project, options = {}) {
+  const { seasonId, range = '30d', resolution = '1h', onRateLimit, onChallenge, enabled = true } = options;
+
+  const { data, error, isLoading, mutate } = useSWR(
+    enabled && project ? ['globalStateHistory', project.tokenAddress, seasonId, range, resolution] : null,
+    async () => {
+      const params = new URLSearchParams({ tokenAddress: project.tokenAddress, range, resolution });
+      if (seasonId !== undefined && seasonId !== null) params.set('seasonIds', seasonId);
+      const historyPath = `${API_CONFIG.getEndpointPath('projectGlobalStateHistory')}?${params}`;
+
+      const response = await fetchWithAuth(historyPath, 'GET', onRateLimit, onChallenge);
+
+      if (!response?.blockchainData?.seasons) {
+        throw new Error('Invalid history response: missing seasons field');
+      }
+      return response.blockchainData;
+    },
+    {
+      dedupingInterval: 2000,
+      refreshInterval: 10 * 60 * 1000, // Snapshotter records every 10 minutes
+      revalidateOnFocus: false, // Don't auto-refetch when tab gains focus
+      onError: (err) => {
+        console.error('[useGlobalStateHistory] Error:', err);
+        if (err.rateLimited) {
+          onRateLimit?.(err.retryAfter);
+        }
+      }
+    }
+  );
+
+  const season = data?.seasonIds?.[0];
+
+  return {
+    snapshots: (season !== undefined && data.seasons[season]) || [],
+    snapshotter: data?.snapshotter || null,
+    loading: isLoading,
+    error: error?.message || null,
+    refetch: mutate
+  };
+}
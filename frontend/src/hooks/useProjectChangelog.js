@@ -0,0 +1,50 @@
+import useSWR from 'swr';
+import { fetchWithAuth } from './useBlockchainData.js';
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+/**
+ * Hook to fetch the project changelog (factory events: config changes, pauses,
+ * refunds, deposits, withdrawals) - newest first
+ * @param {Object} project - Selected project
+ * @param {Object} options - Optional configuration
+ * @returns {Object} - { events, watcher, latestChangeId, loading, error, refetch }
+ */
+export function useProjectChangelog(project, options = {}) {
+  const { onRateLimit, onChallenge, enabled = true } = options;
+
+  const { data, error, isLoading, mutate } = useSWR(
+    enabled && project ? ['projectChangelog', project.tokenAddress] : null,
+    async () => {
+      const changelogPath = `${API_CONFIG.getEndpointPath('projectChangelog')}?tokenAddress=${project.tokenAddress}`;
+
+      const response = await fetchWithAuth(changelogPath, 'GET', onRateLimit, onChallenge);
+
+      if (!Array.isArray(response?.blockchainData?.events)) {
+        throw new Error('Invalid changelog response: missing events field');
+      }
+      return response.blockchainData;
+    },
+    {
+      dedupingInterval: 2000,
+      refreshInterval: 60 * 1000, // Pick up new factory events while the page stays open
+      revalidateOnFocus: false, // Don't auto-refetch when tab gains focus
+      onError: (err) => {
+        console.error('[useProjectChangelog] Error:', err);
+        if (err.rateLimited) {
+          onRateLimit?.(err.retryAfter);
+        }
+      }
+    }
+  );
+
+  const events = data?.events || [];
+
+  return {
+    events,
+    watcher: data?.watcher || null,
+    latestChangeId: events[0]?.id || null,
+    loading: isLoading,
+    error: error?.message || null,
+    refetch: mutate
+  };
+}
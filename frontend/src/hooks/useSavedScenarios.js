@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const STORAGE_KEY = 'chainlink_saved_scenarios';
+const MAX_SAVED_SCENARIOS = 20;
+
+/**
+ * Hook to manage named simulation scenarios in localStorage
+ * - Stores up to 20 scenarios
+ * - Sorts DESC (newest first)
+ * - Saving an existing name overwrites it (moved to top)
+ *
+ * Scenario: { id, name, savedAt, ticker, maxTokenAmount, startDate, config, globalState }
+ *
+ * @returns {Object} { scenarios, saveScenario, removeScenario, clearScenarios }
+ */
+export function useSavedScenarios() {
+  const [scenarios, setScenarios] = useState([]);
+
+  // Load scenarios from localStorage on mount
+  useEffect(() => {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (Array.isArray(parsed)) {
+          setScenarios(parsed.filter(s => s?.id && s?.name && s?.config));
+        }
+      }
+    } catch (error) {
+      console.error('[useSavedScenarios] Failed to load scenarios:', error);
+      setScenarios([]);
+    }
+  }, []);
+
+  // Save scenarios to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (error) {
+      console.error('[useSavedScenarios] Failed to save scenarios:', error);
+    }
+  }, [scenarios]);
+
+  /**
+   * Save the current inputs under a name (or overwrite the scenario with that name)
+   * @returns {string|null} Scenario id
+   */
+  const saveScenario = useCallback((name, inputs) => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || !inputs?.config) {
+      return null;
+    }
+
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    setScenarios((prev) => {
+      const filtered = prev.filter((s) => s.name.toLowerCase() !== trimmed.toLowerCase());
+      const scenario = { ...inputs, id, name: trimmed, savedAt: new Date().toISOString() };
+      return [scenario, ...filtered].slice(0, MAX_SAVED_SCENARIOS);
+    });
+
+    return id;
+  }, []);
+
+  /**
+   * Remove a scenario by id
+   */
+  const removeScenario = useCallback((id) => {
+    setScenarios((prev) => prev.filter((s) => s.id !== id));
+  }, []);
+
+  /**
+   * Clear all scenarios
+   */
+  const clearScenarios = useCallback(() => {
+    setScenarios([]);
+  }, []);
+
+  return {
+    scenarios,
+    saveScenario,
+    removeScenario,
+    clearScenarios,
+  };
+}
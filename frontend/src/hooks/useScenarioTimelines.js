@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState, useMemo } from 'react';
+// Import worker using Vite's explicit syntax
+import VestingWorkerUrl from '../workers/vesting.worker.js?worker&url';
+
+/**
+ * Hook to compute the vesting timeline of several saved scenarios in the Web Worker
+ * (one batch per change, stale batches are dropped by request id)
+ *
+ * @param {Object[]} scenarios - Saved scenarios ({ id, maxTokenAmount, config, globalState, startDate })
+ * @returns {Object} - { timelines: { [id]: rows }, calculating }
+ */
+export function useScenarioTimelines(scenarios) {
+  const [timelines, setTimelines] = useState({});
+  const [calculating, setCalculating] = useState(false);
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // Saved scenarios never change in place → ids are enough to detect a new batch
+  const fingerprint = useMemo(() => scenarios.map(s => s.id).join('_'), [scenarios]);
+
+  // Initialize worker once on mount
+  useEffect(() => {
+    try {
+      workerRef.current = new Worker(VestingWorkerUrl, { type: 'module' });
+    } catch (error) {
+      console.error('Worker creation error:', error);
+      return;
+    }
+
+    workerRef.current.onmessage = (event) => {
+      const { type, payload } = event.data;
+      if (payload?.requestId !== requestIdRef.current) return;
+
+      if (type === 'TIMELINES_RESULT') {
+        setTimelines(Object.fromEntries(payload.timelines.map(({ id, rows }) => [id, rows])));
+        setCalculating(false);
+      } else if (type === 'TIMELINES_ERROR') {
+        console.error('[ScenarioTimelines] Error:', payload.message);
+        setTimelines({});
+        setCalculating(false);
+      }
+    };
+
+    workerRef.current.onerror = (error) => {
+      console.error('[ScenarioTimelines] Worker error:', error);
+      setTimelines({});
+      setCalculating(false);
+    };
+
+    // Cleanup: terminate worker on unmount
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  // Send the batch when the compared scenarios change
+  useEffect(() => {
+    if (scenarios.length === 0) {
+      setTimelines({});
+      return;
+    }
+
+    setCalculating(true);
+    requestIdRef.current += 1;
+
+    workerRef.current?.postMessage({
+      type: 'CALCULATE_TIMELINES',
+      payload: {
+        requestId: requestIdRef.current,
+        scenarios: scenarios.map(({ id, maxTokenAmount, config, globalState, startDate }) => ({
+          id,
+          maxTokenAmount,
+          config,
+          globalState,
+          startDate,
+        })),
+      },
+    });
+  }, [fingerprint]); // Only re-run when the compared set changes
+
+  return { timelines, calculating };
+}
@@ -0,0 +1,47 @@
+import useSWR from 'swr';
+import { fetchWithAuth } from './useBlockchainData.js';
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+/**
+ * Hook to fetch the USD price of the selected project token
+ * (backend price source: CoinGecko / DefiLlama / static)
+ * @param {Object} project - Selected project
+ * @param {Object} options - Optional configuration
+ * @returns {Object} - { price: { usd, source } | null, loading, error, refetch }
+ */
+export function useTokenPrice(project, options = {}) {
+  const { onRateLimit, onChallenge, enabled = true } = options;
+
+  const { data, error, isLoading, mutate } = useSWR(
+    enabled && project ? ['tokenPrice', project.tokenAddress] : null,
+    async () => {
+      const pricePath = `${API_CONFIG.getEndpointPath('projectPrice')}?tokenAddress=${project.tokenAddress}`;
+
+      const response = await fetchWithAuth(pricePath, 'GET', onRateLimit, onChallenge);
+
+      if (typeof response?.blockchainData?.usd !== 'number') {
+        throw new Error('Invalid price response: missing usd field');
+      }
+      return response.blockchainData;
+    },
+    {
+      dedupingInterval: 2000,
+      refreshInterval: 60 * 1000, // Backend caches the price source for 60s
+      revalidateOnFocus: false, // Don't auto-refetch when tab gains focus
+      shouldRetryOnError: false, // No price (unlisted token) is a normal state
+      onError: (err) => {
+        console.error('[useTokenPrice] Error:', err);
+        if (err.rateLimited) {
+          onRateLimit?.(err.retryAfter);
+        }
+      }
+    }
+  );
+
+  return {
+    price: data ? { usd: data.usd, source: data.source } : null,
+    loading: isLoading,
+    error: error?.message || null,
+    refetch: mutate
+  };
+}
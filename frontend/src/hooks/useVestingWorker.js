@@ -22,7 +22,7 @@ export function useVestingWorker({ maxTokenAmount, config, globalState, startDat
   // Only recalculate when these specific values change
   const fingerprint = useMemo(() => {
     if (!config) return '';
-    return `${maxTokenAmount}_${config.baseTokenClaimBps}_${config.unlockDurationDays}_${config.earlyVestRatioMinBps}_${config.earlyVestRatioMaxBps}_${globalState?.totalLoyalty || 0}_${globalState?.totalLoyaltyIneligible || 0}_${startDate}`;
+    return `${maxTokenAmount}_${config.baseTokenClaimBps}_${config.unlockDurationDays}_${config.unlockDuration}_${config.decimals}_${config.tokenAmount}_${config.tokenAmountRaw}_${config.earlyVestRatioMinBps}_${config.earlyVestRatioMaxBps}_${globalState?.totalLoyalty || 0}_${globalState?.totalLoyaltyRaw}_${globalState?.totalLoyaltyIneligible || 0}_${globalState?.totalLoyaltyIneligibleRaw}_${startDate}`;
   }, [maxTokenAmount, config, globalState, startDate]);
   
   // Initialize worker once on mount
@@ -1,6 +1,5 @@
 import useSWR from 'swr';
-import { getApiHeaders } from './useBlockchainData.js';
-import { handleApiResponse } from '../utils/rateLimitHandler.js';
+import { fetchWithAuth } from './useBlockchainData.js';
 import { API_CONFIG } from '../../../config/frontend/api.js';
 
 /**
@@ -8,22 +7,24 @@ import { API_CONFIG } from '../../../config/frontend/api.js';
  * @param {string} walletAddress - User's wallet address (0x...)
  * @param {Object} selectedProject - The selected project object
  * @param {Object} options - Optional configuration
- * @returns {Object} - { claimData, loading, error }
+ * @param {number[]} options.seasonIds - Seasons to fetch (default: API default season)
+ * @param {number} options.activeSeasonId - Season exposed as `claimData` (default: first requested)
+ * @param {Function} options.onChallenge - (challenge) → Promise<token|null> (ChallengeContext)
+ * @returns {Object} - { claimData, seasonClaimData, loading, error }
  */
 export function useWalletClaimData(walletAddress, selectedProject, options = {}) {
-  const { onRateLimit } = options;
+  const { onRateLimit, onChallenge } = options;
+  const seasonIds = options.seasonIds || [API_CONFIG.defaultSeasonId];
+  const activeSeasonId = options.activeSeasonId ?? seasonIds[0];
   
   // Only fetch if wallet is valid Ethereum address
   const isValidAddress = walletAddress && /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
   
   const { data, error, isLoading, mutate } = useSWR(
     isValidAddress && selectedProject 
-      ? ['walletClaim', walletAddress, selectedProject.tokenAddress, selectedProject.seasonId] 
+      ? ['walletClaim', walletAddress, selectedProject.tokenAddress, seasonIds.join(',')] 
       : null,
     async () => {
-      const apiUrl = import.meta.env.VITE_API_URL || '';
-      const seasonId = selectedProject.seasonId || API_CONFIG.defaultSeasonId;
-      
       // Build paths for user claim API (we only need claim data, config/state come from useBlockchainData)
       const userClaimPath = `${API_CONFIG.getEndpointPath('projectUserClaimValues')}?tokenAddress=${selectedProject.tokenAddress}`;
       
@@ -31,21 +32,11 @@ export function useWalletClaimData(walletAddress, selectedProject, options = {})
       const requestBody = {
         userAddress: walletAddress,
         maxTokenAmount: 0, // Will be calculated from on-chain data
-        seasonId: seasonId,
+        seasonIds: seasonIds,
       };
       
-      // Get headers with signature (include body for signature computation)
-      const claimHeaders = await getApiHeaders('POST', userClaimPath, requestBody);
-      
-      // Fetch user claim data
-      const claimRes = await fetch(`${apiUrl}${userClaimPath}`, {
-        method: 'POST',
-        headers: claimHeaders,
-        body: JSON.stringify(requestBody),
-      });
-
-      // Handle response with rate limit support
-      const claimResponse = await handleApiResponse(claimRes, onRateLimit);
+      // Signed POST (body is part of the signature), challenge + rate limit handling
+      const claimResponse = await fetchWithAuth(userClaimPath, 'POST', onRateLimit, onChallenge, { body: requestBody });
       
       // Validate claim response structure
       if (!claimResponse?.blockchainData) {
@@ -56,11 +47,18 @@ export function useWalletClaimData(walletAddress, selectedProject, options = {})
         throw new Error('Invalid user claim response: missing get_current_claim_values field');
       }
       
-      // Extract data from v1 structure - merge claim values and user state
-      return {
-        ...claimResponse.blockchainData.get_current_claim_values,
-        hasEarlyClaimed: claimResponse.blockchainData.get_user_state?.hasEarlyClaimed || false
-      };
+      // Extract data from v1 structure - merge claim values and user state per season
+      const seasons = claimResponse.blockchainData.seasons || {};
+      
+      return Object.fromEntries(
+        Object.entries(seasons).map(([seasonId, season]) => [
+          seasonId,
+          {
+            ...season.get_current_claim_values,
+            hasEarlyClaimed: season.get_user_state?.hasEarlyClaimed || false
+          }
+        ])
+      );
     },
     {
       dedupingInterval: 2000,
@@ -75,7 +73,8 @@ export function useWalletClaimData(walletAddress, selectedProject, options = {})
   );
   
   return {
-    claimData: data,
+    claimData: data?.[activeSeasonId],
+    seasonClaimData: data,
     loading: isLoading,
     error: error?.message || null,
     refetch: mutate
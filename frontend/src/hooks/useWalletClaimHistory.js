@@ -0,0 +1,75 @@
+import useSWR from 'swr';
+import { fetchWithAuth } from './useBlockchainData.js';
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+/**
+ * Signed GET against an indexer endpoint
+ * @param {string} path - Endpoint path with query string
+ * @param {Function} onRateLimit - Rate limit callback
+ * @param {Function} onChallenge - Challenge callback (ChallengeContext)
+ * @returns {Promise<Object>} blockchainData
+ */
+async function fetchIndexed(path, onRateLimit, onChallenge) {
+  const response = await fetchWithAuth(path, 'GET', onRateLimit, onChallenge);
+
+  if (!response?.blockchainData) {
+    throw new Error('Invalid indexer response: missing blockchainData field');
+  }
+  return response.blockchainData;
+}
+
+/**
+ * Hook to fetch indexed claim history (Claimed events) for one wallet + project,
+ * plus the project's claim stats (early-claim rate per season)
+ * @param {string} walletAddress - User's wallet address (0x...)
+ * @param {Object} project - Selected project
+ * @param {Object} options - Optional configuration
+ * @returns {Object} - { events, stats, indexer, loading, error, refetch }
+ */
+export function useWalletClaimHistory(walletAddress, project, options = {}) {
+  const { onRateLimit, onChallenge, enabled = true } = options;
+
+  // Only fetch if wallet is valid Ethereum address
+  const isValidAddress = walletAddress && /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
+
+  const { data, error, isLoading, mutate } = useSWR(
+    enabled && isValidAddress && project
+      ? ['walletClaimHistory', walletAddress, project.tokenAddress]
+      : null,
+    async () => {
+      const walletPath = `${API_CONFIG.getEndpointPath('walletClaims')}?userAddress=${walletAddress}&tokenAddress=${project.tokenAddress}`;
+      // limit=1 → only stats + indexer status are needed from the project endpoint
+      const projectPath = `${API_CONFIG.getEndpointPath('projectClaims')}?tokenAddress=${project.tokenAddress}&limit=1`;
+
+      const [wallet, projectClaims] = await Promise.all([
+        fetchIndexed(walletPath, onRateLimit, onChallenge),
+        fetchIndexed(projectPath, onRateLimit, onChallenge),
+      ]);
+
+      return {
+        events: wallet.events || [],
+        stats: projectClaims.stats || {},
+        indexer: projectClaims.indexer || null,
+      };
+    },
+    {
+      dedupingInterval: 2000,
+      revalidateOnFocus: false, // Don't auto-refetch when tab gains focus
+      onError: (err) => {
+        console.error('[useWalletClaimHistory] Error:', err);
+        if (err.rateLimited) {
+          onRateLimit?.(err.retryAfter);
+        }
+      }
+    }
+  );
+
+  return {
+    events: data?.events || [],
+    stats: data?.stats || {},
+    indexer: data?.indexer || null,
+    loading: isLoading,
+    error: error?.message || null,
+    refetch: mutate
+  };
+}
@@ -0,0 +1,76 @@
+import useSWR from 'swr';
+import { fetchWithAuth } from './useBlockchainData.js';
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+/**
+ * Hook to fetch one wallet's claim data across many projects (portfolio mode)
+ * Uses the batch endpoint → one signed request for every project
+ * @param {string} walletAddress - User's wallet address (0x...)
+ * @param {Object[]} projects - Projects to include (e.g. BUILD_PROJECTS)
+ * @param {Object} options - Optional configuration
+ * @returns {Object} - { portfolio, loading, error, refetch }
+ */
+export function useWalletPortfolio(walletAddress, projects, options = {}) {
+  const { onRateLimit, onChallenge, enabled = true } = options;
+
+  // Only fetch if wallet is valid Ethereum address
+  const isValidAddress = walletAddress && /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
+
+  const { data, error, isLoading, mutate } = useSWR(
+    enabled && isValidAddress && projects?.length
+      ? ['walletPortfolio', walletAddress, projects.map(p => p.tokenAddress).join(',')]
+      : null,
+    async () => {
+      const batchPath = API_CONFIG.getEndpointPath('projectUserClaimBatch');
+
+      // Each project uses its default season (seasonIds omitted)
+      const requestBody = {
+        userAddresses: [walletAddress],
+        tokenAddresses: projects.map(p => p.tokenAddress),
+        maxTokenAmount: 0,
+      };
+
+      // Signed POST (body is part of the signature), challenge + rate limit handling
+      const response = await fetchWithAuth(batchPath, 'POST', onRateLimit, onChallenge, { body: requestBody });
+
+      if (!Array.isArray(response?.blockchainData?.results)) {
+        throw new Error('Invalid batch response: missing results field');
+      }
+
+      // Map results back onto projects (index = position in `projects`)
+      const resultsByToken = new Map(
+        response.blockchainData.results.map(r => [r.tokenAddress.toLowerCase(), r])
+      );
+
+      return projects.map((project, index) => {
+        const result = resultsByToken.get(project.tokenAddress.toLowerCase());
+        if (!result || result.error) {
+          return { project, index, error: result?.error || 'No data returned' };
+        }
+        return {
+          project,
+          index,
+          ...result.data.get_current_claim_values,
+          hasEarlyClaimed: result.data.get_user_state?.hasEarlyClaimed || false,
+        };
+      });
+    },
+    {
+      dedupingInterval: 2000,
+      revalidateOnFocus: false, // Don't auto-refetch when tab gains focus
+      onError: (err) => {
+        console.error('[useWalletPortfolio] Error:', err);
+        if (err.rateLimited) {
+          onRateLimit?.(err.retryAfter);
+        }
+      }
+    }
+  );
+
+  return {
+    portfolio: data,
+    loading: isLoading,
+    error: error?.message || null,
+    refetch: mutate
+  };
+}
@@ -3,6 +3,11 @@ import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
 import { SWRProvider } from './contexts/SWRProvider.jsx';
 import { RateLimitProvider } from './contexts/RateLimitContext.jsx';
+import { ChallengeProvider } from './contexts/ChallengeContext.jsx';
+import { AdminPage } from './components/AdminPage.jsx';
+
+// Operator page (served by the SPA fallback, talks to /api/admin only)
+const ADMIN_PAGE_PATH = '/admin';
 
 // Environment-aware console management
 if (typeof window !== 'undefined') {
@@ -62,14 +67,20 @@ if (typeof window !== 'undefined') {
   };
 }
 
+const isAdminPage = window.location.pathname.replace(/\/+$/, '') === ADMIN_PAGE_PATH;
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <SWRProvider>
-    <RateLimitProvider>
-      <App />
-    </RateLimitProvider>
-    </SWRProvider>
+    {isAdminPage ? (
+      <AdminPage />
+    ) : (
+      <SWRProvider>
+      <RateLimitProvider>
+      <ChallengeProvider>
+        <App />
+      </ChallengeProvider>
+      </RateLimitProvider>
+      </SWRProvider>
+    )}
   </StrictMode>
 );
-
-
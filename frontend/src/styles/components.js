@@ -125,6 +125,12 @@ export const selectContainerStyle = {
   maxWidth: 420,
 };
 
+export const seasonSelectContainerStyle = {
+  ...selectContainerStyle,
+  flex: "0 0 auto",
+  minWidth: 180,
+};
+
 export const selectStyle = {
   width: "100%",
   padding: "14px 48px 14px 16px",
@@ -205,6 +211,119 @@ export const inlineErrorStyle = {
   background: "#fef2f2",
 };
 
+// View Mode Toggle (Calculator / Portfolio)
+export const viewModeToggleStyle = {
+  display: "inline-flex",
+  gap: 4,
+  padding: 4,
+  marginBottom: 24,
+  borderRadius: 6,
+  background: theme.bgSecondary,
+  border: `1px solid ${theme.borderSubtle}`,
+};
+
+export const viewModeButtonStyle = {
+  padding: "8px 18px",
+  borderRadius: 4,
+  border: "none",
+  background: "transparent",
+  color: theme.textSecondary,
+  fontSize: 13,
+  fontWeight: 600,
+  cursor: "pointer",
+  transition: "all 0.2s ease",
+};
+
+export const viewModeButtonActiveStyle = {
+  ...viewModeButtonStyle,
+  background: `linear-gradient(135deg, ${theme.accentBlue} 0%, #3366ff 100%)`,
+  color: "#ffffff",
+  boxShadow: "0 2px 8px rgba(8, 71, 247, 0.3)",
+};
+
+// Portfolio table deep link ("Open in calculator")
+export const portfolioLinkStyle = {
+  color: theme.accentBlue,
+  fontWeight: 600,
+  fontSize: 13,
+  textDecoration: "none",
+  cursor: "pointer",
+};
+
+// Changelog timeline (factory events above ConfigInfo)
+export const changelogListStyle = {
+  listStyle: "none",
+  margin: "16px 0 0",
+  padding: "0 0 0 20px",
+  borderLeft: `2px solid ${theme.borderSubtle}`,
+  maxHeight: 360,
+  overflowY: "auto",
+};
+
+export const changelogItemStyle = {
+  position: "relative",
+  padding: "0 0 16px 8px",
+};
+
+export const changelogMarkerStyle = {
+  position: "absolute",
+  left: -27,
+  top: 4,
+  width: 12,
+  height: 12,
+  borderRadius: "50%",
+  border: "2px solid white",
+};
+
+export const changelogDateStyle = {
+  fontSize: 12,
+  color: theme.textMuted,
+  marginBottom: 2,
+};
+
+export const changelogTitleStyle = {
+  fontSize: 15,
+  fontWeight: 600,
+  color: theme.textPrimary,
+};
+
+export const changelogDetailStyle = {
+  fontSize: 13,
+  color: theme.textSecondary,
+  fontFamily: "'SF Mono', 'Fira Code', monospace",
+  wordBreak: "break-all",
+};
+
+// Project Health Banners (paused / refunding claim contract)
+export const healthBannerStyle = {
+  marginBottom: 24,
+  padding: "16px 20px",
+  borderRadius: 8,
+  background: "linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%)",
+  borderLeft: `4px solid ${theme.accentRed}`,
+  boxShadow: "0 4px 12px rgba(239, 68, 68, 0.12)",
+};
+
+export const healthBannerWarningStyle = {
+  ...healthBannerStyle,
+  background: "linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%)",
+  borderLeft: `4px solid ${theme.accentOrange}`,
+  boxShadow: "0 4px 12px rgba(245, 158, 11, 0.1)",
+};
+
+export const healthBannerTitleStyle = {
+  fontSize: 16,
+  fontWeight: 700,
+  color: theme.textPrimary,
+  marginBottom: 6,
+};
+
+export const healthBannerTextStyle = {
+  fontSize: 14,
+  color: theme.textSecondary,
+  lineHeight: 1.6,
+};
+
 // Disclaimer Banner Styles
 export const disclaimerBannerStyle = {
   marginBottom: 24,
@@ -643,6 +762,110 @@ export const comparisonRowTotalStyle = {
   color: theme.textPrimary,
 };
 
+export const strategyRankStyle = {
+  display: "inline-block",
+  minWidth: 28,
+  fontWeight: 700,
+  color: theme.accentBlue,
+};
+
+export const strategyIntervalSelectStyle = {
+  padding: "4px 8px",
+  borderRadius: 4,
+  border: `1px solid ${theme.borderSubtle}`,
+  background: theme.bgPrimary,
+  color: theme.textPrimary,
+  fontSize: 13,
+  cursor: "pointer",
+};
+
+export const forecastControlsStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  alignItems: "center",
+  gap: 12,
+  marginTop: 20,
+};
+
+export const forecastControlLabelStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  fontSize: 13,
+  color: theme.textSecondary,
+};
+
+export const forecastPercentInputStyle = {
+  ...strategyIntervalSelectStyle,
+  width: 64,
+  cursor: "text",
+};
+
+export const forecastRangeStyle = {
+  fontSize: 13,
+  color: theme.textSecondary,
+};
+
+// Saved Scenarios
+export const simulationParamGridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+  gap: 12,
+};
+
+export const scenarioSaveRowStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  alignItems: "center",
+  gap: 12,
+  marginBottom: 16,
+};
+
+export const scenarioListStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  marginBottom: 20,
+};
+
+export const scenarioItemStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: 12,
+  padding: "8px 12px",
+  borderRadius: 4,
+  border: `1px solid ${theme.borderSubtle}`,
+  background: theme.bgPrimary,
+  fontSize: 14,
+  color: theme.textPrimary,
+};
+
+export const scenarioSwatchStyle = {
+  width: 12,
+  height: 12,
+  borderRadius: 2,
+  flexShrink: 0,
+};
+
+export const scenarioActionButtonStyle = {
+  ...strategyIntervalSelectStyle,
+  fontWeight: 500,
+};
+
+// Timeline Export
+export const exportButtonGroupStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  marginLeft: "auto",
+};
+
+export const exportButtonStyle = {
+  ...strategyIntervalSelectStyle,
+  fontWeight: 600,
+  color: theme.accentBlue,
+};
+
 // Summary Box
 export const summaryBoxStyle = {
   flex: "1 1 160px",
@@ -909,6 +1132,21 @@ export const globalStateValueStyle = {
   color: theme.textPrimary,
 };
 
+export const globalStateTrendStyle = {
+  fontSize: 12,
+  color: theme.textMuted,
+};
+
+export const globalStateHistoryHeaderStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  marginLeft: "auto",
+  fontSize: 12,
+  fontWeight: 400,
+  color: theme.textMuted,
+};
+
 // Formula Notes - Full width, no card boxing
 export const formulaNotesStyle = {
   marginBottom: 32,
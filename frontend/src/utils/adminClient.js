@@ -0,0 +1,71 @@
+/**
+ * Admin API Client (/admin page)
+ *
+ * Requests go to API_CONFIG.adminPath with the operator's admin JWT
+ * (pnpm run admin:token <name>). The token is kept in sessionStorage,
+ * so it is dropped when the tab is closed.
+ */
+
+import { API_CONFIG } from '../../../config/frontend/api.js';
+
+const TOKEN_STORAGE_KEY = 'admin_token';
+
+/**
+ * Stored admin token
+ * @returns {string}
+ */
+export function getAdminToken() {
+  try {
+    return sessionStorage.getItem(TOKEN_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Store (or clear, with an empty value) the admin token
+ * @param {string} token
+ */
+export function setAdminToken(token) {
+  try {
+    if (token) {
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  } catch {
+    // sessionStorage unavailable (private mode) - token lives in component state only
+  }
+}
+
+/**
+ * Call the admin API
+ * @param {string} path - Path relative to adminPath (e.g. '/devices?search=abc')
+ * @param {Object} options
+ * @param {string} options.token - Admin JWT
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.body - JSON body
+ * @returns {Promise<Object>} Response JSON
+ * @throws {Error} With `status` (401/403 = bad or expired token)
+ */
+export async function adminRequest(path, { token, method = 'GET', body = null } = {}) {
+  const apiUrl = import.meta.env.VITE_API_URL || '';
+
+  const res = await fetch(`${apiUrl}${API_CONFIG.adminPath}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const data = await res.json().catch(() => ({}));
+
+  if (!res.ok) {
+    const error = new Error(data.message || data.error || `Request failed with status ${res.status}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return data;
+}
@@ -0,0 +1,182 @@
+/**
+ * Unlock Milestone Calendar (ICS)
+ *
+ * Milestones come from the same timeline rows as the table, so dates match
+ * what the calculator shows:
+ *   - unlock start (day 0)
+ *   - first day the early-vest ratio reaches each user-chosen threshold
+ *   - unlock completion (last day - full bonus + loyalty, no forfeit)
+ *
+ * Events are all-day (the contract unlocks per second, the calculator per day).
+ * Each event can carry a reminder (VALARM) at 09:00 local time, N days before.
+ */
+
+import { downloadFile } from './download.js';
+
+const REMINDER_HOUR = 9;
+const ICS_PRODUCT_ID = '-//reward-preview//BUILD Vesting Calculator//EN';
+
+export const MILESTONE_TYPES = {
+  START: 'start',
+  THRESHOLD: 'threshold',
+  COMPLETE: 'complete',
+};
+
+/**
+ * Milestones of one unlock timeline
+ * @param {Object[]} rows - Timeline rows (index = day, with `date`)
+ * @param {number[]} thresholdsPercent - Early-vest ratio thresholds (%)
+ * @returns {Array<{id: string, type: string, day: number, date: string, row: Object, thresholdPercent?: number}>}
+ */
+export function buildUnlockMilestones(rows, thresholdsPercent = []) {
+  if (!rows || rows.length === 0 || !rows[0].date) return [];
+
+  const lastRow = rows[rows.length - 1];
+  const milestones = [
+    { id: MILESTONE_TYPES.START, type: MILESTONE_TYPES.START, day: 0, date: rows[0].date, row: rows[0] },
+  ];
+
+  const thresholds = [...new Set(thresholdsPercent)].filter(Number.isFinite).sort((a, b) => a - b);
+  for (const thresholdPercent of thresholds) {
+    // The ratio drops to 0 once the unlock completes → only look before that
+    const row = rows.find(r => !r.isUnlockComplete && r.earlyVestRatioPercent >= thresholdPercent);
+    if (!row || row.t === 0) continue;
+    milestones.push({
+      id: `${MILESTONE_TYPES.THRESHOLD}-${thresholdPercent}`,
+      type: MILESTONE_TYPES.THRESHOLD,
+      day: row.t,
+      date: row.date,
+      row,
+      thresholdPercent,
+    });
+  }
+
+  milestones.push({
+    id: MILESTONE_TYPES.COMPLETE,
+    type: MILESTONE_TYPES.COMPLETE,
+    day: lastRow.t,
+    date: lastRow.date,
+    row: lastRow,
+  });
+
+  return milestones.sort((a, b) => a.day - b.day);
+}
+
+// =============================================================================
+// ICS Helpers (RFC 5545)
+// =============================================================================
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const decoder = new TextDecoder();
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (parts.length === 0 ? 75 : 74), bytes.length);
+    // Never split a UTF-8 sequence (continuation bytes are 10xxxxxx)
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(decoder.decode(bytes.slice(start, end)));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+function formatDateValue(date) {
+  return date.replace(/-/g, '');
+}
+
+function nextDate(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Alarm offset from the (midnight) start of an all-day event: 09:00, N days before
+ * @param {number} daysBefore
+ * @returns {string} e.g. "PT9H", "-PT15H", "-P2DT15H"
+ */
+function reminderTrigger(daysBefore) {
+  const hours = REMINDER_HOUR - daysBefore * 24;
+  const abs = Math.abs(hours);
+  const days = Math.floor(abs / 24);
+  const rest = abs % 24;
+  return `${hours < 0 ? '-' : ''}P${days ? `${days}D` : ''}${rest ? `T${rest}H` : ''}`;
+}
+
+/**
+ * Build an ICS calendar for the milestones
+ * @param {Object} params
+ * @param {Object[]} params.milestones - buildUnlockMilestones result
+ * @param {Object} params.project - Entry from BUILD_PROJECTS
+ * @param {number} params.seasonId - Active season
+ * @param {string} [params.wallet] - Wallet address (added to titles/UIDs)
+ * @param {number|null} [params.reminderDaysBefore] - null = no reminder
+ * @param {Function} params.describe - (milestone) → { summary, description }
+ * @returns {string}
+ */
+export function buildIcsCalendar({ milestones, project, seasonId, wallet, reminderDaysBefore = null, describe }) {
+  const stamp = formatTimestamp(new Date());
+  const owner = wallet ? wallet.toLowerCase() : 'anonymous';
+
+  const events = milestones.flatMap(milestone => {
+    const { summary, description } = describe(milestone);
+    const lines = [
+      'BEGIN:VEVENT',
+      // Stable UID → re-importing updates the same events instead of duplicating them
+      `UID:${project.ticker.toLowerCase()}-s${seasonId}-${milestone.id}-${owner}@reward-preview`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDateValue(milestone.date)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(nextDate(milestone.date))}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      'TRANSP:TRANSPARENT',
+    ];
+    if (reminderDaysBefore !== null && reminderDaysBefore !== undefined) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${reminderTrigger(reminderDaysBefore)}`,
+        `DESCRIPTION:${escapeText(summary)}`,
+        'END:VALARM',
+      );
+    }
+    lines.push('END:VEVENT');
+    return lines;
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${project.ticker} S${seasonId} unlock`)}`,
+    ...events,
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download an ICS file in the browser
+ * @param {string} ics - buildIcsCalendar result
+ * @param {string} filename
+ */
+export function downloadIcs(ics, filename) {
+  downloadFile(ics, 'text/calendar;charset=utf-8', filename);
+}
@@ -0,0 +1,72 @@
+/**
+ * Challenge Client
+ *
+ * Flow:
+ * 1. A protected request is answered with 403 + `challenge` (behaviorCheck.js)
+ * 2. ChallengeModal shows the challenge, the answer is verified server-side
+ *    (POST /api/challenge/verify)
+ * 3. A passed challenge returns a short-lived token, sent as x-challenge-token
+ *    on every API request until it expires (getApiHeaders)
+ * 4. The original request is retried once
+ */
+
+import { API_CONFIG } from '../../../config/frontend/api.js';
+import { getDeviceFingerprintHash } from './signature.js';
+
+// Current challenge token (memory only - a reload means a new challenge)
+let challengeToken = null;
+let challengeTokenExpiresAt = 0;
+
+/**
+ * Challenge token to send with API requests
+ * @returns {string|null} Token or null if none / expired
+ */
+export function getChallengeToken() {
+  if (challengeToken && Date.now() < challengeTokenExpiresAt) {
+    return challengeToken;
+  }
+  challengeToken = null;
+  return null;
+}
+
+/**
+ * Verify a challenge response with the server
+ * A passed challenge stores the returned token for the next requests
+ * @param {string} challengeId - Challenge ID (from the 403 response)
+ * @param {string} response - User's answer ('' for time / interactive challenges)
+ * @returns {Promise<{valid: boolean, token?: string, reason?: string, attemptsRemaining?: number}>}
+ */
+export async function verifyChallenge(challengeId, response = '') {
+  const apiUrl = import.meta.env.VITE_API_URL || '';
+
+  try {
+    // Challenges are bound to the device they were issued for
+    const fingerprintHash = await getDeviceFingerprintHash();
+    const res = await fetch(`${apiUrl}${API_CONFIG.challengePath}/verify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(fingerprintHash && { 'x-fingerprint': fingerprintHash }),
+      },
+      body: JSON.stringify({ challengeId, response }),
+    });
+    const result = await res.json().catch(() => ({}));
+
+    if (!res.ok || !result.valid) {
+      return {
+        valid: false,
+        reason: result.reason || result.message || `Request failed with status ${res.status}`,
+        attemptsRemaining: result.attemptsRemaining ?? 0,
+      };
+    }
+
+    challengeToken = result.token;
+    challengeTokenExpiresAt = Date.now() + result.expiresIn * 1000;
+    console.log('[Challenge] ✅ Challenge passed, token valid for', result.expiresIn, 'seconds');
+
+    return { valid: true, token: result.token };
+  } catch (error) {
+    console.error('[Challenge] ❌ Verification request failed', { error: error.message });
+    return { valid: false, reason: error.message, attemptsRemaining: 0 };
+  }
+}
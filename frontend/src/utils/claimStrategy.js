@@ -0,0 +1,137 @@
+/**
+ * Claim Strategy Advisor
+ *
+ * Runs claim scenarios over the whole unlock window (timeline rows from
+ * vesting.worker.js) and ranks them by final token count.
+ *
+ * Contract rules that drive the results (BUILDClaim.sol):
+ *   - Regular claim pays `base + vested - claimed` → it only moves tokens
+ *     earlier, the final total is unchanged
+ *   - Early claim pays `claimable + earlyVestableBonus` once and forfeits the
+ *     rest of the bonus + any loyalty share
+ *   - Never early-claiming ends with `maxTokenAmount + loyaltyBonus`
+ *
+ * Ties on the final total are broken by how early the tokens arrive
+ * (lower average receive day = more liquid).
+ */
+
+export const STRATEGY_IDS = {
+  EARLY_DAY_0: 'early-day-0',
+  PERIODIC_THEN_EARLY: 'periodic-then-early',
+  NEVER_EARLY: 'never-early',
+};
+
+export const CLAIM_INTERVAL_OPTIONS = [7, 14, 30];
+
+// Totals closer than this are treated as equal (float display values)
+const EPSILON = 1e-9;
+
+/**
+ * Regular claims every `intervalDays` from day 0 up to (not including) `untilDay`
+ * @param {Object[]} rows - Timeline rows
+ * @param {number} intervalDays - Days between claims
+ * @param {number} untilDay - First day not covered by the schedule
+ * @returns {{claims: Array<{day: number, amount: number, type: string}>, claimed: number}}
+ */
+function periodicClaims(rows, intervalDays, untilDay) {
+  const claims = [];
+  let claimed = 0;
+
+  for (let day = 0; day < untilDay; day += intervalDays) {
+    const amount = rows[day].unlocked - claimed;
+    if (amount > EPSILON) {
+      claims.push({ day, amount, type: 'regular' });
+      claimed += amount;
+    }
+  }
+
+  return { claims, claimed };
+}
+
+function summarize(id, claims) {
+  const total = claims.reduce((sum, claim) => sum + claim.amount, 0);
+  const avgReceiveDay = total > 0
+    ? claims.reduce((sum, claim) => sum + claim.day * claim.amount, 0) / total
+    : 0;
+
+  return {
+    id,
+    claims,
+    total,
+    claimCount: claims.length,
+    firstClaimDay: claims[0]?.day ?? null,
+    avgReceiveDay,
+  };
+}
+
+/**
+ * Early claim on day X: everything unlocked so far + early vest bonus, in one claim
+ */
+function earlyClaimStrategy(id, rows, earlyDay, intervalDays = null) {
+  const row = rows[earlyDay];
+  const { claims, claimed } = intervalDays
+    ? periodicClaims(rows, intervalDays, earlyDay)
+    : { claims: [], claimed: 0 };
+
+  return summarize(id, [
+    ...claims,
+    { day: earlyDay, amount: row.totalIfEarlyClaim - claimed, type: 'early' },
+  ]);
+}
+
+/**
+ * Never early-claim: regular claims every interval, the rest (+ loyalty) at unlock end
+ */
+function neverEarlyStrategy(rows, intervalDays) {
+  const lastDay = rows.length - 1;
+  const { claims, claimed } = periodicClaims(rows, intervalDays, lastDay);
+
+  return summarize(STRATEGY_IDS.NEVER_EARLY, [
+    ...claims,
+    { day: lastDay, amount: rows[lastDay].totalIfWait - claimed, type: 'final' },
+  ]);
+}
+
+/**
+ * First day on which an early claim gets at least as much as waiting till the end
+ * (always defined: at unlock end both totals are equal)
+ * @param {Object[]} rows - Timeline rows
+ * @returns {number|null}
+ */
+export function findBreakEvenDay(rows) {
+  const day = rows.findIndex(row => row.totalIfEarlyClaim >= row.totalIfWait - EPSILON);
+  return day >= 0 ? day : null;
+}
+
+/**
+ * Rank claim strategies by final token count
+ * @param {Object[]} rows - Timeline rows (index = day)
+ * @param {Object} options
+ * @param {number} options.earlyClaimDay - Day X of the "periodic then early-claim" scenario
+ * @param {number} [options.intervalDays=7] - Days between regular claims
+ * @returns {{strategies: Object[], best: Object, breakEvenDay: number|null}|null}
+ */
+export function rankClaimStrategies(rows, { earlyClaimDay, intervalDays = 7 }) {
+  if (!rows || rows.length === 0) return null;
+
+  const lastDay = rows.length - 1;
+  const earlyDay = Math.min(Math.max(0, earlyClaimDay || 0), lastDay);
+
+  const strategies = [
+    earlyClaimStrategy(STRATEGY_IDS.EARLY_DAY_0, rows, 0),
+    { ...earlyClaimStrategy(STRATEGY_IDS.PERIODIC_THEN_EARLY, rows, earlyDay, intervalDays), earlyDay },
+    neverEarlyStrategy(rows, intervalDays),
+  ].sort((a, b) => (Math.abs(b.total - a.total) > EPSILON ? b.total - a.total : a.avgReceiveDay - b.avgReceiveDay));
+
+  const best = strategies[0];
+  strategies.forEach((strategy, index) => {
+    strategy.rank = index + 1;
+    strategy.diffFromBest = strategy.total - best.total;
+  });
+
+  return {
+    strategies,
+    best,
+    breakEvenDay: findBreakEvenDay(rows),
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Deep link helpers - `?project=<TICKER>&wallet=<0x...>&day=...`
+ * Lets portfolio rows (and shared URLs) open the calculator on a given project/wallet,
+ * and encodes the whole calculator scenario so a link reopens the same simulation
+ */
+
+import { DEFAULTS } from "../../../config/frontend/defaults.js";
+import { ALL_SEASONS } from "./seasonUtils.js";
+import { FORECAST_MODES, FORECAST_CURVES } from "./loyaltyForecast.js";
+
+const WALLET_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BPS = 10000;
+const MAX_DURATION_DAYS = 3650;
+
+// Scenario field → query parameter
+export const SCENARIO_PARAMS = {
+  project: 'project',
+  season: 'season',
+  wallet: 'wallet',
+  viewMode: 'view',
+  maxTokenAmount: 'amount',
+  currentDay: 'day',
+  durationDays: 'duration',
+  startDate: 'start',
+  baseClaimBps: 'base',
+  earlyVestMinBps: 'minVest',
+  earlyVestMaxBps: 'maxVest',
+  loyaltyPool: 'pool',
+  forecastMode: 'forecast',
+  forecastEarlyClaimPercent: 'earlyClaim',
+  forecastCurve: 'curve',
+  displayUnit: 'unit',
+  discountRatePercent: 'rate',
+  historyRange: 'range',
+};
+
+// =============================================================================
+// Parsing helpers (invalid → null, the caller keeps its default)
+// =============================================================================
+
+function parseInteger(value, min, max) {
+  if (value === null || !/^\d+$/.test(value)) return null;
+  const num = Number(value);
+  return num >= min && num <= max ? num : null;
+}
+
+function parseNumber(value, min, max) {
+  if (value === null || value.trim() === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= min && num <= max ? num : null;
+}
+
+function parseDate(value) {
+  if (!value || !DATE_PATTERN.test(value)) return null;
+  // Reject dates that roll over (e.g. 2025-02-31)
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value ? value : null;
+}
+
+function parseEnum(value, allowed) {
+  return value !== null && allowed.includes(value) ? value : null;
+}
+
+/**
+ * Read the calculator scenario from a query string
+ * Every field is validated against BUILD_PROJECTS / DEFAULTS; missing or stale values are null.
+ * @param {Object[]} projects - BUILD_PROJECTS
+ * @param {Object} [options]
+ * @param {string} [options.search] - Query string (defaults to window.location.search)
+ * @param {string[]} [options.viewModes] - Allowed view modes
+ * @param {string[]} [options.displayUnits] - Allowed display units
+ * @param {string[]} [options.historyRanges] - Allowed sparkline ranges
+ * @returns {Object} Scenario ({ projectIndex, season, wallet, ..., forecast })
+ */
+export function readScenarioLink(projects, {
+  search = typeof window === 'undefined' ? '' : window.location.search,
+  viewModes = [],
+  displayUnits = [],
+  historyRanges = [],
+} = {}) {
+  const params = new URLSearchParams(search);
+  const get = (field) => params.get(SCENARIO_PARAMS[field]);
+
+  const ticker = get('project')?.toUpperCase();
+  const index = ticker ? projects.findIndex(p => p.ticker.toUpperCase() === ticker) : -1;
+  const project = index >= 0 ? projects[index] : null;
+
+  // Season must belong to the linked project (a stale season falls back to the default)
+  const seasonParam = get('season');
+  let season = null;
+  if (project && seasonParam === ALL_SEASONS && project.seasonIds?.length > 1) {
+    season = ALL_SEASONS;
+  } else if (project && project.seasonIds?.includes(parseInteger(seasonParam, 0, Number.MAX_SAFE_INTEGER))) {
+    season = Number(seasonParam);
+  }
+
+  const wallet = get('wallet');
+  const durationDays = parseInteger(get('durationDays'), 1, MAX_DURATION_DAYS);
+
+  // Min/max early vest ratio only make sense as a pair with min <= max
+  let earlyVestMinBps = parseInteger(get('earlyVestMinBps'), 0, MAX_BPS);
+  let earlyVestMaxBps = parseInteger(get('earlyVestMaxBps'), 0, MAX_BPS);
+  const minBps = earlyVestMinBps ?? DEFAULTS.earlyVestRatioMinBps;
+  const maxBps = earlyVestMaxBps ?? DEFAULTS.earlyVestRatioMaxBps;
+  if (minBps > maxBps) {
+    earlyVestMinBps = null;
+    earlyVestMaxBps = null;
+  }
+
+  return {
+    projectIndex: project ? index : null,
+    season,
+    wallet: wallet && WALLET_PATTERN.test(wallet) ? wallet : null,
+    viewMode: parseEnum(get('viewMode'), viewModes),
+    maxTokenAmount: parseInteger(get('maxTokenAmount'), 0, Number.MAX_SAFE_INTEGER),
+    // Past a linked duration → invalid; past the chain duration → clamped on config sync
+    currentDay: parseInteger(get('currentDay'), 0, durationDays ?? MAX_DURATION_DAYS),
+    durationDays,
+    startDate: parseDate(get('startDate')),
+    baseClaimBps: parseInteger(get('baseClaimBps'), 0, MAX_BPS),
+    earlyVestMinBps,
+    earlyVestMaxBps,
+    loyaltyPool: parseNumber(get('loyaltyPool'), 0, Number.MAX_SAFE_INTEGER),
+    forecast: {
+      mode: parseEnum(get('forecastMode'), Object.values(FORECAST_MODES)),
+      earlyClaimPercent: parseNumber(get('forecastEarlyClaimPercent'), 0, 100),
+      curve: parseEnum(get('forecastCurve'), Object.values(FORECAST_CURVES)),
+    },
+    displayUnit: parseEnum(get('displayUnit'), displayUnits),
+    discountRatePercent: parseNumber(get('discountRatePercent'), 0, 1000),
+    historyRange: parseEnum(get('historyRange'), historyRanges),
+  };
+}
+
+/**
+ * Build a scenario link (relative URL)
+ * Fields that are null/undefined or equal to their default are left out to keep links short.
+ * @param {Object} scenario - Same fields as SCENARIO_PARAMS (project = entry from BUILD_PROJECTS)
+ * @param {Object} [defaults] - Field → default value to omit
+ * @returns {string}
+ */
+export function buildScenarioLink(scenario, defaults = {}) {
+  const params = new URLSearchParams();
+
+  for (const [field, param] of Object.entries(SCENARIO_PARAMS)) {
+    const value = field === 'project' ? scenario.project?.ticker : scenario[field];
+    if (value === null || value === undefined || value === '') continue;
+    if (Object.hasOwn(defaults, field) && String(defaults[field]) === String(value)) continue;
+    params.set(param, value);
+  }
+
+  return `?${params.toString()}`;
+}
+
+/**
+ * Build a deep link (relative URL) for a project and optional wallet
+ * @param {Object} project - Entry from BUILD_PROJECTS
+ * @param {string} [wallet] - Wallet address
+ * @returns {string}
+ */
+export function buildProjectDeepLink(project, wallet) {
+  return buildScenarioLink({ project, wallet });
+}
@@ -326,7 +326,9 @@ export async function generateDeviceFingerprint() {
     };
     
     // Generate hash from fingerprint components
-    const fingerprintString = JSON.stringify(fingerprint);
+    // (timestamp excluded - the hash identifies the device across regenerations)
+    const { timestamp, ...components } = fingerprint;
+    const fingerprintString = JSON.stringify(components);
     const fingerprintHash = await sha256Hash(fingerprintString);
     
     console.log('[Fingerprint] Generated successfully:', {
@@ -0,0 +1,18 @@
+/**
+ * Save generated content as a file (browser only)
+ * @param {string|Uint8Array} content - File content
+ * @param {string} mimeType - e.g. 'text/csv;charset=utf-8'
+ * @param {string} filename - Suggested file name
+ */
+export function downloadFile(content, mimeType, filename) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
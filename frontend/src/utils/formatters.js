@@ -47,3 +47,18 @@ export function formatPercentDecimal(num, decimals = 2) {
   return num.toFixed(decimals) + "%";
 }
 
+
+/**
+ * Format USD value (e.g., 1234.5 -> $1.234,50)
+ */
+export function formatUsd(num) {
+  if (num === null || num === undefined || isNaN(num)) return "$0";
+  return "$" + num.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a token amount in tokens, or in USD when a price is given (USD toggle)
+ */
+export function formatAmount(num, usdPrice = null) {
+  return usdPrice ? formatUsd(num * usdPrice) : formatNumber(num);
+}
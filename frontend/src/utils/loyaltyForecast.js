@@ -0,0 +1,187 @@
+/**
+ * Loyalty Pool Forecast
+ *
+ * The loyalty bonus in the timeline rows uses the current global state
+ * snapshot. The pool keeps growing until unlock end: every early claim on
+ * day t moves the claimer's forfeited bonus into `totalLoyalty` and their
+ * whole allocation into `totalLoyaltyIneligible` (BUILDClaim.sol):
+ *
+ *   loyaltyBonus = maxTokenAmount × totalLoyalty / (tokenAmount − totalLoyaltyIneligible)
+ *
+ * This module projects both values day by day from "today" to unlock end
+ * for an early-claim rate (user-chosen curve or the historical rate from
+ * global-state snapshots) and returns a pessimistic / expected / optimistic
+ * range for "total if wait".
+ */
+
+export const FORECAST_MODES = {
+  SCENARIO: 'scenario',
+  HISTORICAL: 'historical',
+};
+
+export const FORECAST_CURVES = {
+  EVEN: 'even',
+  FRONT_LOADED: 'front-loaded',
+  BACK_LOADED: 'back-loaded',
+};
+
+// Early-claim volume multiplier per scenario (fewer early claims = smaller pool)
+export const FORECAST_SCENARIOS = {
+  pessimistic: 0.5,
+  expected: 1,
+  optimistic: 1.5,
+};
+
+/**
+ * Share of an early claimer's allocation forfeited to the pool on each day
+ * Rows scale linearly with maxTokenAmount, so the user's own row gives the ratio.
+ * @param {Object[]} rows - Timeline rows
+ * @returns {number[]}
+ */
+function forfeitShareByDay(rows) {
+  return rows.map(row => {
+    const allocation = row.base + row.bonus;
+    return allocation > 0 ? row.forfeited / allocation : 0;
+  });
+}
+
+/**
+ * Relative weight of each forecast day for a rate curve
+ * @param {string} curve - FORECAST_CURVES value
+ * @param {number} days - Number of forecast days
+ * @returns {number[]} Weights summing to 1
+ */
+function curveWeights(curve, days) {
+  const weights = Array.from({ length: days }, (_, i) => {
+    if (curve === FORECAST_CURVES.FRONT_LOADED) return days - i;
+    if (curve === FORECAST_CURVES.BACK_LOADED) return i + 1;
+    return 1;
+  });
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  return weights.map(w => (sum > 0 ? w / sum : 0));
+}
+
+/**
+ * Historical early-claim rate: least-squares slope of totalLoyaltyIneligible over time
+ * @param {Array<{day: number, totalLoyaltyIneligible: number}>} snapshots - Unlock day + value
+ * @returns {number|null} Tokens per day becoming ineligible (null if < 2 distinct days)
+ */
+export function historicalIneligibleRate(snapshots) {
+  const points = (snapshots || [])
+    .filter(s => Number.isFinite(s.day) && Number.isFinite(Number(s.totalLoyaltyIneligible)))
+    .map(s => ({ x: s.day, y: Number(s.totalLoyaltyIneligible) }));
+
+  if (new Set(points.map(p => p.x)).size < 2) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((acc, p) => acc + p.x, 0) / n;
+  const meanY = points.reduce((acc, p) => acc + p.y, 0) / n;
+  const covariance = points.reduce((acc, p) => acc + (p.x - meanX) * (p.y - meanY), 0);
+  const variance = points.reduce((acc, p) => acc + (p.x - meanX) ** 2, 0);
+
+  return Math.max(0, covariance / variance);
+}
+
+/**
+ * Project the pool from `fromDay` to unlock end for a list of daily early-claim volumes
+ * @param {Object[]} rows - Timeline rows (index = day)
+ * @param {Object} params
+ * @param {number} params.tokenAmount - Season token amount
+ * @param {number} params.totalLoyalty - Current pool
+ * @param {number} params.totalLoyaltyIneligible - Current ineligible allocations
+ * @param {number} params.fromDay - Day of the current snapshot
+ * @param {number[]} params.dailyVolumes - Allocation early-claiming on fromDay, fromDay+1, ...
+ * @returns {Array<{day: number, totalLoyalty: number, totalLoyaltyIneligible: number, loyaltyBonus: number, totalIfWait: number}>}
+ */
+export function projectLoyaltyPool(rows, { tokenAmount, totalLoyalty, totalLoyaltyIneligible, fromDay, dailyVolumes }) {
+  const forfeitShare = forfeitShareByDay(rows);
+  const maxTokenAmount = rows[0].base + rows[0].bonus;
+
+  let pool = Number(totalLoyalty) || 0;
+  let ineligible = Number(totalLoyaltyIneligible) || 0;
+  const series = [];
+
+  for (let day = fromDay; day < rows.length; day++) {
+    // Nobody can claim more than the remaining eligible allocation
+    const volume = Math.min(dailyVolumes[day - fromDay] || 0, Math.max(0, tokenAmount - ineligible));
+    pool += volume * forfeitShare[day];
+    ineligible += volume;
+
+    const eligible = tokenAmount - ineligible;
+    const loyaltyBonus = eligible > 0 ? (maxTokenAmount * pool) / eligible : 0;
+    series.push({
+      day,
+      totalLoyalty: pool,
+      totalLoyaltyIneligible: ineligible,
+      loyaltyBonus,
+      totalIfWait: maxTokenAmount + loyaltyBonus,
+    });
+  }
+
+  return series;
+}
+
+/**
+ * Pessimistic / expected / optimistic "total if wait" forecast
+ * @param {Object[]} rows - Timeline rows (index = day)
+ * @param {Object} params
+ * @param {Object} params.config - Season config ({ tokenAmount })
+ * @param {Object} params.globalState - Current snapshot ({ totalLoyalty, totalLoyaltyIneligible })
+ * @param {number} params.fromDay - Unlock day of the snapshot (today)
+ * @param {string} [params.mode='scenario'] - FORECAST_MODES value
+ * @param {number} [params.earlyClaimPercent=10] - Scenario: % of eligible allocation early-claiming by unlock end
+ * @param {string} [params.curve='even'] - Scenario: FORECAST_CURVES value
+ * @param {Array<{day: number, totalLoyaltyIneligible: number}>} [params.snapshots] - Historical: global-state snapshots
+ * @returns {{mode: string, fromDay: number, dailyVolume: number, scenarios: Object}|null}
+ */
+export function forecastLoyaltyPool(rows, {
+  config,
+  globalState,
+  fromDay,
+  mode = FORECAST_MODES.SCENARIO,
+  earlyClaimPercent = 10,
+  curve = FORECAST_CURVES.EVEN,
+  snapshots = [],
+}) {
+  if (!rows || rows.length === 0) return null;
+
+  const tokenAmount = Number(config?.tokenAmount) || 0;
+  const totalLoyalty = Number(globalState?.totalLoyalty) || 0;
+  const totalLoyaltyIneligible = Number(globalState?.totalLoyaltyIneligible) || 0;
+  const eligible = tokenAmount - totalLoyaltyIneligible;
+  if (eligible <= 0) return null;
+
+  // Early claims on the last day are impossible (unlock complete) → forecast days fromDay..end-1
+  const start = Math.min(Math.max(0, fromDay || 0), rows.length - 1);
+  const days = rows.length - 1 - start;
+
+  let baseVolumes;
+  if (mode === FORECAST_MODES.HISTORICAL) {
+    const rate = historicalIneligibleRate(snapshots);
+    if (rate === null) return null;
+    baseVolumes = Array(days).fill(rate);
+  } else {
+    const total = eligible * Math.min(Math.max(Number(earlyClaimPercent) || 0, 0), 100) / 100;
+    baseVolumes = curveWeights(curve, days).map(w => total * w);
+  }
+
+  const scenarios = Object.fromEntries(
+    Object.entries(FORECAST_SCENARIOS).map(([name, multiplier]) => {
+      const series = projectLoyaltyPool(rows, {
+        tokenAmount,
+        totalLoyalty,
+        totalLoyaltyIneligible,
+        fromDay: start,
+        dailyVolumes: baseVolumes.map(v => v * multiplier),
+      });
+      return [name, { series, final: series[series.length - 1] }];
+    })
+  );
+
+  return {
+    mode,
+    fromDay: start,
+    dailyVolume: days > 0 ? baseVolumes.reduce((acc, v) => acc + v, 0) / days : 0,
+    scenarios,
+  };
+}
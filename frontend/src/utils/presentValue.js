@@ -0,0 +1,36 @@
+/**
+ * Present Value Helpers
+ *
+ * "Early claim and sell now" vs "wait N days" only compares fairly once the
+ * later amount is discounted by an opportunity rate (what the tokens / cash
+ * could earn elsewhere meanwhile). Annual rate, compounded daily-exact:
+ *
+ *   PV = amount / (1 + rate)^(days / 365)
+ */
+
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Discount an amount received `days` from now
+ * @param {number} amount - Amount received later
+ * @param {number} annualRatePercent - Opportunity rate per year (e.g. 20 = 20%)
+ * @param {number} days - Days until the amount is received
+ * @returns {number}
+ */
+export function presentValue(amount, annualRatePercent, days) {
+  if (!days || days <= 0 || !annualRatePercent) return amount;
+  return amount / Math.pow(1 + annualRatePercent / 100, days / DAYS_PER_YEAR);
+}
+
+/**
+ * Annual rate at which waiting is worth exactly the early claim today
+ * (above it early claim wins, below it waiting wins)
+ * @param {number} earlyAmount - Received now
+ * @param {number} waitAmount - Received in `days`
+ * @param {number} days - Days until unlock end
+ * @returns {number|null} Percent per year (null when nothing is left to wait for)
+ */
+export function breakEvenRate(earlyAmount, waitAmount, days) {
+  if (!days || days <= 0 || !(earlyAmount > 0)) return null;
+  return (Math.pow(waitAmount / earlyAmount, DAYS_PER_YEAR / days) - 1) * 100;
+}
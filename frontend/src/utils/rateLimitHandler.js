@@ -4,6 +4,7 @@
  * @param {Function} onRateLimit - Callback when rate limit is hit (receives retryAfter seconds)
  * @returns {Promise<Object>} - Parsed JSON data
  * @throws {Error} - Throws error if response is not ok
+ *   (`error.challenge` is set when the server requires a challenge, see challengeClient.js)
  */
 export async function handleApiResponse(response, onRateLimit = null) {
   if (!response.ok) {
@@ -21,6 +22,13 @@ export async function handleApiResponse(response, onRateLimit = null) {
       throw new Error(`Rate limit exceeded. Please wait ${retryAfter} seconds.`);
     }
     
+    // Challenge required (403 + challenge) - the caller opens ChallengeModal and retries
+    if (response.status === 403 && errorData.challenge?.id) {
+      const error = new Error(errorData.message || 'Verification challenge required');
+      error.challenge = errorData.challenge;
+      throw error;
+    }
+    
     throw new Error(errorData.message || `Request failed with status ${response.status}`);
   }
   
@@ -0,0 +1,26 @@
+import { getDefaultSeasonId } from "../../../config/shared/contracts.js";
+
+// Sentinel value for "compare every season of the project"
+export const ALL_SEASONS = 'all';
+
+/**
+ * Resolve which seasons to fetch and which one drives the calculator
+ * @param {Object} project - Entry from BUILD_PROJECTS
+ * @param {number|string|null} selectedSeason - Season ID, ALL_SEASONS, or null for default
+ * @returns {{ seasonIds: number[], activeSeasonId: number }}
+ */
+export function resolveSeasonSelection(project, selectedSeason) {
+  const defaultSeasonId = getDefaultSeasonId(project);
+  const projectSeasonIds = project?.seasonIds?.length ? project.seasonIds : [defaultSeasonId];
+
+  if (selectedSeason === ALL_SEASONS) {
+    return { seasonIds: projectSeasonIds, activeSeasonId: defaultSeasonId };
+  }
+
+  const seasonId = Number(selectedSeason);
+  if (projectSeasonIds.includes(seasonId)) {
+    return { seasonIds: [seasonId], activeSeasonId: seasonId };
+  }
+
+  return { seasonIds: [defaultSeasonId], activeSeasonId: defaultSeasonId };
+}
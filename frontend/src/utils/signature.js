@@ -26,6 +26,7 @@ import { generateDeviceFingerprint, calculateTrustScore } from './deviceFingerpr
 import { checkBrowserIntegrity, quickIntegrityCheck } from './integrityChecker.js';
 import { behaviorTracker } from './behaviorTracker.js';
 import { fetchFreshNonce } from './nonceExtractor.js';
+import { securityConfig } from '../config/securityConfig.js';
 
 /**
  * Generate a cryptographically secure nonce (UUID v4)
@@ -65,6 +66,68 @@ async function getDeviceFingerprint() {
   return fingerprint;
 }
 
+/**
+ * Device fingerprint hash (x-fingerprint) for requests outside the signed API
+ * (challenge verification - challenges are bound to the device)
+ * @returns {Promise<string|null>} Hash or null if fingerprinting failed
+ */
+export async function getDeviceFingerprintHash() {
+  try {
+    return (await getDeviceFingerprint())?.hash || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cache for browser integrity result (same TTL as the fingerprint)
+ */
+let cachedIntegrity = null;
+let integrityCheckedAt = null;
+
+/**
+ * Get cached browser integrity result or run the check
+ * @returns {Promise<Object>} Integrity report
+ */
+async function getBrowserIntegrity() {
+  const now = Date.now();
+  
+  if (cachedIntegrity && integrityCheckedAt && now - integrityCheckedAt < FINGERPRINT_CACHE_TTL) {
+    return cachedIntegrity;
+  }
+  
+  cachedIntegrity = await checkBrowserIntegrity();
+  integrityCheckedAt = now;
+  
+  return cachedIntegrity;
+}
+
+/**
+ * Device / integrity / behavior headers for the server security pipeline
+ * (backend/src/middleware/securityPipeline.js). Not part of the signed payload.
+ * Components that are unavailable or disabled are left out.
+ * @returns {Promise<Object>} Headers object
+ */
+async function generateSecurityHeaders() {
+  const [fingerprintResult, integrityResult] = await Promise.allSettled([
+    getDeviceFingerprint(),
+    getBrowserIntegrity(),
+  ]);
+  
+  const fingerprintHash = fingerprintResult.status === 'fulfilled' ? fingerprintResult.value?.hash : null;
+  const integrity = integrityResult.status === 'fulfilled' ? integrityResult.value : null;
+  const behaviorScore = securityConfig.enableBehaviorTracking ? behaviorTracker.getBehaviorData().score : null;
+  
+  return {
+    ...(fingerprintHash && { 'x-fingerprint': fingerprintHash }),
+    ...(integrity?.integrityHash && {
+      'x-integrity': integrity.integrityHash,
+      'x-integrity-score': integrity.score.toString(),
+    }),
+    ...(Number.isFinite(behaviorScore) && { 'x-behavior-score': behaviorScore.toString() }),
+  };
+}
+
 /**
  * DEPRECATED: Enhanced signature not currently used
  * 
@@ -321,6 +384,7 @@ export async function generateEnhancedAuthHeaders(method, path, options = {}) {
  * @param {string} path - Request path (e.g., /api/project/link/config)
  * @param {Object|null} body - Request body (for POST/PUT/PATCH requests)
  * @returns {Promise<Object>} Headers object with x-timestamp, x-nonce, x-signature
+ *   (+ x-fingerprint, x-integrity, x-integrity-score, x-behavior-score when available)
  */
 export async function generateAuthHeaders(method, path, body = null) {
   const startTime = performance.now();
@@ -340,12 +404,16 @@ export async function generateAuthHeaders(method, path, body = null) {
       nonce = generateNonce();
     }
     
-    const signature = await computeSignature(method, path, nonce, timestamp, body);
+    const [signature, securityHeaders] = await Promise.all([
+      computeSignature(method, path, nonce, timestamp, body),
+      generateSecurityHeaders(),
+    ]);
     
     const headers = {
       'x-timestamp': timestamp,
       'x-nonce': nonce,
-      'x-signature': signature
+      'x-signature': signature,
+      ...securityHeaders
     };
     
     const endTime = performance.now();
@@ -383,5 +451,7 @@ export function isSignatureEnabled() {
 export function clearSecurityCaches() {
   cachedDeviceFingerprint = null;
   fingerprintGeneratedAt = null;
+  cachedIntegrity = null;
+  integrityCheckedAt = null;
   console.log('[Signature] Security caches cleared');
 }
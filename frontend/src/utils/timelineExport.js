@@ -0,0 +1,145 @@
+/**
+ * Vesting Timeline Export (CSV / JSON / XLSX)
+ *
+ * Every export carries the audit trail next to the rows:
+ *   - scenario inputs (allocation, day, effective config + global state)
+ *   - data source flags (chain vs simulation, per field)
+ *   - block / cache metadata of the API reads (config + global state)
+ *   - every metric column produced by generateVestingTimeline
+ *     (nested `raw` wei strings become `raw.<field>` columns in CSV / XLSX)
+ *
+ * CSV puts the audit trail in `# key = value` comment lines before the header
+ * (pandas: read_csv(path, comment='#')).
+ */
+
+import { buildXlsx, XLSX_MIME_TYPE } from './xlsx.js';
+import { downloadFile } from './download.js';
+
+export const EXPORT_FORMATS = {
+  csv: 'csv',
+  json: 'json',
+  xlsx: 'xlsx',
+};
+
+/**
+ * Collect everything an export needs
+ * @param {Object} params
+ * @param {Object[]} params.rows - Timeline rows (vesting.worker.js)
+ * @param {Object} params.project - Entry from BUILD_PROJECTS
+ * @param {number} params.seasonId - Active season
+ * @param {Object} params.inputs - Scenario inputs
+ * @param {Object} params.dataSource - chain / simulation flags (App.jsx dataSource)
+ * @param {Object} params.metaData - { config, globalState } API metaData
+ * @returns {Object}
+ */
+export function buildTimelineExport({ rows, project, seasonId, inputs, dataSource, metaData }) {
+  return {
+    exportedAt: new Date().toISOString(),
+    project: {
+      ticker: project.ticker,
+      tokenAddress: project.tokenAddress,
+      seasonId,
+    },
+    inputs,
+    dataSource,
+    metaData: {
+      config: metaData?.config || null,
+      globalState: metaData?.globalState || null,
+    },
+    rows,
+  };
+}
+
+/**
+ * Flatten nested objects into [dotted.key, value] pairs
+ * @param {Object} obj
+ * @param {string} [prefix]
+ * @returns {Array<[string, *]>}
+ */
+function flattenEntries(obj, prefix = '') {
+  return Object.entries(obj || {}).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? flattenEntries(value, path)
+      : [[path, value]];
+  });
+}
+
+// Audit trail (everything except the rows) as key/value pairs
+function auditEntries(data) {
+  const { rows, ...audit } = data;
+  return flattenEntries(audit);
+}
+
+// Rows as flat records + their column order
+function flatTable(rows) {
+  const records = rows.map(row => Object.fromEntries(flattenEntries(row)));
+  return { columns: records.length > 0 ? Object.keys(records[0]) : [], records };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object} data - buildTimelineExport result
+ * @returns {string}
+ */
+export function timelineToCsv(data) {
+  const audit = auditEntries(data).map(([key, value]) => `# ${key} = ${value ?? ''}`);
+  const { columns, records } = flatTable(data.rows);
+  const header = columns.map(csvValue).join(',');
+  const body = records.map(record => columns.map(column => csvValue(record[column])).join(','));
+  return [...audit, header, ...body].join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {Object} data - buildTimelineExport result
+ * @returns {string}
+ */
+export function timelineToJson(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Two sheets: Timeline (one row per day) + Scenario (audit trail)
+ * @param {Object} data - buildTimelineExport result
+ * @returns {Uint8Array}
+ */
+export function timelineToXlsx(data) {
+  const { columns, records } = flatTable(data.rows);
+  return buildXlsx([
+    {
+      name: 'Timeline',
+      rows: [columns, ...records.map(record => columns.map(column => record[column]))],
+    },
+    {
+      name: 'Scenario',
+      rows: [['Key', 'Value'], ...auditEntries(data)],
+    },
+  ]);
+}
+
+const EXPORTERS = {
+  [EXPORT_FORMATS.csv]: { serialize: timelineToCsv, mime: 'text/csv;charset=utf-8' },
+  [EXPORT_FORMATS.json]: { serialize: timelineToJson, mime: 'application/json' },
+  [EXPORT_FORMATS.xlsx]: { serialize: timelineToXlsx, mime: XLSX_MIME_TYPE },
+};
+
+/**
+ * Serialize and download an export in the browser
+ * @param {Object} data - buildTimelineExport result
+ * @param {string} format - EXPORT_FORMATS value
+ */
+export function downloadTimelineExport(data, format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+
+  downloadFile(
+    exporter.serialize(data),
+    exporter.mime,
+    `${data.project.ticker}-season${data.project.seasonId}-vesting-${data.exportedAt.slice(0, 10)}.${format}`
+  );
+}
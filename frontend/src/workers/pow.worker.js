@@ -0,0 +1,46 @@
+// Web Worker for proof-of-work challenges
+// Hashing scheme lives in config/shared/proofOfWork.js (shared with backend verification)
+
+import { POW_ALGORITHM, powInput, countLeadingZeroBits } from '../../../config/shared/proofOfWork.js';
+
+// Progress message every N hashes
+const PROGRESS_INTERVAL = 20000;
+
+const encoder = new TextEncoder();
+
+// Listen for solve requests from main thread
+self.addEventListener('message', async (event) => {
+  const { type, payload } = event.data;
+
+  if (type === 'SOLVE_POW') {
+    const { challengeId, salt, difficulty } = payload;
+    const startTime = performance.now();
+
+    try {
+      for (let nonce = 0; ; nonce++) {
+        const digest = await crypto.subtle.digest(POW_ALGORITHM, encoder.encode(powInput(challengeId, salt, nonce)));
+
+        if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+          self.postMessage({
+            type: 'POW_RESULT',
+            payload: {
+              nonce: nonce.toString(),
+              hashes: nonce + 1,
+              durationMs: Math.round(performance.now() - startTime),
+            }
+          });
+          return;
+        }
+
+        if (nonce > 0 && nonce % PROGRESS_INTERVAL === 0) {
+          self.postMessage({ type: 'POW_PROGRESS', payload: { hashes: nonce } });
+        }
+      }
+    } catch (error) {
+      self.postMessage({
+        type: 'POW_ERROR',
+        payload: { message: error.message }
+      });
+    }
+  }
+});
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Admin Token Generator
+ *
+ * Issues a JWT with the admin role for the /admin page and /api/admin routes.
+ * Signed with JWT_SECRET from .env (the server must use the same secret).
+ *
+ * Usage: node scripts/generate-admin-token.js <name> [expiresIn]
+ *   name      - Operator name (token subject, shown in the [Admin] audit log)
+ *   expiresIn - e.g. 1h, 8h, 7d (default: SECURITY_CONFIG.admin.tokenExpiresIn)
+ */
+
+import '../backend/src/env.js';
+import { generateToken } from '../backend/src/middleware/auth.js';
+import { SECURITY_CONFIG } from '../config/backend/security.js';
+
+const [name, expiresIn = SECURITY_CONFIG.admin.tokenExpiresIn] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: node scripts/generate-admin-token.js <name> [expiresIn]');
+  process.exit(1);
+}
+
+try {
+  const token = generateToken({ sub: name, role: SECURITY_CONFIG.admin.role }, expiresIn);
+  console.log(`✅ Admin token for "${name}" (expires in ${expiresIn}):\n`);
+  console.log(token);
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Vesting Golden Vector Recorder
+ *
+ * Records BUILDClaim.getCurrentClaimValues at a pinned mainnet block into
+ * test/fixtures/vesting-mainnet.json, together with every contract input the
+ * port needs (season config, global state, user state, block timestamp), so
+ * test/vesting.test.js can check config/shared/vesting.js against the chain.
+ *
+ * One vector per project: the latest real claim at or before the block gives the
+ * user, and its claim() calldata gives that user's maxTokenAmount for the season.
+ * Needs an archive RPC (RPC_URLS / INFURA_API_KEYS in .env) for older blocks.
+ *
+ * Usage: node scripts/record-vesting-vectors.js <blockNumber> [ticker ...]
+ *   blockNumber - Block every value is read at
+ *   ticker      - Projects to record (default: SXT, 18 decimals, and FOLKS, 6 decimals)
+ */
+
+import '../backend/src/env.js';
+import { writeFile, mkdir } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ethers } from 'ethers';
+import { executeWithFailover, getProvider } from '../backend/src/services/rpcPool.js';
+import {
+  BUILD_FACTORY_ADDRESS,
+  BUILD_FACTORY_ABI,
+  BUILD_CLAIM_ABI,
+  BUILD_CLAIM_EVENTS_ABI,
+  BUILD_PROJECTS,
+} from '../config/shared/contracts.js';
+
+const FIXTURE_PATH = join(dirname(fileURLToPath(import.meta.url)), '../test/fixtures/vesting-mainnet.json');
+const DEFAULT_TICKERS = ['SXT', 'FOLKS'];
+
+// Claimed log search, walking back from the pinned block
+const LOG_CHUNK = 10_000;
+const MAX_LOOKBACK = 2_000_000;
+
+// claim() is not in BUILD_CLAIM_ABI (the app never sends it) - only needed to decode calldata
+const CLAIM_IFACE = new ethers.Interface([
+  'function claim(address user, tuple(uint32 seasonId, bool isEarlyClaim, bytes32[] proof, uint256 maxTokenAmount, uint256 salt)[] params)',
+]);
+
+const [blockArg, ...tickerArgs] = process.argv.slice(2);
+const blockNumber = Number(blockArg);
+
+if (!Number.isInteger(blockNumber) || blockNumber <= 0) {
+  console.error('Usage: node scripts/record-vesting-vectors.js <blockNumber> [ticker ...]');
+  process.exit(1);
+}
+
+const rpc = (fn) => executeWithFailover(url => fn(getProvider(url)));
+
+/**
+ * Latest claim() of a season at or before the pinned block, decoded from calldata
+ * Claims sent through another contract (calldata is not claim()) are skipped
+ * @returns {Promise<{user: string, maxTokenAmount: bigint, txHash: string, claimBlock: number}>}
+ */
+async function findClaim(project, seasonId) {
+  const claimEvents = new ethers.Interface(BUILD_CLAIM_EVENTS_ABI);
+  const topic = claimEvents.getEvent('Claimed').topicHash;
+
+  for (let to = blockNumber; to > blockNumber - MAX_LOOKBACK && to > 0; to -= LOG_CHUNK) {
+    const from = Math.max(0, to - LOG_CHUNK + 1);
+    const logs = await rpc(provider => provider.getLogs({ address: project.claimAddress, topics: [topic], fromBlock: from, toBlock: to }));
+
+    for (const log of logs.reverse()) {
+      const event = claimEvents.parseLog(log);
+      if (Number(event.args.seasonId) !== seasonId) continue;
+
+      const tx = await rpc(provider => provider.getTransaction(log.transactionHash));
+      let call;
+      try {
+        call = CLAIM_IFACE.parseTransaction({ data: tx.data });
+      } catch {
+        continue;
+      }
+      const param = call?.args.params.find(p => Number(p.seasonId) === seasonId);
+      if (!param || call.args.user.toLowerCase() !== event.args.user.toLowerCase()) continue;
+
+      return {
+        user: ethers.getAddress(event.args.user),
+        maxTokenAmount: param.maxTokenAmount,
+        txHash: log.transactionHash,
+        claimBlock: log.blockNumber,
+      };
+    }
+  }
+
+  throw new Error(`No decodable claim() for ${project.ticker} season ${seasonId} in the last ${MAX_LOOKBACK} blocks`);
+}
+
+/**
+ * Record one vector: contract inputs + getCurrentClaimValues, all at the pinned block
+ */
+async function recordVector(project, block) {
+  const seasonId = project.seasonIds[0];
+  const claim = await findClaim(project, seasonId);
+  const at = { blockTag: block.number };
+
+  const [[seasonConfig, seasonUnlockStartTime], [globalState], [userState], [claimValues]] = await rpc(provider => {
+    const factory = new ethers.Contract(BUILD_FACTORY_ADDRESS, BUILD_FACTORY_ABI, provider);
+    const claimContract = new ethers.Contract(project.claimAddress, BUILD_CLAIM_ABI, provider);
+    return Promise.all([
+      factory.getProjectSeasonConfig(project.tokenAddress, seasonId, at),
+      claimContract.getGlobalState([seasonId], at),
+      claimContract.getUserState([[claim.user, seasonId]], at),
+      claimContract.getCurrentClaimValues(claim.user, [[seasonId, claim.maxTokenAmount]], at),
+    ]);
+  });
+
+  console.log(`✅ ${project.ticker}: ${claim.user} (claim tx ${claim.txHash})`);
+
+  return {
+    name: `${project.ticker} season ${seasonId} (${project.decimals} decimals)`,
+    block: block.number,
+    blockHash: block.hash,
+    timestamp: String(block.timestamp),
+    tokenAddress: project.tokenAddress,
+    claimAddress: project.claimAddress,
+    decimals: project.decimals,
+    seasonId,
+    user: claim.user,
+    claimTx: claim.txHash,
+    maxTokenAmount: claim.maxTokenAmount.toString(),
+    config: {
+      tokenAmount: seasonConfig.tokenAmount.toString(),
+      baseTokenClaimBps: seasonConfig.baseTokenClaimBps.toString(),
+      unlockDelay: seasonConfig.unlockDelay.toString(),
+      unlockDuration: seasonConfig.unlockDuration.toString(),
+      earlyVestRatioMinBps: seasonConfig.earlyVestRatioMinBps.toString(),
+      earlyVestRatioMaxBps: seasonConfig.earlyVestRatioMaxBps.toString(),
+      isRefunding: seasonConfig.isRefunding,
+      seasonUnlockStartTime: seasonUnlockStartTime.toString(),
+    },
+    globalState: {
+      totalLoyalty: globalState.totalLoyalty.toString(),
+      totalLoyaltyIneligible: globalState.totalLoyaltyIneligible.toString(),
+    },
+    userState: {
+      claimed: userState.claimed.toString(),
+      hasEarlyClaimed: userState.hasEarlyClaimed,
+    },
+    onChain: {
+      base: claimValues.base.toString(),
+      bonus: claimValues.bonus.toString(),
+      vested: claimValues.vested.toString(),
+      claimable: claimValues.claimable.toString(),
+      earlyVestableBonus: claimValues.earlyVestableBonus.toString(),
+      loyaltyBonus: claimValues.loyaltyBonus.toString(),
+      claimed: claimValues.claimed.toString(),
+    },
+  };
+}
+
+try {
+  const tickers = tickerArgs.length > 0 ? tickerArgs : DEFAULT_TICKERS;
+  const projects = tickers.map(ticker => {
+    const project = BUILD_PROJECTS.find(p => p.ticker.toLowerCase() === ticker.toLowerCase());
+    if (!project) throw new Error(`Unknown ticker ${ticker}`);
+    return project;
+  });
+
+  const block = await rpc(provider => provider.getBlock(blockNumber));
+  if (!block) throw new Error(`Block ${blockNumber} not found`);
+
+  const vectors = [];
+  for (const project of projects) {
+    vectors.push(await recordVector(project, block));
+  }
+
+  await mkdir(dirname(FIXTURE_PATH), { recursive: true });
+  await writeFile(FIXTURE_PATH, `${JSON.stringify({ recordedAt: new Date().toISOString(), vectors }, null, 2)}\n`);
+  console.log(`\n✅ ${vectors.length} vectors at block ${blockNumber} → ${FIXTURE_PATH}`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
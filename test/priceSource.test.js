@@ -0,0 +1,128 @@
+/**
+ * Price Source - parsing + stale fallback against a local HTTP stub
+ *
+ * PRICE_SOURCE_URL points every source at the stub below; the cache runs in
+ * memory (no ENABLE_REDIS), so a primary entry past its TTL is served STALE.
+ *
+ * Run: pnpm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { BUILD_PROJECTS } from '../config/shared/contracts.js';
+import { PRICE_CONFIG } from '../config/backend/price.js';
+import { fetchTokenPrice } from '../backend/src/services/priceSource.js';
+
+// Stub state: price per token address (null = answer 503), requests seen
+const prices = new Map();
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+  const send = (status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  // CoinGecko: /simple/token_price/ethereum?contract_addresses=<token>&vs_currencies=usd
+  if (url.pathname === '/simple/token_price/ethereum') {
+    const token = url.searchParams.get('contract_addresses');
+    const usd = prices.get(token);
+    return usd === null ? send(503, {}) : send(200, usd === undefined ? {} : { [token]: { usd } });
+  }
+
+  // DefiLlama: /prices/current/ethereum:<token>
+  const llama = url.pathname.match(/^\/prices\/current\/(ethereum:0x[0-9a-f]{40})$/);
+  if (llama) {
+    const usd = prices.get(llama[1].split(':')[1]);
+    return usd === null ? send(503, {}) : send(200, { coins: usd === undefined ? {} : { [llama[1]]: { price: usd, symbol: 'X' } } });
+  }
+
+  send(404, {});
+});
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.PRICE_SOURCE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  delete process.env.PRICE_SOURCE_URL;
+  delete process.env.PRICE_SOURCE;
+});
+
+// One project per test - cache keys are per source + token
+const [coingeckoProject, defillamaProject, staleProject, missingProject] = BUILD_PROJECTS;
+const token = (project) => project.tokenAddress.toLowerCase();
+
+test('coingecko: parses the token price and sends the API key', async () => {
+  process.env.PRICE_SOURCE = 'coingecko';
+  process.env.PRICE_SOURCE_API_KEY = 'demo-key';
+  prices.set(token(coingeckoProject), 0.4213);
+
+  try {
+    const result = await fetchTokenPrice(coingeckoProject);
+
+    assert.equal(result.cacheStatus, 'MISS');
+    assert.deepEqual(result.data, {
+      tokenAddress: token(coingeckoProject),
+      ticker: coingeckoProject.name,
+      usd: 0.4213,
+      source: 'coingecko',
+    });
+
+    const request = requests.at(-1);
+    assert.equal(request.query.contract_addresses, token(coingeckoProject));
+    assert.equal(request.query.vs_currencies, 'usd');
+    assert.equal(request.headers['x-cg-demo-api-key'], 'demo-key');
+
+    // Second call is served from cache
+    assert.equal((await fetchTokenPrice(coingeckoProject)).cacheStatus, 'HIT');
+  } finally {
+    delete process.env.PRICE_SOURCE_API_KEY;
+  }
+});
+
+test('defillama: parses coins[ethereum:<token>].price', async () => {
+  process.env.PRICE_SOURCE = 'defillama';
+  prices.set(token(defillamaProject), 1.07);
+
+  const result = await fetchTokenPrice(defillamaProject);
+
+  assert.equal(result.cacheStatus, 'MISS');
+  assert.equal(result.data.usd, 1.07);
+  assert.equal(result.data.source, 'defillama');
+  assert.equal(requests.at(-1).path, `/prices/current/ethereum:${token(defillamaProject)}`);
+});
+
+test('source down after the TTL: last price is served STALE', async (t) => {
+  process.env.PRICE_SOURCE = 'coingecko';
+  prices.set(token(staleProject), 2.5);
+
+  const fresh = await fetchTokenPrice(staleProject);
+  assert.equal(fresh.cacheStatus, 'MISS');
+
+  // Source goes down, primary entry expires (stale copy is kept for staleTtl)
+  prices.set(token(staleProject), null);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + (PRICE_CONFIG.ttl + 1) * 1000);
+
+  const stale = await fetchTokenPrice(staleProject);
+  assert.equal(stale.cacheStatus, 'STALE');
+  assert.equal(stale.data.usd, 2.5);
+  assert.equal(stale.timestamp, fresh.timestamp);
+});
+
+test('no price and nothing cached: rejects', async () => {
+  process.env.PRICE_SOURCE = 'defillama';
+  prices.delete(token(missingProject));
+
+  await assert.rejects(fetchTokenPrice(missingProject), /Price not available/);
+
+  prices.set(token(missingProject), null);
+  await assert.rejects(fetchTokenPrice(missingProject), /responded 503/);
+});
@@ -0,0 +1,386 @@
+/**
+ * Rate Limiting - two instances sharing one Redis
+ *
+ * Two child processes run apiLimiter (backend/src/middleware/rateLimiter.js) with
+ * ENABLE_REDIS=true against the in-test Redis stub below, like two PM2 workers
+ * behind one load balancer. Hits on either instance must count against the same
+ * window, and a penalty earned on one must block on the other.
+ *
+ * The stub speaks just enough RESP for ioredis and the rate limit store. EVAL runs
+ * the script it receives (RedisRateLimitStore's INCREMENT_SCRIPT) statement by
+ * statement through a tiny Lua subset, so the script's KEYS / ARGV layout, its
+ * PEXPIRE-on-first-hit branch and its return shape are what get exercised.
+ * Anything outside that subset is an error reply and fails the test.
+ *
+ * Run: pnpm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { RATE_LIMIT_CONFIG } from '../config/backend/rateLimiting.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const { prefix: COUNTER_PREFIX, penaltyPrefix: PENALTY_PREFIX } = RATE_LIMIT_CONFIG.store;
+
+// ============================================================================
+// Redis stub
+// ============================================================================
+
+// key → { value: string, expiresAt: number|null }
+const data = new Map();
+
+function read(key) {
+  const entry = data.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    data.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+const encode = {
+  simple: (value) => `+${value}\r\n`,
+  error: (message) => `-ERR ${message}\r\n`,
+  integer: (value) => `:${value}\r\n`,
+  bulk: (value) => value === null || value === undefined
+    ? '$-1\r\n'
+    : `$${Buffer.byteLength(value)}\r\n${value}\r\n`,
+  array: (items) => `*${items.length}\r\n${items.join('')}`,
+};
+
+function increment(key, by) {
+  const entry = read(key);
+  const value = parseInt(entry?.value ?? '0', 10) + by;
+  data.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+  return value;
+}
+
+function pttl(key) {
+  const entry = read(key);
+  if (!entry) return -2;
+  return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+}
+
+// ============================================================================
+// EVAL: the received script, run by a Lua subset
+// ============================================================================
+// locals / assignment, `if <name> <op> <number> then ... end`, redis.call, tonumber,
+// `return { ... }` - what INCREMENT_SCRIPT uses, nothing more
+
+const SCRIPT_CALLS = {
+  INCR: ([key]) => increment(key, 1),
+  PTTL: ([key]) => pttl(key),
+  PEXPIRE: ([key, ms]) => {
+    if (!/^\d+$/.test(ms)) throw new Error('value is not an integer or out of range');
+    const entry = read(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(ms);
+    return 1;
+  },
+};
+
+const COMPARE = {
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '==': (a, b) => a === b,
+};
+
+/**
+ * Run a script with its KEYS and ARGV
+ * @returns {Array|null} Returned table (null = no return)
+ */
+function runScript(script, keys, argv) {
+  const vars = {};
+
+  const evaluate = (expression) => {
+    const token = expression.trim();
+    let match;
+    if ((match = token.match(/^KEYS\[(\d+)\]$/))) return keys[Number(match[1]) - 1];
+    if ((match = token.match(/^ARGV\[(\d+)\]$/))) return argv[Number(match[1]) - 1];
+    if ((match = token.match(/^'([^']*)'$/))) return match[1];
+    if (/^-?\d+$/.test(token)) return Number(token);
+    if ((match = token.match(/^tonumber\((.+)\)$/))) return Number(evaluate(match[1]));
+    if ((match = token.match(/^redis\.call\((.+)\)$/))) {
+      const [name, ...args] = match[1].split(',').map(evaluate);
+      const command = SCRIPT_CALLS[name.toUpperCase()];
+      if (!command) throw new Error(`redis.call('${name}') is not supported by the stub`);
+      if (args.includes(undefined)) throw new Error(`redis.call('${name}') got a missing KEYS / ARGV entry`);
+      return command(args.map(String));
+    }
+    if (token in vars) return vars[token];
+    throw new Error(`unsupported expression: ${token}`);
+  };
+
+  let skipping = 0; // depth inside an if whose condition was false
+  for (const line of script.split('\n').map(l => l.trim()).filter(Boolean)) {
+    let match;
+    if ((match = line.match(/^if (\w+) (<=|<|>=|>|==) (-?\d+) then$/))) {
+      if (skipping || !COMPARE[match[2]](evaluate(match[1]), Number(match[3]))) skipping++;
+    } else if (line === 'end') {
+      if (skipping) skipping--;
+    } else if (skipping) {
+      continue;
+    } else if ((match = line.match(/^(?:local )?(\w+) = (.+)$/))) {
+      vars[match[1]] = evaluate(match[2]);
+    } else if ((match = line.match(/^return \{ (.+) \}$/))) {
+      return match[1].split(',').map(evaluate);
+    } else if (line.startsWith('redis.call(')) {
+      evaluate(line);
+    } else {
+      throw new Error(`unsupported statement: ${line}`);
+    }
+  }
+  return null;
+}
+
+const COMMANDS = {
+  PING: () => encode.simple('PONG'),
+  INFO: () => encode.bulk('# Server\r\nredis_version:7.2.0\r\nloading:0\r\n'),
+  CLIENT: () => encode.simple('OK'), // CLIENT SETINFO on connect
+  GET: ([key]) => encode.bulk(read(key)?.value ?? null),
+  MGET: (keys) => encode.array(keys.map(key => encode.bulk(read(key)?.value ?? null))),
+  SET: ([key, value, ...options]) => {
+    let expiresAt = null;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      if (option === 'EX') expiresAt = Date.now() + Number(options[++i]) * 1000;
+      if (option === 'NX' && read(key)) return encode.bulk(null);
+    }
+    data.set(key, { value: String(value), expiresAt });
+    return encode.simple('OK');
+  },
+  DEL: (keys) => encode.integer(keys.filter(key => read(key) && data.delete(key)).length),
+  DECR: ([key]) => encode.integer(increment(key, -1)),
+  PTTL: ([key]) => encode.integer(pttl(key)),
+  // Pages of COUNT keys, cursor = offset in the (sorted) keyspace
+  SCAN: ([cursor, ...options]) => {
+    let pattern = '*';
+    let count = 10;
+    for (let i = 0; i < options.length; i += 2) {
+      if (options[i].toUpperCase() === 'MATCH') pattern = options[i + 1];
+      if (options[i].toUpperCase() === 'COUNT') count = Number(options[i + 1]);
+    }
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    const keys = Array.from(data.keys()).filter(key => read(key)).sort();
+    const start = Number(cursor);
+    const next = start + count < keys.length ? String(start + count) : '0';
+    return encode.array([
+      encode.bulk(next),
+      encode.array(keys.slice(start, start + count).filter(key => regex.test(key)).map(encode.bulk)),
+    ]);
+  },
+  EVAL: ([script, numkeys, ...rest]) => {
+    try {
+      const result = runScript(script, rest.slice(0, Number(numkeys)), rest.slice(Number(numkeys)));
+      // Lua numbers come back as integer replies
+      return result === null
+        ? encode.bulk(null)
+        : encode.array(result.map(value => typeof value === 'number' ? encode.integer(Math.trunc(value)) : encode.bulk(String(value))));
+    } catch (err) {
+      return encode.error(err.message);
+    }
+  },
+};
+
+/**
+ * Parse complete RESP command arrays off the front of a buffer
+ * @returns {{commands: string[][], rest: Buffer}}
+ */
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  const readLine = (from) => {
+    const end = buffer.indexOf('\r\n', from);
+    return end === -1 ? null : { line: buffer.toString('utf8', from, end), next: end + 2 };
+  };
+
+  parsing: while (offset < buffer.length) {
+    const header = readLine(offset);
+    if (!header) break;
+    const argc = Number(header.line.slice(1));
+    const args = [];
+    let cursor = header.next;
+
+    for (let i = 0; i < argc; i++) {
+      const length = readLine(cursor);
+      if (!length) break parsing;
+      const size = Number(length.line.slice(1));
+      if (buffer.length < length.next + size + 2) break parsing;
+      args.push(buffer.toString('utf8', length.next, length.next + size));
+      cursor = length.next + size + 2;
+    }
+
+    commands.push(args);
+    offset = cursor;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+const redisStub = net.createServer((socket) => {
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const [name, ...args] of commands) {
+      const handler = COMMANDS[name.toUpperCase()];
+      socket.write(handler ? handler(args) : encode.error(`unknown command '${name}'`));
+    }
+  });
+  socket.on('error', () => {});
+});
+
+// ============================================================================
+// App instances
+// ============================================================================
+
+// Minimal app: apiLimiter on /ping, admin helpers on /penalties (unlimited)
+const INSTANCE_SOURCE = `
+import express from 'express';
+import { getRedisClient, isRedisAvailable } from './backend/src/utils/redis.js';
+import { apiLimiter, listPenalties, clearPenalty } from './backend/src/middleware/rateLimiter.js';
+
+const redis = getRedisClient();
+if (redis.status !== 'ready') await new Promise(resolve => redis.once('ready', resolve));
+
+const app = express();
+app.get('/penalties', async (req, res) => res.json(await listPenalties()));
+app.delete('/penalties/:ip', async (req, res) => res.json({ cleared: await clearPenalty(req.params.ip) }));
+app.get('/ping', apiLimiter, (req, res) => res.json({ ok: true }));
+
+const server = app.listen(0, '127.0.0.1', () => {
+  console.log('INSTANCE_READY ' + JSON.stringify({ port: server.address().port, redis: isRedisAvailable() }));
+});
+
+// Exit with the test run (the limiter keeps a cleanup interval alive)
+process.stdin.on('end', () => process.exit(0));
+process.stdin.resume();
+`;
+
+const instances = [];
+
+function startInstance(redisPort) {
+  const child = spawn(process.execPath, ['--input-type=module', '-e', INSTANCE_SOURCE], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'production',
+      ENABLE_REDIS: 'true',
+      REDIS_URL: `redis://127.0.0.1:${redisPort}`,
+    },
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const ready = output.match(/INSTANCE_READY (\{.*\})/);
+      if (ready) {
+        output = '';
+        resolve({ child, ...JSON.parse(ready[1]) });
+      }
+    });
+    child.once('exit', (code) => reject(new Error(`Instance exited (${code}) before listening`)));
+  });
+}
+
+function request(instance, path, { ip, method = 'GET' } = {}) {
+  return fetch(`http://127.0.0.1:${instance.port}${path}`, {
+    method,
+    headers: ip ? { 'x-forwarded-for': ip } : {},
+  });
+}
+
+let A;
+let B;
+
+before(async () => {
+  await new Promise(resolve => redisStub.listen(0, '127.0.0.1', resolve));
+  const { port } = redisStub.address();
+  [A, B] = await Promise.all([startInstance(port), startInstance(port)]);
+  instances.push(A, B);
+});
+
+after(async () => {
+  for (const { child } of instances) {
+    child.stdin.end();
+    if (child.exitCode === null) {
+      await new Promise(resolve => {
+        const timer = setTimeout(() => child.kill(), 2000);
+        child.once('exit', () => { clearTimeout(timer); resolve(); });
+      });
+    }
+  }
+  redisStub.close();
+});
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+test('both instances are on Redis', () => {
+  assert.equal(A.redis, true);
+  assert.equal(B.redis, true);
+});
+
+test('hits on either instance count against one window', async () => {
+  const ip = '198.51.100.1';
+  const key = `${COUNTER_PREFIX}minute:${ip}`;
+  const startedAt = Date.now();
+  let windowEnd;
+  let last;
+  for (const instance of [A, A, B, A, B]) {
+    last = await request(instance, '/ping', { ip });
+    assert.equal(last.status, 200);
+    windowEnd ??= read(key).expiresAt;
+  }
+
+  assert.equal(read(key).value, '5');
+  // Window starts on the first hit (PEXPIRE with ARGV[1] = windowMs) and later hits keep it
+  assert.ok(windowEnd >= startedAt + RATE_LIMIT_CONFIG.perMinute.windowMs);
+  assert.ok(windowEnd <= Date.now() + RATE_LIMIT_CONFIG.perMinute.windowMs);
+  assert.equal(read(key).expiresAt, windowEnd);
+  // Per-minute limiter runs last, its headers win
+  assert.equal(last.headers.get('ratelimit-remaining'), String(RATE_LIMIT_CONFIG.perMinute.max - 5));
+});
+
+test('a penalty earned on one instance blocks on the other', async () => {
+  const ip = '198.51.100.2';
+
+  // Per-second limit, or per-minute if this machine is slower than the 1s window
+  let response;
+  let sent = 0;
+  do {
+    response = await request(A, '/ping', { ip });
+    sent++;
+  } while (response.status === 200 && sent <= RATE_LIMIT_CONFIG.perMinute.max);
+
+  assert.equal(response.status, 429);
+  assert.ok(sent > RATE_LIMIT_CONFIG.perSecond.max);
+
+  const blocked = await request(B, '/ping', { ip });
+  assert.equal(blocked.status, 429);
+  assert.equal((await blocked.json()).reason, 'PENALTY_ACTIVE');
+
+  // Other IPs are not affected
+  assert.equal((await request(B, '/ping', { ip: '198.51.100.3' })).status, 200);
+
+  // Both instances list it (SCAN over the shared keyspace)
+  for (const instance of [A, B]) {
+    const penalties = await (await request(instance, '/penalties')).json();
+    assert.deepEqual(penalties.map(penalty => penalty.ip), [ip]);
+  }
+  assert.ok(read(`${PENALTY_PREFIX}${ip}`));
+
+  // Cleared through B, A serves the IP again
+  assert.deepEqual(await (await request(B, `/penalties/${ip}`, { method: 'DELETE' })).json(), { cleared: true });
+  assert.equal((await request(A, '/ping', { ip })).status, 200);
+});
@@ -0,0 +1,327 @@
+/**
+ * Vesting Engine - golden vectors
+ *
+ * Golden set: test/fixtures/vesting-mainnet.json, getCurrentClaimValues recorded
+ * from mainnet at a pinned block (an 18-decimal project + FOLKS, 6 decimals) with
+ * every contract input next to it - block, claim address, user, maxTokenAmount.
+ * Record / refresh with an archive RPC in .env:
+ *   pnpm run test:record-vectors <blockNumber> [ticker ...]
+ * The mainnet tests are skipped until the fixture exists.
+ *
+ * Edge cases a single block cannot show (refunding, unlock delay, early claimed,
+ * the division-by-zero revert) stay as vectors worked out from
+ * smartcontract_logic/BUILDClaim.sol in integer math; amounts exceed 2^53 so a
+ * float round-trip would show.
+ *
+ * Run: pnpm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import {
+  getUnlockState,
+  getClaimableState,
+  generateVestingTimeline,
+  toRawUnits,
+} from '../config/shared/vesting.js';
+
+const MAINNET_FIXTURE = new URL('./fixtures/vesting-mainnet.json', import.meta.url);
+const MAINNET_VECTORS = existsSync(MAINNET_FIXTURE)
+  ? JSON.parse(readFileSync(MAINNET_FIXTURE, 'utf8')).vectors
+  : [];
+
+if (MAINNET_VECTORS.length === 0) {
+  test('getClaimableState: mainnet golden vectors', { skip: 'no test/fixtures/vesting-mainnet.json - run pnpm run test:record-vectors <blockNumber>' }, () => {});
+}
+
+for (const vector of MAINNET_VECTORS) {
+  test(`getClaimableState: mainnet ${vector.name} at block ${vector.block}, user ${vector.user}`, () => {
+    const { config } = vector;
+    const unlockState = getUnlockState(config.seasonUnlockStartTime, config.unlockDelay, config.unlockDuration, vector.timestamp);
+
+    const result = getClaimableState(
+      {
+        tokenAmount: BigInt(config.tokenAmount),
+        baseTokenClaimBps: BigInt(config.baseTokenClaimBps),
+        unlockDuration: BigInt(config.unlockDuration),
+        earlyVestRatioMinBps: BigInt(config.earlyVestRatioMinBps),
+        earlyVestRatioMaxBps: BigInt(config.earlyVestRatioMaxBps),
+        isRefunding: config.isRefunding,
+      },
+      {
+        totalLoyalty: BigInt(vector.globalState.totalLoyalty),
+        totalLoyaltyIneligible: BigInt(vector.globalState.totalLoyaltyIneligible),
+      },
+      { claimed: BigInt(vector.userState.claimed), hasEarlyClaimed: vector.userState.hasEarlyClaimed },
+      unlockState,
+      BigInt(vector.maxTokenAmount)
+    );
+
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(result).map(([key, value]) => [key, value.toString()])),
+      vector.onChain
+    );
+  });
+}
+
+const UNLOCK_START = 1_700_000_000n;
+
+// 18 decimals, odd unlock duration (90 days + 13s), amounts with wei remainders
+const CONFIG_18 = {
+  tokenAmount: 1_000_000_000000000000000007n,
+  baseTokenClaimBps: 1500n,
+  unlockDuration: 7_776_013n,
+  earlyVestRatioMinBps: 1000n,
+  earlyVestRatioMaxBps: 10000n,
+  isRefunding: false,
+};
+const GLOBAL_STATE_18 = {
+  totalLoyalty: 12_345_678901234567890123n,
+  totalLoyaltyIneligible: 98_765432109876543210n,
+};
+const MAX_18 = 1234_567890123456789012n;
+
+// 6 decimals (FOLKS-like)
+const CONFIG_6 = {
+  tokenAmount: 2_500_000_000001n,
+  baseTokenClaimBps: 2000n,
+  unlockDuration: 15_552_000n,
+  earlyVestRatioMinBps: 500n,
+  earlyVestRatioMaxBps: 9000n,
+  isRefunding: false,
+};
+const GLOBAL_STATE_6 = {
+  totalLoyalty: 31_415926535n,
+  totalLoyaltyIneligible: 271_828182845n,
+};
+const MAX_6 = 777_777777n;
+
+const VECTORS = [
+  {
+    name: '18 decimals, mid-unlock, nothing claimed',
+    config: CONFIG_18,
+    globalState: GLOBAL_STATE_18,
+    userState: { claimed: 0n, hasEarlyClaimed: false },
+    unlock: [UNLOCK_START, 86400n, UNLOCK_START + 86400n + 3_000_001n],
+    maxTokenAmount: MAX_18,
+    expected: {
+      base: 185185183518518518351n,
+      bonus: 1049382706604938270661n,
+      vested: 404853897388998888880n,
+      claimable: 590039080907517407231n,
+      earlyVestableBonus: 288247306800121227723n,
+      loyaltyBonus: 15243084243040787924n,
+      claimed: 0n,
+    },
+  },
+  {
+    name: '18 decimals, mid-unlock, partly claimed',
+    config: CONFIG_18,
+    globalState: GLOBAL_STATE_18,
+    userState: { claimed: 200_000000000000000000n, hasEarlyClaimed: false },
+    unlock: [UNLOCK_START, 86400n, UNLOCK_START + 86400n + 3_000_001n],
+    maxTokenAmount: MAX_18,
+    expected: {
+      base: 185185183518518518351n,
+      bonus: 1049382706604938270661n,
+      vested: 404853897388998888880n,
+      claimable: 390039080907517407231n,
+      earlyVestableBonus: 288247306800121227723n,
+      loyaltyBonus: 15243084243040787924n,
+      claimed: 200_000000000000000000n,
+    },
+  },
+  {
+    name: '6 decimals, unlock complete',
+    config: CONFIG_6,
+    globalState: GLOBAL_STATE_6,
+    userState: { claimed: 100_000000n, hasEarlyClaimed: false },
+    unlock: [UNLOCK_START, 0n, UNLOCK_START + 15_552_000n],
+    maxTokenAmount: MAX_6,
+    expected: {
+      base: 155555555n,
+      bonus: 622222222n,
+      vested: 0n,
+      claimable: 688743991n,
+      earlyVestableBonus: 0n,
+      loyaltyBonus: 10966214n,
+      claimed: 100_000000n,
+    },
+  },
+  {
+    name: '6 decimals, early claimed',
+    config: CONFIG_6,
+    globalState: GLOBAL_STATE_6,
+    userState: { claimed: 100_000000n, hasEarlyClaimed: true },
+    unlock: [UNLOCK_START, 0n, UNLOCK_START + 15_552_000n],
+    maxTokenAmount: MAX_6,
+    expected: {
+      base: 155555555n,
+      bonus: 622222222n,
+      vested: 0n,
+      claimable: 0n,
+      earlyVestableBonus: 0n,
+      loyaltyBonus: 0n,
+      claimed: 100_000000n,
+    },
+  },
+  {
+    name: '6 decimals, one second before unlock (delay)',
+    config: CONFIG_6,
+    globalState: GLOBAL_STATE_6,
+    userState: { claimed: 0n, hasEarlyClaimed: false },
+    unlock: [UNLOCK_START, 3600n, UNLOCK_START + 3599n],
+    maxTokenAmount: MAX_6,
+    expected: {
+      base: 155555555n,
+      bonus: 622222222n,
+      vested: 0n,
+      claimable: 0n,
+      earlyVestableBonus: 0n,
+      loyaltyBonus: 0n,
+      claimed: 0n,
+    },
+  },
+  {
+    name: '6 decimals, refunding and nothing claimed',
+    config: { ...CONFIG_6, isRefunding: true },
+    globalState: GLOBAL_STATE_6,
+    userState: { claimed: 0n, hasEarlyClaimed: false },
+    unlock: [UNLOCK_START, 0n, UNLOCK_START + 1000n],
+    maxTokenAmount: MAX_6,
+    expected: {
+      base: 155555555n,
+      bonus: 622222222n,
+      vested: 0n,
+      claimable: 0n,
+      earlyVestableBonus: 0n,
+      loyaltyBonus: 0n,
+      claimed: 0n,
+    },
+  },
+];
+
+for (const vector of VECTORS) {
+  test(`getClaimableState (hand-derived): ${vector.name}`, () => {
+    const [unlockStartsAt, unlockDelay, timestamp] = vector.unlock;
+    const unlockState = getUnlockState(unlockStartsAt, unlockDelay, vector.config.unlockDuration, timestamp);
+
+    assert.deepEqual(
+      getClaimableState(vector.config, vector.globalState, vector.userState, unlockState, vector.maxTokenAmount),
+      vector.expected
+    );
+  });
+}
+
+test('getClaimableState: reverts like the contract when the whole pool is ineligible', () => {
+  const unlockState = getUnlockState(UNLOCK_START, 0n, CONFIG_6.unlockDuration, UNLOCK_START + 1n);
+  assert.throws(() => getClaimableState(
+    CONFIG_6,
+    { totalLoyalty: 1n, totalLoyaltyIneligible: CONFIG_6.tokenAmount },
+    { claimed: 0n, hasEarlyClaimed: false },
+    unlockState,
+    MAX_6
+  ), RangeError);
+});
+
+test('toRawUnits: exponent notation and truncated fractions', () => {
+  assert.equal(toRawUnits('1234.567890123456789012', 18), MAX_18);
+  assert.equal(toRawUnits('777.7777779', 6), MAX_6);
+  assert.equal(toRawUnits(1.5e21, 18), 1_500_000_000000000000000000000000000000000n);
+});
+
+test('generateVestingTimeline: raw chain values are used unchanged', () => {
+  const rows = generateVestingTimeline({
+    maxTokenAmount: '1234.567890123456789012',
+    config: {
+      // Float values (what Number(formatUnits()) gives) next to the exact raw units
+      tokenAmount: 1000000.000000000000000007,
+      tokenAmountRaw: CONFIG_18.tokenAmount.toString(),
+      baseTokenClaimBps: 1500,
+      unlockDurationDays: 90,
+      unlockDuration: 7_776_013,
+      earlyVestRatioMinBps: 1000,
+      earlyVestRatioMaxBps: 10000,
+      decimals: 18,
+    },
+    globalState: {
+      totalLoyalty: 12345.678901234567,
+      totalLoyaltyRaw: GLOBAL_STATE_18.totalLoyalty.toString(),
+      totalLoyaltyIneligible: 98.76543210987654,
+      totalLoyaltyIneligibleRaw: GLOBAL_STATE_18.totalLoyaltyIneligible.toString(),
+    },
+    startDate: '2024-01-01',
+  });
+
+  // 90 days + 13s → day 91 is the first row past unlockEnd
+  assert.equal(rows.length, 92);
+  assert.equal(rows[0].raw.base, '185185183518518518351');
+  assert.equal(rows[0].raw.loyaltyBonus, '15243084243040787924');
+  // bonus * (30 days in seconds) / unlockDuration
+  assert.equal(rows[30].raw.vested, '349793650746211457922');
+  assert.equal(rows[30].date, '2024-01-31');
+});
+
+test('generateVestingTimeline: wallet state sets claimed / claimable like the contract', () => {
+  const params = {
+    maxTokenAmount: '1234.567890123456789012',
+    config: {
+      tokenAmountRaw: CONFIG_18.tokenAmount.toString(),
+      baseTokenClaimBps: 1500,
+      unlockDuration: 7_776_013,
+      earlyVestRatioMinBps: 1000,
+      earlyVestRatioMaxBps: 10000,
+      decimals: 18,
+    },
+    globalState: {
+      totalLoyaltyRaw: GLOBAL_STATE_18.totalLoyalty.toString(),
+      totalLoyaltyIneligibleRaw: GLOBAL_STATE_18.totalLoyaltyIneligible.toString(),
+    },
+  };
+
+  // No wallet → no wallet columns
+  assert.equal(generateVestingTimeline(params)[0].raw.claimable, undefined);
+
+  const claimed = generateVestingTimeline({ ...params, userState: { claimedRaw: '100000000000000000000', hasEarlyClaimed: false } });
+  // base - claimed at day 0
+  assert.equal(claimed[0].raw.claimable, '85185183518518518351');
+  assert.equal(claimed[0].raw.claimed, '100000000000000000000');
+  // max + loyaltyBonus - claimed after unlock
+  assert.equal(claimed.at(-1).raw.claimable, String(MAX_18 + 15243084243040787924n - 100_000000000000000000n));
+
+  const early = generateVestingTimeline({ ...params, userState: { claimedRaw: '300000000000000000000', hasEarlyClaimed: true } });
+  assert.equal(early[10].raw.claimable, '0');
+  assert.equal(early[10].raw.loyaltyBonus, '0');
+});
+
+test('generateVestingTimeline: duration not a whole number of days ends 100% unlocked', () => {
+  const rows = generateVestingTimeline({
+    maxTokenAmount: '777.777777',
+    config: {
+      tokenAmount: 2500000.000001,
+      tokenAmountRaw: CONFIG_6.tokenAmount.toString(),
+      baseTokenClaimBps: 2000,
+      unlockDurationDays: 45,          // Math.round(unlockDuration / 86400) - must not cut the timeline short
+      unlockDuration: 3_922_560,       // 45.4 days
+      earlyVestRatioMinBps: 500,
+      earlyVestRatioMaxBps: 9000,
+      decimals: 6,
+    },
+    globalState: { totalLoyalty: 0, totalLoyaltyIneligible: 0 },
+    startDate: '2024-01-01',
+  });
+
+  assert.equal(rows.length, 47);
+
+  // Day 45 is still ~9.6h before unlockEnd
+  assert.equal(rows[45].isUnlockComplete, false);
+  assert.ok(rows[45].unlocked < 777.777777);
+
+  const last = rows.at(-1);
+  assert.equal(last.t, 46);
+  assert.equal(last.date, '2024-02-16');
+  assert.equal(last.isUnlockComplete, true);
+  assert.equal(last.unlocked, 777.777777);
+  assert.equal(last.raw.vested, last.raw.bonus);
+});